@@ -28,6 +28,7 @@ import Settings from './pages/Settings';
 import Profile from './pages/Profile';
 import BankReconciliation from './pages/BankReconciliation';
 import Reports from './pages/Reports';
+import SyncHistory from './pages/SyncHistory';
 
 function App() {
   return (
@@ -69,6 +70,7 @@ function App() {
                 <Route path="/reconciliation" element={<BankReconciliation />} />
                 <Route path="/reports" element={<Reports />} />
                 <Route path="/tally" element={<TallyConnector />} />
+                <Route path="/sync-history" element={<SyncHistory />} />
                 <Route path="/settings" element={<Settings />} />
                 <Route path="/profile" element={<Profile />} />
               </Route>
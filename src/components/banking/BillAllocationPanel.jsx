@@ -0,0 +1,266 @@
+/**
+ * AI Tally Sync - Bill Allocation Panel
+ * Settles a receipt/payment against the party's pending bills in Tally
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { FileText, Plus, Save, Trash2, X, Sparkles, RefreshCw } from 'lucide-react';
+import { getPendingBills, suggestBillAllocations } from '../../services/tallyService';
+import { BILL_ALLOCATION_TYPES } from '../../utils/constants';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+
+/**
+ * BillAllocationPanel - Editor for transaction.billAllocations
+ *
+ * @param {Object} transaction - Receipt/payment being allocated
+ * @param {string} partyLedger - Bill-wise party ledger the transaction is posted to
+ * @param {string} companyName - Active Tally company
+ * @param {Function} onSave - Called with the allocations (empty array removes them)
+ * @param {Function} onClose - Called when the panel is dismissed
+ */
+const BillAllocationPanel = ({ transaction, partyLedger, companyName, onSave, onClose }) => {
+    const amount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+
+    const [bills, setBills] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadError, setLoadError] = useState('');
+    const [allocations, setAllocations] = useState(transaction.billAllocations || []);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadBills = async () => {
+            setIsLoading(true);
+            setLoadError('');
+            try {
+                const pendingBills = await getPendingBills(companyName, partyLedger);
+                if (cancelled) return;
+                setBills(pendingBills);
+
+                // Pre-select the best match when nothing has been allocated yet
+                const [best] = suggestBillAllocations(transaction, pendingBills);
+                if (best && best.score >= 40) {
+                    setAllocations(current => current.length > 0 ? current : [{
+                        type: 'Agst Ref',
+                        name: best.bill.name,
+                        amount: Math.min(best.bill.amount, amount)
+                    }]);
+                }
+            } catch (error) {
+                if (!cancelled) setLoadError(error.message || 'Could not fetch pending bills');
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        };
+
+        loadBills();
+        return () => { cancelled = true; };
+    }, [companyName, partyLedger, transaction, amount, reloadKey]);
+
+    const suggestions = useMemo(() => {
+        const byName = {};
+        suggestBillAllocations(transaction, bills).forEach(s => {
+            byName[s.bill.name] = s;
+        });
+        return byName;
+    }, [transaction, bills]);
+
+    const allocated = allocations.reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
+    const remaining = amount - allocated;
+
+    const handleAllocateBill = (bill) => {
+        if (allocations.some(a => a.type === 'Agst Ref' && a.name === bill.name)) return;
+        setAllocations([
+            ...allocations,
+            { type: 'Agst Ref', name: bill.name, amount: Math.max(0, Math.min(bill.amount, remaining)) }
+        ]);
+    };
+
+    const handleAddNewRef = () => {
+        setAllocations([
+            ...allocations,
+            { type: 'New Ref', name: transaction.reference || '', amount: Math.max(0, remaining) }
+        ]);
+    };
+
+    const updateAllocation = (idx, field, value) => {
+        setAllocations(allocations.map((a, i) => i === idx ? { ...a, [field]: value } : a));
+    };
+
+    const handleRemoveAllocation = (idx) => {
+        setAllocations(allocations.filter((_, i) => i !== idx));
+    };
+
+    const handleSave = () => {
+        onSave(allocations
+            .map(a => ({ type: a.type, name: (a.name || '').trim(), amount: parseFloat(a.amount) || 0 }))
+            .filter(a => a.amount > 0));
+    };
+
+    const hasMissingNames = allocations.some(a => a.type !== 'On Account' && !(a.name || '').trim());
+
+    return (
+        <div className="card mb-4">
+            <div className="card-header">
+                <h4 className="card-title" style={{ fontSize: 'var(--text-md)' }}>
+                    <FileText size={16} /> Bill-wise Allocation · {partyLedger}
+                </h4>
+                <div className="flex gap-2">
+                    <button className="btn btn-ghost btn-icon btn-sm" onClick={() => setReloadKey(k => k + 1)} disabled={isLoading} title="Refresh bills">
+                        <RefreshCw size={16} />
+                    </button>
+                    <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ padding: 'var(--space-4)' }}>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                    {transaction.description} · {transaction.credit > 0 ? 'Receipt' : 'Payment'} of{' '}
+                    <strong>{formatCurrency(amount)}</strong>
+                </p>
+
+                {/* Pending bills */}
+                {isLoading ? (
+                    <div className="flex items-center gap-2" style={{ fontSize: 'var(--text-sm)' }}>
+                        <span className="spinner" /> Fetching pending bills...
+                    </div>
+                ) : loadError ? (
+                    <p style={{ fontSize: 'var(--text-sm)', color: 'var(--error-500)' }}>{loadError}</p>
+                ) : bills.length === 0 ? (
+                    <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)' }}>
+                        No pending bills for this party. Use New Ref or leave it On Account.
+                    </p>
+                ) : (
+                    <div className="data-table-container" style={{ maxHeight: '220px', overflowY: 'auto' }}>
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Bill</th>
+                                    <th>Date</th>
+                                    <th>Pending</th>
+                                    <th>Match</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {bills.map(bill => (
+                                    <tr key={bill.name}>
+                                        <td>{bill.name}</td>
+                                        <td>{formatDate(bill.date)}</td>
+                                        <td>
+                                            {formatCurrency(bill.amount)}
+                                            <span style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginLeft: '4px' }}>
+                                                {bill.isDebit ? 'Dr' : 'Cr'}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            {suggestions[bill.name] && (
+                                                <span className="badge badge-success" title={suggestions[bill.name].reasons.join(', ')}>
+                                                    <Sparkles size={12} /> {suggestions[bill.name].reasons[0]}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <button
+                                                className="btn btn-secondary btn-sm"
+                                                onClick={() => handleAllocateBill(bill)}
+                                                disabled={allocations.some(a => a.type === 'Agst Ref' && a.name === bill.name)}
+                                            >
+                                                Agst Ref
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {/* Allocations */}
+                <div style={{ marginTop: 'var(--space-4)' }}>
+                    {allocations.map((allocation, idx) => (
+                        <div key={idx} className="flex items-center gap-2 mb-2">
+                            <select
+                                className="form-select"
+                                value={allocation.type}
+                                onChange={(e) => updateAllocation(idx, 'type', e.target.value)}
+                                style={{ width: '130px', fontSize: 'var(--text-sm)' }}
+                            >
+                                {BILL_ALLOCATION_TYPES.map(type => (
+                                    <option key={type} value={type}>{type}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                className="form-input"
+                                value={allocation.type === 'On Account' ? '' : allocation.name}
+                                onChange={(e) => updateAllocation(idx, 'name', e.target.value)}
+                                disabled={allocation.type === 'On Account'}
+                                placeholder={allocation.type === 'On Account' ? 'No bill reference' : 'Bill name'}
+                                style={{ flex: 1, fontSize: 'var(--text-sm)' }}
+                            />
+                            <input
+                                type="number"
+                                className="form-input"
+                                value={allocation.amount}
+                                onChange={(e) => updateAllocation(idx, 'amount', e.target.value)}
+                                step="0.01"
+                                style={{ width: '140px', fontSize: 'var(--text-sm)' }}
+                            />
+                            <button
+                                className="btn btn-ghost btn-icon btn-sm"
+                                onClick={() => handleRemoveAllocation(idx)}
+                                title="Remove allocation"
+                                style={{ color: 'var(--error-500)' }}
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="flex items-center justify-between flex-wrap gap-3 mt-4">
+                    <div style={{ fontSize: 'var(--text-sm)' }}>
+                        Allocated <strong>{formatCurrency(allocated)}</strong>
+                        {remaining > 0.005 && (
+                            <span style={{ color: 'var(--text-muted)' }}>
+                                {' · '}{formatCurrency(remaining)} will be posted On Account
+                            </span>
+                        )}
+                        {remaining < -0.005 && (
+                            <div style={{ fontSize: 'var(--text-xs)', color: 'var(--error-500)', marginTop: '4px' }}>
+                                Allocations exceed the transaction amount
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="flex gap-2">
+                        <button className="btn btn-secondary btn-sm" onClick={handleAddNewRef}>
+                            <Plus size={14} />
+                            New Ref
+                        </button>
+                        {transaction.billAllocations?.length > 0 && (
+                            <button className="btn btn-ghost btn-sm" onClick={() => onSave([])}>
+                                <X size={14} />
+                                Clear
+                            </button>
+                        )}
+                        <button
+                            className="btn btn-primary btn-sm"
+                            onClick={handleSave}
+                            disabled={remaining < -0.005 || hasMissingNames}
+                        >
+                            <Save size={14} />
+                            Save Allocation
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BillAllocationPanel;
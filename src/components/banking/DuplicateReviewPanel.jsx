@@ -0,0 +1,135 @@
+/**
+ * AI Tally Sync - Duplicate Review Panel
+ * Lets the user decide what to do with bank lines that look like vouchers already in Tally
+ */
+
+import { useState } from 'react';
+import { Copy, Send, X } from 'lucide-react';
+import { DUPLICATE_RESOLUTIONS } from '../../utils/constants';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+
+/**
+ * DuplicateReviewPanel - Skip, link or force-push each flagged transaction
+ *
+ * @param {Array} duplicates - Result of findDuplicateVouchers [{ transaction, matches }]
+ * @param {number} cleanCount - Pending transactions that were not flagged
+ * @param {boolean} isProcessing - Disables the buttons while the push runs
+ * @param {Function} onConfirm - Called with [{ transaction, action, voucher }]
+ * @param {Function} onClose - Called when the push is cancelled
+ */
+const DuplicateReviewPanel = ({ duplicates, cleanCount = 0, isProcessing = false, onConfirm, onClose }) => {
+    // Nothing is pushed twice unless the user says so
+    const [choices, setChoices] = useState(() => Object.fromEntries(
+        duplicates.map(({ transaction }) => [transaction.id, { action: 'skip', matchIndex: 0 }])
+    ));
+
+    const updateChoice = (id, updates) => {
+        setChoices({ ...choices, [id]: { ...choices[id], ...updates } });
+    };
+
+    const handleConfirm = () => {
+        onConfirm(duplicates.map(({ transaction, matches }) => ({
+            transaction,
+            action: choices[transaction.id].action,
+            voucher: matches[choices[transaction.id].matchIndex].voucher
+        })));
+    };
+
+    const forceCount = Object.values(choices).filter(c => c.action === 'force').length;
+
+    return (
+        <div className="card mb-4" style={{ borderColor: 'var(--warning-500)' }}>
+            <div className="card-header">
+                <h4 className="card-title" style={{ fontSize: 'var(--text-md)' }}>
+                    <Copy size={16} /> Possible Duplicates in Tally ({duplicates.length})
+                </h4>
+                <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} disabled={isProcessing} title="Cancel push">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div style={{ padding: 'var(--space-4)' }}>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                    These lines match vouchers already entered in Tally by amount, direction and date.
+                    Skip them, link them to the existing voucher, or push them anyway.
+                </p>
+
+                {duplicates.map(({ transaction, matches }) => {
+                    const choice = choices[transaction.id];
+                    const amount = transaction.credit || transaction.debit || transaction.amount || 0;
+
+                    return (
+                        <div
+                            key={transaction.id}
+                            style={{
+                                borderTop: '1px solid var(--border-default)',
+                                padding: 'var(--space-3) 0'
+                            }}
+                        >
+                            <div className="flex items-center justify-between gap-3 flex-wrap">
+                                <div style={{ fontSize: 'var(--text-sm)' }}>
+                                    <strong>{formatDate(transaction.date, transaction.dateRaw)}</strong>
+                                    {' · '}{transaction.description}
+                                    {' · '}
+                                    <span style={{ color: transaction.credit > 0 ? 'var(--success-500)' : 'var(--error-500)' }}>
+                                        {formatCurrency(amount)} {transaction.credit > 0 ? 'Cr' : 'Dr'}
+                                    </span>
+                                </div>
+                                <select
+                                    className="form-select"
+                                    value={choice.action}
+                                    onChange={(e) => updateChoice(transaction.id, { action: e.target.value })}
+                                    style={{ width: '200px', fontSize: 'var(--text-sm)' }}
+                                >
+                                    {DUPLICATE_RESOLUTIONS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {matches.map(({ voucher, reasons }, idx) => (
+                                <label
+                                    key={voucher.guid || voucher.masterId || idx}
+                                    className="flex items-center gap-2"
+                                    style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-2)', marginLeft: 'var(--space-4)' }}
+                                >
+                                    {matches.length > 1 && choice.action === 'link' && (
+                                        <input
+                                            type="radio"
+                                            name={`duplicate-${transaction.id}`}
+                                            checked={choice.matchIndex === idx}
+                                            onChange={() => updateChoice(transaction.id, { matchIndex: idx })}
+                                        />
+                                    )}
+                                    <span>
+                                        {formatDate(voucher.date)} · {voucher.type} {voucher.voucherNumber}
+                                        {voucher.narration && ` · ${voucher.narration}`}
+                                        {' · '}{formatCurrency(voucher.amount)}
+                                        {' — '}{reasons.join(', ')}
+                                    </span>
+                                </label>
+                            ))}
+                        </div>
+                    );
+                })}
+
+                <div className="flex items-center justify-between flex-wrap gap-3 mt-4">
+                    <div style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)' }}>
+                        {cleanCount + forceCount} transaction(s) will be pushed
+                    </div>
+                    <div className="flex gap-2">
+                        <button className="btn btn-secondary btn-sm" onClick={onClose} disabled={isProcessing}>
+                            Cancel
+                        </button>
+                        <button className="btn btn-primary btn-sm" onClick={handleConfirm} disabled={isProcessing}>
+                            <Send size={14} />
+                            Continue Push
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DuplicateReviewPanel;
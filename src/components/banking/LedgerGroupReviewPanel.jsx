@@ -0,0 +1,123 @@
+/**
+ * AI Tally Sync - Ledger Group Review Panel
+ * Lets the user check the group of every ledger the push (or import file) is about to create in Tally,
+ * and fill in the GST details of the customers and suppliers among them
+ */
+
+import { useState } from 'react';
+import { FolderTree, Send, FileCode, X } from 'lucide-react';
+import PartyGstFields from '../common/PartyGstFields';
+import { isGroupUnder, getPartyGstIssue } from '../../services/tallyService';
+import { PARTY_LEDGER_GROUPS } from '../../utils/constants';
+
+/**
+ * LedgerGroupReviewPanel - Confirm or change the group of each new ledger
+ *
+ * @param {Array} ledgers - Result of planLedgerCreation [{ name, group, mapped }]
+ * @param {Array} groups - Groups read from Tally [{ name, parent }]
+ * @param {string} companyName - Company the mapping is remembered for
+ * @param {boolean} isProcessing - Disables the buttons while the push runs
+ * @param {boolean} forExport - The ledgers go into a Tally import file rather than a push
+ * @param {Function} onConfirm - Called with ({ [ledger]: group }, remember, { [party ledger]: { gstin, state, gstRegistrationType } })
+ * @param {Function} onClose - Called when the push or export is cancelled
+ */
+const LedgerGroupReviewPanel = ({ ledgers, groups, companyName, isProcessing = false, forExport = false, onConfirm, onClose }) => {
+    const [choices, setChoices] = useState(() => Object.fromEntries(ledgers.map(l => [l.name, l.group])));
+    const [remember, setRemember] = useState(true);
+    const [partyDetails, setPartyDetails] = useState({});
+
+    // Ledgers going under Sundry Debtors / Creditors are parties and need their GST details
+    const partyNames = ledgers.map(l => l.name).filter(name => isGroupUnder(choices[name], PARTY_LEDGER_GROUPS, groups));
+    const incompleteParties = partyNames.filter(name => getPartyGstIssue(partyDetails[name]));
+
+    // Tally's groups, sub-groups labelled with their parent; a suggested group Tally lacks is still listed
+    const groupOptions = [...groups].sort((a, b) => a.name.localeCompare(b.name));
+    ledgers.forEach(({ group }) => {
+        if (!groupOptions.some(g => g.name === group)) {
+            groupOptions.push({ name: group, parent: '', missing: true });
+        }
+    });
+
+    return (
+        <div className="card mb-4" style={{ borderColor: 'var(--primary-500)' }}>
+            <div className="card-header">
+                <h4 className="card-title" style={{ fontSize: 'var(--text-md)' }}>
+                    <FolderTree size={16} /> New Ledgers for Tally ({ledgers.length})
+                </h4>
+                <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} disabled={isProcessing} title={forExport ? 'Cancel export' : 'Cancel push'}>
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div style={{ padding: 'var(--space-4)' }}>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                    These ledgers do not exist in {companyName} yet and will be created before the vouchers are {forExport ? 'imported' : 'pushed'}.
+                    Check the group of each one{partyNames.length > 0 && ', and the GST registration of each customer and supplier so Tally\'s GST reports classify them correctly'}.
+                </p>
+
+                {ledgers.map(({ name, mapped }) => (
+                    <div key={name} style={{ borderTop: '1px solid var(--border-default)', padding: 'var(--space-2) 0' }}>
+                        <div className="flex items-center justify-between gap-3 flex-wrap">
+                            <div style={{ fontSize: 'var(--text-sm)' }}>
+                                <strong>{name}</strong>
+                                {mapped && (
+                                    <span style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}> · from your mapping</span>
+                                )}
+                            </div>
+                            <select
+                                className="form-select"
+                                value={choices[name]}
+                                onChange={(e) => setChoices({ ...choices, [name]: e.target.value })}
+                                style={{ width: '260px', fontSize: 'var(--text-sm)' }}
+                            >
+                                {groupOptions.map(group => (
+                                    <option key={group.name} value={group.name}>
+                                        {group.name}
+                                        {group.parent && ` (under ${group.parent})`}
+                                        {group.missing && ' (not in Tally)'}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        {partyNames.includes(name) && (
+                            <div style={{ marginTop: 'var(--space-2)' }}>
+                                <PartyGstFields
+                                    value={partyDetails[name] || {}}
+                                    onChange={(details) => setPartyDetails({ ...partyDetails, [name]: details })}
+                                />
+                            </div>
+                        )}
+                    </div>
+                ))}
+
+                <div className="flex items-center justify-between flex-wrap gap-3 mt-4">
+                    <label className="flex items-center gap-2" style={{ fontSize: 'var(--text-sm)' }}>
+                        <input
+                            type="checkbox"
+                            checked={remember}
+                            onChange={(e) => setRemember(e.target.checked)}
+                            style={{ width: '16px', height: '16px' }}
+                        />
+                        Remember these groups for {companyName}
+                    </label>
+                    <div className="flex gap-2">
+                        <button className="btn btn-secondary btn-sm" onClick={onClose} disabled={isProcessing}>
+                            Cancel
+                        </button>
+                        <button
+                            className="btn btn-primary btn-sm"
+                            onClick={() => onConfirm(choices, remember, Object.fromEntries(partyNames.map(name => [name, partyDetails[name]])))}
+                            disabled={isProcessing || incompleteParties.length > 0}
+                            title={incompleteParties.length > 0 ? `GST details missing for ${incompleteParties.join(', ')}` : undefined}
+                        >
+                            {forExport ? <FileCode size={14} /> : <Send size={14} />}
+                            {forExport ? 'Export with Ledgers' : 'Create Ledgers & Push'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LedgerGroupReviewPanel;
@@ -0,0 +1,203 @@
+/**
+ * AI Tally Sync - Push Preview Panel
+ * Dry run of a bank push: the ledgers that will be created, every voucher with its
+ * lines, and the transactions that fail validation - nothing reaches Tally until confirmed
+ */
+
+import { useState } from 'react';
+import { Eye, Send, X, FileCode, AlertTriangle, FolderPlus } from 'lucide-react';
+import { createPreviewXML } from '../../services/tallyService';
+import { formatCurrency, formatDate, downloadFile } from '../../utils/helpers';
+
+/**
+ * PushPreviewPanel - Review, trim and confirm what a push will send
+ *
+ * @param {Object} preview - Result of previewBatchPush
+ * @param {boolean} isProcessing - Disables the buttons while the push runs
+ * @param {Function} onConfirm - Called with the transactions left selected
+ * @param {Function} onClose - Called when the preview is dismissed
+ */
+const PushPreviewPanel = ({ preview, isProcessing = false, onConfirm, onClose }) => {
+    const [selectedIds, setSelectedIds] = useState(() => new Set(preview.vouchers.map(v => v.transaction.id)));
+
+    const selectedVouchers = preview.vouchers.filter(v => selectedIds.has(v.transaction.id));
+    const { ledgersXml, vouchersXml } = createPreviewXML(preview, selectedVouchers);
+
+    // Only ledgers a selected voucher posts to are created
+    const usedLedgers = new Set(selectedVouchers.flatMap(v => v.lines.map(line => line.ledger.toLowerCase().trim())));
+
+    const toggleVoucher = (id) => {
+        const next = new Set(selectedIds);
+        if (next.has(id)) {
+            next.delete(id);
+        } else {
+            next.add(id);
+        }
+        setSelectedIds(next);
+    };
+
+    const toggleAll = () => {
+        setSelectedIds(selectedIds.size === preview.vouchers.length
+            ? new Set()
+            : new Set(preview.vouchers.map(v => v.transaction.id)));
+    };
+
+    const handleDownload = () => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (ledgersXml) {
+            downloadFile(ledgersXml, `tally_ledgers_${stamp}`, 'xml');
+        }
+        downloadFile(vouchersXml, `tally_vouchers_${stamp}`, 'xml');
+    };
+
+    return (
+        <div className="card mb-4" style={{ borderColor: 'var(--primary-500)' }}>
+            <div className="card-header">
+                <h4 className="card-title" style={{ fontSize: 'var(--text-md)' }}>
+                    <Eye size={16} /> Push Preview · {preview.companyName}
+                </h4>
+                <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} disabled={isProcessing} title="Close preview">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div style={{ padding: 'var(--space-4)' }}>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                    Nothing has been sent to Tally. New ledgers are worked out from the ledgers loaded for the company;
+                    vouchers Tally already has are skipped when you push.
+                </p>
+
+                {/* Ledgers to create */}
+                <h5 className="flex items-center gap-2" style={{ fontSize: 'var(--text-sm)', marginBottom: 'var(--space-2)' }}>
+                    <FolderPlus size={14} /> New Ledgers ({preview.missingLedgers.filter(l => usedLedgers.has(l.name.toLowerCase().trim())).length})
+                </h5>
+                {preview.missingLedgers.length === 0 ? (
+                    <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                        Every ledger is already in Tally.
+                    </p>
+                ) : (
+                    <div style={{ marginBottom: 'var(--space-4)' }}>
+                        {preview.missingLedgers.map(({ name, group, mapped }) => {
+                            const used = usedLedgers.has(name.toLowerCase().trim());
+                            return (
+                                <div
+                                    key={name}
+                                    className="flex items-center justify-between gap-3"
+                                    style={{
+                                        fontSize: 'var(--text-sm)',
+                                        padding: 'var(--space-1) 0',
+                                        color: used ? 'inherit' : 'var(--text-muted)',
+                                        textDecoration: used ? 'none' : 'line-through'
+                                    }}
+                                >
+                                    <strong>{name}</strong>
+                                    <span>
+                                        {group}
+                                        {mapped && <span style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}> · from your mapping</span>}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {/* Validation failures */}
+                {preview.invalid.length > 0 && (
+                    <div style={{ marginBottom: 'var(--space-4)' }}>
+                        <h5 className="flex items-center gap-2" style={{ fontSize: 'var(--text-sm)', color: 'var(--error-500)', marginBottom: 'var(--space-2)' }}>
+                            <AlertTriangle size={14} /> Will Not Be Pushed ({preview.invalid.length})
+                        </h5>
+                        {preview.invalid.map(({ transaction, error }) => (
+                            <div key={transaction.id} style={{ fontSize: 'var(--text-sm)', padding: 'var(--space-1) 0' }}>
+                                {formatDate(transaction.date, transaction.dateRaw)}
+                                {' · '}{transaction.description || 'No description'}
+                                {' — '}<span style={{ color: 'var(--error-500)' }}>{error}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {/* Vouchers */}
+                <div className="data-table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th style={{ width: '40px' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.size === preview.vouchers.length && preview.vouchers.length > 0}
+                                        onChange={toggleAll}
+                                        style={{ cursor: 'pointer' }}
+                                    />
+                                </th>
+                                <th>Date</th>
+                                <th>Type</th>
+                                <th>Ledgers</th>
+                                <th>Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {preview.vouchers.map(voucher => (
+                                <tr key={voucher.transaction.id} style={{ opacity: selectedIds.has(voucher.transaction.id) ? 1 : 0.5 }}>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedIds.has(voucher.transaction.id)}
+                                            onChange={() => toggleVoucher(voucher.transaction.id)}
+                                            style={{ cursor: 'pointer' }}
+                                        />
+                                    </td>
+                                    <td style={{ whiteSpace: 'nowrap' }}>{formatDate(voucher.date)}</td>
+                                    <td>
+                                        {voucher.voucherType}
+                                        {voucher.voucherNumber && (
+                                            <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>No. {voucher.voucherNumber}</div>
+                                        )}
+                                    </td>
+                                    <td style={{ fontSize: 'var(--text-xs)' }}>
+                                        {voucher.lines.map((line, idx) => (
+                                            <div key={idx}>
+                                                {line.side} {line.ledger} · {formatCurrency(line.amount)}
+                                            </div>
+                                        ))}
+                                        {voucher.transaction.description && (
+                                            <div className="truncate" style={{ color: 'var(--text-muted)', maxWidth: '320px' }}>
+                                                {voucher.transaction.description}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>{formatCurrency(voucher.amount)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="flex items-center justify-between flex-wrap gap-3 mt-4">
+                    <div style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)' }}>
+                        {selectedVouchers.length} of {preview.vouchers.length} voucher(s) selected
+                    </div>
+                    <div className="flex gap-2">
+                        <button className="btn btn-secondary btn-sm" onClick={handleDownload} disabled={!vouchersXml}>
+                            <FileCode size={14} />
+                            Download XML
+                        </button>
+                        <button className="btn btn-secondary btn-sm" onClick={onClose} disabled={isProcessing}>
+                            Cancel
+                        </button>
+                        <button
+                            className="btn btn-primary btn-sm"
+                            onClick={() => onConfirm(selectedVouchers.map(v => v.transaction))}
+                            disabled={isProcessing || selectedVouchers.length === 0}
+                        >
+                            <Send size={14} />
+                            Confirm & Push ({selectedVouchers.length})
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PushPreviewPanel;
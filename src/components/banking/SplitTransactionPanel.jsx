@@ -0,0 +1,178 @@
+/**
+ * AI Tally Sync - Split Transaction Panel
+ * Allocates one bank transaction across several ledgers
+ */
+
+import { useState } from 'react';
+import { Plus, Save, Trash2, X, Split } from 'lucide-react';
+import { validateSplits } from '../../services/tallyService';
+import { formatCurrency, generateId } from '../../utils/helpers';
+
+/**
+ * SplitTransactionPanel - Editor for transaction.splits
+ *
+ * @param {Object} transaction - Transaction being split
+ * @param {Array} ledgers - Tally ledgers [{ name, group }] offered as suggestions
+ * @param {Array} costCentres - Tally cost centres [{ name, category }]; each line can take one
+ * @param {Function} onSave - Called with the split lines (empty array removes the split)
+ * @param {Function} onClose - Called when the panel is dismissed
+ */
+const SplitTransactionPanel = ({ transaction, ledgers = [], costCentres = [], onSave, onClose }) => {
+    const bankAmount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+
+    const [lines, setLines] = useState(() => {
+        if (transaction.splits?.length > 0) {
+            return transaction.splits.map(split => ({ ...split, amount: String(split.amount) }));
+        }
+        // Start with the current ledger taking the full amount
+        return [{
+            id: generateId(),
+            ledger: transaction.userLedger || transaction.aiSuggestedLedger || '',
+            amount: String(bankAmount),
+            costCentre: transaction.costCentre || transaction.aiCostCentre || null
+        }];
+    });
+
+    const allocated = lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+    const remaining = bankAmount - allocated;
+    const error = validateSplits({ ...transaction, splits: lines });
+
+    const updateLine = (id, field, value) => {
+        setLines(lines.map(line => line.id === id ? { ...line, [field]: value } : line));
+    };
+
+    const handleAddLine = () => {
+        setLines([
+            ...lines,
+            { id: generateId(), ledger: '', amount: remaining > 0 ? remaining.toFixed(2) : '', costCentre: null }
+        ]);
+    };
+
+    const handleCostCentreChange = (id, name) => {
+        const match = costCentres.find(c => c.name === name);
+        updateLine(id, 'costCentre', match ? { category: match.category, name: match.name } : null);
+    };
+
+    const handleRemoveLine = (id) => {
+        setLines(lines.filter(line => line.id !== id));
+    };
+
+    const handleSave = () => {
+        onSave(lines.map(line => ({
+            id: line.id,
+            ledger: line.ledger.trim(),
+            amount: parseFloat(line.amount) || 0,
+            costCentre: line.costCentre || null
+        })));
+    };
+
+    return (
+        <div className="card mb-4">
+            <div className="card-header">
+                <h4 className="card-title" style={{ fontSize: 'var(--text-md)' }}>
+                    <Split size={16} /> Split Transaction
+                </h4>
+                <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} title="Close">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div style={{ padding: 'var(--space-4)' }}>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                    {transaction.description} · {transaction.credit > 0 ? 'Credit' : 'Debit'} of{' '}
+                    <strong>{formatCurrency(bankAmount)}</strong>.
+                    Use a negative amount for deductions such as TDS.
+                </p>
+
+                <datalist id="split-ledger-options">
+                    {ledgers.map(l => (
+                        <option key={l.name} value={l.name}>{l.group}</option>
+                    ))}
+                </datalist>
+
+                {lines.map((line, idx) => (
+                    <div key={line.id} className="flex items-center gap-2 mb-2">
+                        <span style={{ width: '24px', fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>
+                            {idx + 1}.
+                        </span>
+                        <input
+                            type="text"
+                            className="form-input"
+                            list="split-ledger-options"
+                            value={line.ledger}
+                            onChange={(e) => updateLine(line.id, 'ledger', e.target.value)}
+                            placeholder="Ledger name"
+                            style={{ flex: 1, fontSize: 'var(--text-sm)' }}
+                        />
+                        <input
+                            type="number"
+                            className="form-input"
+                            value={line.amount}
+                            onChange={(e) => updateLine(line.id, 'amount', e.target.value)}
+                            placeholder="Amount"
+                            step="0.01"
+                            style={{ width: '140px', fontSize: 'var(--text-sm)' }}
+                        />
+                        {costCentres.length > 0 && (
+                            <select
+                                className="form-select"
+                                value={line.costCentre?.name || ''}
+                                onChange={(e) => handleCostCentreChange(line.id, e.target.value)}
+                                title="Cost centre"
+                                style={{ width: '160px', fontSize: 'var(--text-sm)' }}
+                            >
+                                <option value="">No cost centre</option>
+                                {costCentres.map(c => (
+                                    <option key={`${c.category}|${c.name}`} value={c.name}>{c.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        <button
+                            className="btn btn-ghost btn-icon btn-sm"
+                            onClick={() => handleRemoveLine(line.id)}
+                            disabled={lines.length === 1}
+                            title="Remove line"
+                            style={{ color: 'var(--error-500)' }}
+                        >
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                ))}
+
+                <div className="flex items-center justify-between flex-wrap gap-3 mt-4">
+                    <div style={{ fontSize: 'var(--text-sm)' }}>
+                        Allocated <strong>{formatCurrency(allocated)}</strong>
+                        {' · '}
+                        <span style={{ color: Math.abs(remaining) < 0.005 ? 'var(--success-500)' : 'var(--warning-500)' }}>
+                            Remaining {formatCurrency(remaining)}
+                        </span>
+                        {error && (
+                            <div style={{ fontSize: 'var(--text-xs)', color: 'var(--error-500)', marginTop: '4px' }}>
+                                {error}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="flex gap-2">
+                        <button className="btn btn-secondary btn-sm" onClick={handleAddLine}>
+                            <Plus size={14} />
+                            Add Line
+                        </button>
+                        {transaction.splits?.length > 0 && (
+                            <button className="btn btn-ghost btn-sm" onClick={() => onSave([])}>
+                                <X size={14} />
+                                Remove Split
+                            </button>
+                        )}
+                        <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={!!error}>
+                            <Save size={14} />
+                            Save Split
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SplitTransactionPanel;
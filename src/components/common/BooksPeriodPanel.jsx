@@ -0,0 +1,139 @@
+/**
+ * AI Tally Sync - Books Period Panel
+ * Shown when Tally rejects vouchers dated outside the company's books period:
+ * moves the books beginning back or switches to the company that holds those dates
+ */
+
+import { useState } from 'react';
+import { CalendarX, CalendarCheck, ArrowRightLeft, X } from 'lucide-react';
+import { useApp } from '../../context/AppContext';
+import { alterCompanyBooksFrom } from '../../services/tallyService';
+import { getCachedLedgers } from '../../services/tallyCache';
+import { formatDate } from '../../utils/helpers';
+
+/**
+ * BooksPeriodPanel - Fix a books-period rejection from inside the app
+ *
+ * @param {Object} conflict - Result of getBooksPeriodConflict
+ * @param {string} itemLabel - What was rejected, e.g. 'bank voucher(s)'
+ * @param {Function} onResolved - Called with the company the rejected items should go to
+ * @param {Function} onClose - Called when the user leaves the items as they are
+ */
+const BooksPeriodPanel = ({ conflict, itemLabel = 'voucher(s)', onResolved, onClose }) => {
+    const { actions } = useApp();
+    const [targetCompany, setTargetCompany] = useState(conflict.companies[0]?.name || '');
+    const [isFixing, setIsFixing] = useState(false);
+
+    const handleAlterBooksFrom = async () => {
+        setIsFixing(true);
+        try {
+            const result = await alterCompanyBooksFrom(conflict.companyName, conflict.suggestedBooksFrom, conflict.suggestedStartingFrom);
+            actions.addNotification({ type: 'success', title: 'Books Period Updated', message: result.message });
+            await onResolved(conflict.companyName);
+        } catch (error) {
+            actions.addNotification({
+                type: 'error',
+                title: 'Could Not Alter Company',
+                message: `${error.message}. Change "Books beginning from" in Tally (Alt+F3 > Alter Company) and push again.`
+            });
+        } finally {
+            setIsFixing(false);
+        }
+    };
+
+    const handleSwitchCompany = async () => {
+        setIsFixing(true);
+        try {
+            actions.setActiveCompany(targetCompany);
+            actions.setConnectionCompany(targetCompany);
+            actions.setLedgers(await getCachedLedgers(targetCompany));
+            actions.refreshGroups(targetCompany);
+            actions.refreshCostCentres(targetCompany);
+            actions.refreshVoucherTypes(targetCompany);
+            actions.refreshInventory(targetCompany);
+            await onResolved(targetCompany);
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Could not switch to ${targetCompany}: ${error.message}` });
+        } finally {
+            setIsFixing(false);
+        }
+    };
+
+    return (
+        <div className="card mb-4" style={{ borderColor: 'var(--warning-500)' }}>
+            <div className="card-header">
+                <h4 className="card-title" style={{ fontSize: 'var(--text-md)' }}>
+                    <CalendarX size={16} /> Dates Outside the Books Period
+                </h4>
+                <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} disabled={isFixing} title="Dismiss">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div style={{ padding: 'var(--space-4)' }}>
+                <p style={{ fontSize: 'var(--text-sm)', marginBottom: 'var(--space-2)' }}>
+                    Tally rejected {conflict.count} {itemLabel} dated{' '}
+                    <strong>{formatDate(conflict.from)}</strong>
+                    {conflict.to !== conflict.from && <> to <strong>{formatDate(conflict.to)}</strong></>}
+                    {' '}in {conflict.companyName}.
+                </p>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                    Financial year from {formatDate(conflict.startingFrom, 'unknown')} · Books beginning from {formatDate(conflict.booksFrom, 'unknown')}.
+                    Once the period is fixed the rejected {itemLabel} are queued and pushed again.
+                </p>
+
+                {conflict.suggestedBooksFrom && (
+                    <div
+                        className="flex items-center justify-between gap-3 flex-wrap"
+                        style={{ borderTop: '1px solid var(--border-default)', padding: 'var(--space-3) 0' }}
+                    >
+                        <div style={{ fontSize: 'var(--text-sm)' }}>
+                            Move the books beginning of {conflict.companyName} back to{' '}
+                            <strong>{formatDate(conflict.suggestedBooksFrom)}</strong>
+                        </div>
+                        <button className="btn btn-primary btn-sm" onClick={handleAlterBooksFrom} disabled={isFixing}>
+                            <CalendarCheck size={14} />
+                            Alter Company & Re-queue
+                        </button>
+                    </div>
+                )}
+
+                {conflict.companies.length > 0 && (
+                    <div
+                        className="flex items-center justify-between gap-3 flex-wrap"
+                        style={{ borderTop: '1px solid var(--border-default)', padding: 'var(--space-3) 0' }}
+                    >
+                        <div className="flex items-center gap-2 flex-wrap" style={{ fontSize: 'var(--text-sm)' }}>
+                            Push them to
+                            <select
+                                className="form-select"
+                                value={targetCompany}
+                                onChange={(e) => setTargetCompany(e.target.value)}
+                                style={{ width: '260px', fontSize: 'var(--text-sm)' }}
+                            >
+                                {conflict.companies.map(company => (
+                                    <option key={company.name} value={company.name}>
+                                        {company.name} (books from {formatDate(company.booksFrom)})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <button className="btn btn-secondary btn-sm" onClick={handleSwitchCompany} disabled={isFixing || !targetCompany}>
+                            <ArrowRightLeft size={14} />
+                            Switch Company & Re-queue
+                        </button>
+                    </div>
+                )}
+
+                {!conflict.suggestedBooksFrom && conflict.companies.length === 0 && (
+                    <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)' }}>
+                        The dates fall after the books beginning, so Tally&apos;s current period is the likely cause.
+                        Press F2 in Tally to change the period, or select the company for those dates, and push again.
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default BooksPeriodPanel;
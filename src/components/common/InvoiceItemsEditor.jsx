@@ -0,0 +1,212 @@
+/**
+ * AI Tally Sync - Invoice Items Editor
+ * Item lines of a sales or purchase invoice: stock item, quantity, rate, discount,
+ * HSN, GST rate and the godown/batch the stock moves through
+ */
+
+import { Plus, Trash2, Package } from 'lucide-react';
+import { calculateInvoiceItems } from '../../services/tallyService';
+import { formatCurrency, generateId } from '../../utils/helpers';
+import { DEFAULT_BATCH, DEFAULT_GODOWN } from '../../utils/constants';
+
+const GST_RATE_OPTIONS = ['0', '5', '12', '18', '28'];
+
+const cellInputStyle = { fontSize: 'var(--text-sm)', padding: 'var(--space-1) var(--space-2)' };
+
+/**
+ * InvoiceItemsEditor - Controlled editor for entry.items
+ *
+ * @param {Array} items - Item lines [{ id, stockItem, quantity, unit, rate, discount, hsn, gstRate, godown, batch }]
+ * @param {Object} inventory - Result of getInventoryMasters { stockItems, units, godowns }
+ * @param {Function} onChange - Called with the updated item lines
+ */
+const InvoiceItemsEditor = ({ items = [], inventory = {}, onChange }) => {
+    const { stockItems = [], units = [], godowns = [] } = inventory;
+    const { items: lines, amount, gstAmount } = calculateInvoiceItems(items);
+
+    const updateItem = (id, changes) => {
+        onChange(items.map(item => item.id === id ? { ...item, ...changes } : item));
+    };
+
+    // Picking a stock item brings in its unit, HSN and GST rate from the Tally master
+    const handleStockItemChange = (id, name) => {
+        const master = stockItems.find(s => s.name === name);
+        updateItem(id, master
+            ? { stockItem: name, unit: master.baseUnit, hsn: master.hsn, gstRate: String(master.gstRate || 0) }
+            : { stockItem: name });
+    };
+
+    const handleAddItem = () => {
+        onChange([
+            ...items,
+            { id: generateId(), stockItem: '', quantity: '', unit: '', rate: '', discount: '', hsn: '', gstRate: '18', godown: '', batch: '' }
+        ]);
+    };
+
+    return (
+        <div style={{ gridColumn: '1 / -1' }}>
+            <label className="form-label flex items-center gap-2">
+                <Package size={14} /> Items
+            </label>
+
+            {items.length > 0 && (
+                <div className="data-table-container mb-2">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Stock Item</th>
+                                <th>Qty</th>
+                                <th>Unit</th>
+                                <th>Rate</th>
+                                <th>Disc %</th>
+                                <th>HSN</th>
+                                <th>GST %</th>
+                                {godowns.length > 1 && <th>Godown</th>}
+                                <th>Batch</th>
+                                <th>Amount</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {items.map((item, idx) => (
+                                <tr key={item.id}>
+                                    <td>
+                                        <select
+                                            className="form-select"
+                                            value={item.stockItem}
+                                            onChange={(e) => handleStockItemChange(item.id, e.target.value)}
+                                            style={{ ...cellInputStyle, minWidth: '160px' }}
+                                        >
+                                            <option value="">Select item</option>
+                                            {stockItems.map(s => (
+                                                <option key={s.name} value={s.name}>{s.name}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={item.quantity}
+                                            onChange={(e) => updateItem(item.id, { quantity: e.target.value })}
+                                            min="0"
+                                            style={{ ...cellInputStyle, width: '80px' }}
+                                        />
+                                    </td>
+                                    <td>
+                                        <select
+                                            className="form-select"
+                                            value={item.unit}
+                                            onChange={(e) => updateItem(item.id, { unit: e.target.value })}
+                                            style={{ ...cellInputStyle, width: '90px' }}
+                                        >
+                                            <option value="">-</option>
+                                            {units.map(u => (
+                                                <option key={u.name} value={u.name}>{u.name}</option>
+                                            ))}
+                                            {item.unit && !units.some(u => u.name === item.unit) && (
+                                                <option value={item.unit}>{item.unit}</option>
+                                            )}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={item.rate}
+                                            onChange={(e) => updateItem(item.id, { rate: e.target.value })}
+                                            min="0"
+                                            step="0.01"
+                                            style={{ ...cellInputStyle, width: '100px' }}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={item.discount}
+                                            onChange={(e) => updateItem(item.id, { discount: e.target.value })}
+                                            min="0"
+                                            max="100"
+                                            style={{ ...cellInputStyle, width: '70px' }}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={item.hsn}
+                                            onChange={(e) => updateItem(item.id, { hsn: e.target.value })}
+                                            style={{ ...cellInputStyle, width: '90px' }}
+                                        />
+                                    </td>
+                                    <td>
+                                        <select
+                                            className="form-select"
+                                            value={String(item.gstRate)}
+                                            onChange={(e) => updateItem(item.id, { gstRate: e.target.value })}
+                                            style={{ ...cellInputStyle, width: '75px' }}
+                                        >
+                                            {GST_RATE_OPTIONS.map(rate => (
+                                                <option key={rate} value={rate}>{rate}%</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    {godowns.length > 1 && (
+                                        <td>
+                                            <select
+                                                className="form-select"
+                                                value={item.godown || DEFAULT_GODOWN}
+                                                onChange={(e) => updateItem(item.id, { godown: e.target.value })}
+                                                style={{ ...cellInputStyle, minWidth: '120px' }}
+                                            >
+                                                {godowns.map(g => (
+                                                    <option key={g.name} value={g.name}>{g.name}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                    )}
+                                    <td>
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={item.batch}
+                                            onChange={(e) => updateItem(item.id, { batch: e.target.value })}
+                                            placeholder={DEFAULT_BATCH}
+                                            style={{ ...cellInputStyle, width: '110px' }}
+                                        />
+                                    </td>
+                                    <td style={{ whiteSpace: 'nowrap' }}>{formatCurrency(lines[idx].amount)}</td>
+                                    <td>
+                                        <button
+                                            className="btn btn-ghost btn-icon btn-sm"
+                                            onClick={() => onChange(items.filter(line => line.id !== item.id))}
+                                            title="Remove item"
+                                            style={{ color: 'var(--error-500)' }}
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="flex items-center justify-between flex-wrap gap-3">
+                <button className="btn btn-secondary btn-sm" onClick={handleAddItem}>
+                    <Plus size={14} />
+                    Add Item
+                </button>
+                {items.length > 0 && (
+                    <div style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)' }}>
+                        {items.length} item(s) · Taxable {formatCurrency(amount)} · GST {formatCurrency(gstAmount)}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default InvoiceItemsEditor;
@@ -0,0 +1,80 @@
+/**
+ * AI Tally Sync - New Parties Panel
+ * Shown before invoices are pushed or exported for customers or suppliers Tally has no
+ * ledger for: collects their GST registration so the ledgers are created with it
+ */
+
+import { useState } from 'react';
+import { UserPlus, Send, FileCode, X } from 'lucide-react';
+import PartyGstFields from './PartyGstFields';
+import { getPartyGstIssue } from '../../services/tallyService';
+
+/**
+ * NewPartiesPanel - GST details of the party ledgers a push will create
+ *
+ * @param {Array} parties - [{ name, group }]
+ * @param {string} companyName - Company the ledgers are created in
+ * @param {boolean} isProcessing - Disables the buttons while the ledgers are created
+ * @param {boolean} forExport - The ledgers go into a Tally import file rather than being created now
+ * @param {Function} onConfirm - Called with { [party]: { gstin, state, gstRegistrationType } }
+ * @param {Function} onClose - Called when the push or export is cancelled
+ */
+const NewPartiesPanel = ({ parties, companyName, isProcessing = false, forExport = false, onConfirm, onClose }) => {
+    const [details, setDetails] = useState({});
+
+    const incomplete = parties.filter(({ name }) => getPartyGstIssue(details[name]));
+
+    return (
+        <div className="card mb-4" style={{ borderColor: 'var(--primary-500)' }}>
+            <div className="card-header">
+                <h4 className="card-title" style={{ fontSize: 'var(--text-md)' }}>
+                    <UserPlus size={16} /> New Parties for Tally ({parties.length})
+                </h4>
+                <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} disabled={isProcessing} title={forExport ? 'Cancel export' : 'Cancel push'}>
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div style={{ padding: 'var(--space-4)' }}>
+                <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)', marginBottom: 'var(--space-4)' }}>
+                    These parties have no ledger in {companyName} yet. Enter their GST registration so the ledgers
+                    are created with it and Tally&apos;s GST reports classify their invoices correctly.
+                </p>
+
+                {parties.map(({ name, group }) => (
+                    <div
+                        key={name}
+                        className="flex items-center justify-between gap-3 flex-wrap"
+                        style={{ borderTop: '1px solid var(--border-default)', padding: 'var(--space-2) 0' }}
+                    >
+                        <div style={{ fontSize: 'var(--text-sm)' }}>
+                            <strong>{name}</strong>
+                            <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>{group}</div>
+                        </div>
+                        <PartyGstFields
+                            value={details[name] || {}}
+                            onChange={(party) => setDetails({ ...details, [name]: party })}
+                        />
+                    </div>
+                ))}
+
+                <div className="flex items-center justify-end gap-2 mt-4">
+                    <button className="btn btn-secondary btn-sm" onClick={onClose} disabled={isProcessing}>
+                        Cancel
+                    </button>
+                    <button
+                        className="btn btn-primary btn-sm"
+                        onClick={() => onConfirm(details)}
+                        disabled={isProcessing || incomplete.length > 0}
+                        title={incomplete.length > 0 ? `GST details missing for ${incomplete.map(p => p.name).join(', ')}` : undefined}
+                    >
+                        {forExport ? <FileCode size={14} /> : <Send size={14} />}
+                        {forExport ? 'Export with Parties' : 'Create Parties & Push'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default NewPartiesPanel;
@@ -0,0 +1,80 @@
+/**
+ * AI Tally Sync - Party GST Fields
+ * GSTIN, GST registration type and state of a party ledger the app is about to create;
+ * a valid GSTIN fills in the state from its first two digits
+ */
+
+import { validateGstin, getPartyGstIssue } from '../../services/tallyService';
+import { GST_REGISTERED_TYPES, GST_REGISTRATION_TYPES, GST_STATE_CODES } from '../../utils/constants';
+
+const STATE_OPTIONS = [...new Set(Object.values(GST_STATE_CODES))].sort();
+
+const fieldStyle = { fontSize: 'var(--text-sm)' };
+
+/**
+ * PartyGstFields - Controlled inputs for one party's GST details
+ *
+ * @param {Object} value - { gstin, gstRegistrationType, state }
+ * @param {Function} onChange - Called with the updated details
+ */
+const PartyGstFields = ({ value, onChange }) => {
+    const { gstin = '', gstRegistrationType = '', state = '' } = value;
+    const check = gstin.length === 15 ? validateGstin(gstin) : null;
+    const issue = gstin.length > 0 && gstin.length < 15 ? 'A GSTIN has 15 characters' : getPartyGstIssue(value);
+
+    const handleGstinChange = (text) => {
+        const next = { ...value, gstin: text.trim().toUpperCase() };
+        const result = validateGstin(next.gstin);
+        if (result.valid) {
+            next.state = result.state;
+            if (!GST_REGISTERED_TYPES.includes(next.gstRegistrationType)) next.gstRegistrationType = 'Regular';
+        }
+        onChange(next);
+    };
+
+    return (
+        <div>
+            <div className="flex gap-2 flex-wrap">
+                <input
+                    type="text"
+                    className="form-input"
+                    value={gstin}
+                    onChange={(e) => handleGstinChange(e.target.value)}
+                    placeholder="GSTIN (blank if unregistered)"
+                    maxLength={15}
+                    style={{ ...fieldStyle, width: '190px', fontFamily: 'monospace' }}
+                />
+                <select
+                    className="form-select"
+                    value={gstRegistrationType}
+                    onChange={(e) => onChange({ ...value, gstRegistrationType: e.target.value })}
+                    style={{ ...fieldStyle, width: '150px' }}
+                >
+                    <option value="">Registration type</option>
+                    {GST_REGISTRATION_TYPES.map(type => (
+                        <option key={type} value={type}>{type}</option>
+                    ))}
+                </select>
+                <select
+                    className="form-select"
+                    value={state}
+                    onChange={(e) => onChange({ ...value, state: e.target.value })}
+                    disabled={Boolean(check?.valid)}
+                    title={check?.valid ? 'Taken from the GSTIN' : undefined}
+                    style={{ ...fieldStyle, width: '200px' }}
+                >
+                    <option value="">State</option>
+                    {STATE_OPTIONS.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                    {state && !STATE_OPTIONS.includes(state) && <option value={state}>{state}</option>}
+                </select>
+            </div>
+            {issue && (
+                <div style={{ fontSize: 'var(--text-xs)', color: 'var(--error-500)', marginTop: 'var(--space-1)' }}>{issue}</div>
+            )}
+        </div>
+    );
+};
+
+export default PartyGstFields;
@@ -8,8 +8,8 @@ import { useLocation, Link, useNavigate } from 'react-router-dom';
 import { useApp } from '../../context/AppContext';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
-import { Bell, Search, ChevronDown, LogOut, Crown, Menu, Sun, Moon } from 'lucide-react';
-import { getLedgers } from '../../services/tallyService';
+import { Bell, Search, ChevronDown, LogOut, Crown, Menu, Sun, Moon, Server } from 'lucide-react';
+import { getCachedLedgers } from '../../services/tallyCache';
 
 // Page title mapping
 const pageTitles = {
@@ -20,6 +20,7 @@ const pageTitles = {
     '/reconciliation': 'Bank Reconciliation',
     '/reports': 'Reports & Analytics',
     '/tally': 'Tally Connector',
+    '/sync-history': 'Sync History',
     '/settings': 'Settings',
     '/profile': 'Profile'
 };
@@ -35,6 +36,7 @@ const Header = ({ onMenuToggle }) => {
     const [isDropdownOpen, setIsDropdownOpen] = useState(false);
     const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
     const [isLoggingOut, setIsLoggingOut] = useState(false);
+    const [switchingConnectionId, setSwitchingConnectionId] = useState(null);
 
     // Get user display name
     const displayName = profile?.full_name || user?.email?.split('@')[0] || 'User';
@@ -43,17 +45,44 @@ const Header = ({ onMenuToggle }) => {
     // Handle company change
     const handleCompanyChange = async (companyName) => {
         actions.setActiveCompany(companyName);
+        actions.setConnectionCompany(companyName);
         setIsDropdownOpen(false);
 
         // Load ledgers for new company
         try {
-            const ledgers = await getLedgers(companyName);
+            const ledgers = await getCachedLedgers(companyName);
             actions.setLedgers(ledgers);
         } catch (error) {
             console.error('Failed to load ledgers:', error);
         }
+        actions.refreshGroups(companyName);
+        actions.refreshCostCentres(companyName);
+        actions.refreshVoucherTypes(companyName);
+        actions.refreshInventory(companyName);
     };
 
+    // Handle switching to another saved Tally connection
+    const handleConnectionChange = async (connection) => {
+        if (connection.id === state.tally.activeConnectionId && state.tally.connected) {
+            return;
+        }
+        setSwitchingConnectionId(connection.id);
+        const result = await actions.switchTallyConnection(connection.id);
+        setSwitchingConnectionId(null);
+        setIsDropdownOpen(false);
+
+        if (!result.connected) {
+            actions.addNotification({
+                type: 'error',
+                title: 'Tally Not Reachable',
+                message: `Could not connect to ${connection.name} (${connection.host}:${connection.port})`
+            });
+        }
+    };
+
+    const activeConnection = state.tally.connections.find(c => c.id === state.tally.activeConnectionId);
+    const hasCompanies = state.tally.connected && state.tally.companies.length > 0;
+
     // Handle logout
     const handleLogout = async () => {
         setIsLoggingOut(true);
@@ -103,7 +132,7 @@ const Header = ({ onMenuToggle }) => {
             {/* Actions */}
             <div className="header-actions">
                 {/* Company Selector Dropdown */}
-                {state.tally.connected && state.tally.companies.length > 0 && (
+                {(hasCompanies || state.tally.connections.length > 0) && (
                     <div
                         className="company-selector"
                         style={{ position: 'relative' }}
@@ -126,7 +155,7 @@ const Header = ({ onMenuToggle }) => {
                                 width: '8px',
                                 height: '8px',
                                 borderRadius: '50%',
-                                background: 'var(--success-500)'
+                                background: state.tally.connected ? 'var(--success-500)' : 'var(--error-500)'
                             }} />
                             <span style={{
                                 fontSize: 'var(--text-sm)',
@@ -137,9 +166,11 @@ const Header = ({ onMenuToggle }) => {
                                 whiteSpace: 'nowrap',
                                 maxWidth: '150px'
                             }}>
-                                {(typeof state.tally.activeCompany === 'string' && state.tally.activeCompany)
-                                    ? state.tally.activeCompany
-                                    : (state.tally.companies[0]?.name || 'Select Company')}
+                                {!hasCompanies
+                                    ? (activeConnection?.name || 'Select Connection')
+                                    : (typeof state.tally.activeCompany === 'string' && state.tally.activeCompany)
+                                        ? state.tally.activeCompany
+                                        : (state.tally.companies[0]?.name || 'Select Company')}
                             </span>
                             <ChevronDown
                                 size={16}
@@ -176,7 +207,7 @@ const Header = ({ onMenuToggle }) => {
                                     zIndex: 100,
                                     overflow: 'hidden'
                                 }}>
-                                    {state.tally.companies.map((company) => (
+                                    {hasCompanies && state.tally.companies.map((company) => (
                                         <div
                                             key={company.name}
                                             onClick={() => handleCompanyChange(company.name)}
@@ -218,6 +249,62 @@ const Header = ({ onMenuToggle }) => {
                                             )}
                                         </div>
                                     ))}
+
+                                    {/* Saved Tally connections */}
+                                    {state.tally.connections.length > 0 && (
+                                        <div style={{ borderTop: hasCompanies ? '1px solid var(--border-default)' : 'none' }}>
+                                            <div style={{
+                                                padding: 'var(--space-2) var(--space-4)',
+                                                fontSize: 'var(--text-xs)',
+                                                color: 'var(--text-muted)',
+                                                textTransform: 'uppercase',
+                                                letterSpacing: '0.05em'
+                                            }}>
+                                                Tally Connections
+                                            </div>
+                                            {state.tally.connections.map((connection) => {
+                                                const isActive = connection.id === state.tally.activeConnectionId;
+                                                return (
+                                                    <div
+                                                        key={connection.id}
+                                                        onClick={() => !switchingConnectionId && handleConnectionChange(connection)}
+                                                        style={{
+                                                            display: 'flex',
+                                                            alignItems: 'center',
+                                                            gap: 'var(--space-2)',
+                                                            padding: 'var(--space-2) var(--space-4)',
+                                                            cursor: switchingConnectionId ? 'wait' : 'pointer',
+                                                            borderLeft: isActive
+                                                                ? '3px solid var(--primary-500)'
+                                                                : '3px solid transparent',
+                                                            transition: 'all 0.15s'
+                                                        }}
+                                                        onMouseEnter={(e) => e.currentTarget.style.background = 'var(--bg-glass)'}
+                                                        onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+                                                    >
+                                                        {switchingConnectionId === connection.id
+                                                            ? <span className="spinner" />
+                                                            : <Server size={14} style={{ color: 'var(--text-muted)' }} />}
+                                                        <div style={{ flex: 1, minWidth: 0 }}>
+                                                            <div style={{
+                                                                fontSize: 'var(--text-sm)',
+                                                                fontWeight: isActive ? '600' : '400'
+                                                            }}>
+                                                                {connection.name}
+                                                            </div>
+                                                            <div style={{
+                                                                fontSize: 'var(--text-xs)',
+                                                                color: 'var(--text-muted)'
+                                                            }}>
+                                                                {connection.host}:{connection.port}
+                                                                {connection.companyName && ` · ${connection.companyName}`}
+                                                            </div>
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    )}
                                 </div>
                             </>
                         )}
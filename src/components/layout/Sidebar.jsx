@@ -19,6 +19,7 @@ import {
     BarChart3,
     Lock,
     Crown,
+    History,
     X
 } from 'lucide-react';
 import { FEATURE_ROUTES } from '../../config/plans';
@@ -31,6 +32,7 @@ const navItems = [
     { path: '/purchase', icon: ShoppingCart, label: 'Purchase', feature: null },
     { path: '/sales', icon: DollarSign, label: 'Sales', feature: null },
     { path: '/tally', icon: Link2, label: 'Tally Connector', feature: null },
+    { path: '/sync-history', icon: History, label: 'Sync History', feature: null },
     { path: '/profile', icon: User, label: 'Profile', feature: null }
 ];
 
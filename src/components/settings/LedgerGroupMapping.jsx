@@ -0,0 +1,184 @@
+/**
+ * AI Tally Sync - Ledger Group Mapping
+ * Per-company list of the Tally group each auto-created ledger goes under
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { FolderTree, Plus, Trash2, RefreshCw } from 'lucide-react';
+import { useApp } from '../../context/AppContext';
+import { getGroups } from '../../services/tallyService';
+import { TALLY_LEDGER_GROUPS } from '../../utils/constants';
+import logger from '../../utils/logger';
+
+const LedgerGroupMapping = () => {
+    const { state, actions } = useApp();
+    const { ledgerGroupMappings, activeCompany, companies, connected } = state.tally;
+
+    const companyNames = [...new Set([
+        ...companies.map(c => c.name),
+        ...Object.keys(ledgerGroupMappings)
+    ])].filter(Boolean);
+
+    const [company, setCompany] = useState(activeCompany || companyNames[0] || '');
+    const [groups, setGroups] = useState([]);
+    const [isLoadingGroups, setIsLoadingGroups] = useState(false);
+    const [newLedger, setNewLedger] = useState('');
+    const [newGroup, setNewGroup] = useState('Indirect Expenses');
+
+    const mapping = ledgerGroupMappings[company] || {};
+
+    // Read the company's groups (custom sub-groups included) from Tally; offline, fall back to the standard list
+    const loadGroups = useCallback(async () => {
+        if (!connected || !company) {
+            setGroups(TALLY_LEDGER_GROUPS.map(name => ({ name, parent: '' })));
+            return;
+        }
+        setIsLoadingGroups(true);
+        try {
+            setGroups(await getGroups(company));
+        } catch (error) {
+            logger.warn('Failed to load groups from Tally', error);
+            setGroups(TALLY_LEDGER_GROUPS.map(name => ({ name, parent: '' })));
+        } finally {
+            setIsLoadingGroups(false);
+        }
+    }, [company, connected]);
+
+    useEffect(() => {
+        loadGroups();
+    }, [loadGroups]);
+
+    // Groups used by the mapping stay selectable even when Tally is not reachable
+    const groupOptions = [...groups];
+    Object.values(mapping).forEach(group => {
+        if (!groupOptions.some(g => g.name === group)) {
+            groupOptions.push({ name: group, parent: '' });
+        }
+    });
+    groupOptions.sort((a, b) => a.name.localeCompare(b.name));
+
+    const saveMapping = (updated) => {
+        actions.saveLedgerGroupMapping(company, updated);
+    };
+
+    const handleAdd = () => {
+        const ledger = newLedger.trim();
+        if (!ledger) return;
+        saveMapping({ ...mapping, [ledger]: newGroup });
+        setNewLedger('');
+    };
+
+    const handleRemove = (ledger) => {
+        const updated = { ...mapping };
+        delete updated[ledger];
+        saveMapping(updated);
+    };
+
+    return (
+        <div className="card mt-6">
+            <div className="card-header">
+                <h3 className="card-title flex items-center gap-2">
+                    <FolderTree size={18} />
+                    Ledger Groups
+                </h3>
+                <button className="btn btn-ghost btn-sm" onClick={loadGroups} disabled={isLoadingGroups || !connected}>
+                    <RefreshCw size={14} className={isLoadingGroups ? 'spinner' : ''} />
+                    Reload Groups
+                </button>
+            </div>
+
+            <p style={{ fontSize: 'var(--text-sm)', color: 'var(--text-muted)' }}>
+                When a push creates a ledger that is not in Tally yet, it goes under the group set here.
+                Groups you confirm while pushing are added automatically.
+            </p>
+
+            {companyNames.length === 0 ? (
+                <p className="text-muted">Connect to Tally to set up ledger groups for a company.</p>
+            ) : (
+                <>
+                    <div className="form-group">
+                        <label className="form-label">Company</label>
+                        <select className="form-select" value={company} onChange={(e) => setCompany(e.target.value)}>
+                            {companyNames.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {Object.keys(mapping).length > 0 && (
+                        <div className="data-table-container mb-4">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Ledger</th>
+                                        <th>Group</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {Object.entries(mapping).sort(([a], [b]) => a.localeCompare(b)).map(([ledger, group]) => (
+                                        <tr key={ledger}>
+                                            <td>{ledger}</td>
+                                            <td>
+                                                <select
+                                                    className="form-select"
+                                                    value={group}
+                                                    onChange={(e) => saveMapping({ ...mapping, [ledger]: e.target.value })}
+                                                >
+                                                    {groupOptions.map(g => (
+                                                        <option key={g.name} value={g.name}>
+                                                            {g.name}{g.parent && ` (under ${g.parent})`}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                            <td>
+                                                <button
+                                                    className="btn btn-ghost btn-icon btn-sm"
+                                                    onClick={() => handleRemove(ledger)}
+                                                    title="Remove mapping"
+                                                >
+                                                    <Trash2 size={14} />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div className="flex items-center gap-2 flex-wrap">
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="Ledger name"
+                            value={newLedger}
+                            onChange={(e) => setNewLedger(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                            style={{ flex: 1, minWidth: '180px' }}
+                        />
+                        <select
+                            className="form-select"
+                            value={newGroup}
+                            onChange={(e) => setNewGroup(e.target.value)}
+                            style={{ width: '260px' }}
+                        >
+                            {groupOptions.map(g => (
+                                <option key={g.name} value={g.name}>
+                                    {g.name}{g.parent && ` (under ${g.parent})`}
+                                </option>
+                            ))}
+                        </select>
+                        <button className="btn btn-secondary" onClick={handleAdd} disabled={!newLedger.trim() || !company}>
+                            <Plus size={16} />
+                            Add
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default LedgerGroupMapping;
@@ -0,0 +1,266 @@
+/**
+ * AI Tally Sync - Ledger Import Panel
+ * Bulk ledger masters from an Excel/CSV sheet: every row is checked and compared with
+ * the company's ledgers first, then created or altered in Tally with a per-row report
+ */
+
+import { useState } from 'react';
+import { FileSpreadsheet, Download, Send, X } from 'lucide-react';
+import FileUpload from '../common/FileUpload';
+import { useApp } from '../../context/AppContext';
+import { parseFile, mapToLedgerRows } from '../../services/fileParser';
+import { planLedgerImport, importLedgerMasters } from '../../services/tallyService';
+import { getCachedLedgers } from '../../services/tallyCache';
+import { downloadFile } from '../../utils/helpers';
+import { LEDGER_IMPORT_COLUMNS } from '../../utils/constants';
+
+const ACTION_BADGES = {
+    Create: 'badge-success',
+    Alter: 'badge-info',
+    Unchanged: 'badge-warning',
+    Invalid: 'badge-error'
+};
+
+const STATUS_BADGES = {
+    created: 'badge-success',
+    altered: 'badge-info',
+    existing: 'badge-warning',
+    unchanged: 'badge-warning',
+    invalid: 'badge-error',
+    failed: 'badge-error'
+};
+
+// One example row of the template, keyed like LEDGER_IMPORT_COLUMNS
+const TEMPLATE_EXAMPLE = {
+    name: 'Sharma Traders',
+    group: 'Sundry Debtors',
+    gstin: '27AAPFU0939F1ZV',
+    gstRegistrationType: 'Regular',
+    state: 'Maharashtra',
+    address: '12 MG Road, Pune',
+    pan: 'AAPFU0939F',
+    openingBalance: '25000',
+    balanceType: 'Dr',
+    isBillWise: 'Yes',
+    accountNumber: '',
+    ifsc: '',
+    bankName: ''
+};
+
+// What a new ledger will carry besides its group
+const describeNewLedger = (ledger) => [
+    ledger.gstin && `GSTIN ${ledger.gstin}`,
+    ledger.state,
+    ledger.pan && `PAN ${ledger.pan}`,
+    ledger.openingBalance != null && `Opening ${Math.abs(ledger.openingBalance).toFixed(2)} ${ledger.openingBalance < 0 ? 'Dr' : 'Cr'}`,
+    ledger.isBillWise && 'Bill-wise',
+    ledger.bankDetails && `A/c ${ledger.bankDetails.accountNumber}`
+].filter(Boolean).join(' · ');
+
+/**
+ * LedgerImportPanel - Upload, review and run a ledger master import
+ *
+ * @param {string} companyName - Tally company the ledgers go to
+ * @param {Function} onClose - Called when the panel is dismissed
+ */
+const LedgerImportPanel = ({ companyName, onClose }) => {
+    const { state, actions } = useApp();
+    const [fileName, setFileName] = useState('');
+    const [plan, setPlan] = useState(null);
+    const [results, setResults] = useState(null);
+    const [isReading, setIsReading] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
+
+    const resultByRow = new Map((results || []).map(r => [r.row, r]));
+    const pendingCount = plan ? plan.counts.Create + plan.counts.Alter : 0;
+
+    const handleFileSelect = async (file) => {
+        setPlan(null);
+        setResults(null);
+        if (!file) return;
+
+        setIsReading(true);
+        setFileName(file.name);
+        try {
+            const { rawData, isPDF } = await parseFile(file);
+            if (isPDF) {
+                throw new Error('Upload the ledger list as an Excel or CSV file');
+            }
+            const rows = mapToLedgerRows(rawData);
+            if (!rows.some(row => row.name)) {
+                throw new Error('No ledger names found. Download the template for the expected column headings');
+            }
+            setPlan(planLedgerImport(rows, { ledgers: state.tally.ledgers, groups: state.tally.groups }));
+        } catch (error) {
+            actions.addNotification({ type: 'error', title: 'Could Not Read Ledger Sheet', message: error.message });
+        } finally {
+            setIsReading(false);
+        }
+    };
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        try {
+            const result = await importLedgerMasters(plan.rows, companyName);
+            setResults(result.results);
+            actions.setLedgers(await getCachedLedgers(companyName));
+            actions.addNotification({
+                type: result.failed > 0 ? 'warning' : 'success',
+                title: 'Ledger Import Finished',
+                message: `${result.created} created, ${result.altered} altered${result.failed > 0 ? `, ${result.failed} failed - see the report` : ''}`
+            });
+        } catch (error) {
+            actions.addNotification({ type: 'error', title: 'Ledger Import Failed', message: error.message });
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const handleDownloadTemplate = () => {
+        downloadFile([Object.fromEntries(Object.entries(LEDGER_IMPORT_COLUMNS).map(([key, [heading]]) => [heading, TEMPLATE_EXAMPLE[key]]))],
+            'ledger_import_template', 'csv');
+    };
+
+    const handleDownloadReport = () => {
+        downloadFile(results.map(r => ({
+            Row: r.row,
+            Name: r.name,
+            Action: r.action,
+            Status: r.status,
+            Message: r.message
+        })), `ledger_import_report_${new Date().toISOString().slice(0, 10)}`, 'csv');
+    };
+
+    return (
+        <div
+            style={{
+                background: 'var(--bg-glass)',
+                borderRadius: 'var(--radius-lg)',
+                padding: 'var(--space-4)',
+                border: '1px solid var(--border-default)',
+                marginTop: 'var(--space-4)'
+            }}
+        >
+            <div className="flex items-center justify-between mb-4">
+                <h5 className="flex items-center gap-2" style={{ fontSize: 'var(--text-sm)', marginBottom: 0 }}>
+                    <FileSpreadsheet size={16} /> Import Ledgers into {companyName}
+                </h5>
+                <div className="flex gap-2">
+                    <button className="btn btn-ghost btn-sm" onClick={handleDownloadTemplate}>
+                        <Download size={14} />
+                        Template
+                    </button>
+                    <button className="btn btn-ghost btn-icon btn-sm" onClick={onClose} disabled={isImporting} title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            <p style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginBottom: 'var(--space-3)' }}>
+                One ledger per row: name, group, GSTIN, state, address, PAN, opening balance (with Dr/Cr), bill-wise and bank details.
+                Ledgers already in Tally are altered; blank cells keep the value Tally has.
+            </p>
+
+            <FileUpload onFileSelect={handleFileSelect} accept=".csv,.xlsx,.xls" />
+
+            {isReading && (
+                <div className="flex items-center gap-2 mt-4" style={{ fontSize: 'var(--text-sm)' }}>
+                    <span className="spinner" /> Reading {fileName}...
+                </div>
+            )}
+
+            {plan && (
+                <>
+                    <div className="flex items-center gap-2 flex-wrap mt-4 mb-2" style={{ fontSize: 'var(--text-sm)' }}>
+                        <strong>{fileName}</strong>
+                        {Object.entries(plan.counts).map(([action, count]) => count > 0 && (
+                            <span key={action} className={`badge ${ACTION_BADGES[action]}`}>{count} {action}</span>
+                        ))}
+                    </div>
+
+                    <div className="data-table-container" style={{ maxHeight: '360px', overflowY: 'auto' }}>
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Row</th>
+                                    <th>Ledger</th>
+                                    <th>Action</th>
+                                    <th>Details</th>
+                                    {results && <th>Result</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {plan.rows.map(planned => {
+                                    const result = resultByRow.get(planned.row);
+                                    return (
+                                        <tr key={planned.row}>
+                                            <td>{planned.row}</td>
+                                            <td>{planned.name || <span style={{ color: 'var(--text-muted)' }}>No name</span>}</td>
+                                            <td>
+                                                <span className={`badge ${ACTION_BADGES[planned.action]}`}>{planned.action}</span>
+                                            </td>
+                                            <td style={{ fontSize: 'var(--text-xs)' }}>
+                                                {planned.action === 'Invalid' && planned.errors.map(error => (
+                                                    <div key={error} style={{ color: 'var(--error-500)' }}>{error}</div>
+                                                ))}
+                                                {planned.action === 'Create' && (
+                                                    <>
+                                                        <div>Under {planned.ledger.group}</div>
+                                                        <div style={{ color: 'var(--text-muted)' }}>{describeNewLedger(planned.ledger)}</div>
+                                                    </>
+                                                )}
+                                                {planned.changes.map(change => (
+                                                    <div key={change.field}>
+                                                        {change.field}: <span style={{ color: 'var(--text-muted)' }}>{change.from || 'blank'}</span> → {change.to}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                            {results && (
+                                                <td style={{ fontSize: 'var(--text-xs)' }}>
+                                                    {result && (
+                                                        <>
+                                                            <span className={`badge ${STATUS_BADGES[result.status]}`}>{result.status}</span>
+                                                            {result.status === 'failed' && (
+                                                                <div style={{ color: 'var(--error-500)' }}>{result.message}</div>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                </td>
+                                            )}
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex items-center justify-end flex-wrap gap-2 mt-4">
+                        {results && (
+                            <button className="btn btn-secondary btn-sm" onClick={handleDownloadReport}>
+                                <Download size={14} />
+                                Download Report
+                            </button>
+                        )}
+                        {!results && (
+                            <button className="btn btn-primary btn-sm" onClick={handleImport} disabled={isImporting || pendingCount === 0}>
+                                {isImporting ? (
+                                    <>
+                                        <span className="spinner" />
+                                        Importing...
+                                    </>
+                                ) : (
+                                    <>
+                                        <Send size={14} />
+                                        Create {plan.counts.Create} · Alter {plan.counts.Alter}
+                                    </>
+                                )}
+                            </button>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default LedgerImportPanel;
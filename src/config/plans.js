@@ -287,6 +287,7 @@ export const FEATURE_ROUTES = {
     '/reconciliation': 'bankReconciliation',
     '/reports': 'reports',
     '/tally': null, // Tally is now available for all including Free
+    '/sync-history': null,
     '/settings': null,
     '/profile': null,
     '/dashboard': null
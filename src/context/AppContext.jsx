@@ -4,8 +4,11 @@
  */
 
 import { createContext, useContext, useReducer, useEffect, useRef, useCallback } from 'react';
-import { getActiveCompany, checkConnection, getCompanies, getLedgers } from '../services/tallyService';
-import { getTransactions as fetchTransactionsFromDB, saveTransactions as saveTransactionsToFirestore } from '../services/dataService';
+import { getActiveCompany, checkConnection, getCompanies, getCostCentres, getVoucherTypes, getInventoryMasters, setTallyEndpoint, getTallyEndpoint } from '../services/tallyService';
+import { getCachedCompany, getCachedLedgers, getCachedGroups, refreshCompanyCache } from '../services/tallyCache';
+import { getTransactions as fetchTransactionsFromDB, saveTransactions as saveTransactionsToFirestore, getSettings, updateSettings } from '../services/dataService';
+import { drainQueue, getQueue, subscribeToDeliveries, subscribeToRemovals, QUEUE_ITEM_TYPES } from '../services/offlineQueue';
+import { startSyncAudit } from '../services/syncAuditService';
 import { auth } from '../services/firebaseClient';
 import { onAuthStateChanged } from 'firebase/auth';
 import logger from '../utils/logger';
@@ -13,6 +16,9 @@ import logger from '../utils/logger';
 // Storage key
 const STORAGE_KEY = 'ai_tally_sync_state';
 
+// Inventory masters of a company without stock items (or before they load)
+const EMPTY_INVENTORY = { stockItems: [], units: [], godowns: [] };
+
 // Load persisted state from localStorage
 const loadPersistedState = () => {
     try {
@@ -34,7 +40,15 @@ const saveToStorage = (state) => {
             tally: {
                 activeCompany: state.tally.activeCompany,
                 companies: state.tally.companies,
-                ledgers: state.tally.ledgers
+                ledgers: state.tally.ledgers,
+                groups: state.tally.groups,
+                costCentres: state.tally.costCentres,
+                voucherTypes: state.tally.voucherTypes,
+                inventory: state.tally.inventory,
+                connections: state.tally.connections,
+                activeConnectionId: state.tally.activeConnectionId,
+                ledgerGroupMappings: state.tally.ledgerGroupMappings,
+                voucherTypeMappings: state.tally.voucherTypeMappings
             }
         };
         localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
@@ -63,7 +77,22 @@ const getInitialState = () => {
                 ? persisted.tally.activeCompany
                 : null,
             companies: persisted?.tally?.companies || [],
-            ledgers: persisted?.tally?.ledgers || []
+            // Ledger masters from getLedgers (group, balances, GST and bank details)
+            ledgers: persisted?.tally?.ledgers || [],
+            // Group tree from getGroups [{ name, parent, path, primary, nature }]
+            groups: persisted?.tally?.groups || [],
+            costCentres: persisted?.tally?.costCentres || [],
+            // Voucher type masters from getVoucherTypes [{ name, baseType, numberingMethod, manualNumbering }]
+            voucherTypes: persisted?.tally?.voucherTypes || [],
+            // Stock items, units and godowns from getInventoryMasters, for item invoices
+            inventory: persisted?.tally?.inventory || EMPTY_INVENTORY,
+            // Named Tally endpoints [{ id, name, host, port, proxyPort, companyName }]
+            connections: persisted?.tally?.connections || [],
+            activeConnectionId: persisted?.tally?.activeConnectionId || null,
+            // Groups for ledgers the app creates, per company { [company]: { [ledger]: group } }
+            ledgerGroupMappings: persisted?.tally?.ledgerGroupMappings || {},
+            // Custom voucher types per bank ledger { [company]: { [bankLedger]: { Payment: 'HDFC Payment', ... } } }
+            voucherTypeMappings: persisted?.tally?.voucherTypeMappings || {}
         },
 
         // Banking Module - Load from storage
@@ -114,6 +143,13 @@ const ActionTypes = {
     SET_TALLY_COMPANIES: 'SET_TALLY_COMPANIES',
     SET_ACTIVE_COMPANY: 'SET_ACTIVE_COMPANY',
     SET_LEDGERS: 'SET_LEDGERS',
+    SET_GROUPS: 'SET_GROUPS',
+    SET_COST_CENTRES: 'SET_COST_CENTRES',
+    SET_VOUCHER_TYPES: 'SET_VOUCHER_TYPES',
+    SET_INVENTORY: 'SET_INVENTORY',
+    SET_TALLY_CONNECTIONS: 'SET_TALLY_CONNECTIONS',
+    SET_LEDGER_GROUP_MAPPINGS: 'SET_LEDGER_GROUP_MAPPINGS',
+    SET_VOUCHER_TYPE_MAPPINGS: 'SET_VOUCHER_TYPE_MAPPINGS',
     SET_TRANSACTIONS: 'SET_TRANSACTIONS',
     ADD_TRANSACTIONS: 'ADD_TRANSACTIONS',
     UPDATE_TRANSACTION: 'UPDATE_TRANSACTION',
@@ -169,6 +205,66 @@ const appReducer = (state, action) => {
             saveToStorage(newState);
             return newState;
 
+        case ActionTypes.SET_GROUPS:
+            newState = {
+                ...state,
+                tally: { ...state.tally, groups: action.payload }
+            };
+            saveToStorage(newState);
+            return newState;
+
+        case ActionTypes.SET_COST_CENTRES:
+            newState = {
+                ...state,
+                tally: { ...state.tally, costCentres: action.payload }
+            };
+            saveToStorage(newState);
+            return newState;
+
+        case ActionTypes.SET_VOUCHER_TYPES:
+            newState = {
+                ...state,
+                tally: { ...state.tally, voucherTypes: action.payload }
+            };
+            saveToStorage(newState);
+            return newState;
+
+        case ActionTypes.SET_INVENTORY:
+            newState = {
+                ...state,
+                tally: { ...state.tally, inventory: action.payload }
+            };
+            saveToStorage(newState);
+            return newState;
+
+        case ActionTypes.SET_TALLY_CONNECTIONS:
+            newState = {
+                ...state,
+                tally: {
+                    ...state.tally,
+                    connections: action.payload.connections,
+                    activeConnectionId: action.payload.activeConnectionId
+                }
+            };
+            saveToStorage(newState);
+            return newState;
+
+        case ActionTypes.SET_LEDGER_GROUP_MAPPINGS:
+            newState = {
+                ...state,
+                tally: { ...state.tally, ledgerGroupMappings: action.payload }
+            };
+            saveToStorage(newState);
+            return newState;
+
+        case ActionTypes.SET_VOUCHER_TYPE_MAPPINGS:
+            newState = {
+                ...state,
+                tally: { ...state.tally, voucherTypeMappings: action.payload }
+            };
+            saveToStorage(newState);
+            return newState;
+
         case ActionTypes.SET_TRANSACTIONS:
             newState = {
                 ...state,
@@ -306,12 +402,114 @@ const appReducer = (state, action) => {
 // Create Context
 const AppContext = createContext(null);
 
+// How often Tally reachability is re-checked
+const TALLY_POLL_INTERVAL = 30000;
+
+// Show a notification that removes itself after 5 seconds
+const showNotification = (dispatch, notification) => {
+    // Generate unique ID using timestamp + random to prevent duplicates
+    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    dispatch({
+        type: ActionTypes.ADD_NOTIFICATION,
+        payload: { id, ...notification }
+    });
+
+    setTimeout(() => {
+        dispatch({ type: ActionTypes.REMOVE_NOTIFICATION, payload: id });
+    }, 5000);
+};
+
+// Send queued Tally writes and tell the user what went out
+const flushTallyQueue = async (dispatch) => {
+    const { delivered, failed, abandoned } = await drainQueue();
+    if (delivered > 0) {
+        showNotification(dispatch, {
+            type: failed > 0 ? 'warning' : 'success',
+            title: 'Queued Items Sent',
+            message: `${delivered} queued item(s) pushed to Tally${failed > 0 ? `, ${failed} still waiting` : ''}`
+        });
+    }
+    if (abandoned > 0) {
+        showNotification(dispatch, {
+            type: 'error',
+            title: 'Queued Items Failed',
+            message: `Tally kept refusing ${abandoned} queued item(s). They were taken out of the queue; retry them from Sync History.`
+        });
+    }
+};
+
+/**
+ * Check the current Tally endpoint and load its companies, ledgers, groups and cost centres
+ * @param {Function} dispatch - Reducer dispatch
+ * @param {string} preferredCompany - Company to select when Tally has it
+ * @returns {Promise<Object>} checkConnection result
+ */
+const loadTallyData = async (dispatch, preferredCompany) => {
+    const result = await checkConnection();
+    const isConnected = result?.connected || false;
+    dispatch({ type: ActionTypes.SET_TALLY_STATUS, payload: isConnected });
+
+    if (isConnected) {
+        // Load companies
+        const companies = await getCompanies();
+        dispatch({ type: ActionTypes.SET_TALLY_COMPANIES, payload: companies });
+
+        if (companies.length > 0) {
+            const activeCompany = companies.some(c => c.name === preferredCompany)
+                ? preferredCompany
+                : companies[0].name;
+            dispatch({ type: ActionTypes.SET_ACTIVE_COMPANY, payload: activeCompany });
+
+            // Show the cached masters straight away, then bring them up to date
+            const cached = await getCachedCompany(activeCompany).catch(() => null);
+            if (cached) {
+                dispatch({ type: ActionTypes.SET_LEDGERS, payload: cached.ledgers });
+                dispatch({ type: ActionTypes.SET_GROUPS, payload: cached.groups });
+            }
+
+            // Load ledgers and the group tree (older Tally releases may refuse the group collection)
+            const ledgers = await getCachedLedgers(activeCompany);
+            dispatch({ type: ActionTypes.SET_LEDGERS, payload: ledgers });
+            const groups = await getCachedGroups(activeCompany).catch(() => []);
+            dispatch({ type: ActionTypes.SET_GROUPS, payload: groups });
+
+            // Load cost centres (optional - not every company uses them)
+            const costCentres = await getCostCentres(activeCompany).catch(() => []);
+            dispatch({ type: ActionTypes.SET_COST_CENTRES, payload: costCentres });
+
+            // Load voucher types; without them vouchers use the predefined types
+            const voucherTypes = await getVoucherTypes(activeCompany).catch(() => []);
+            dispatch({ type: ActionTypes.SET_VOUCHER_TYPES, payload: voucherTypes });
+
+            // Load inventory masters (optional - accounts-only companies have none)
+            const inventory = await getInventoryMasters(activeCompany).catch(() => EMPTY_INVENTORY);
+            dispatch({ type: ActionTypes.SET_INVENTORY, payload: inventory });
+        }
+    }
+
+    return result;
+};
+
+// Save Tally connections to the signed-in user's settings
+const saveConnectionSettings = async (connections, activeConnectionId) => {
+    if (!auth.currentUser) return;
+    const { error } = await updateSettings({
+        tallyConnections: connections,
+        activeTallyConnectionId: activeConnectionId || null
+    });
+    if (error) {
+        logger.warn('Failed to save Tally connections:', error);
+    }
+};
+
 // Provider Component
 export const AppProvider = ({ children }) => {
     const [state, dispatch] = useReducer(appReducer, null, getInitialState);
 
     // Ref to prevent double initialization in React Strict Mode
     const initializingRef = useRef(false);
+    // State as loaded from storage, read once by the initialization below
+    const initialStateRef = useRef(state);
 
     // Initialize app on mount
     useEffect(() => {
@@ -323,31 +521,22 @@ export const AppProvider = ({ children }) => {
 
         const initializeApp = async () => {
             logger.info('Initializing application');
+            const { tally, banking } = initialStateRef.current;
+
+            // Use the last selected Tally connection, if any
+            const activeConnection = tally.connections.find(c => c.id === tally.activeConnectionId);
+            if (activeConnection) {
+                setTallyEndpoint(activeConnection);
+            }
 
             // Check Tally connection (silently - don't log errors for expected failures)
             try {
-                const result = await checkConnection();
+                const result = await loadTallyData(dispatch, tally.activeCompany || activeConnection?.companyName);
                 const isConnected = result?.connected || false;
-                dispatch({ type: ActionTypes.SET_TALLY_STATUS, payload: isConnected });
-
-                if (isConnected) {
-                    // Load companies
-                    const companies = await getCompanies();
-                    dispatch({ type: ActionTypes.SET_TALLY_COMPANIES, payload: companies });
-
-                    if (companies.length > 0) {
-                        const activeCompany = state.tally.activeCompany || companies[0].name;
-                        dispatch({ type: ActionTypes.SET_ACTIVE_COMPANY, payload: activeCompany });
-
-                        // Load ledgers
-                        const ledgers = await getLedgers(activeCompany);
-                        dispatch({ type: ActionTypes.SET_LEDGERS, payload: ledgers });
-                    }
-                }
 
                 logger.info('Application initialized', {
                     tallyConnected: isConnected,
-                    transactions: state.banking.transactions.length
+                    transactions: banking.transactions.length
                 });
             } catch (error) {
                 // Don't log as error - Tally not running is expected
@@ -378,6 +567,31 @@ export const AppProvider = ({ children }) => {
                 } catch (err) {
                     logger.warn('Error loading transactions:', err);
                 }
+
+                // Tally connections and group mappings saved on another device replace the cached ones
+                const { data: settings } = await getSettings();
+                if (settings?.ledgerGroupMappings) {
+                    dispatch({ type: ActionTypes.SET_LEDGER_GROUP_MAPPINGS, payload: settings.ledgerGroupMappings });
+                }
+                if (settings?.voucherTypeMappings) {
+                    dispatch({ type: ActionTypes.SET_VOUCHER_TYPE_MAPPINGS, payload: settings.voucherTypeMappings });
+                }
+                if (settings?.tallyConnections?.length > 0) {
+                    const activeConnectionId = settings.activeTallyConnectionId || settings.tallyConnections[0].id;
+                    dispatch({
+                        type: ActionTypes.SET_TALLY_CONNECTIONS,
+                        payload: { connections: settings.tallyConnections, activeConnectionId }
+                    });
+
+                    // Reconnect if the saved connection points somewhere else
+                    const activeConnection = settings.tallyConnections.find(c => c.id === activeConnectionId);
+                    const previousEndpoint = JSON.stringify(getTallyEndpoint());
+                    if (activeConnection && JSON.stringify(setTallyEndpoint(activeConnection)) !== previousEndpoint) {
+                        loadTallyData(dispatch, activeConnection.companyName).catch(() => {
+                            dispatch({ type: ActionTypes.SET_TALLY_STATUS, payload: false });
+                        });
+                    }
+                }
             } else if (!user) {
                 firestoreLoadedRef.current = false;
             }
@@ -386,6 +600,87 @@ export const AppProvider = ({ children }) => {
         return () => unsubscribe();
     }, []);
 
+    // Keep an audit record of every write sent to Tally
+    useEffect(() => startSyncAudit(), []);
+
+    // Poll Tally so the status recovers on its own and queued writes go out when it is back
+    useEffect(() => {
+        let lastConnected = null;
+
+        const poll = async () => {
+            const result = await checkConnection().catch(() => null);
+            const isConnected = result?.connected || false;
+            if (isConnected !== lastConnected) {
+                lastConnected = isConnected;
+                dispatch({ type: ActionTypes.SET_TALLY_STATUS, payload: isConnected });
+            }
+
+            if (isConnected) {
+                const queue = await getQueue().catch(() => []);
+                if (queue.length > 0) {
+                    flushTallyQueue(dispatch);
+                }
+            }
+        };
+
+        const timer = setInterval(poll, TALLY_POLL_INTERVAL);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Compare the active company's AlterIDs with the cache and pull whatever changed in Tally
+    useEffect(() => {
+        const companyName = state.tally.activeCompany;
+        if (!state.tally.connected || !companyName) return undefined;
+
+        const poll = async () => {
+            try {
+                const { record, changed } = await refreshCompanyCache(companyName);
+                if (changed.masters) {
+                    dispatch({ type: ActionTypes.SET_LEDGERS, payload: record.ledgers });
+                    dispatch({ type: ActionTypes.SET_GROUPS, payload: record.groups });
+                }
+            } catch (error) {
+                logger.warn('Tally cache refresh failed:', error);
+            }
+        };
+
+        const timer = setInterval(poll, TALLY_POLL_INTERVAL);
+        return () => clearInterval(timer);
+    }, [state.tally.connected, state.tally.activeCompany]);
+
+    // Flush right away whenever Tally becomes reachable
+    useEffect(() => {
+        if (state.tally.connected) {
+            flushTallyQueue(dispatch);
+        }
+    }, [state.tally.connected]);
+
+    // Mark bank transactions delivered from the queue as synced
+    useEffect(() => {
+        return subscribeToDeliveries((item, result) => {
+            if (item.type !== QUEUE_ITEM_TYPES.BANK_VOUCHERS) return;
+            result.vouchers.forEach(voucher => {
+                dispatch({
+                    type: ActionTypes.UPDATE_TRANSACTION,
+                    payload: {
+                        id: voucher.transactionId,
+                        updates: { syncedToTally: true, queuedForTally: false, status: 'synced', tallyVoucher: voucher.tallyVoucher || null }
+                    }
+                });
+            });
+        });
+    }, []);
+
+    // Bank transactions taken out of the queue undelivered can be pushed again from Banking
+    useEffect(() => {
+        return subscribeToRemovals((item) => {
+            if (item.type !== QUEUE_ITEM_TYPES.BANK_VOUCHERS) return;
+            item.payload.transactions.forEach(t => {
+                dispatch({ type: ActionTypes.UPDATE_TRANSACTION, payload: { id: t.id, updates: { queuedForTally: false } } });
+            });
+        });
+    }, []);
+
     // Action creators
     const actions = {
         // Tally actions
@@ -405,6 +700,135 @@ export const AppProvider = ({ children }) => {
             dispatch({ type: ActionTypes.SET_LEDGERS, payload: ledgers });
         },
 
+        // Reload the group tree for a company
+        refreshGroups: async (companyName) => {
+            try {
+                const groups = await getCachedGroups(companyName);
+                dispatch({ type: ActionTypes.SET_GROUPS, payload: groups });
+            } catch (error) {
+                logger.warn('Failed to load groups:', error);
+                dispatch({ type: ActionTypes.SET_GROUPS, payload: [] });
+            }
+        },
+
+        // Reload cost centres for a company; companies without cost centres get an empty list
+        refreshCostCentres: async (companyName) => {
+            try {
+                const costCentres = await getCostCentres(companyName);
+                dispatch({ type: ActionTypes.SET_COST_CENTRES, payload: costCentres });
+            } catch (error) {
+                logger.warn('Failed to load cost centres:', error);
+                dispatch({ type: ActionTypes.SET_COST_CENTRES, payload: [] });
+            }
+        },
+
+        // Reload voucher types for a company; on failure vouchers fall back to the predefined types
+        refreshVoucherTypes: async (companyName) => {
+            try {
+                const voucherTypes = await getVoucherTypes(companyName);
+                dispatch({ type: ActionTypes.SET_VOUCHER_TYPES, payload: voucherTypes });
+            } catch (error) {
+                logger.warn('Failed to load voucher types:', error);
+                dispatch({ type: ActionTypes.SET_VOUCHER_TYPES, payload: [] });
+            }
+        },
+
+        // Reload stock items, units and godowns; companies without inventory get empty lists
+        refreshInventory: async (companyName) => {
+            try {
+                const inventory = await getInventoryMasters(companyName);
+                dispatch({ type: ActionTypes.SET_INVENTORY, payload: inventory });
+            } catch (error) {
+                logger.warn('Failed to load inventory masters:', error);
+                dispatch({ type: ActionTypes.SET_INVENTORY, payload: EMPTY_INVENTORY });
+            }
+        },
+
+        // Save the named Tally connections; the active one is kept unless another is given
+        saveTallyConnections: async (connections, activeConnectionId = state.tally.activeConnectionId) => {
+            const activeId = connections.some(c => c.id === activeConnectionId) ? activeConnectionId : null;
+            dispatch({
+                type: ActionTypes.SET_TALLY_CONNECTIONS,
+                payload: { connections, activeConnectionId: activeId }
+            });
+            await saveConnectionSettings(connections, activeId);
+        },
+
+        // Point tallyService at a saved connection and reload everything from that Tally
+        switchTallyConnection: async (connectionId, connections = state.tally.connections) => {
+            const connection = connections.find(c => c.id === connectionId);
+            if (!connection) {
+                return { connected: false, error: 'Unknown Tally connection' };
+            }
+
+            setTallyEndpoint(connection);
+            dispatch({
+                type: ActionTypes.SET_TALLY_CONNECTIONS,
+                payload: { connections, activeConnectionId: connectionId }
+            });
+            saveConnectionSettings(connections, connectionId);
+
+            // Companies of the previous Tally do not exist on this one
+            dispatch({ type: ActionTypes.SET_TALLY_COMPANIES, payload: [] });
+            dispatch({ type: ActionTypes.SET_ACTIVE_COMPANY, payload: null });
+            dispatch({ type: ActionTypes.SET_LEDGERS, payload: [] });
+            dispatch({ type: ActionTypes.SET_GROUPS, payload: [] });
+            dispatch({ type: ActionTypes.SET_COST_CENTRES, payload: [] });
+            dispatch({ type: ActionTypes.SET_VOUCHER_TYPES, payload: [] });
+            dispatch({ type: ActionTypes.SET_INVENTORY, payload: EMPTY_INVENTORY });
+
+            try {
+                return await loadTallyData(dispatch, connection.companyName);
+            } catch (error) {
+                dispatch({ type: ActionTypes.SET_TALLY_STATUS, payload: false });
+                return { connected: false, error: error.message };
+            }
+        },
+
+        // Remember the company picked on the active connection so switching back restores it
+        setConnectionCompany: async (companyName) => {
+            const activeId = state.tally.activeConnectionId;
+            if (!activeId) return;
+            const connections = state.tally.connections.map(c =>
+                c.id === activeId ? { ...c, companyName } : c
+            );
+            dispatch({
+                type: ActionTypes.SET_TALLY_CONNECTIONS,
+                payload: { connections, activeConnectionId: activeId }
+            });
+            await saveConnectionSettings(connections, activeId);
+        },
+
+        // Replace one company's ledger-to-group mapping and save it to the user's settings
+        saveLedgerGroupMapping: async (companyName, mapping) => {
+            const mappings = { ...state.tally.ledgerGroupMappings, [companyName]: mapping };
+            dispatch({ type: ActionTypes.SET_LEDGER_GROUP_MAPPINGS, payload: mappings });
+
+            if (!auth.currentUser) return;
+            const { error } = await updateSettings({ ledgerGroupMappings: mappings });
+            if (error) {
+                logger.warn('Failed to save ledger group mapping:', error);
+            }
+        },
+
+        // Save the custom voucher types one bank ledger's vouchers are created as
+        saveVoucherTypeMapping: async (companyName, bankLedger, mapping) => {
+            const mappings = {
+                ...state.tally.voucherTypeMappings,
+                [companyName]: { ...(state.tally.voucherTypeMappings[companyName] || {}), [bankLedger]: mapping }
+            };
+            dispatch({ type: ActionTypes.SET_VOUCHER_TYPE_MAPPINGS, payload: mappings });
+
+            if (!auth.currentUser) return;
+            const { error } = await updateSettings({ voucherTypeMappings: mappings });
+            if (error) {
+                logger.warn('Failed to save voucher type mapping:', error);
+            }
+        },
+
+        // Send the offline queue now instead of waiting for the next poll
+        flushTallyQueue: () => flushTallyQueue(dispatch),
+
         // Banking actions
         setTransactions: async (transactions) => {
             dispatch({ type: ActionTypes.SET_TRANSACTIONS, payload: transactions });
@@ -458,17 +882,7 @@ export const AppProvider = ({ children }) => {
         },
 
         addNotification: (notification) => {
-            // Generate unique ID using timestamp + random to prevent duplicates
-            const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            dispatch({
-                type: ActionTypes.ADD_NOTIFICATION,
-                payload: { id, ...notification }
-            });
-
-            // Auto-remove after 5 seconds
-            setTimeout(() => {
-                dispatch({ type: ActionTypes.REMOVE_NOTIFICATION, payload: id });
-            }, 5000);
+            showNotification(dispatch, notification);
         },
 
         removeNotification: (id) => {
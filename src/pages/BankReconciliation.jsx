@@ -25,8 +25,10 @@ import {
     Loader2,
     Info
 } from 'lucide-react';
-import { getLedgers, getVouchers } from '../services/tallyService';
-import { formatCurrency, formatDate } from '../utils/helpers';
+import { getLedgers, isGroupUnder, getVoucherTypesOf } from '../services/tallyService';
+import { getCachedVouchers } from '../services/tallyCache';
+import { formatCurrency, formatDate, formatDateISO } from '../utils/helpers';
+import { BANK_VOUCHER_TYPES, CONTRA_LEDGER_GROUPS } from '../utils/constants';
 
 const BankReconciliation = () => {
     const { state, actions } = useApp();
@@ -49,39 +51,35 @@ const BankReconciliation = () => {
     const [showUnmatched, setShowUnmatched] = useState(true);
     const [ledgersInVouchers, setLedgersInVouchers] = useState([]);
 
+    // Bank ledgers are the ones under Bank Accounts / Bank OD / Bank OCC, including custom sub-groups
+    const isBankLedger = useCallback(
+        (ledger) => isGroupUnder(ledger.group, CONTRA_LEDGER_GROUPS.filter(g => g !== 'Cash-in-Hand'), state.tally.groups),
+        [state.tally.groups]
+    );
+
     // Auto-select first bank ledger when ledgers are loaded
     useEffect(() => {
         if (state.tally.ledgers.length > 0 && !selectedBankLedger) {
-            // Find the first bank-type ledger
-            const bankLedger = state.tally.ledgers.find(l => {
-                const group = (l.group || '').toLowerCase();
-                return group.includes('bank');
-            });
+            const bankLedger = state.tally.ledgers.find(isBankLedger);
             if (bankLedger) {
                 setSelectedBankLedger(bankLedger.name);
             }
         }
-    }, [state.tally.ledgers, selectedBankLedger]);
+    }, [state.tally.ledgers, selectedBankLedger, isBankLedger]);
 
-    // Get filtered bank ledgers for dropdown
+    // Get bank and cash ledgers for dropdown
     const bankLedgerOptions = useMemo(() => {
-        const ledgers = state.tally.ledgers.filter(l => {
-            const group = (l.group || '').toLowerCase();
-            const name = (l.name || '').toLowerCase();
-            return group.includes('bank') ||
-                group.includes('cash') ||
-                name.includes('bank');
-        });
+        const ledgers = state.tally.ledgers.filter(l => isGroupUnder(l.group, CONTRA_LEDGER_GROUPS, state.tally.groups));
 
-        // Sort: Bank Accounts group first, then alphabetically
+        // Sort: bank ledgers first, then alphabetically
         return ledgers.sort((a, b) => {
-            const aIsBank = (a.group || '').toLowerCase().includes('bank');
-            const bIsBank = (b.group || '').toLowerCase().includes('bank');
+            const aIsBank = isBankLedger(a);
+            const bIsBank = isBankLedger(b);
             if (aIsBank && !bIsBank) return -1;
             if (!aIsBank && bIsBank) return 1;
             return a.name.localeCompare(b.name);
         });
-    }, [state.tally.ledgers]);
+    }, [state.tally.ledgers, state.tally.groups, isBankLedger]);
 
     // BRS Summary calculations
     const brsSummary = useMemo(() => {
@@ -106,6 +104,76 @@ const BankReconciliation = () => {
         };
     }, [bankEntries, tallyEntries, matches]);
 
+    // Auto-match algorithm
+    const performAutoMatch = useCallback((bank, tally) => {
+        const newMatches = [];
+        const usedBankIds = new Set();
+        const usedTallyIds = new Set();
+
+        // Pass 1: Exact amount + close date match (±7 days)
+        for (const bankEntry of bank) {
+            if (usedBankIds.has(bankEntry.id)) continue;
+
+            const bankAmount = Math.abs(bankEntry.credit || bankEntry.debit || 0);
+            const bankDate = new Date(bankEntry.date);
+            const bankIsCredit = (bankEntry.credit || 0) > 0;
+
+            for (const tallyEntry of tally) {
+                if (usedTallyIds.has(tallyEntry.id)) continue;
+
+                const tallyAmount = Math.abs(tallyEntry.credit || tallyEntry.debit || 0);
+                const tallyDate = new Date(tallyEntry.date);
+                const tallyIsCredit = (tallyEntry.credit || 0) > 0;
+
+                // Amount must match exactly (within 1 paisa for rounding)
+                if (Math.abs(bankAmount - tallyAmount) < 0.02) {
+                    // Same direction (both credit or both debit)
+                    if (bankIsCredit === tallyIsCredit) {
+                        // Date within 7 days
+                        const daysDiff = Math.abs((bankDate - tallyDate) / (1000 * 60 * 60 * 24));
+                        if (daysDiff <= 7) {
+                            newMatches.push({ bankId: bankEntry.id, tallyId: tallyEntry.id, confidence: 'high' });
+                            usedBankIds.add(bankEntry.id);
+                            usedTallyIds.add(tallyEntry.id);
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Pass 2: Amount match only (for remaining unmatched)
+        for (const bankEntry of bank) {
+            if (usedBankIds.has(bankEntry.id)) continue;
+
+            const bankAmount = Math.abs(bankEntry.credit || bankEntry.debit || 0);
+            const bankIsCredit = (bankEntry.credit || 0) > 0;
+
+            for (const tallyEntry of tally) {
+                if (usedTallyIds.has(tallyEntry.id)) continue;
+
+                const tallyAmount = Math.abs(tallyEntry.credit || tallyEntry.debit || 0);
+                const tallyIsCredit = (tallyEntry.credit || 0) > 0;
+
+                if (Math.abs(bankAmount - tallyAmount) < 0.02 && bankIsCredit === tallyIsCredit) {
+                    newMatches.push({ bankId: bankEntry.id, tallyId: tallyEntry.id, confidence: 'medium' });
+                    usedBankIds.add(bankEntry.id);
+                    usedTallyIds.add(tallyEntry.id);
+                    break;
+                }
+            }
+        }
+
+        setMatches(newMatches);
+
+        if (newMatches.length > 0) {
+            actions.addNotification({
+                type: 'success',
+                message: `Auto-matched ${newMatches.length} entries`
+            });
+        }
+    }, [actions]);
+
     // Fetch Tally vouchers
     const fetchTallyEntries = useCallback(async () => {
         if (!state.tally.connected) {
@@ -123,7 +191,24 @@ const BankReconciliation = () => {
         setMatches([]);
 
         try {
-            const vouchers = await getVouchers(state.tally.activeCompany);
+            // Limit the export to the statement period, padded by the 7-day matching window
+            const DAY_MS = 24 * 60 * 60 * 1000;
+            const statementTimes = bankEntries
+                .map(e => new Date(e.date).getTime())
+                .filter(time => !isNaN(time));
+            const period = statementTimes.length > 0
+                ? {
+                    fromDate: formatDateISO(Math.min(...statementTimes) - 7 * DAY_MS),
+                    toDate: formatDateISO(Math.max(...statementTimes) + 7 * DAY_MS)
+                }
+                : {};
+
+            const vouchers = await getCachedVouchers(state.tally.activeCompany, {
+                ...period,
+                // Custom types such as "HDFC Payment" post to the bank like their predefined type
+                voucherTypes: BANK_VOUCHER_TYPES.flatMap(type => getVoucherTypesOf(type, state.tally.voucherTypes)),
+                ledger: selectedBankLedger
+            });
             console.log('[BRS] Fetched vouchers from Tally:', vouchers.length);
 
             // Collect all unique ledgers from vouchers for reference
@@ -171,16 +256,26 @@ const BankReconciliation = () => {
 
             // Convert to reconciliation entries
             const entries = bankVouchers.map((v, idx) => {
-                const isReceipt = v.type === 'Receipt';
-                const amount = Math.abs(v.amount || 0);
+                const isBankLedger = (name) => (name || '').toLowerCase().trim() === normalizedBankLedger;
+                const bankLine = (v.ledgerEntries || []).find(e => isBankLedger(e.ledgerName));
+                const bankAllocation = (v.bankAllocations || []).find(a => isBankLedger(a.ledgerName));
+
+                // Tally exports a debit to the bank (money in) as a negative amount;
+                // Contra and Journal vouchers can go either way, so read the bank line when present
+                const isReceipt = bankLine && bankLine.amount !== 0
+                    ? bankLine.amount < 0
+                    : v.type === 'Receipt';
+                const amount = Math.abs(bankLine?.amount || v.amount || 0);
 
                 return {
-                    id: `tally-${v.voucherNumber || idx}-${v.date || ''}`,
+                    id: `tally-${v.guid || v.voucherNumber || idx}-${v.date || ''}`,
                     date: v.date,
                     description: v.narration || v.particularLedger || v.ledgerName || 'No description',
                     debit: isReceipt ? 0 : amount,
                     credit: isReceipt ? amount : 0,
-                    reference: v.voucherNumber,
+                    reference: bankAllocation?.instrumentNumber || v.voucherNumber,
+                    instrumentNumber: bankAllocation?.instrumentNumber || '',
+                    bankersDate: bankAllocation?.bankersDate || '',
                     voucherType: v.type,
                     source: 'tally',
                     rawVoucher: v
@@ -197,11 +292,10 @@ const BankReconciliation = () => {
                     message: `Loaded ${entries.length} Tally entries for "${selectedBankLedger}"`
                 });
             } else if (entries.length === 0) {
-                // Find bank-related ledgers to suggest
-                const suggestions = allLedgersList.filter(l => {
-                    const lower = l.toLowerCase();
-                    return lower.includes('bank') || lower.includes('account');
-                });
+                // Suggest the company's other bank ledgers
+                const suggestions = bankLedgerOptions
+                    .filter(l => isBankLedger(l) && l.name !== selectedBankLedger)
+                    .map(l => l.name);
 
                 if (suggestions.length > 0) {
                     actions.addNotification({
@@ -229,77 +323,7 @@ const BankReconciliation = () => {
         } finally {
             setIsLoading(false);
         }
-    }, [state.tally.connected, state.tally.activeCompany, selectedBankLedger, bankEntries, actions]);
-
-    // Auto-match algorithm
-    const performAutoMatch = useCallback((bank, tally) => {
-        const newMatches = [];
-        const usedBankIds = new Set();
-        const usedTallyIds = new Set();
-
-        // Pass 1: Exact amount + close date match (±7 days)
-        for (const bankEntry of bank) {
-            if (usedBankIds.has(bankEntry.id)) continue;
-
-            const bankAmount = Math.abs(bankEntry.credit || bankEntry.debit || 0);
-            const bankDate = new Date(bankEntry.date);
-            const bankIsCredit = (bankEntry.credit || 0) > 0;
-
-            for (const tallyEntry of tally) {
-                if (usedTallyIds.has(tallyEntry.id)) continue;
-
-                const tallyAmount = Math.abs(tallyEntry.credit || tallyEntry.debit || 0);
-                const tallyDate = new Date(tallyEntry.date);
-                const tallyIsCredit = (tallyEntry.credit || 0) > 0;
-
-                // Amount must match exactly (within 1 paisa for rounding)
-                if (Math.abs(bankAmount - tallyAmount) < 0.02) {
-                    // Same direction (both credit or both debit)
-                    if (bankIsCredit === tallyIsCredit) {
-                        // Date within 7 days
-                        const daysDiff = Math.abs((bankDate - tallyDate) / (1000 * 60 * 60 * 24));
-                        if (daysDiff <= 7) {
-                            newMatches.push({ bankId: bankEntry.id, tallyId: tallyEntry.id, confidence: 'high' });
-                            usedBankIds.add(bankEntry.id);
-                            usedTallyIds.add(tallyEntry.id);
-                            break;
-                        }
-                    }
-                }
-            }
-        }
-
-        // Pass 2: Amount match only (for remaining unmatched)
-        for (const bankEntry of bank) {
-            if (usedBankIds.has(bankEntry.id)) continue;
-
-            const bankAmount = Math.abs(bankEntry.credit || bankEntry.debit || 0);
-            const bankIsCredit = (bankEntry.credit || 0) > 0;
-
-            for (const tallyEntry of tally) {
-                if (usedTallyIds.has(tallyEntry.id)) continue;
-
-                const tallyAmount = Math.abs(tallyEntry.credit || tallyEntry.debit || 0);
-                const tallyIsCredit = (tallyEntry.credit || 0) > 0;
-
-                if (Math.abs(bankAmount - tallyAmount) < 0.02 && bankIsCredit === tallyIsCredit) {
-                    newMatches.push({ bankId: bankEntry.id, tallyId: tallyEntry.id, confidence: 'medium' });
-                    usedBankIds.add(bankEntry.id);
-                    usedTallyIds.add(tallyEntry.id);
-                    break;
-                }
-            }
-        }
-
-        setMatches(newMatches);
-
-        if (newMatches.length > 0) {
-            actions.addNotification({
-                type: 'success',
-                message: `Auto-matched ${newMatches.length} entries`
-            });
-        }
-    }, [actions]);
+    }, [state.tally.connected, state.tally.activeCompany, state.tally.voucherTypes, selectedBankLedger, bankEntries, actions, bankLedgerOptions, isBankLedger, performAutoMatch]);
 
     // Manual match
     const handleManualMatch = (bankId, tallyId) => {
@@ -440,7 +464,7 @@ const BankReconciliation = () => {
                             <option value="">Select bank ledger...</option>
                             {bankLedgerOptions.map(l => (
                                 <option key={l.name} value={l.name}>
-                                    {l.name} ({l.group})
+                                    {l.name} ({l.bankDetails?.accountNumber ? `A/c ${l.bankDetails.accountNumber.slice(-4)}` : l.group})
                                 </option>
                             ))}
                         </select>
@@ -720,6 +744,19 @@ const BankReconciliation = () => {
                                                         }}>
                                                             {entry.voucherType}
                                                         </span>
+                                                        {entry.instrumentNumber && (
+                                                            <span style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>
+                                                                #{entry.instrumentNumber}
+                                                            </span>
+                                                        )}
+                                                        {entry.bankersDate && (
+                                                            <span
+                                                                style={{ fontSize: 'var(--text-xs)', color: 'var(--success-500)' }}
+                                                                title="Bankers' date recorded in Tally"
+                                                            >
+                                                                Cleared {formatDate(entry.bankersDate)}
+                                                            </span>
+                                                        )}
                                                     </div>
                                                     <p style={{
                                                         fontSize: 'var(--text-sm)',
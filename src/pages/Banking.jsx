@@ -9,6 +9,13 @@ import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import FileUpload from '../components/common/FileUpload';
 import PlanGate from '../components/common/PlanGate';
+import SplitTransactionPanel from '../components/banking/SplitTransactionPanel';
+import BillAllocationPanel from '../components/banking/BillAllocationPanel';
+import DuplicateReviewPanel from '../components/banking/DuplicateReviewPanel';
+import LedgerGroupReviewPanel from '../components/banking/LedgerGroupReviewPanel';
+import PushPreviewPanel from '../components/banking/PushPreviewPanel';
+import BooksPeriodPanel from '../components/common/BooksPeriodPanel';
+import PartyGstFields from '../components/common/PartyGstFields';
 import {
     Upload,
     Sparkles,
@@ -26,12 +33,35 @@ import {
     Brain,
     CheckSquare,
     FileText,
-    Lock
+    Lock,
+    Ban,
+    Split,
+    Eye,
+    FileCode
 } from 'lucide-react';
-import { BANK_TEMPLATES, TRANSACTION_CATEGORIES, TALLY_LEDGER_GROUPS } from '../utils/constants';
+import { BANK_TEMPLATES, TRANSACTION_CATEGORIES, TALLY_LEDGER_GROUPS, BANK_VOUCHER_TYPES, PARTY_LEDGER_GROUPS } from '../utils/constants';
 import { parseFile, mapToTransactions, calculateSummary, filterByDateRange, sortByDate, exportToCSV } from '../services/fileParser';
 import { categorizeTransactions } from '../services/openaiService';
-import { batchPushToTally, createLedger, getLedgers } from '../services/tallyService';
+import {
+    batchPushToTally,
+    findDuplicateVouchers,
+    planLedgerCreation,
+    previewBatchPush,
+    createTallyImportFile,
+    getBooksPeriodConflict,
+    createLedger,
+    alterVoucherInTally,
+    deleteVoucherFromTally,
+    resolveVoucherType,
+    getTransactionPartyLedger,
+    getVoucherTypesOf,
+    getBaseVoucherType,
+    getPartyGstIssue,
+    isVoucherInTally
+} from '../services/tallyService';
+import { getCachedLedgers } from '../services/tallyCache';
+import { enqueue, isConnectionError, QUEUE_ITEM_TYPES } from '../services/offlineQueue';
+import { TALLY_ERROR_TYPES } from '../services/tallyResponseParser';
 import { storeCorrection, groupSimilarTransactions, getPrediction, getLearningStats } from '../services/learningService';
 import { formatCurrency, formatDate, downloadFile, convertToCSV } from '../utils/helpers';
 import logger from '../utils/logger';
@@ -50,12 +80,19 @@ const Banking = () => {
     const [isProcessing, setIsProcessing] = useState(false);
     const [processingStep, setProcessingStep] = useState('');
     const [editingId, setEditingId] = useState(null);
-    const [editForm, setEditForm] = useState({ category: '', ledger: '' });
+    const [editForm, setEditForm] = useState({ category: '', ledger: '', costCentre: '' });
+    const [splittingId, setSplittingId] = useState(null);
+    const [allocatingId, setAllocatingId] = useState(null);
+    const [duplicateReview, setDuplicateReview] = useState(null);
+    const [ledgerReview, setLedgerReview] = useState(null);
+    const [booksPeriodIssue, setBooksPeriodIssue] = useState(null);
+    const [pushPreview, setPushPreview] = useState(null);
 
     // Ledger creation state
     const [showCreateLedger, setShowCreateLedger] = useState(false);
     const [newLedgerName, setNewLedgerName] = useState('');
     const [newLedgerGroup, setNewLedgerGroup] = useState('Bank Accounts');
+    const [newLedgerGst, setNewLedgerGst] = useState({});
     const [isCreatingLedger, setIsCreatingLedger] = useState(false);
 
     // Transaction grouping and bulk editing state
@@ -67,6 +104,23 @@ const Banking = () => {
     const [learningStats, setLearningStats] = useState({ patternsLearned: 0, estimatedAccuracy: 60 });
 
     const { transactions } = state.banking;
+    const companyLedgerGroups = state.tally.ledgerGroupMappings[state.tally.activeCompany] || {};
+
+    // Custom voucher types a bank's vouchers are created as, with the masters that number them
+    const getVoucherTypeOptions = (bankLedger, companyName = state.tally.activeCompany) => ({
+        voucherTypeMap: state.tally.voucherTypeMappings[companyName]?.[bankLedger] || {},
+        voucherTypes: state.tally.voucherTypes
+    });
+
+    // Bank voucher types the company has custom types for, e.g. Payment -> [Payment, HDFC Payment]
+    const customBankVoucherTypes = BANK_VOUCHER_TYPES
+        .map(baseType => [baseType, getVoucherTypesOf(baseType, state.tally.voucherTypes)])
+        .filter(([, names]) => names.length > 1);
+
+    // Groups for the new-ledger form: the company's own groups once loaded, else Tally's standard ones
+    const ledgerGroupOptions = state.tally.groups.length > 0
+        ? state.tally.groups.map(g => g.name).sort((a, b) => a.localeCompare(b))
+        : TALLY_LEDGER_GROUPS;
 
     // Check for existing transactions when component mounts
     useEffect(() => {
@@ -77,23 +131,55 @@ const Banking = () => {
         getLearningStats().then(setLearningStats);
     }, []);
 
+    // Customers and suppliers are created with their GST registration details
+    const isPartyLedger = PARTY_LEDGER_GROUPS.includes(newLedgerGroup);
+    const partyGstIssue = isPartyLedger ? getPartyGstIssue(newLedgerGst) : null;
+
     // Handle creating a new ledger in Tally
     const handleCreateLedger = async () => {
         if (!newLedgerName.trim()) {
             actions.addNotification({ type: 'warning', message: 'Please enter ledger name' });
             return;
         }
-        if (!state.tally.connected) {
+        if (!state.tally.activeCompany) {
             actions.addNotification({ type: 'error', message: 'Please connect to Tally first' });
             return;
         }
 
         setIsCreatingLedger(true);
+        const gstDetails = isPartyLedger ? newLedgerGst : {};
+
+        // Tally is down: create it later and let it be picked now
+        if (!state.tally.connected) {
+            try {
+                await enqueue(QUEUE_ITEM_TYPES.LEDGER, state.tally.activeCompany, {
+                    ...gstDetails,
+                    name: newLedgerName,
+                    group: newLedgerGroup
+                });
+                actions.setLedgers([...state.tally.ledgers, { name: newLedgerName, group: newLedgerGroup }]);
+                setSelectedLedger(newLedgerName);
+                actions.addNotification({
+                    type: 'warning',
+                    title: 'Ledger Queued',
+                    message: `"${newLedgerName}" will be created when Tally is reachable`
+                });
+                setNewLedgerName('');
+                setNewLedgerGst({});
+                setShowCreateLedger(false);
+            } catch (error) {
+                actions.addNotification({ type: 'error', message: 'Failed to queue ledger: ' + error.message });
+            } finally {
+                setIsCreatingLedger(false);
+            }
+            return;
+        }
+
         try {
-            await createLedger(newLedgerName, newLedgerGroup, state.tally.activeCompany);
+            await createLedger(newLedgerName, newLedgerGroup, state.tally.activeCompany, gstDetails);
 
             // Refresh ledgers
-            const ledgers = await getLedgers(state.tally.activeCompany);
+            const ledgers = await getCachedLedgers(state.tally.activeCompany);
             actions.setLedgers(ledgers);
 
             // Select the newly created ledger
@@ -107,6 +193,7 @@ const Banking = () => {
 
             // Reset form
             setNewLedgerName('');
+            setNewLedgerGst({});
             setShowCreateLedger(false);
         } catch (error) {
             actions.addNotification({
@@ -227,7 +314,22 @@ const Banking = () => {
             mappedTransactions = sortByDate(mappedTransactions, 'date', 'asc');
 
             setProcessingStep('Running AI categorization...');
-            const categorizedTransactions = await categorizeTransactions(mappedTransactions);
+            const costCentres = state.tally.costCentres || [];
+            let categorizedTransactions = await categorizeTransactions(mappedTransactions, {
+                costCentres,
+                ledgers: state.tally.ledgers,
+                groups: state.tally.groups
+            });
+
+            // Learned cost centres fill in where the AI had no suggestion
+            if (costCentres.length > 0) {
+                categorizedTransactions = await Promise.all(categorizedTransactions.map(async (t) => {
+                    if (t.aiCostCentre) return t;
+                    const learned = await getPrediction(t.description);
+                    const known = learned?.costCentre && costCentres.some(c => c.name === learned.costCentre.name);
+                    return known ? { ...t, aiCostCentre: learned.costCentre } : t;
+                }));
+            }
 
             const summary = calculateSummary(categorizedTransactions);
 
@@ -260,42 +362,371 @@ const Banking = () => {
         }
     };
 
-    // Push transactions to Tally
-    const handlePushToTally = async () => {
-        if (!state.tally.connected) {
+    // Create the selected bank's Payment/Receipt/Contra vouchers as one of the company's custom types
+    const handleBankVoucherTypeChange = (baseType, voucherType) => {
+        const bankLedger = selectedLedger || 'Bank Account';
+        const mapping = { ...getVoucherTypeOptions(bankLedger).voucherTypeMap, [baseType]: voucherType };
+        if (voucherType === baseType) {
+            delete mapping[baseType];
+        }
+        actions.saveVoucherTypeMapping(state.tally.activeCompany, bankLedger, mapping);
+    };
+
+    /**
+     * Hold transactions in the offline queue; they are pushed when Tally is reachable again
+     * @param {Object} review - ledgerGroups and partyDetails confirmed in the ledger review, if it ran
+     * @param {Array} currentTransactions - Transactions to mark, when newer than the rendered ones
+     */
+    const queueTransactions = async (transactionsToQueue, bankLedger, review = {}, currentTransactions = transactions) => {
+        try {
+            await enqueue(QUEUE_ITEM_TYPES.BANK_VOUCHERS, state.tally.activeCompany, {
+                transactions: transactionsToQueue,
+                bankLedger,
+                ledgerGroups: { ...companyLedgerGroups, ...review.ledgerGroups },
+                partyDetails: review.partyDetails || {},
+                ...getVoucherTypeOptions(bankLedger)
+            });
+        } catch (error) {
             actions.addNotification({
                 type: 'error',
-                message: 'Please connect to Tally first'
+                title: 'Sync Failed',
+                message: 'Tally is not reachable and the transactions could not be queued: ' + error.message
             });
             return;
         }
 
+        const queuedIds = new Set(transactionsToQueue.map(t => t.id));
+        actions.setTransactions(currentTransactions.map(t =>
+            queuedIds.has(t.id) ? { ...t, queuedForTally: true } : t
+        ));
+        actions.addNotification({
+            type: 'warning',
+            title: 'Queued for Tally',
+            message: `Tally is not reachable. ${transactionsToQueue.length} transaction(s) will be pushed when it is back.`
+        });
+    };
+
+    // Synced, queued and exported transactions are already on their way into Tally
+    const isPendingForTally = (t) => !t.syncedToTally && !t.queuedForTally && !t.exportedToTally;
+
+    // Only vouchers the app pushed may be altered or cancelled; linked ones were entered in Tally by hand
+    const isAlterableInTally = (tallyVoucher) => isVoucherInTally(tallyVoucher) && !tallyVoucher.linked;
+
+    // Predefined type a pushed transaction posts as (a custom 'HDFC Contra' is a Contra); undefined before its push
+    const getPostedBaseType = (t) => getBaseVoucherType(t.tallyVoucher?.voucherType, state.tally.voucherTypes);
+
+    // Transactions still to go to Tally; null (with a notification) when there is nothing to push
+    const getPendingTransactions = () => {
         if (!state.tally.activeCompany) {
             actions.addNotification({
                 type: 'error',
                 message: 'No active company selected. Please go to Tally Connector and select a company.'
             });
-            return;
+            return null;
         }
 
-        const pendingTransactions = transactions.filter(t => !t.syncedToTally);
+        const pendingTransactions = transactions.filter(isPendingForTally);
 
         if (pendingTransactions.length === 0) {
             actions.addNotification({
                 type: 'info',
-                message: 'All transactions are already synced'
+                message: 'All transactions are already synced, queued or exported'
+            });
+            return null;
+        }
+
+        return pendingTransactions;
+    };
+
+    // Dry run: show what the push would do without sending anything to Tally
+    const handlePreviewPush = () => {
+        const pendingTransactions = getPendingTransactions();
+        if (!pendingTransactions) return;
+
+        const bankLedger = selectedLedger || 'Bank Account';
+        const preview = previewBatchPush(pendingTransactions, state.tally.activeCompany, bankLedger, {
+            ledgers: state.tally.ledgers,
+            ledgerGroups: companyLedgerGroups,
+            ...getVoucherTypeOptions(bankLedger)
+        });
+        setPushPreview({ ...preview, createdAt: Date.now() });
+    };
+
+    /**
+     * Tally import file for clients whose Tally the proxy cannot reach
+     * @param {Object} review - ledgerGroups and partyDetails from the ledger review; the review
+     * is shown first when not given and the file would create ledgers
+     */
+    const handleExportTallyXML = (review) => {
+        const pendingTransactions = transactions.filter(isPendingForTally);
+        if (pendingTransactions.length === 0) {
+            actions.addNotification({ type: 'info', message: 'All transactions are already synced, queued or exported' });
+            return;
+        }
+
+        const bankLedger = selectedLedger || 'Bank Account';
+        const ledgerGroups = { ...companyLedgerGroups, ...review?.ledgerGroups };
+
+        // The ledgers the file creates get the same group and GST review as a push
+        if (!review) {
+            const { missingLedgers } = previewBatchPush(pendingTransactions, state.tally.activeCompany, bankLedger, {
+                ledgers: state.tally.ledgers,
+                ledgerGroups,
+                ...getVoucherTypeOptions(bankLedger)
+            });
+            if (missingLedgers.length > 0) {
+                const groups = state.tally.groups.length > 0
+                    ? state.tally.groups
+                    : TALLY_LEDGER_GROUPS.map(name => ({ name, parent: '' }));
+                // Use Tally's spelling of the group so it shows as selected in the picker
+                const ledgers = missingLedgers.map(ledger => ({
+                    ...ledger,
+                    group: groups.find(g => g.name.toLowerCase() === ledger.group.toLowerCase())?.name || ledger.group
+                }));
+                setLedgerReview({ ledgers, groups, pendingTransactions, bankLedger, review: {}, forExport: true });
+                return;
+            }
+        }
+
+        const { xml, ledgers, exported, invalid } = createTallyImportFile(
+            state.tally.activeCompany,
+            { transactions: pendingTransactions, bankLedger },
+            {
+                ledgers: state.tally.ledgers,
+                ledgerGroups,
+                partyDetails: review?.partyDetails,
+                ...getVoucherTypeOptions(bankLedger)
+            }
+        );
+
+        if (!xml) {
+            actions.addNotification({
+                type: 'error',
+                message: `No transaction could be exported: ${invalid[0]?.error || 'nothing to export'}`
             });
             return;
         }
 
+        downloadFile(xml, `tally_import_bank_${new Date().toISOString().split('T')[0]}`, 'xml');
+
+        // Exported vouchers keep the REMOTEID in the file, so a later push cannot duplicate them
+        const exportedVouchers = new Map(exported.transactions.map(v => [v.id, v.tallyVoucher]));
+        actions.setTransactions(transactions.map(t =>
+            exportedVouchers.has(t.id)
+                ? { ...t, exportedToTally: true, status: 'exported', tallyVoucher: exportedVouchers.get(t.id) }
+                : t
+        ));
+
+        actions.addNotification({
+            type: invalid.length > 0 ? 'warning' : 'success',
+            title: 'Tally Import File Ready',
+            message: `${exportedVouchers.size} voucher(s) and ${ledgers.length} new ledger(s) exported` +
+                (invalid.length > 0 ? `; ${invalid.length} skipped (${invalid[0].error})` : '') +
+                '. In Tally, use Import > Transactions to load the file.'
+        });
+    };
+
+    // Push the transactions left selected in the preview
+    const handleConfirmPreview = async (selected) => {
+        setPushPreview(null);
+        await startPush(selected);
+    };
+
+    // Push transactions to Tally
+    const handlePushToTally = async () => {
+        const pendingTransactions = getPendingTransactions();
+        if (pendingTransactions) {
+            await startPush(pendingTransactions);
+        }
+    };
+
+    const startPush = async (pendingTransactions) => {
         // Validate bank ledger selection
         const bankLedger = selectedLedger || 'Bank Account';
-        console.log('Push to Tally:', {
+        logger.debug('Push to Tally', {
             company: state.tally.activeCompany,
             bankLedger,
             pendingCount: pendingTransactions.length
         });
 
+        if (!state.tally.connected) {
+            await queueTransactions(pendingTransactions, bankLedger);
+            return;
+        }
+
+        // Entries the client already made in Tally by hand are reviewed before anything is pushed
+        setIsProcessing(true);
+        setProcessingStep('Checking Tally for duplicates...');
+        let duplicates = [];
+        try {
+            duplicates = await findDuplicateVouchers(pendingTransactions, state.tally.activeCompany, bankLedger);
+        } catch (error) {
+            if (isConnectionError(error)) {
+                await queueTransactions(pendingTransactions, bankLedger);
+                return;
+            }
+            logger.warn('Duplicate check skipped', { error: error.message });
+        } finally {
+            setIsProcessing(false);
+            setProcessingStep('');
+        }
+
+        if (duplicates.length > 0) {
+            setDuplicateReview({ duplicates, pendingTransactions, bankLedger });
+            return;
+        }
+
+        await reviewLedgersAndPush(pendingTransactions, bankLedger);
+    };
+
+    // Apply the choices from the duplicate review, then push what is left
+    const handleResolveDuplicates = async (resolutions) => {
+        const { pendingTransactions, bankLedger } = duplicateReview;
+
+        const held = new Set(resolutions.filter(r => r.action !== 'force').map(r => r.transaction.id));
+        const linked = new Map(resolutions
+            .filter(r => r.action === 'link')
+            .map(({ transaction, voucher }) => [transaction.id, {
+                remoteId: voucher.guid || null,
+                guid: voucher.guid || null,
+                masterId: voucher.masterId || null,
+                voucherType: voucher.type,
+                voucherNumber: voucher.voucherNumber,
+                bankLedger,
+                linked: true,
+                updatedAt: new Date().toISOString()
+            }]));
+
+        await reviewLedgersAndPush(
+            pendingTransactions.filter(t => !held.has(t.id)),
+            bankLedger,
+            { linked, skipped: held.size - linked.size }
+        );
+        setDuplicateReview(null);
+    };
+
+    // Ledgers the push would create get their groups confirmed first
+    const reviewLedgersAndPush = async (pendingTransactions, bankLedger, review = {}) => {
+        let plan = null;
+        if (pendingTransactions.length > 0) {
+            setIsProcessing(true);
+            setProcessingStep('Checking ledgers in Tally...');
+            try {
+                plan = await planLedgerCreation(
+                    pendingTransactions,
+                    state.tally.activeCompany,
+                    bankLedger,
+                    companyLedgerGroups,
+                    getVoucherTypeOptions(bankLedger)
+                );
+            } catch (error) {
+                logger.warn('Ledger group review skipped', { error: error.message });
+            } finally {
+                setIsProcessing(false);
+                setProcessingStep('');
+            }
+        }
+
+        if (plan?.ledgers.length > 0) {
+            setLedgerReview({ ...plan, pendingTransactions, bankLedger, review });
+            return;
+        }
+
+        await pushTransactions(pendingTransactions, bankLedger, review);
+    };
+
+    // Push (or export) with the groups and party GST details from the ledger review, optionally remembering the groups for the company
+    const handleConfirmLedgerGroups = async (ledgerGroups, remember, partyDetails) => {
+        const { pendingTransactions, bankLedger, review, forExport } = ledgerReview;
+
+        if (remember) {
+            await actions.saveLedgerGroupMapping(state.tally.activeCompany, { ...companyLedgerGroups, ...ledgerGroups });
+        }
+
+        if (forExport) {
+            setLedgerReview(null);
+            handleExportTallyXML({ ledgerGroups, partyDetails });
+            return;
+        }
+
+        await pushTransactions(pendingTransactions, bankLedger, { ...review, ledgerGroups, partyDetails });
+        setLedgerReview(null);
+    };
+
+    /**
+     * Offer a fix for vouchers Tally rejected as outside the company's books period
+     * @param {Array} errors - Errors of a batchPushToTally result
+     * @param {Object} review - ledgerGroups and partyDetails the vouchers were pushed with
+     * @returns {Promise<boolean>} Whether there were such rejections to review
+     */
+    const reviewBooksPeriod = async (errors, pendingTransactions, bankLedger, { ledgerGroups, partyDetails }) => {
+        const rejectedIds = new Set(errors.filter(e => e.type === TALLY_ERROR_TYPES.BOOKS_PERIOD).map(e => e.transactionId));
+        const rejected = pendingTransactions.filter(t => rejectedIds.has(t.id));
+        if (rejected.length === 0) return false;
+
+        try {
+            const conflict = await getBooksPeriodConflict(
+                rejected.map(t => t.date || t.dateRaw || t.txnDate || t.transactionDate),
+                state.tally.activeCompany
+            );
+            setBooksPeriodIssue({ conflict, transactions: rejected, bankLedger, ledgerGroups, partyDetails });
+            return true;
+        } catch (error) {
+            logger.warn('Could not read the books period from Tally', { error: error.message });
+            return false;
+        }
+    };
+
+    // Once the period is fixed, the rejected vouchers go back into the queue for the chosen company
+    const handleBooksPeriodResolved = async (companyName) => {
+        const { transactions: rejected, bankLedger, ledgerGroups, partyDetails } = booksPeriodIssue;
+
+        try {
+            await enqueue(QUEUE_ITEM_TYPES.BANK_VOUCHERS, companyName, {
+                transactions: rejected,
+                bankLedger,
+                ledgerGroups,
+                partyDetails,
+                ...getVoucherTypeOptions(bankLedger, companyName)
+            });
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Could not queue the transactions: ${error.message}. Push them again.` });
+            setBooksPeriodIssue(null);
+            return;
+        }
+
+        const queuedIds = new Set(rejected.map(t => t.id));
+        actions.setTransactions(transactions.map(t =>
+            queuedIds.has(t.id) ? { ...t, queuedForTally: true } : t
+        ));
+        actions.addNotification({
+            type: 'info',
+            title: 'Re-queued for Tally',
+            message: `${rejected.length} transaction(s) queued for ${companyName} and being pushed again.`
+        });
+        setBooksPeriodIssue(null);
+        actions.flushTallyQueue();
+    };
+
+    /**
+     * Push transactions with batchPushToTally and record the results
+     * @param {Object} review - { linked: Map of transaction id -> Tally voucher, skipped } from the duplicate review,
+     * plus ledgerGroups { ledger: group } and partyDetails { ledger: GST details } confirmed in the ledger review
+     */
+    const pushTransactions = async (pendingTransactions, bankLedger, review = {}) => {
+        const { linked = new Map(), skipped = 0, partyDetails = {} } = review;
+        const ledgerGroups = { ...companyLedgerGroups, ...review.ledgerGroups };
+
+        // Transactions linked to existing vouchers are marked now, whatever happens to the push
+        const currentTransactions = linked.size > 0
+            ? transactions.map(t => linked.has(t.id)
+                ? { ...t, syncedToTally: true, status: 'synced', tallyVoucher: linked.get(t.id) }
+                : t)
+            : transactions;
+        if (linked.size > 0) {
+            actions.setTransactions(currentTransactions);
+        }
+
         setIsProcessing(true);
         setProcessingStep('Pushing to Tally...');
 
@@ -303,22 +734,53 @@ const Banking = () => {
             const result = await batchPushToTally(
                 pendingTransactions,
                 state.tally.activeCompany,
-                bankLedger
+                bankLedger,
+                { ledgerGroups, partyDetails, ...getVoucherTypeOptions(bankLedger) }
             );
 
-            console.log('Tally push result:', result);
+            logger.debug('Tally push result', result);
 
-            // Update all transactions at once to ensure proper persistence
-            const pendingIds = new Set(pendingTransactions.map(t => t.id));
-            const updatedTransactions = transactions.map(t =>
-                pendingIds.has(t.id)
-                    ? { ...t, syncedToTally: true, status: 'synced' }
-                    : t
+            // Vouchers that failed only because Tally went away wait in the offline queue
+            const unreachableIds = new Set(
+                result.errors.filter(e => isConnectionError(e.error)).map(e => e.transactionId)
             );
+            const transactionsToQueue = pendingTransactions.filter(t => unreachableIds.has(t.id));
+
+            // Mark only the vouchers Tally accepted, keeping their voucher identity for later alter/delete
+            const pushedVouchers = new Map(result.vouchers.map(v => [v.transactionId, v.tallyVoucher]));
+            let updatedTransactions = currentTransactions.map(t => pushedVouchers.has(t.id)
+                ? { ...t, syncedToTally: true, status: 'synced', tallyVoucher: pushedVouchers.get(t.id) || null }
+                : t);
 
             // Use setTransactions to save all at once (triggers localStorage save)
             actions.setTransactions(updatedTransactions);
 
+            // A queueing failure must not undo the vouchers Tally already accepted
+            let queuedCount = 0;
+            if (transactionsToQueue.length > 0) {
+                try {
+                    await enqueue(QUEUE_ITEM_TYPES.BANK_VOUCHERS, state.tally.activeCompany, {
+                        transactions: transactionsToQueue,
+                        bankLedger,
+                        ledgerGroups,
+                        partyDetails,
+                        ...getVoucherTypeOptions(bankLedger)
+                    });
+                    queuedCount = transactionsToQueue.length;
+                    updatedTransactions = updatedTransactions.map(t =>
+                        unreachableIds.has(t.id) ? { ...t, queuedForTally: true } : t
+                    );
+                    actions.setTransactions(updatedTransactions);
+                } catch (queueError) {
+                    logger.error('Queueing unreachable vouchers failed', queueError);
+                    actions.addNotification({
+                        type: 'error',
+                        title: 'Queueing Failed',
+                        message: `Tally stopped responding and ${transactionsToQueue.length} transaction(s) could not be queued: ${queueError.message}. Push them again when Tally is back.`
+                    });
+                }
+            }
+
             // Also update summary
             const summary = {
                 totalTransactions: updatedTransactions.length,
@@ -328,23 +790,50 @@ const Banking = () => {
             };
             actions.setSummary(summary);
 
-            if (result.failed > 0) {
+            const notes = [
+                result.alreadyInTally > 0 && `${result.alreadyInTally} already in Tally (skipped).`,
+                linked.size > 0 && `${linked.size} linked to existing vouchers.`,
+                skipped > 0 && `${skipped} possible duplicate(s) skipped.`
+            ].filter(Boolean).map(note => ` ${note}`).join('');
+
+            if (queuedCount > 0) {
+                actions.addNotification({
+                    type: 'warning',
+                    title: 'Queued for Tally',
+                    message: `${result.success} created. Tally stopped responding, ${queuedCount} queued until it is back.${notes}`
+                });
+            } else if (result.failed > 0) {
                 actions.addNotification({
                     type: 'warning',
                     title: 'Partial Sync',
-                    message: `${result.success} created, ${result.failed} failed. ${result.errors[0]?.error || ''}`
+                    message: `${result.success} created, ${result.failed} failed.${notes} ${result.errors[0]?.error || ''}`
                 });
             } else {
                 actions.addNotification({
                     type: 'success',
                     title: 'Sync Complete',
-                    message: `${result.success} vouchers created in Tally`
+                    message: `${result.success} vouchers created in Tally.${notes}`
                 });
             }
 
-            setStep(4);
+            // Stay on the review step while rejected dates wait for a books-period fix
+            if (!await reviewBooksPeriod(result.errors, pendingTransactions, bankLedger, { ledgerGroups, partyDetails })) {
+                setStep(4);
+            }
 
         } catch (error) {
+            if (isConnectionError(error)) {
+                await queueTransactions(pendingTransactions, bankLedger, { ledgerGroups, partyDetails }, currentTransactions);
+                return;
+            }
+            if (error.results && await reviewBooksPeriod(error.results.errors, pendingTransactions, bankLedger, { ledgerGroups, partyDetails })) {
+                actions.addNotification({
+                    type: 'warning',
+                    title: 'Outside Books Period',
+                    message: error.message
+                });
+                return;
+            }
             console.error('Tally sync failed:', error);
             logger.error('Tally sync failed', error);
             actions.addNotification({
@@ -358,6 +847,76 @@ const Banking = () => {
         }
     };
 
+    // Re-push an already synced transaction as an alteration of its Tally voucher
+    const handleAlterInTally = async (transaction) => {
+        if (!state.tally.connected || !state.tally.activeCompany) {
+            actions.addNotification({
+                type: 'error',
+                message: 'Please connect to Tally and select a company first'
+            });
+            return;
+        }
+
+        const partyLedger = getTransactionPartyLedger(transaction, getPostedBaseType(transaction));
+
+        setIsProcessing(true);
+        setProcessingStep('Updating voucher in Tally...');
+
+        try {
+            const result = await alterVoucherInTally(transaction, state.tally.activeCompany, null, partyLedger);
+            actions.setTransactions(transactions.map(t =>
+                t.id === transaction.id
+                    ? { ...t, syncedToTally: true, status: 'synced', tallyVoucher: result.tallyVoucher }
+                    : t
+            ));
+            actions.addNotification({ type: 'success', message: 'Voucher updated in Tally' });
+        } catch (error) {
+            logger.error('Tally voucher alter failed', error);
+            actions.addNotification({
+                type: 'error',
+                title: 'Update Failed',
+                message: error.message
+            });
+        } finally {
+            setIsProcessing(false);
+            setProcessingStep('');
+        }
+    };
+
+    // Delete the Tally voucher of a synced transaction and mark it pending again
+    const handleCancelInTally = async (transaction) => {
+        if (!state.tally.connected || !state.tally.activeCompany) {
+            actions.addNotification({
+                type: 'error',
+                message: 'Please connect to Tally and select a company first'
+            });
+            return;
+        }
+
+        setIsProcessing(true);
+        setProcessingStep('Removing voucher from Tally...');
+
+        try {
+            await deleteVoucherFromTally(transaction.tallyVoucher, state.tally.activeCompany);
+            actions.setTransactions(transactions.map(t =>
+                t.id === transaction.id
+                    ? { ...t, syncedToTally: false, status: 'reviewed', tallyVoucher: null }
+                    : t
+            ));
+            actions.addNotification({ type: 'info', message: 'Voucher deleted from Tally' });
+        } catch (error) {
+            logger.error('Tally voucher delete failed', error);
+            actions.addNotification({
+                type: 'error',
+                title: 'Cancel Failed',
+                message: error.message
+            });
+        } finally {
+            setIsProcessing(false);
+            setProcessingStep('');
+        }
+    };
+
     // Export transactions to CSV
     const handleExport = () => {
         if (transactions.length === 0) {
@@ -378,8 +937,9 @@ const Banking = () => {
                 'Category': t.userCategory || t.aiCategory || '',
                 'Subcategory': t.aiSubcategory || '',
                 'Suggested Ledger': t.userLedger || t.aiSuggestedLedger || '',
+                'Voucher Type': t.tallyVoucher?.voucherType || resolveVoucherType(t, state.tally.ledgers),
                 'AI Confidence': `${t.aiConfidence || 0}%`,
-                'Synced to Tally': t.syncedToTally ? 'Yes' : 'No',
+                'Synced to Tally': t.syncedToTally ? 'Yes' : t.exportedToTally ? 'Exported' : 'No',
                 'Reference': t.reference || ''
             }));
 
@@ -485,12 +1045,19 @@ const Banking = () => {
         }
     };
 
+    // Look up a Tally cost centre by name as { category, name }
+    const findCostCentre = (name) => {
+        const match = (state.tally.costCentres || []).find(c => c.name === name);
+        return match ? { category: match.category, name: match.name } : null;
+    };
+
     // Start editing a transaction
     const handleStartEdit = (transaction) => {
         setEditingId(transaction.id);
         setEditForm({
             category: transaction.userCategory || transaction.aiCategory || '',
-            ledger: transaction.userLedger || transaction.aiSuggestedLedger || ''
+            ledger: transaction.userLedger || transaction.aiSuggestedLedger || '',
+            costCentre: (transaction.costCentre || transaction.aiCostCentre)?.name || ''
         });
     };
 
@@ -498,11 +1065,16 @@ const Banking = () => {
     const handleSaveEdit = async () => {
         if (editingId) {
             const transaction = transactions.find(t => t.id === editingId);
+            const costCentre = findCostCentre(editForm.costCentre);
 
+            // Edits to a pushed transaction stay "modified" until altered in Tally
             actions.updateTransaction(editingId, {
                 userCategory: editForm.category,
                 userLedger: editForm.ledger,
-                status: 'reviewed'
+                costCentre,
+                // Clearing the cost centre also drops the suggestion so it isn't posted
+                aiCostCentre: costCentre ? transaction?.aiCostCentre : null,
+                status: isAlterableInTally(transaction?.tallyVoucher) ? 'modified' : 'reviewed'
             });
 
             // Store correction for learning
@@ -511,7 +1083,8 @@ const Banking = () => {
                     description: transaction.description,
                     ledger: editForm.ledger || transaction.aiSuggestedLedger,
                     category: editForm.category || transaction.aiCategory,
-                    subcategory: transaction.aiSubcategory
+                    subcategory: transaction.aiSubcategory,
+                    costCentre
                 });
 
                 // Refresh learning stats
@@ -529,19 +1102,86 @@ const Banking = () => {
             actions.setSummary(summary);
 
             setEditingId(null);
-            setEditForm({ category: '', ledger: '' });
+            setEditForm({ category: '', ledger: '', costCentre: '' });
 
             actions.addNotification({
                 type: 'success',
-                message: 'Transaction updated & pattern learned'
+                message: transaction?.tallyVoucher
+                    ? 'Transaction updated & pattern learned. Use "Update in Tally" to apply it to the voucher.'
+                    : 'Transaction updated & pattern learned'
             });
         }
     };
 
+    // Override the voucher type (Payment/Receipt/Contra/Journal) for a transaction
+    const handleVoucherTypeChange = (transaction, voucherType) => {
+        const autoType = resolveVoucherType({ ...transaction, userVoucherType: null }, state.tally.ledgers);
+        actions.updateTransaction(transaction.id, {
+            userVoucherType: voucherType === autoType ? null : voucherType
+        });
+    };
+
+    // Save split lines for a transaction (an empty list removes the split)
+    const handleSaveSplit = (splits) => {
+        const updatedTransactions = transactions.map(t =>
+            t.id === splittingId
+                ? {
+                    ...t,
+                    splits: splits.length > 0 ? splits : null,
+                    status: isAlterableInTally(t.tallyVoucher) ? 'modified' : 'reviewed'
+                }
+                : t
+        );
+        actions.setTransactions(updatedTransactions);
+        setSplittingId(null);
+
+        actions.addNotification({
+            type: 'success',
+            message: splits.length > 0
+                ? `Transaction split across ${splits.length} ledgers`
+                : 'Split removed'
+        });
+    };
+
+    // Open the bill-wise allocation panel for a transaction
+    const handleOpenBillAllocation = (transaction) => {
+        if (!state.tally.connected || !state.tally.activeCompany) {
+            actions.addNotification({
+                type: 'error',
+                message: 'Please connect to Tally and select a company to fetch pending bills'
+            });
+            return;
+        }
+        setSplittingId(null);
+        setAllocatingId(transaction.id);
+    };
+
+    // Save bill-wise allocations (Agst Ref / New Ref / On Account) for a transaction
+    const handleSaveBillAllocation = (billAllocations) => {
+        const updatedTransactions = transactions.map(t =>
+            t.id === allocatingId
+                ? {
+                    ...t,
+                    billAllocations: billAllocations.length > 0 ? billAllocations : null,
+                    status: isAlterableInTally(t.tallyVoucher) ? 'modified' : 'reviewed'
+                }
+                : t
+        );
+        actions.setTransactions(updatedTransactions);
+        setAllocatingId(null);
+
+        actions.addNotification({
+            type: 'success',
+            message: billAllocations.length > 0
+                ? `Allocated against ${billAllocations.map(a => a.name || a.type).join(', ')}`
+                : 'Bill allocation cleared'
+        });
+    };
+
     // Cancel editing
     const handleCancelEdit = () => {
         setEditingId(null);
-        setEditForm({ category: '', ledger: '' });
+        setEditForm({ category: '', ledger: '', costCentre: '' });
     };
 
     // Delete a transaction
@@ -801,15 +1441,21 @@ const Banking = () => {
                                             value={newLedgerGroup}
                                             onChange={(e) => setNewLedgerGroup(e.target.value)}
                                         >
-                                            {TALLY_LEDGER_GROUPS.map(group => (
+                                            {ledgerGroupOptions.map(group => (
                                                 <option key={group} value={group}>{group}</option>
                                             ))}
                                         </select>
                                     </div>
+                                    {isPartyLedger && (
+                                        <div className="form-group" style={{ marginBottom: 'var(--space-3)' }}>
+                                            <label className="form-label" style={{ fontSize: 'var(--text-xs)' }}>GST Registration</label>
+                                            <PartyGstFields value={newLedgerGst} onChange={setNewLedgerGst} />
+                                        </div>
+                                    )}
                                     <button
                                         className="btn btn-primary w-full btn-sm"
                                         onClick={handleCreateLedger}
-                                        disabled={isCreatingLedger || !newLedgerName.trim()}
+                                        disabled={isCreatingLedger || !newLedgerName.trim() || Boolean(partyGstIssue)}
                                     >
                                         {isCreatingLedger ? (
                                             <><span className="spinner" /> Creating...</>
@@ -833,6 +1479,27 @@ const Banking = () => {
                             )}
                         </div>
 
+                        {customBankVoucherTypes.length > 0 && (
+                            <div className="form-group">
+                                <label className="form-label">Voucher Types for {selectedLedger || 'Bank Account'}</label>
+                                <div className="dashboard-grid-3">
+                                    {customBankVoucherTypes.map(([baseType, names]) => (
+                                        <select
+                                            key={baseType}
+                                            className="form-select"
+                                            value={getVoucherTypeOptions(selectedLedger || 'Bank Account').voucherTypeMap[baseType] || baseType}
+                                            onChange={(e) => handleBankVoucherTypeChange(baseType, e.target.value)}
+                                            title={`${baseType} vouchers of this bank are created as`}
+                                        >
+                                            {names.map(name => (
+                                                <option key={name} value={name}>{name}</option>
+                                            ))}
+                                        </select>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         <div className="flex gap-3 mt-6">
                             <button
                                 className="btn btn-secondary"
@@ -995,6 +1662,78 @@ const Banking = () => {
                         )}
                     </div>
 
+                    {/* Split Editor - Shows when splitting a transaction */}
+                    {splittingId && transactions.some(t => t.id === splittingId) && (
+                        <SplitTransactionPanel
+                            key={splittingId}
+                            transaction={transactions.find(t => t.id === splittingId)}
+                            ledgers={state.tally.ledgers}
+                            costCentres={state.tally.costCentres}
+                            onSave={handleSaveSplit}
+                            onClose={() => setSplittingId(null)}
+                        />
+                    )}
+
+                    {/* Push Preview - Dry run of the push, confirmed before anything goes to Tally */}
+                    {pushPreview && (
+                        <PushPreviewPanel
+                            key={pushPreview.createdAt}
+                            preview={pushPreview}
+                            isProcessing={isProcessing}
+                            onConfirm={handleConfirmPreview}
+                            onClose={() => setPushPreview(null)}
+                        />
+                    )}
+
+                    {/* Duplicate Review - Shows when pending lines match vouchers already in Tally */}
+                    {duplicateReview && (
+                        <DuplicateReviewPanel
+                            duplicates={duplicateReview.duplicates}
+                            cleanCount={duplicateReview.pendingTransactions.length - duplicateReview.duplicates.length}
+                            isProcessing={isProcessing}
+                            onConfirm={handleResolveDuplicates}
+                            onClose={() => setDuplicateReview(null)}
+                        />
+                    )}
+
+                    {/* Ledger Group Review - Shows when the push or import file would create ledgers in Tally */}
+                    {ledgerReview && (
+                        <LedgerGroupReviewPanel
+                            ledgers={ledgerReview.ledgers}
+                            groups={ledgerReview.groups}
+                            companyName={state.tally.activeCompany}
+                            isProcessing={isProcessing}
+                            forExport={ledgerReview.forExport}
+                            onConfirm={handleConfirmLedgerGroups}
+                            onClose={() => setLedgerReview(null)}
+                        />
+                    )}
+
+                    {/* Books Period - Shows when Tally rejected vouchers dated outside the company's books */}
+                    {booksPeriodIssue && (
+                        <BooksPeriodPanel
+                            conflict={booksPeriodIssue.conflict}
+                            itemLabel="bank voucher(s)"
+                            onResolved={handleBooksPeriodResolved}
+                            onClose={() => setBooksPeriodIssue(null)}
+                        />
+                    )}
+
+                    {/* Bill Allocation - Shows when allocating a receipt/payment to bills */}
+                    {allocatingId && transactions.some(t => t.id === allocatingId) && (() => {
+                        const allocating = transactions.find(t => t.id === allocatingId);
+                        return (
+                            <BillAllocationPanel
+                                key={allocatingId}
+                                transaction={allocating}
+                                partyLedger={getTransactionPartyLedger(allocating, getPostedBaseType(allocating))}
+                                companyName={state.tally.activeCompany}
+                                onSave={handleSaveBillAllocation}
+                                onClose={() => setAllocatingId(null)}
+                            />
+                        );
+                    })()}
+
                     {/* Transaction Groups Panel */}
                     {showGroups && transactionGroups.length > 0 && (
                         <div className="card mb-4">
@@ -1046,13 +1785,31 @@ const Banking = () => {
                                     <Download size={16} />
                                     Export CSV
                                 </button>
+                                <button
+                                    className="btn btn-secondary btn-sm"
+                                    onClick={handlePreviewPush}
+                                    disabled={isProcessing || !state.tally.activeCompany}
+                                    title="See what the push will create in Tally without sending anything"
+                                >
+                                    <Eye size={16} />
+                                    Preview Push
+                                </button>
+                                <button
+                                    className="btn btn-secondary btn-sm"
+                                    onClick={() => handleExportTallyXML()}
+                                    disabled={isProcessing}
+                                    title="Download a file to load through Tally's Import menu when Tally cannot be reached"
+                                >
+                                    <FileCode size={16} />
+                                    Export XML
+                                </button>
                                 <button
                                     className="btn btn-primary btn-sm"
                                     onClick={handlePushToTally}
-                                    disabled={isProcessing || !state.tally.connected}
+                                    disabled={isProcessing || !state.tally.activeCompany}
                                 >
                                     <Send size={16} />
-                                    Push to Tally
+                                    {state.tally.connected ? 'Push to Tally' : 'Queue for Tally'}
                                 </button>
                             </div>
                         </div>
@@ -1074,6 +1831,7 @@ const Banking = () => {
                                         <th>Debit</th>
                                         <th>Credit</th>
                                         <th>Category</th>
+                                        <th>Voucher</th>
                                         <th>Confidence</th>
                                         <th>Ledger</th>
                                         <th>Actions</th>
@@ -1098,6 +1856,24 @@ const Banking = () => {
                                             <td style={{ whiteSpace: 'nowrap' }}>{formatDate(t.date, t.dateRaw)}</td>
                                             <td style={{ maxWidth: '250px' }} className="truncate">
                                                 {t.description}
+                                                {t.queuedForTally && !t.syncedToTally && (
+                                                    <span
+                                                        className="badge badge-warning"
+                                                        title="Waiting in the offline queue for Tally"
+                                                        style={{ marginLeft: 'var(--space-2)' }}
+                                                    >
+                                                        Queued
+                                                    </span>
+                                                )}
+                                                {t.exportedToTally && !t.syncedToTally && (
+                                                    <span
+                                                        className="badge badge-info"
+                                                        title="Exported in a Tally import file"
+                                                        style={{ marginLeft: 'var(--space-2)' }}
+                                                    >
+                                                        Exported
+                                                    </span>
+                                                )}
                                             </td>
                                             <td style={{ color: t.debit > 0 ? 'var(--error-500)' : 'inherit' }}>
                                                 {t.debit > 0 ? formatCurrency(t.debit) : '-'}
@@ -1132,6 +1908,33 @@ const Banking = () => {
                                                     </span>
                                                 )}
                                             </td>
+                                            <td>
+                                                <select
+                                                    className="form-select"
+                                                    value={t.tallyVoucher?.voucherType || resolveVoucherType(t, state.tally.ledgers)}
+                                                    onChange={(e) => handleVoucherTypeChange(t, e.target.value)}
+                                                    disabled={!!t.tallyVoucher}
+                                                    title={t.tallyVoucher
+                                                        ? 'Cancel in Tally to change the voucher type'
+                                                        : t.userVoucherType ? 'Set manually' : 'Detected automatically'}
+                                                    style={{
+                                                        width: '100px',
+                                                        padding: '4px 8px',
+                                                        fontSize: 'var(--text-xs)',
+                                                        fontWeight: t.userVoucherType ? 600 : 'normal'
+                                                    }}
+                                                >
+                                                    {/* Journal stays listed only on rows that still carry it, so it can be changed */}
+                                                    {BANK_VOUCHER_TYPES
+                                                        .filter(type => type !== 'Journal' || t.userVoucherType === 'Journal')
+                                                        .map(type => (
+                                                            <option key={type} value={type}>{type}</option>
+                                                        ))}
+                                                    {t.tallyVoucher && !BANK_VOUCHER_TYPES.includes(t.tallyVoucher.voucherType) && (
+                                                        <option value={t.tallyVoucher.voucherType}>{t.tallyVoucher.voucherType}</option>
+                                                    )}
+                                                </select>
+                                            </td>
                                             <td>
                                                 <div className="flex items-center gap-2">
                                                     <div style={{
@@ -1157,16 +1960,54 @@ const Banking = () => {
                                             </td>
                                             <td style={{ fontSize: 'var(--text-sm)' }}>
                                                 {editingId === t.id ? (
-                                                    <input
-                                                        type="text"
-                                                        className="form-input"
-                                                        value={editForm.ledger}
-                                                        onChange={(e) => setEditForm({ ...editForm, ledger: e.target.value })}
-                                                        style={{ width: '100px', padding: '4px 8px', fontSize: 'var(--text-xs)' }}
-                                                        placeholder="Ledger name"
-                                                    />
+                                                    <>
+                                                        <input
+                                                            type="text"
+                                                            className="form-input"
+                                                            value={editForm.ledger}
+                                                            onChange={(e) => setEditForm({ ...editForm, ledger: e.target.value })}
+                                                            style={{ width: '100px', padding: '4px 8px', fontSize: 'var(--text-xs)' }}
+                                                            placeholder="Ledger name"
+                                                        />
+                                                        {state.tally.costCentres?.length > 0 && !(t.splits?.length > 0) && (
+                                                            <select
+                                                                className="form-select"
+                                                                value={editForm.costCentre}
+                                                                onChange={(e) => setEditForm({ ...editForm, costCentre: e.target.value })}
+                                                                style={{ width: '100px', padding: '4px 8px', fontSize: 'var(--text-xs)', marginTop: '4px' }}
+                                                                title="Cost centre"
+                                                            >
+                                                                <option value="">No cost centre</option>
+                                                                {state.tally.costCentres.map(c => (
+                                                                    <option key={`${c.category}|${c.name}`} value={c.name}>{c.name}</option>
+                                                                ))}
+                                                            </select>
+                                                        )}
+                                                    </>
+                                                ) : t.splits?.length > 0 ? (
+                                                    <span
+                                                        className="badge badge-info"
+                                                        title={t.splits.map(split => `${split.ledger}: ${formatCurrency(split.amount)}`).join('\n')}
+                                                    >
+                                                        Split ({t.splits.length})
+                                                    </span>
                                                 ) : (
-                                                    t.userLedger || t.aiSuggestedLedger || '-'
+                                                    <>
+                                                        {t.userLedger || t.aiSuggestedLedger || '-'}
+                                                        {t.billAllocations?.length > 0 && (
+                                                            <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>
+                                                                {t.billAllocations.map(a => a.type === 'On Account' ? a.type : `${a.type} ${a.name}`).join(', ')}
+                                                            </div>
+                                                        )}
+                                                        {(t.costCentre || t.aiCostCentre) && (
+                                                            <div
+                                                                style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}
+                                                                title={t.costCentre ? 'Cost centre' : 'Suggested cost centre'}
+                                                            >
+                                                                {(t.costCentre || t.aiCostCentre).name}{!t.costCentre && ' (suggested)'}
+                                                            </div>
+                                                        )}
+                                                    </>
                                                 )}
                                             </td>
                                             <td>
@@ -1198,6 +2039,46 @@ const Banking = () => {
                                                             >
                                                                 <Edit2 size={14} />
                                                             </button>
+                                                            <button
+                                                                className="btn btn-ghost btn-icon btn-sm"
+                                                                onClick={() => { setAllocatingId(null); setSplittingId(t.id); }}
+                                                                title="Split across ledgers"
+                                                                style={{ color: t.splits?.length > 0 ? 'var(--primary-500)' : 'inherit' }}
+                                                            >
+                                                                <Split size={14} />
+                                                            </button>
+                                                            {!(t.splits?.length > 0) && resolveVoucherType(t, state.tally.ledgers) !== 'Contra' && (
+                                                                <button
+                                                                    className="btn btn-ghost btn-icon btn-sm"
+                                                                    onClick={() => handleOpenBillAllocation(t)}
+                                                                    title="Allocate to bills"
+                                                                    style={{ color: t.billAllocations?.length > 0 ? 'var(--primary-500)' : 'inherit' }}
+                                                                >
+                                                                    <FileText size={14} />
+                                                                </button>
+                                                            )}
+                                                            {t.syncedToTally && isAlterableInTally(t.tallyVoucher) && (
+                                                                <>
+                                                                    <button
+                                                                        className="btn btn-ghost btn-icon btn-sm"
+                                                                        onClick={() => handleAlterInTally(t)}
+                                                                        disabled={isProcessing || !state.tally.connected}
+                                                                        title="Update in Tally"
+                                                                        style={{ color: t.status === 'modified' ? 'var(--warning-500)' : 'inherit' }}
+                                                                    >
+                                                                        <RefreshCw size={14} />
+                                                                    </button>
+                                                                    <button
+                                                                        className="btn btn-ghost btn-icon btn-sm"
+                                                                        onClick={() => handleCancelInTally(t)}
+                                                                        disabled={isProcessing || !state.tally.connected}
+                                                                        title="Cancel in Tally"
+                                                                        style={{ color: 'var(--error-500)' }}
+                                                                    >
+                                                                        <Ban size={14} />
+                                                                    </button>
+                                                                </>
+                                                            )}
                                                             <button
                                                                 className="btn btn-ghost btn-icon btn-sm"
                                                                 onClick={() => handleDeleteTransaction(t.id)}
@@ -1226,7 +2107,7 @@ const Banking = () => {
                         <button
                             className="btn btn-success flex-1"
                             onClick={handlePushToTally}
-                            disabled={isProcessing || !state.tally.connected}
+                            disabled={isProcessing || !state.tally.activeCompany}
                         >
                             {isProcessing ? (
                                 <>
@@ -1236,7 +2117,7 @@ const Banking = () => {
                             ) : (
                                 <>
                                     <Send size={18} />
-                                    Push All to Tally ({transactions.filter(t => !t.syncedToTally).length} pending)
+                                    {state.tally.connected ? 'Push All to Tally' : 'Queue All for Tally'} ({transactions.filter(isPendingForTally).length} pending)
                                 </>
                             )}
                         </button>
@@ -6,18 +6,28 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useApp } from '../context/AppContext';
 import FileUpload from '../components/common/FileUpload';
+import BooksPeriodPanel from '../components/common/BooksPeriodPanel';
+import InvoiceItemsEditor from '../components/common/InvoiceItemsEditor';
+import NewPartiesPanel from '../components/common/NewPartiesPanel';
 import {
     ShoppingCart, Plus, Send, Check, X, Edit2, Trash2,
-    RefreshCw, CheckCircle, AlertCircle, Upload, Search
+    RefreshCw, CheckCircle, AlertCircle, Upload, Search, Ban, FileCode
 } from 'lucide-react';
-import { formatCurrency, formatDate } from '../utils/helpers';
-import { pushPurchaseEntry, batchPushPurchases } from '../services/tallyService';
+import { formatCurrency, formatDate, downloadFile } from '../utils/helpers';
+import {
+    pushPurchaseEntry, batchPushPurchases, deleteVoucherFromTally, isGroupUnder, getGroupNature, getBooksPeriodConflict, createTallyImportFile, getVoucherTypesOf, calculateInvoiceItems, createLedger, isVoucherInTally
+} from '../services/tallyService';
+import { getCachedLedgers } from '../services/tallyCache';
+import { enqueue, isConnectionError, subscribeToDeliveries, subscribeToRemovals, QUEUE_ITEM_TYPES } from '../services/offlineQueue';
+import { TALLY_ERROR_TYPES } from '../services/tallyResponseParser';
 
 const Purchase = () => {
     const { state, actions } = useApp();
     const [entries, setEntries] = useState([]);
     const [showAddForm, setShowAddForm] = useState(false);
     const [isPushing, setIsPushing] = useState(false);
+    const [booksPeriodIssue, setBooksPeriodIssue] = useState(null);
+    const [partyReview, setPartyReview] = useState(null);
     const [editingId, setEditingId] = useState(null);
 
     // Search state for ledger dropdowns
@@ -33,33 +43,34 @@ const Purchase = () => {
         description: '',
         gstRate: '18',
         isInterState: false,
-        purchaseLedger: 'Purchase Account'
+        purchaseLedger: 'Purchase Account',
+        costCentre: '',
+        voucherType: 'Purchase',
+        items: []
     });
 
     // Get all vendor ledgers from Tally
     const allVendorLedgers = useMemo(() => {
-        return state.tally.ledgers.filter(l =>
-            l.group?.toLowerCase().includes('sundry creditor') ||
-            l.group?.toLowerCase().includes('creditors')
-        );
-    }, [state.tally.ledgers]);
+        return state.tally.ledgers.filter(l => isGroupUnder(l.group, ['Sundry Creditors'], state.tally.groups));
+    }, [state.tally.ledgers, state.tally.groups]);
 
     // Filtered vendor ledgers based on search
     const vendorLedgers = useMemo(() => {
         if (!vendorSearch.trim()) return allVendorLedgers;
         const search = vendorSearch.toLowerCase();
         return allVendorLedgers.filter(l =>
-            l.name.toLowerCase().includes(search)
+            l.name.toLowerCase().includes(search) ||
+            (l.gstin || '').toLowerCase().includes(search)
         );
     }, [allVendorLedgers, vendorSearch]);
 
+    // Master details of the picked vendor ledger
+    const selectedVendorLedger = allVendorLedgers.find(l => l.name === formData.vendorLedger);
+
     // Get all purchase ledgers from Tally
     const allPurchaseLedgers = useMemo(() => {
-        return state.tally.ledgers.filter(l =>
-            l.group?.toLowerCase().includes('purchase') ||
-            l.group?.toLowerCase().includes('expense')
-        );
-    }, [state.tally.ledgers]);
+        return state.tally.ledgers.filter(l => getGroupNature(l.group, state.tally.groups) === 'expense');
+    }, [state.tally.ledgers, state.tally.groups]);
 
     // Filtered purchase ledgers based on search
     const purchaseLedgers = useMemo(() => {
@@ -79,10 +90,22 @@ const Purchase = () => {
         return { total, gstTotal, pending, synced, count: entries.length };
     }, [entries]);
 
+    // Purchase voucher types of the company, e.g. [Purchase, Purchase - Import]
+    const voucherTypeOptions = getVoucherTypesOf('Purchase', state.tally.voucherTypes);
+
+    // Item invoices take their value and GST from the item lines
+    const itemTotals = formData.items.length > 0 ? calculateInvoiceItems(formData.items) : null;
+    const formAmount = itemTotals ? itemTotals.amount : parseFloat(formData.amount) || 0;
+    const formGstAmount = itemTotals ? itemTotals.gstAmount : formAmount * ((parseFloat(formData.gstRate) || 0) / 100);
+
     const handleAddEntry = () => {
-        const amount = parseFloat(formData.amount) || 0;
-        const gstRate = parseFloat(formData.gstRate) || 0;
-        const gstAmount = amount * (gstRate / 100);
+        const amount = formAmount;
+        const gstAmount = formGstAmount;
+        // Lines can carry different rates, so an item invoice shows its effective rate
+        const gstRate = itemTotals
+            ? (amount > 0 ? Math.round((gstAmount / amount) * 10000) / 100 : 0)
+            : parseFloat(formData.gstRate) || 0;
+        const costCentre = state.tally.costCentres?.find(c => c.name === formData.costCentre);
 
         const newEntry = {
             id: Date.now(),
@@ -91,13 +114,24 @@ const Purchase = () => {
             gstRate,
             gstAmount,
             totalAmount: amount + gstAmount,
+            items: itemTotals ? itemTotals.items : [],
+            costCentre: costCentre ? { category: costCentre.category, name: costCentre.name } : null,
             vendorLedger: formData.vendorLedger || formData.vendor,
             status: 'pending',
             createdAt: new Date().toISOString()
         };
 
         if (editingId) {
-            setEntries(entries.map(e => e.id === editingId ? { ...newEntry, id: editingId } : e));
+            // Keep the Tally voucher identity so a pushed entry can be altered instead of re-created
+            setEntries(entries.map(e => e.id === editingId
+                ? {
+                    ...newEntry,
+                    id: editingId,
+                    tallyVoucher: e.tallyVoucher || null,
+                    status: isVoucherInTally(e.tallyVoucher) ? 'modified' : 'pending'
+                }
+                : e
+            ));
             setEditingId(null);
         } else {
             setEntries([...entries, newEntry]);
@@ -120,7 +154,10 @@ const Purchase = () => {
             description: '',
             gstRate: '18',
             isInterState: false,
-            purchaseLedger: 'Purchase Account'
+            purchaseLedger: 'Purchase Account',
+            costCentre: '',
+            voucherType: 'Purchase',
+            items: []
         });
         setShowAddForm(false);
         setEditingId(null);
@@ -136,7 +173,10 @@ const Purchase = () => {
             description: entry.description,
             gstRate: entry.gstRate?.toString() || '18',
             isInterState: entry.isInterState || false,
-            purchaseLedger: entry.purchaseLedger || 'Purchase Account'
+            purchaseLedger: entry.purchaseLedger || 'Purchase Account',
+            costCentre: entry.costCentre?.name || '',
+            voucherType: entry.voucherType || 'Purchase',
+            items: entry.items || []
         });
         setEditingId(entry.id);
         setShowAddForm(true);
@@ -147,7 +187,171 @@ const Purchase = () => {
         actions.addNotification({ type: 'info', message: 'Entry deleted' });
     };
 
-    const handlePushSingle = async (entry) => {
+    // Entries delivered from the offline queue
+    useEffect(() => {
+        return subscribeToDeliveries((item, result) => {
+            if (item.type !== QUEUE_ITEM_TYPES.PURCHASE_ENTRY) return;
+            setEntries(current => current.map(e =>
+                e.id === item.payload.entry.id
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: result.tallyVoucher || null }
+                    : e
+            ));
+        });
+    }, []);
+
+    // Entries taken out of the offline queue undelivered go back to pending
+    useEffect(() => {
+        return subscribeToRemovals((item) => {
+            if (item.type !== QUEUE_ITEM_TYPES.PURCHASE_ENTRY) return;
+            setEntries(current => current.map(e =>
+                e.id === item.payload.entry.id && e.status === 'queued' ? { ...e, status: 'pending' } : e
+            ));
+        });
+    }, []);
+
+    // Hold entries in the offline queue until Tally is reachable again
+    const queueEntries = async (entriesToQueue) => {
+        try {
+            for (const entry of entriesToQueue) {
+                await enqueue(QUEUE_ITEM_TYPES.PURCHASE_ENTRY, state.tally.activeCompany, { entry, voucherTypes: state.tally.voucherTypes });
+            }
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Could not queue entries: ${error.message}` });
+            return;
+        }
+
+        const queuedIds = new Set(entriesToQueue.map(e => e.id));
+        setEntries(current => current.map(e => queuedIds.has(e.id) ? { ...e, status: 'queued' } : e));
+        actions.addNotification({
+            type: 'warning',
+            title: 'Queued for Tally',
+            message: `Tally is not reachable. ${entriesToQueue.length} purchase entries will be pushed when it is back.`
+        });
+    };
+
+    // Entries Tally rejected as outside the company's books period get a fix offered
+    const reviewBooksPeriod = async (rejected) => {
+        if (rejected.length === 0) return false;
+        try {
+            const conflict = await getBooksPeriodConflict(rejected.map(e => e.date), state.tally.activeCompany);
+            setBooksPeriodIssue({ conflict, entries: rejected });
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    // Once the period is fixed, the rejected entries go back into the queue for the chosen company
+    const handleBooksPeriodResolved = async (companyName) => {
+        const rejected = booksPeriodIssue.entries;
+        setBooksPeriodIssue(null);
+        try {
+            for (const entry of rejected) {
+                await enqueue(QUEUE_ITEM_TYPES.PURCHASE_ENTRY, companyName, { entry, voucherTypes: state.tally.voucherTypes });
+            }
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Could not queue entries: ${error.message}` });
+            return;
+        }
+
+        const queuedIds = new Set(rejected.map(e => e.id));
+        setEntries(current => current.map(e => queuedIds.has(e.id) ? { ...e, status: 'queued' } : e));
+        actions.addNotification({
+            type: 'info',
+            title: 'Re-queued for Tally',
+            message: `${rejected.length} purchase entries queued for ${companyName} and being pushed again.`
+        });
+        actions.flushTallyQueue();
+    };
+
+    // Suppliers Tally has no ledger for, to be created under Sundry Creditors before the push
+    const getNewParties = (pushEntries) => {
+        const known = new Set(state.tally.ledgers.map(l => l.name.toLowerCase().trim()));
+        const names = new Map();
+        pushEntries.forEach(e => {
+            const name = (e.vendorLedger || e.vendor || '').trim();
+            if (name && !known.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+        });
+        return [...names.values()].map(name => ({ name, group: 'Sundry Creditors' }));
+    };
+
+    // Create the new parties with the GST details entered, then carry on with the push;
+    // an export puts the details on the ledgers in the import file instead
+    const handleConfirmParties = async (partyDetails) => {
+        const { parties, entry, forExport } = partyReview;
+        if (forExport) {
+            setPartyReview(null);
+            handleExportXML({ partyDetails });
+            return;
+        }
+
+        setIsPushing(true);
+        try {
+            for (const { name, group } of parties) {
+                await createLedger(name, group, state.tally.activeCompany, partyDetails[name]);
+            }
+            actions.setLedgers(await getCachedLedgers(state.tally.activeCompany));
+        } catch (error) {
+            actions.addNotification({ type: 'error', title: 'Could Not Create Party', message: error.message });
+            return;
+        } finally {
+            setIsPushing(false);
+        }
+
+        setPartyReview(null);
+        if (entry) {
+            await handlePushSingle(entry, { partiesReady: true });
+        } else {
+            await handlePushAll({ partiesReady: true });
+        }
+    };
+
+    const handlePushSingle = async (entry, { partiesReady = false } = {}) => {
+        if (!state.tally.activeCompany) {
+            actions.addNotification({
+                type: 'error',
+                message: 'Please connect to Tally and select a company first'
+            });
+            return;
+        }
+
+        if (!state.tally.connected) {
+            await queueEntries([entry]);
+            return;
+        }
+
+        const newParties = partiesReady ? [] : getNewParties([entry]);
+        if (newParties.length > 0) {
+            setPartyReview({ parties: newParties, entry });
+            return;
+        }
+
+        setIsPushing(true);
+        try {
+            const result = await pushPurchaseEntry(entry, state.tally.activeCompany, 'Create', { voucherTypes: state.tally.voucherTypes });
+            setEntries(entries.map(e =>
+                e.id === entry.id
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: result.tallyVoucher || null }
+                    : e
+            ));
+            actions.addNotification({
+                type: 'success',
+                message: result.existing ? 'Purchase voucher is already in Tally' : 'Purchase voucher created in Tally'
+            });
+        } catch (error) {
+            if (isConnectionError(error)) {
+                await queueEntries([entry]);
+            } else if (error.type === TALLY_ERROR_TYPES.BOOKS_PERIOD && await reviewBooksPeriod([entry])) {
+                actions.addNotification({ type: 'warning', title: 'Outside Books Period', message: error.message });
+            } else {
+                actions.addNotification({ type: 'error', message: `Failed: ${error.message}` });
+            }
+        } finally {
+            setIsPushing(false);
+        }
+    };
+
+    const handleAlterInTally = async (entry) => {
         if (!state.tally.connected || !state.tally.activeCompany) {
             actions.addNotification({
                 type: 'error',
@@ -158,26 +362,51 @@ const Purchase = () => {
 
         setIsPushing(true);
         try {
-            await pushPurchaseEntry(entry, state.tally.activeCompany);
+            const result = await pushPurchaseEntry(entry, state.tally.activeCompany, 'Alter', { voucherTypes: state.tally.voucherTypes });
             setEntries(entries.map(e =>
-                e.id === entry.id ? { ...e, status: 'synced', syncedAt: new Date().toISOString() } : e
+                e.id === entry.id
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: result.tallyVoucher }
+                    : e
             ));
-            actions.addNotification({ type: 'success', message: 'Purchase voucher created in Tally' });
+            actions.addNotification({ type: 'success', message: 'Purchase voucher updated in Tally' });
         } catch (error) {
-            actions.addNotification({ type: 'error', message: `Failed: ${error.message}` });
+            actions.addNotification({ type: 'error', message: `Update failed: ${error.message}` });
         } finally {
             setIsPushing(false);
         }
     };
 
-    const handlePushAll = async () => {
+    const handleCancelInTally = async (entry) => {
+        if (!state.tally.connected || !state.tally.activeCompany) {
+            actions.addNotification({
+                type: 'error',
+                message: 'Please connect to Tally and select a company first'
+            });
+            return;
+        }
+
+        setIsPushing(true);
+        try {
+            await deleteVoucherFromTally(entry.tallyVoucher, state.tally.activeCompany);
+            setEntries(entries.map(e =>
+                e.id === entry.id ? { ...e, status: 'pending', syncedAt: null, tallyVoucher: null } : e
+            ));
+            actions.addNotification({ type: 'info', message: 'Purchase voucher deleted from Tally' });
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Cancel failed: ${error.message}` });
+        } finally {
+            setIsPushing(false);
+        }
+    };
+
+    const handlePushAll = async ({ partiesReady = false } = {}) => {
         const pendingEntries = entries.filter(e => e.status === 'pending');
         if (pendingEntries.length === 0) {
             actions.addNotification({ type: 'warning', message: 'No pending entries to push' });
             return;
         }
 
-        if (!state.tally.connected || !state.tally.activeCompany) {
+        if (!state.tally.activeCompany) {
             actions.addNotification({
                 type: 'error',
                 message: 'Please connect to Tally and select a company first'
@@ -185,20 +414,46 @@ const Purchase = () => {
             return;
         }
 
+        if (!state.tally.connected) {
+            await queueEntries(pendingEntries);
+            return;
+        }
+
+        const newParties = partiesReady ? [] : getNewParties(pendingEntries);
+        if (newParties.length > 0) {
+            setPartyReview({ parties: newParties, entry: null });
+            return;
+        }
+
         setIsPushing(true);
         try {
-            const result = await batchPushPurchases(pendingEntries, state.tally.activeCompany);
+            const result = await batchPushPurchases(pendingEntries, state.tally.activeCompany, { voucherTypes: state.tally.voucherTypes });
 
-            // Update synced entries
-            const syncedIds = new Set(pendingEntries.slice(0, result.success).map(e => e.id));
+            // Update only the entries Tally accepted
+            const pushedVouchers = new Map(result.vouchers.map(v => [v.id, v.tallyVoucher]));
             setEntries(entries.map(e =>
-                syncedIds.has(e.id) ? { ...e, status: 'synced', syncedAt: new Date().toISOString() } : e
+                pushedVouchers.has(e.id)
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: pushedVouchers.get(e.id) || null }
+                    : e
             ));
 
             actions.addNotification({
                 type: result.failed > 0 ? 'warning' : 'success',
                 message: `Pushed ${result.success} of ${pendingEntries.length} entries to Tally`
             });
+
+            // Entries that failed only because Tally went away are retried from the queue
+            const unreachableIds = new Set(
+                result.errors.filter(e => isConnectionError(e.error)).map(e => e.id)
+            );
+            if (unreachableIds.size > 0) {
+                await queueEntries(pendingEntries.filter(e => unreachableIds.has(e.id)));
+            }
+
+            const periodIds = new Set(
+                result.errors.filter(e => e.type === TALLY_ERROR_TYPES.BOOKS_PERIOD).map(e => e.id)
+            );
+            await reviewBooksPeriod(pendingEntries.filter(e => periodIds.has(e.id)));
         } catch (error) {
             actions.addNotification({ type: 'error', message: `Batch push failed: ${error.message}` });
         } finally {
@@ -206,6 +461,61 @@ const Purchase = () => {
         }
     };
 
+    /**
+     * Tally import file for clients whose Tally the proxy cannot reach
+     * @param {Object} options - { partyDetails } GST details of the new parties, asked for first when not given
+     */
+    const handleExportXML = ({ partyDetails } = {}) => {
+        const pendingEntries = entries.filter(e => e.status === 'pending');
+        if (pendingEntries.length === 0) {
+            actions.addNotification({ type: 'warning', message: 'No pending entries to export' });
+            return;
+        }
+
+        const newParties = partyDetails ? [] : getNewParties(pendingEntries);
+        if (newParties.length > 0) {
+            setPartyReview({ parties: newParties, entry: null, forExport: true });
+            return;
+        }
+
+        const { xml, ledgers, exported, invalid } = createTallyImportFile(
+            state.tally.activeCompany,
+            { purchases: pendingEntries },
+            {
+                ledgers: state.tally.ledgers,
+                ledgerGroups: state.tally.ledgerGroupMappings[state.tally.activeCompany] || {},
+                partyDetails,
+                voucherTypes: state.tally.voucherTypes
+            }
+        );
+
+        if (!xml) {
+            actions.addNotification({
+                type: 'error',
+                message: `No entry could be exported: ${invalid[0]?.error || 'nothing to export'}`
+            });
+            return;
+        }
+
+        downloadFile(xml, `tally_import_purchase_${new Date().toISOString().split('T')[0]}`, 'xml');
+
+        // Exported vouchers keep the REMOTEID in the file, so a later push cannot duplicate them
+        const exportedVouchers = new Map(exported.purchases.map(v => [v.id, v.tallyVoucher]));
+        setEntries(current => current.map(e =>
+            exportedVouchers.has(e.id)
+                ? { ...e, status: 'exported', tallyVoucher: exportedVouchers.get(e.id) }
+                : e
+        ));
+
+        actions.addNotification({
+            type: invalid.length > 0 ? 'warning' : 'success',
+            title: 'Tally Import File Ready',
+            message: `${exportedVouchers.size} voucher(s) and ${ledgers.length} new ledger(s) exported` +
+                (invalid.length > 0 ? `; ${invalid.length} skipped (${invalid[0].error})` : '') +
+                '. In Tally, use Import > Transactions to load the file.'
+        });
+    };
+
     return (
         <div className="animate-slideUp">
             {/* Header */}
@@ -284,6 +594,28 @@ const Purchase = () => {
                 </div>
             </div>
 
+            {/* Books Period - Shows when Tally rejected entries dated outside the company's books */}
+            {booksPeriodIssue && (
+                <BooksPeriodPanel
+                    conflict={booksPeriodIssue.conflict}
+                    itemLabel="purchase entries"
+                    onResolved={handleBooksPeriodResolved}
+                    onClose={() => setBooksPeriodIssue(null)}
+                />
+            )}
+
+            {/* New Parties - GST details of vendors the push or import file creates ledgers for */}
+            {partyReview && (
+                <NewPartiesPanel
+                    parties={partyReview.parties}
+                    companyName={state.tally.activeCompany}
+                    isProcessing={isPushing}
+                    forExport={partyReview.forExport}
+                    onConfirm={handleConfirmParties}
+                    onClose={() => setPartyReview(null)}
+                />
+            )}
+
             {/* Add/Edit Form Modal */}
             {showAddForm && (
                 <div className="card mb-6" style={{ border: '2px solid var(--primary-500)' }}>
@@ -349,9 +681,21 @@ const Purchase = () => {
                                 >
                                     <option value="">Use vendor name as ledger</option>
                                     {vendorLedgers.map(l => (
-                                        <option key={l.name} value={l.name}>{l.name}</option>
+                                        <option key={l.name} value={l.name}>
+                                            {l.name}{l.gstin && ` · ${l.gstin}`}
+                                        </option>
                                     ))}
                                 </select>
+                                {selectedVendorLedger && (
+                                    <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-1)' }}>
+                                        {[
+                                            selectedVendorLedger.gstin ? `GSTIN ${selectedVendorLedger.gstin}` : 'Unregistered',
+                                            selectedVendorLedger.state,
+                                            selectedVendorLedger.closingBalance !== undefined &&
+                                            `Balance ${formatCurrency(Math.abs(selectedVendorLedger.closingBalance))} ${selectedVendorLedger.closingBalance < 0 ? 'Dr' : 'Cr'}`
+                                        ].filter(Boolean).join(' · ')}
+                                    </div>
+                                )}
                                 {vendorLedgers.length === 0 && vendorSearch && (
                                     <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-1)' }}>
                                         No matching ledgers found
@@ -360,31 +704,35 @@ const Purchase = () => {
                             </div>
                         </div>
 
-                        <div className="form-group">
-                            <label className="form-label">Amount (Before GST) *</label>
-                            <input
-                                type="number"
-                                className="form-input"
-                                placeholder="0.00"
-                                value={formData.amount}
-                                onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
-                            />
-                        </div>
+                        {formData.items.length === 0 && (
+                            <>
+                            <div className="form-group">
+                                <label className="form-label">Amount (Before GST) *</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    placeholder="0.00"
+                                    value={formData.amount}
+                                    onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                                />
+                            </div>
 
-                        <div className="form-group">
-                            <label className="form-label">GST Rate</label>
-                            <select
-                                className="form-select"
-                                value={formData.gstRate}
-                                onChange={(e) => setFormData({ ...formData, gstRate: e.target.value })}
-                            >
-                                <option value="0">Exempt (0%)</option>
-                                <option value="5">5%</option>
-                                <option value="12">12%</option>
-                                <option value="18">18%</option>
-                                <option value="28">28%</option>
-                            </select>
-                        </div>
+                            <div className="form-group">
+                                <label className="form-label">GST Rate</label>
+                                <select
+                                    className="form-select"
+                                    value={formData.gstRate}
+                                    onChange={(e) => setFormData({ ...formData, gstRate: e.target.value })}
+                                >
+                                    <option value="0">Exempt (0%)</option>
+                                    <option value="5">5%</option>
+                                    <option value="12">12%</option>
+                                    <option value="18">18%</option>
+                                    <option value="28">28%</option>
+                                </select>
+                            </div>
+                            </>
+                        )}
 
                         <div className="form-group">
                             <label className="form-label">Purchase Account (Tally)</label>
@@ -424,6 +772,37 @@ const Purchase = () => {
                             </label>
                         </div>
 
+                        {voucherTypeOptions.length > 1 && (
+                            <div className="form-group">
+                                <label className="form-label">Voucher Type</label>
+                                <select
+                                    className="form-select"
+                                    value={formData.voucherType}
+                                    onChange={(e) => setFormData({ ...formData, voucherType: e.target.value })}
+                                >
+                                    {voucherTypeOptions.map(name => (
+                                        <option key={name} value={name}>{name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        {state.tally.costCentres?.length > 0 && (
+                            <div className="form-group">
+                                <label className="form-label">Cost Centre</label>
+                                <select
+                                    className="form-select"
+                                    value={formData.costCentre}
+                                    onChange={(e) => setFormData({ ...formData, costCentre: e.target.value })}
+                                >
+                                    <option value="">No cost centre</option>
+                                    {state.tally.costCentres.map(c => (
+                                        <option key={`${c.category}|${c.name}`} value={c.name}>{c.name} ({c.category})</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         <div className="form-group" style={{ gridColumn: 'span 2' }}>
                             <label className="form-label">Description</label>
                             <input
@@ -434,10 +813,18 @@ const Purchase = () => {
                                 onChange={(e) => setFormData({ ...formData, description: e.target.value })}
                             />
                         </div>
+
+                        {(state.tally.inventory?.stockItems?.length > 0 || formData.items.length > 0) && (
+                            <InvoiceItemsEditor
+                                items={formData.items}
+                                inventory={state.tally.inventory}
+                                onChange={(items) => setFormData({ ...formData, items })}
+                            />
+                        )}
                     </div>
 
                     {/* Amount Preview */}
-                    {formData.amount && (
+                    {formAmount > 0 && (
                         <div style={{
                             padding: 'var(--space-4)',
                             background: 'var(--bg-glass)',
@@ -445,16 +832,16 @@ const Purchase = () => {
                         }}>
                             <div className="flex items-center justify-between" style={{ fontSize: 'var(--text-sm)' }}>
                                 <span>Base Amount:</span>
-                                <span>{formatCurrency(parseFloat(formData.amount) || 0)}</span>
+                                <span>{formatCurrency(formAmount)}</span>
                             </div>
                             <div className="flex items-center justify-between" style={{ fontSize: 'var(--text-sm)', color: 'var(--success-500)' }}>
-                                <span>Input GST Credit ({formData.gstRate}%):</span>
-                                <span>+{formatCurrency((parseFloat(formData.amount) || 0) * (parseFloat(formData.gstRate) / 100))}</span>
+                                <span>Input GST Credit{itemTotals ? '' : ` (${formData.gstRate}%)`}:</span>
+                                <span>+{formatCurrency(formGstAmount)}</span>
                             </div>
                             <div className="flex items-center justify-between" style={{ fontSize: 'var(--text-md)', fontWeight: 600 }}>
                                 <span>Total Payable:</span>
                                 <span style={{ color: 'var(--error-500)' }}>
-                                    {formatCurrency((parseFloat(formData.amount) || 0) * (1 + parseFloat(formData.gstRate) / 100))}
+                                    {formatCurrency(formAmount + formGstAmount)}
                                 </span>
                             </div>
                         </div>
@@ -467,7 +854,7 @@ const Purchase = () => {
                         <button
                             className="btn btn-primary"
                             onClick={handleAddEntry}
-                            disabled={!formData.vendor || !formData.amount || !formData.invoiceNo}
+                            disabled={!formData.vendor || !(formAmount > 0) || !formData.invoiceNo || formData.items.some(item => !item.stockItem)}
                         >
                             <Check size={16} /> {editingId ? 'Update Entry' : 'Add Entry'}
                         </button>
@@ -502,17 +889,27 @@ const Purchase = () => {
                 <div className="card">
                     <div className="card-header">
                         <h3 className="card-title">Purchase Entries ({entries.length})</h3>
-                        <button
-                            className="btn btn-success"
-                            onClick={handlePushAll}
-                            disabled={isPushing || summary.pending === 0 || !state.tally.connected}
-                        >
-                            {isPushing ? (
-                                <><RefreshCw size={16} className="spinner" /> Pushing...</>
-                            ) : (
-                                <><Send size={16} /> Push All to Tally ({summary.pending})</>
-                            )}
-                        </button>
+                        <div className="flex gap-2">
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => handleExportXML()}
+                                disabled={isPushing || summary.pending === 0}
+                                title="Download a file to load through Tally's Import menu when Tally cannot be reached"
+                            >
+                                <FileCode size={16} /> Export XML
+                            </button>
+                            <button
+                                className="btn btn-success"
+                                onClick={() => handlePushAll()}
+                                disabled={isPushing || summary.pending === 0 || !state.tally.activeCompany}
+                            >
+                                {isPushing ? (
+                                    <><RefreshCw size={16} className="spinner" /> Pushing...</>
+                                ) : (
+                                    <><Send size={16} /> Push All to Tally ({summary.pending})</>
+                                )}
+                            </button>
+                        </div>
                     </div>
 
                     <div className="data-table-container">
@@ -533,7 +930,12 @@ const Purchase = () => {
                                 {entries.map((entry) => (
                                     <tr key={entry.id}>
                                         <td>{formatDate(entry.date)}</td>
-                                        <td>{entry.invoiceNo}</td>
+                                        <td>
+                                            {entry.invoiceNo}
+                                            {entry.voucherType && entry.voucherType !== 'Purchase' && (
+                                                <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>{entry.voucherType}</div>
+                                            )}
+                                        </td>
                                         <td>
                                             <div>{entry.vendor}</div>
                                             {entry.vendorLedger && entry.vendorLedger !== entry.vendor && (
@@ -542,7 +944,12 @@ const Purchase = () => {
                                                 </div>
                                             )}
                                         </td>
-                                        <td>{formatCurrency(entry.amount)}</td>
+                                        <td>
+                                            {formatCurrency(entry.amount)}
+                                            {entry.items?.length > 0 && (
+                                                <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>{entry.items.length} item(s)</div>
+                                            )}
+                                        </td>
                                         <td className="text-success">
                                             +{formatCurrency(entry.gstAmount)}
                                             <span style={{
@@ -559,28 +966,55 @@ const Purchase = () => {
                                                 <span className="badge badge-success">
                                                     <CheckCircle size={12} /> Synced
                                                 </span>
+                                            ) : entry.status === 'modified' ? (
+                                                <span className="badge badge-info">Modified</span>
+                                            ) : entry.status === 'queued' ? (
+                                                <span className="badge badge-warning" title="Waiting in the offline queue for Tally">Queued</span>
+                                            ) : entry.status === 'exported' ? (
+                                                <span className="badge badge-info" title="Exported in a Tally import file">Exported</span>
                                             ) : (
                                                 <span className="badge badge-warning">Pending</span>
                                             )}
                                         </td>
                                         <td>
                                             <div className="flex gap-1">
-                                                {entry.status === 'pending' && (
+                                                <button
+                                                    className="btn btn-ghost btn-sm"
+                                                    onClick={() => handleEdit(entry)}
+                                                    title="Edit"
+                                                >
+                                                    <Edit2 size={14} />
+                                                </button>
+                                                {/* An exported voucher is pushed to confirm it: Tally skips it if the file was imported */}
+                                                {(entry.status === 'pending' || entry.status === 'exported') && (
+                                                    <button
+                                                        className="btn btn-ghost btn-sm"
+                                                        onClick={() => handlePushSingle(entry)}
+                                                        disabled={isPushing || !state.tally.activeCompany}
+                                                        title={entry.status === 'exported' ? 'Check in Tally (pushed if the file was not imported)' : 'Push to Tally'}
+                                                    >
+                                                        <Send size={14} />
+                                                    </button>
+                                                )}
+                                                {isVoucherInTally(entry.tallyVoucher) && (
                                                     <>
                                                         <button
                                                             className="btn btn-ghost btn-sm"
-                                                            onClick={() => handleEdit(entry)}
-                                                            title="Edit"
+                                                            onClick={() => handleAlterInTally(entry)}
+                                                            disabled={isPushing || !state.tally.connected}
+                                                            title="Update in Tally"
+                                                            style={{ color: entry.status === 'modified' ? 'var(--warning-500)' : 'inherit' }}
                                                         >
-                                                            <Edit2 size={14} />
+                                                            <RefreshCw size={14} />
                                                         </button>
                                                         <button
                                                             className="btn btn-ghost btn-sm"
-                                                            onClick={() => handlePushSingle(entry)}
+                                                            onClick={() => handleCancelInTally(entry)}
                                                             disabled={isPushing || !state.tally.connected}
-                                                            title="Push to Tally"
+                                                            title="Cancel in Tally"
+                                                            style={{ color: 'var(--error-500)' }}
                                                         >
-                                                            <Send size={14} />
+                                                            <Ban size={14} />
                                                         </button>
                                                     </>
                                                 )}
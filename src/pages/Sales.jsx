@@ -6,18 +6,28 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useApp } from '../context/AppContext';
 import FileUpload from '../components/common/FileUpload';
+import BooksPeriodPanel from '../components/common/BooksPeriodPanel';
+import InvoiceItemsEditor from '../components/common/InvoiceItemsEditor';
+import NewPartiesPanel from '../components/common/NewPartiesPanel';
 import {
     DollarSign, Plus, Send, Check, X, Edit2, Trash2,
-    RefreshCw, CheckCircle, AlertCircle, Building2, Search
+    RefreshCw, CheckCircle, AlertCircle, Building2, Search, Ban, FileCode
 } from 'lucide-react';
-import { formatCurrency, formatDate } from '../utils/helpers';
-import { pushSalesEntry, batchPushSales } from '../services/tallyService';
+import { formatCurrency, formatDate, downloadFile } from '../utils/helpers';
+import {
+    pushSalesEntry, batchPushSales, deleteVoucherFromTally, isGroupUnder, getGroupNature, getBooksPeriodConflict, createTallyImportFile, getVoucherTypesOf, calculateInvoiceItems, createLedger, isVoucherInTally
+} from '../services/tallyService';
+import { getCachedLedgers } from '../services/tallyCache';
+import { enqueue, isConnectionError, subscribeToDeliveries, subscribeToRemovals, QUEUE_ITEM_TYPES } from '../services/offlineQueue';
+import { TALLY_ERROR_TYPES } from '../services/tallyResponseParser';
 
 const Sales = () => {
     const { state, actions } = useApp();
     const [entries, setEntries] = useState([]);
     const [showAddForm, setShowAddForm] = useState(false);
     const [isPushing, setIsPushing] = useState(false);
+    const [booksPeriodIssue, setBooksPeriodIssue] = useState(null);
+    const [partyReview, setPartyReview] = useState(null);
     const [editingId, setEditingId] = useState(null);
     const [selectedEntries, setSelectedEntries] = useState(new Set());
 
@@ -34,33 +44,34 @@ const Sales = () => {
         description: '',
         gstRate: '18',
         isInterState: false,
-        salesLedger: 'Sales Account'
+        salesLedger: 'Sales Account',
+        costCentre: '',
+        voucherType: 'Sales',
+        items: []
     });
 
     // Get all customer ledgers from Tally
     const allCustomerLedgers = useMemo(() => {
-        return state.tally.ledgers.filter(l =>
-            l.group?.toLowerCase().includes('sundry debtor') ||
-            l.group?.toLowerCase().includes('debtors')
-        );
-    }, [state.tally.ledgers]);
+        return state.tally.ledgers.filter(l => isGroupUnder(l.group, ['Sundry Debtors'], state.tally.groups));
+    }, [state.tally.ledgers, state.tally.groups]);
 
     // Filtered customer ledgers based on search
     const customerLedgers = useMemo(() => {
         if (!customerSearch.trim()) return allCustomerLedgers;
         const search = customerSearch.toLowerCase();
         return allCustomerLedgers.filter(l =>
-            l.name.toLowerCase().includes(search)
+            l.name.toLowerCase().includes(search) ||
+            (l.gstin || '').toLowerCase().includes(search)
         );
     }, [allCustomerLedgers, customerSearch]);
 
+    // Master details of the picked customer ledger
+    const selectedCustomerLedger = allCustomerLedgers.find(l => l.name === formData.customerLedger);
+
     // Get all sales ledgers from Tally
     const allSalesLedgers = useMemo(() => {
-        return state.tally.ledgers.filter(l =>
-            l.group?.toLowerCase().includes('sales') ||
-            l.group?.toLowerCase().includes('income')
-        );
-    }, [state.tally.ledgers]);
+        return state.tally.ledgers.filter(l => getGroupNature(l.group, state.tally.groups) === 'income');
+    }, [state.tally.ledgers, state.tally.groups]);
 
     // Filtered sales ledgers based on search
     const salesLedgers = useMemo(() => {
@@ -79,10 +90,22 @@ const Sales = () => {
         return { total, pending, synced, count: entries.length };
     }, [entries]);
 
+    // Sales voucher types of the company, e.g. [Sales, Sales - Export]
+    const voucherTypeOptions = getVoucherTypesOf('Sales', state.tally.voucherTypes);
+
+    // Item invoices take their value and GST from the item lines
+    const itemTotals = formData.items.length > 0 ? calculateInvoiceItems(formData.items) : null;
+    const formAmount = itemTotals ? itemTotals.amount : parseFloat(formData.amount) || 0;
+    const formGstAmount = itemTotals ? itemTotals.gstAmount : formAmount * ((parseFloat(formData.gstRate) || 0) / 100);
+
     const handleAddEntry = () => {
-        const amount = parseFloat(formData.amount) || 0;
-        const gstRate = parseFloat(formData.gstRate) || 0;
-        const gstAmount = amount * (gstRate / 100);
+        const amount = formAmount;
+        const gstAmount = formGstAmount;
+        // Lines can carry different rates, so an item invoice shows its effective rate
+        const gstRate = itemTotals
+            ? (amount > 0 ? Math.round((gstAmount / amount) * 10000) / 100 : 0)
+            : parseFloat(formData.gstRate) || 0;
+        const costCentre = state.tally.costCentres?.find(c => c.name === formData.costCentre);
 
         const newEntry = {
             id: Date.now(),
@@ -91,13 +114,24 @@ const Sales = () => {
             gstRate,
             gstAmount,
             totalAmount: amount + gstAmount,
+            items: itemTotals ? itemTotals.items : [],
+            costCentre: costCentre ? { category: costCentre.category, name: costCentre.name } : null,
             customerLedger: formData.customerLedger || formData.customer,
             status: 'pending',
             createdAt: new Date().toISOString()
         };
 
         if (editingId) {
-            setEntries(entries.map(e => e.id === editingId ? { ...newEntry, id: editingId } : e));
+            // Keep the Tally voucher identity so a pushed entry can be altered instead of re-created
+            setEntries(entries.map(e => e.id === editingId
+                ? {
+                    ...newEntry,
+                    id: editingId,
+                    tallyVoucher: e.tallyVoucher || null,
+                    status: isVoucherInTally(e.tallyVoucher) ? 'modified' : 'pending'
+                }
+                : e
+            ));
             setEditingId(null);
         } else {
             setEntries([...entries, newEntry]);
@@ -120,7 +154,10 @@ const Sales = () => {
             description: '',
             gstRate: '18',
             isInterState: false,
-            salesLedger: 'Sales Account'
+            salesLedger: 'Sales Account',
+            costCentre: '',
+            voucherType: 'Sales',
+            items: []
         });
         setShowAddForm(false);
         setEditingId(null);
@@ -136,7 +173,10 @@ const Sales = () => {
             description: entry.description,
             gstRate: entry.gstRate?.toString() || '18',
             isInterState: entry.isInterState || false,
-            salesLedger: entry.salesLedger || 'Sales Account'
+            salesLedger: entry.salesLedger || 'Sales Account',
+            costCentre: entry.costCentre?.name || '',
+            voucherType: entry.voucherType || 'Sales',
+            items: entry.items || []
         });
         setEditingId(entry.id);
         setShowAddForm(true);
@@ -147,7 +187,171 @@ const Sales = () => {
         actions.addNotification({ type: 'info', message: 'Entry deleted' });
     };
 
-    const handlePushSingle = async (entry) => {
+    // Entries delivered from the offline queue
+    useEffect(() => {
+        return subscribeToDeliveries((item, result) => {
+            if (item.type !== QUEUE_ITEM_TYPES.SALES_ENTRY) return;
+            setEntries(current => current.map(e =>
+                e.id === item.payload.entry.id
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: result.tallyVoucher || null }
+                    : e
+            ));
+        });
+    }, []);
+
+    // Entries taken out of the offline queue undelivered go back to pending
+    useEffect(() => {
+        return subscribeToRemovals((item) => {
+            if (item.type !== QUEUE_ITEM_TYPES.SALES_ENTRY) return;
+            setEntries(current => current.map(e =>
+                e.id === item.payload.entry.id && e.status === 'queued' ? { ...e, status: 'pending' } : e
+            ));
+        });
+    }, []);
+
+    // Hold entries in the offline queue until Tally is reachable again
+    const queueEntries = async (entriesToQueue) => {
+        try {
+            for (const entry of entriesToQueue) {
+                await enqueue(QUEUE_ITEM_TYPES.SALES_ENTRY, state.tally.activeCompany, { entry, voucherTypes: state.tally.voucherTypes });
+            }
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Could not queue entries: ${error.message}` });
+            return;
+        }
+
+        const queuedIds = new Set(entriesToQueue.map(e => e.id));
+        setEntries(current => current.map(e => queuedIds.has(e.id) ? { ...e, status: 'queued' } : e));
+        actions.addNotification({
+            type: 'warning',
+            title: 'Queued for Tally',
+            message: `Tally is not reachable. ${entriesToQueue.length} sales entries will be pushed when it is back.`
+        });
+    };
+
+    // Entries Tally rejected as outside the company's books period get a fix offered
+    const reviewBooksPeriod = async (rejected) => {
+        if (rejected.length === 0) return false;
+        try {
+            const conflict = await getBooksPeriodConflict(rejected.map(e => e.date), state.tally.activeCompany);
+            setBooksPeriodIssue({ conflict, entries: rejected });
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    // Once the period is fixed, the rejected entries go back into the queue for the chosen company
+    const handleBooksPeriodResolved = async (companyName) => {
+        const rejected = booksPeriodIssue.entries;
+        setBooksPeriodIssue(null);
+        try {
+            for (const entry of rejected) {
+                await enqueue(QUEUE_ITEM_TYPES.SALES_ENTRY, companyName, { entry, voucherTypes: state.tally.voucherTypes });
+            }
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Could not queue entries: ${error.message}` });
+            return;
+        }
+
+        const queuedIds = new Set(rejected.map(e => e.id));
+        setEntries(current => current.map(e => queuedIds.has(e.id) ? { ...e, status: 'queued' } : e));
+        actions.addNotification({
+            type: 'info',
+            title: 'Re-queued for Tally',
+            message: `${rejected.length} sales entries queued for ${companyName} and being pushed again.`
+        });
+        actions.flushTallyQueue();
+    };
+
+    // Customers Tally has no ledger for, to be created under Sundry Debtors before the push
+    const getNewParties = (pushEntries) => {
+        const known = new Set(state.tally.ledgers.map(l => l.name.toLowerCase().trim()));
+        const names = new Map();
+        pushEntries.forEach(e => {
+            const name = (e.customerLedger || e.customer || '').trim();
+            if (name && !known.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+        });
+        return [...names.values()].map(name => ({ name, group: 'Sundry Debtors' }));
+    };
+
+    // Create the new parties with the GST details entered, then carry on with the push;
+    // an export puts the details on the ledgers in the import file instead
+    const handleConfirmParties = async (partyDetails) => {
+        const { parties, entry, forExport } = partyReview;
+        if (forExport) {
+            setPartyReview(null);
+            handleExportXML({ partyDetails });
+            return;
+        }
+
+        setIsPushing(true);
+        try {
+            for (const { name, group } of parties) {
+                await createLedger(name, group, state.tally.activeCompany, partyDetails[name]);
+            }
+            actions.setLedgers(await getCachedLedgers(state.tally.activeCompany));
+        } catch (error) {
+            actions.addNotification({ type: 'error', title: 'Could Not Create Party', message: error.message });
+            return;
+        } finally {
+            setIsPushing(false);
+        }
+
+        setPartyReview(null);
+        if (entry) {
+            await handlePushSingle(entry, { partiesReady: true });
+        } else {
+            await handlePushAll({ partiesReady: true });
+        }
+    };
+
+    const handlePushSingle = async (entry, { partiesReady = false } = {}) => {
+        if (!state.tally.activeCompany) {
+            actions.addNotification({
+                type: 'error',
+                message: 'Please connect to Tally and select a company first'
+            });
+            return;
+        }
+
+        if (!state.tally.connected) {
+            await queueEntries([entry]);
+            return;
+        }
+
+        const newParties = partiesReady ? [] : getNewParties([entry]);
+        if (newParties.length > 0) {
+            setPartyReview({ parties: newParties, entry });
+            return;
+        }
+
+        setIsPushing(true);
+        try {
+            const result = await pushSalesEntry(entry, state.tally.activeCompany, 'Create', { voucherTypes: state.tally.voucherTypes });
+            setEntries(entries.map(e =>
+                e.id === entry.id
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: result.tallyVoucher || null }
+                    : e
+            ));
+            actions.addNotification({
+                type: 'success',
+                message: result.existing ? 'Sales voucher is already in Tally' : 'Sales voucher created in Tally'
+            });
+        } catch (error) {
+            if (isConnectionError(error)) {
+                await queueEntries([entry]);
+            } else if (error.type === TALLY_ERROR_TYPES.BOOKS_PERIOD && await reviewBooksPeriod([entry])) {
+                actions.addNotification({ type: 'warning', title: 'Outside Books Period', message: error.message });
+            } else {
+                actions.addNotification({ type: 'error', message: `Failed: ${error.message}` });
+            }
+        } finally {
+            setIsPushing(false);
+        }
+    };
+
+    const handleAlterInTally = async (entry) => {
         if (!state.tally.connected || !state.tally.activeCompany) {
             actions.addNotification({
                 type: 'error',
@@ -158,26 +362,51 @@ const Sales = () => {
 
         setIsPushing(true);
         try {
-            await pushSalesEntry(entry, state.tally.activeCompany);
+            const result = await pushSalesEntry(entry, state.tally.activeCompany, 'Alter', { voucherTypes: state.tally.voucherTypes });
             setEntries(entries.map(e =>
-                e.id === entry.id ? { ...e, status: 'synced', syncedAt: new Date().toISOString() } : e
+                e.id === entry.id
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: result.tallyVoucher }
+                    : e
             ));
-            actions.addNotification({ type: 'success', message: 'Sales voucher created in Tally' });
+            actions.addNotification({ type: 'success', message: 'Sales voucher updated in Tally' });
         } catch (error) {
-            actions.addNotification({ type: 'error', message: `Failed: ${error.message}` });
+            actions.addNotification({ type: 'error', message: `Update failed: ${error.message}` });
         } finally {
             setIsPushing(false);
         }
     };
 
-    const handlePushAll = async () => {
+    const handleCancelInTally = async (entry) => {
+        if (!state.tally.connected || !state.tally.activeCompany) {
+            actions.addNotification({
+                type: 'error',
+                message: 'Please connect to Tally and select a company first'
+            });
+            return;
+        }
+
+        setIsPushing(true);
+        try {
+            await deleteVoucherFromTally(entry.tallyVoucher, state.tally.activeCompany);
+            setEntries(entries.map(e =>
+                e.id === entry.id ? { ...e, status: 'pending', syncedAt: null, tallyVoucher: null } : e
+            ));
+            actions.addNotification({ type: 'info', message: 'Sales voucher deleted from Tally' });
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: `Cancel failed: ${error.message}` });
+        } finally {
+            setIsPushing(false);
+        }
+    };
+
+    const handlePushAll = async ({ partiesReady = false } = {}) => {
         const pendingEntries = entries.filter(e => e.status === 'pending');
         if (pendingEntries.length === 0) {
             actions.addNotification({ type: 'warning', message: 'No pending entries to push' });
             return;
         }
 
-        if (!state.tally.connected || !state.tally.activeCompany) {
+        if (!state.tally.activeCompany) {
             actions.addNotification({
                 type: 'error',
                 message: 'Please connect to Tally and select a company first'
@@ -185,20 +414,46 @@ const Sales = () => {
             return;
         }
 
+        if (!state.tally.connected) {
+            await queueEntries(pendingEntries);
+            return;
+        }
+
+        const newParties = partiesReady ? [] : getNewParties(pendingEntries);
+        if (newParties.length > 0) {
+            setPartyReview({ parties: newParties, entry: null });
+            return;
+        }
+
         setIsPushing(true);
         try {
-            const result = await batchPushSales(pendingEntries, state.tally.activeCompany);
+            const result = await batchPushSales(pendingEntries, state.tally.activeCompany, { voucherTypes: state.tally.voucherTypes });
 
-            // Update synced entries
-            const syncedIds = new Set(pendingEntries.slice(0, result.success).map(e => e.id));
+            // Update only the entries Tally accepted
+            const pushedVouchers = new Map(result.vouchers.map(v => [v.id, v.tallyVoucher]));
             setEntries(entries.map(e =>
-                syncedIds.has(e.id) ? { ...e, status: 'synced', syncedAt: new Date().toISOString() } : e
+                pushedVouchers.has(e.id)
+                    ? { ...e, status: 'synced', syncedAt: new Date().toISOString(), tallyVoucher: pushedVouchers.get(e.id) || null }
+                    : e
             ));
 
             actions.addNotification({
                 type: result.failed > 0 ? 'warning' : 'success',
                 message: `Pushed ${result.success} of ${pendingEntries.length} entries to Tally`
             });
+
+            // Entries that failed only because Tally went away are retried from the queue
+            const unreachableIds = new Set(
+                result.errors.filter(e => isConnectionError(e.error)).map(e => e.id)
+            );
+            if (unreachableIds.size > 0) {
+                await queueEntries(pendingEntries.filter(e => unreachableIds.has(e.id)));
+            }
+
+            const periodIds = new Set(
+                result.errors.filter(e => e.type === TALLY_ERROR_TYPES.BOOKS_PERIOD).map(e => e.id)
+            );
+            await reviewBooksPeriod(pendingEntries.filter(e => periodIds.has(e.id)));
         } catch (error) {
             actions.addNotification({ type: 'error', message: `Batch push failed: ${error.message}` });
         } finally {
@@ -206,6 +461,61 @@ const Sales = () => {
         }
     };
 
+    /**
+     * Tally import file for clients whose Tally the proxy cannot reach
+     * @param {Object} options - { partyDetails } GST details of the new parties, asked for first when not given
+     */
+    const handleExportXML = ({ partyDetails } = {}) => {
+        const pendingEntries = entries.filter(e => e.status === 'pending');
+        if (pendingEntries.length === 0) {
+            actions.addNotification({ type: 'warning', message: 'No pending entries to export' });
+            return;
+        }
+
+        const newParties = partyDetails ? [] : getNewParties(pendingEntries);
+        if (newParties.length > 0) {
+            setPartyReview({ parties: newParties, entry: null, forExport: true });
+            return;
+        }
+
+        const { xml, ledgers, exported, invalid } = createTallyImportFile(
+            state.tally.activeCompany,
+            { sales: pendingEntries },
+            {
+                ledgers: state.tally.ledgers,
+                ledgerGroups: state.tally.ledgerGroupMappings[state.tally.activeCompany] || {},
+                partyDetails,
+                voucherTypes: state.tally.voucherTypes
+            }
+        );
+
+        if (!xml) {
+            actions.addNotification({
+                type: 'error',
+                message: `No entry could be exported: ${invalid[0]?.error || 'nothing to export'}`
+            });
+            return;
+        }
+
+        downloadFile(xml, `tally_import_sales_${new Date().toISOString().split('T')[0]}`, 'xml');
+
+        // Exported vouchers keep the REMOTEID in the file, so a later push cannot duplicate them
+        const exportedVouchers = new Map(exported.sales.map(v => [v.id, v.tallyVoucher]));
+        setEntries(current => current.map(e =>
+            exportedVouchers.has(e.id)
+                ? { ...e, status: 'exported', tallyVoucher: exportedVouchers.get(e.id) }
+                : e
+        ));
+
+        actions.addNotification({
+            type: invalid.length > 0 ? 'warning' : 'success',
+            title: 'Tally Import File Ready',
+            message: `${exportedVouchers.size} voucher(s) and ${ledgers.length} new ledger(s) exported` +
+                (invalid.length > 0 ? `; ${invalid.length} skipped (${invalid[0].error})` : '') +
+                '. In Tally, use Import > Transactions to load the file.'
+        });
+    };
+
     const toggleSelectAll = () => {
         if (selectedEntries.size === entries.length) {
             setSelectedEntries(new Set());
@@ -286,6 +596,28 @@ const Sales = () => {
                 </div>
             </div>
 
+            {/* Books Period - Shows when Tally rejected entries dated outside the company's books */}
+            {booksPeriodIssue && (
+                <BooksPeriodPanel
+                    conflict={booksPeriodIssue.conflict}
+                    itemLabel="sales entries"
+                    onResolved={handleBooksPeriodResolved}
+                    onClose={() => setBooksPeriodIssue(null)}
+                />
+            )}
+
+            {/* New Parties - GST details of customers the push or import file creates ledgers for */}
+            {partyReview && (
+                <NewPartiesPanel
+                    parties={partyReview.parties}
+                    companyName={state.tally.activeCompany}
+                    isProcessing={isPushing}
+                    forExport={partyReview.forExport}
+                    onConfirm={handleConfirmParties}
+                    onClose={() => setPartyReview(null)}
+                />
+            )}
+
             {/* Add/Edit Form Modal */}
             {showAddForm && (
                 <div className="card mb-6" style={{ border: '2px solid var(--primary-500)' }}>
@@ -351,9 +683,21 @@ const Sales = () => {
                                 >
                                     <option value="">Use customer name as ledger</option>
                                     {customerLedgers.map(l => (
-                                        <option key={l.name} value={l.name}>{l.name}</option>
+                                        <option key={l.name} value={l.name}>
+                                            {l.name}{l.gstin && ` · ${l.gstin}`}
+                                        </option>
                                     ))}
                                 </select>
+                                {selectedCustomerLedger && (
+                                    <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-1)' }}>
+                                        {[
+                                            selectedCustomerLedger.gstin ? `GSTIN ${selectedCustomerLedger.gstin}` : 'Unregistered',
+                                            selectedCustomerLedger.state,
+                                            selectedCustomerLedger.closingBalance !== undefined &&
+                                            `Balance ${formatCurrency(Math.abs(selectedCustomerLedger.closingBalance))} ${selectedCustomerLedger.closingBalance < 0 ? 'Dr' : 'Cr'}`
+                                        ].filter(Boolean).join(' · ')}
+                                    </div>
+                                )}
                                 {customerLedgers.length === 0 && customerSearch && (
                                     <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-1)' }}>
                                         No matching ledgers found
@@ -362,31 +706,35 @@ const Sales = () => {
                             </div>
                         </div>
 
-                        <div className="form-group">
-                            <label className="form-label">Amount (Before GST) *</label>
-                            <input
-                                type="number"
-                                className="form-input"
-                                placeholder="0.00"
-                                value={formData.amount}
-                                onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
-                            />
-                        </div>
+                        {formData.items.length === 0 && (
+                            <>
+                            <div className="form-group">
+                                <label className="form-label">Amount (Before GST) *</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    placeholder="0.00"
+                                    value={formData.amount}
+                                    onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                                />
+                            </div>
 
-                        <div className="form-group">
-                            <label className="form-label">GST Rate</label>
-                            <select
-                                className="form-select"
-                                value={formData.gstRate}
-                                onChange={(e) => setFormData({ ...formData, gstRate: e.target.value })}
-                            >
-                                <option value="0">Exempt (0%)</option>
-                                <option value="5">5%</option>
-                                <option value="12">12%</option>
-                                <option value="18">18%</option>
-                                <option value="28">28%</option>
-                            </select>
-                        </div>
+                            <div className="form-group">
+                                <label className="form-label">GST Rate</label>
+                                <select
+                                    className="form-select"
+                                    value={formData.gstRate}
+                                    onChange={(e) => setFormData({ ...formData, gstRate: e.target.value })}
+                                >
+                                    <option value="0">Exempt (0%)</option>
+                                    <option value="5">5%</option>
+                                    <option value="12">12%</option>
+                                    <option value="18">18%</option>
+                                    <option value="28">28%</option>
+                                </select>
+                            </div>
+                            </>
+                        )}
 
                         <div className="form-group">
                             <label className="form-label">Sales Account (Tally)</label>
@@ -426,6 +774,37 @@ const Sales = () => {
                             </label>
                         </div>
 
+                        {voucherTypeOptions.length > 1 && (
+                            <div className="form-group">
+                                <label className="form-label">Voucher Type</label>
+                                <select
+                                    className="form-select"
+                                    value={formData.voucherType}
+                                    onChange={(e) => setFormData({ ...formData, voucherType: e.target.value })}
+                                >
+                                    {voucherTypeOptions.map(name => (
+                                        <option key={name} value={name}>{name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        {state.tally.costCentres?.length > 0 && (
+                            <div className="form-group">
+                                <label className="form-label">Cost Centre</label>
+                                <select
+                                    className="form-select"
+                                    value={formData.costCentre}
+                                    onChange={(e) => setFormData({ ...formData, costCentre: e.target.value })}
+                                >
+                                    <option value="">No cost centre</option>
+                                    {state.tally.costCentres.map(c => (
+                                        <option key={`${c.category}|${c.name}`} value={c.name}>{c.name} ({c.category})</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         <div className="form-group" style={{ gridColumn: 'span 2' }}>
                             <label className="form-label">Description</label>
                             <input
@@ -436,10 +815,18 @@ const Sales = () => {
                                 onChange={(e) => setFormData({ ...formData, description: e.target.value })}
                             />
                         </div>
+
+                        {(state.tally.inventory?.stockItems?.length > 0 || formData.items.length > 0) && (
+                            <InvoiceItemsEditor
+                                items={formData.items}
+                                inventory={state.tally.inventory}
+                                onChange={(items) => setFormData({ ...formData, items })}
+                            />
+                        )}
                     </div>
 
                     {/* Amount Preview */}
-                    {formData.amount && (
+                    {formAmount > 0 && (
                         <div style={{
                             padding: 'var(--space-4)',
                             background: 'var(--bg-glass)',
@@ -447,16 +834,16 @@ const Sales = () => {
                         }}>
                             <div className="flex items-center justify-between" style={{ fontSize: 'var(--text-sm)' }}>
                                 <span>Base Amount:</span>
-                                <span>{formatCurrency(parseFloat(formData.amount) || 0)}</span>
+                                <span>{formatCurrency(formAmount)}</span>
                             </div>
                             <div className="flex items-center justify-between" style={{ fontSize: 'var(--text-sm)' }}>
-                                <span>GST ({formData.gstRate}%):</span>
-                                <span>{formatCurrency((parseFloat(formData.amount) || 0) * (parseFloat(formData.gstRate) / 100))}</span>
+                                <span>GST{itemTotals ? '' : ` (${formData.gstRate}%)`}:</span>
+                                <span>{formatCurrency(formGstAmount)}</span>
                             </div>
                             <div className="flex items-center justify-between" style={{ fontSize: 'var(--text-md)', fontWeight: 600 }}>
                                 <span>Total:</span>
                                 <span className="text-success">
-                                    {formatCurrency((parseFloat(formData.amount) || 0) * (1 + parseFloat(formData.gstRate) / 100))}
+                                    {formatCurrency(formAmount + formGstAmount)}
                                 </span>
                             </div>
                         </div>
@@ -469,7 +856,7 @@ const Sales = () => {
                         <button
                             className="btn btn-primary"
                             onClick={handleAddEntry}
-                            disabled={!formData.customer || !formData.amount || !formData.invoiceNo}
+                            disabled={!formData.customer || !(formAmount > 0) || !formData.invoiceNo || formData.items.some(item => !item.stockItem)}
                         >
                             <Check size={16} /> {editingId ? 'Update Entry' : 'Add Entry'}
                         </button>
@@ -482,17 +869,27 @@ const Sales = () => {
                 <div className="card">
                     <div className="card-header">
                         <h3 className="card-title">Sales Entries ({entries.length})</h3>
-                        <button
-                            className="btn btn-success"
-                            onClick={handlePushAll}
-                            disabled={isPushing || summary.pending === 0 || !state.tally.connected}
-                        >
-                            {isPushing ? (
-                                <><RefreshCw size={16} className="spinner" /> Pushing...</>
-                            ) : (
-                                <><Send size={16} /> Push All to Tally ({summary.pending})</>
-                            )}
-                        </button>
+                        <div className="flex gap-2">
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => handleExportXML()}
+                                disabled={isPushing || summary.pending === 0}
+                                title="Download a file to load through Tally's Import menu when Tally cannot be reached"
+                            >
+                                <FileCode size={16} /> Export XML
+                            </button>
+                            <button
+                                className="btn btn-success"
+                                onClick={() => handlePushAll()}
+                                disabled={isPushing || summary.pending === 0 || !state.tally.activeCompany}
+                            >
+                                {isPushing ? (
+                                    <><RefreshCw size={16} className="spinner" /> Pushing...</>
+                                ) : (
+                                    <><Send size={16} /> Push All to Tally ({summary.pending})</>
+                                )}
+                            </button>
+                        </div>
                     </div>
 
                     <div className="data-table-container">
@@ -513,7 +910,12 @@ const Sales = () => {
                                 {entries.map((entry) => (
                                     <tr key={entry.id}>
                                         <td>{formatDate(entry.date)}</td>
-                                        <td>{entry.invoiceNo}</td>
+                                        <td>
+                                            {entry.invoiceNo}
+                                            {entry.voucherType && entry.voucherType !== 'Sales' && (
+                                                <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>{entry.voucherType}</div>
+                                            )}
+                                        </td>
                                         <td>
                                             <div>{entry.customer}</div>
                                             {entry.customerLedger && entry.customerLedger !== entry.customer && (
@@ -522,7 +924,12 @@ const Sales = () => {
                                                 </div>
                                             )}
                                         </td>
-                                        <td>{formatCurrency(entry.amount)}</td>
+                                        <td>
+                                            {formatCurrency(entry.amount)}
+                                            {entry.items?.length > 0 && (
+                                                <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>{entry.items.length} item(s)</div>
+                                            )}
+                                        </td>
                                         <td>
                                             {formatCurrency(entry.gstAmount)}
                                             <span style={{
@@ -539,28 +946,55 @@ const Sales = () => {
                                                 <span className="badge badge-success">
                                                     <CheckCircle size={12} /> Synced
                                                 </span>
+                                            ) : entry.status === 'modified' ? (
+                                                <span className="badge badge-info">Modified</span>
+                                            ) : entry.status === 'queued' ? (
+                                                <span className="badge badge-warning" title="Waiting in the offline queue for Tally">Queued</span>
+                                            ) : entry.status === 'exported' ? (
+                                                <span className="badge badge-info" title="Exported in a Tally import file">Exported</span>
                                             ) : (
                                                 <span className="badge badge-warning">Pending</span>
                                             )}
                                         </td>
                                         <td>
                                             <div className="flex gap-1">
-                                                {entry.status === 'pending' && (
+                                                <button
+                                                    className="btn btn-ghost btn-sm"
+                                                    onClick={() => handleEdit(entry)}
+                                                    title="Edit"
+                                                >
+                                                    <Edit2 size={14} />
+                                                </button>
+                                                {/* An exported voucher is pushed to confirm it: Tally skips it if the file was imported */}
+                                                {(entry.status === 'pending' || entry.status === 'exported') && (
+                                                    <button
+                                                        className="btn btn-ghost btn-sm"
+                                                        onClick={() => handlePushSingle(entry)}
+                                                        disabled={isPushing || !state.tally.activeCompany}
+                                                        title={entry.status === 'exported' ? 'Check in Tally (pushed if the file was not imported)' : 'Push to Tally'}
+                                                    >
+                                                        <Send size={14} />
+                                                    </button>
+                                                )}
+                                                {isVoucherInTally(entry.tallyVoucher) && (
                                                     <>
                                                         <button
                                                             className="btn btn-ghost btn-sm"
-                                                            onClick={() => handleEdit(entry)}
-                                                            title="Edit"
+                                                            onClick={() => handleAlterInTally(entry)}
+                                                            disabled={isPushing || !state.tally.connected}
+                                                            title="Update in Tally"
+                                                            style={{ color: entry.status === 'modified' ? 'var(--warning-500)' : 'inherit' }}
                                                         >
-                                                            <Edit2 size={14} />
+                                                            <RefreshCw size={14} />
                                                         </button>
                                                         <button
                                                             className="btn btn-ghost btn-sm"
-                                                            onClick={() => handlePushSingle(entry)}
+                                                            onClick={() => handleCancelInTally(entry)}
                                                             disabled={isPushing || !state.tally.connected}
-                                                            title="Push to Tally"
+                                                            title="Cancel in Tally"
+                                                            style={{ color: 'var(--error-500)' }}
                                                         >
-                                                            <Send size={14} />
+                                                            <Ban size={14} />
                                                         </button>
                                                     </>
                                                 )}
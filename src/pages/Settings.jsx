@@ -5,6 +5,7 @@
 import { useState } from 'react';
 import { Settings as SettingsIcon, Key, Bell, Palette, Shield, Save } from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import LedgerGroupMapping from '../components/settings/LedgerGroupMapping';
 
 const Settings = () => {
     const { actions } = useApp();
@@ -120,6 +121,8 @@ const Settings = () => {
                 </div>
             </div>
 
+            <LedgerGroupMapping />
+
             <div className="flex justify-end mt-6">
                 <button className="btn btn-primary" onClick={handleSave}>
                     <Save size={18} />
@@ -0,0 +1,316 @@
+/**
+ * AI Tally Sync - Sync History Page
+ * Audit log of every push to Tally: who posted what and when, Tally's answer,
+ * the voucher id and status, with retry for failed pushes
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
+import { History, RefreshCw, Search, RotateCcw, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { getSyncRecords } from '../services/dataService';
+import { retrySyncRecord } from '../services/syncAuditService';
+import { SYNC_RECORD_KINDS } from '../utils/constants';
+import { formatCurrency } from '../utils/helpers';
+
+const STATUS_BADGES = {
+    success: { className: 'badge badge-success', label: 'Success', icon: CheckCircle },
+    existing: { className: 'badge badge-info', label: 'Already in Tally', icon: CheckCircle },
+    failed: { className: 'badge badge-error', label: 'Failed', icon: XCircle }
+};
+
+// Short form of Tally's response counters for the table
+const describeResponse = (response) => {
+    if (!response) return '-';
+    const parts = ['created', 'altered', 'deleted', 'ignored', 'errors']
+        .filter(key => response[key] > 0)
+        .map(key => `${response[key]} ${key}`);
+    return parts.length > 0 ? parts.join(', ') : 'No changes';
+};
+
+const SyncHistory = () => {
+    const { state, actions } = useApp();
+    const { user } = useAuth();
+    const [records, setRecords] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [retryingIds, setRetryingIds] = useState(new Set());
+    const [searchTerm, setSearchTerm] = useState('');
+    const [filters, setFilters] = useState({ kind: '', status: '', startDate: '', endDate: '' });
+
+    const loadRecords = useCallback(async () => {
+        setIsLoading(true);
+        const { data, error } = await getSyncRecords(filters);
+        setLoadError(error ? error.message || 'Could not load sync history' : null);
+        setRecords(data);
+        setIsLoading(false);
+    }, [filters]);
+
+    useEffect(() => {
+        if (user) {
+            loadRecords();
+        }
+    }, [user, loadRecords]);
+
+    const filteredRecords = useMemo(() => {
+        const term = searchTerm.trim().toLowerCase();
+        if (!term) return records;
+        return records.filter(r => [r.reference, r.description, r.company, r.voucher_id, r.remote_id, r.request_hash, r.error, r.pushed_by]
+            .some(value => String(value ?? '').toLowerCase().includes(term)));
+    }, [records, searchTerm]);
+
+    const retryable = filteredRecords.filter(r => r.status === 'failed' && !r.retried_at);
+
+    const retryRecord = async (record) => {
+        setRetryingIds(current => new Set(current).add(record.id));
+        try {
+            const result = await retrySyncRecord(record);
+
+            // Bring the bank transaction on screen in line with Tally
+            const transactionId = record.payload?.transaction?.id;
+            if (record.kind === 'bank' && result?.tallyVoucher && state.banking.transactions.some(t => t.id === transactionId)) {
+                actions.updateTransaction(transactionId, {
+                    syncedToTally: true,
+                    queuedForTally: false,
+                    status: 'synced',
+                    tallyVoucher: result.tallyVoucher
+                });
+            }
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        } finally {
+            setRetryingIds(current => {
+                const next = new Set(current);
+                next.delete(record.id);
+                return next;
+            });
+        }
+    };
+
+    const handleRetry = async (record) => {
+        const { ok, error } = await retryRecord(record);
+        actions.addNotification(ok
+            ? { type: 'success', message: `${SYNC_RECORD_KINDS[record.kind] || record.kind} ${record.reference || ''} posted to Tally` }
+            : { type: 'error', message: `Retry failed: ${error}` });
+        loadRecords();
+    };
+
+    const handleRetryAll = async () => {
+        let succeeded = 0;
+        for (const record of retryable) {
+            const { ok } = await retryRecord(record);
+            if (ok) succeeded++;
+        }
+        actions.addNotification({
+            type: succeeded === retryable.length ? 'success' : 'warning',
+            title: 'Retry Complete',
+            message: `${succeeded} of ${retryable.length} failed pushes posted to Tally`
+        });
+        loadRecords();
+    };
+
+    if (!user) {
+        return (
+            <div className="card text-center" style={{ padding: 'var(--space-8)' }}>
+                <AlertCircle size={32} style={{ color: 'var(--warning-500)', marginBottom: 'var(--space-3)' }} />
+                <p className="text-secondary">Sign in to see the sync history.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="animate-slideUp">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <h2 className="flex items-center gap-2 mb-2">
+                        <History size={24} />
+                        Sync History
+                    </h2>
+                    <p className="text-secondary" style={{ marginBottom: 0 }}>
+                        Every voucher, ledger and company pushed to Tally, with Tally&apos;s response
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <button className="btn btn-secondary" onClick={loadRecords} disabled={isLoading}>
+                        <RefreshCw size={16} className={isLoading ? 'spinner' : ''} />
+                        Refresh
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleRetryAll}
+                        disabled={retryable.length === 0 || retryingIds.size > 0 || !state.tally.connected}
+                        title={state.tally.connected ? '' : 'Connect to Tally to retry'}
+                    >
+                        <RotateCcw size={16} />
+                        Retry Failed ({retryable.length})
+                    </button>
+                </div>
+            </div>
+
+            {/* Filters */}
+            <div className="card mb-6">
+                <div className="flex items-center gap-4 flex-wrap" style={{ padding: 'var(--space-4)' }}>
+                    <div style={{ flex: 1, minWidth: '220px' }}>
+                        <label className="form-label">Search</label>
+                        <div className="relative">
+                            <Search size={16} style={{
+                                position: 'absolute',
+                                left: '12px',
+                                top: '50%',
+                                transform: 'translateY(-50%)',
+                                color: 'var(--text-muted)'
+                            }} />
+                            <input
+                                type="text"
+                                className="form-input"
+                                placeholder="Reference, narration, voucher id, hash, user..."
+                                value={searchTerm}
+                                onChange={(e) => setSearchTerm(e.target.value)}
+                                style={{ paddingLeft: '36px' }}
+                            />
+                        </div>
+                    </div>
+                    <div style={{ minWidth: '160px' }}>
+                        <label className="form-label">Type</label>
+                        <select
+                            className="form-select"
+                            value={filters.kind}
+                            onChange={(e) => setFilters({ ...filters, kind: e.target.value })}
+                        >
+                            <option value="">All types</option>
+                            {Object.entries(SYNC_RECORD_KINDS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div style={{ minWidth: '160px' }}>
+                        <label className="form-label">Status</label>
+                        <select
+                            className="form-select"
+                            value={filters.status}
+                            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                        >
+                            <option value="">All statuses</option>
+                            {Object.entries(STATUS_BADGES).map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="form-label">From</label>
+                        <input
+                            type="date"
+                            className="form-input"
+                            value={filters.startDate}
+                            onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+                        />
+                    </div>
+                    <div>
+                        <label className="form-label">To</label>
+                        <input
+                            type="date"
+                            className="form-input"
+                            value={filters.endDate}
+                            onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+                        />
+                    </div>
+                </div>
+            </div>
+
+            {/* Records */}
+            <div className="card">
+                <div className="card-header">
+                    <h3 className="card-title">Pushes ({filteredRecords.length})</h3>
+                </div>
+
+                {filteredRecords.length === 0 ? (
+                    <p className="text-muted text-center" style={{ padding: 'var(--space-8)' }}>
+                        {isLoading ? 'Loading sync history...' : loadError || 'No pushes match these filters'}
+                    </p>
+                ) : (
+                    <div className="data-table-container">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>When</th>
+                                    <th>Type</th>
+                                    <th>Entry</th>
+                                    <th>Company</th>
+                                    <th>Amount</th>
+                                    <th>Tally Response</th>
+                                    <th>Voucher ID</th>
+                                    <th>Status</th>
+                                    <th>Pushed By</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredRecords.map(record => {
+                                    const badge = STATUS_BADGES[record.status] || STATUS_BADGES.failed;
+                                    const BadgeIcon = badge.icon;
+                                    return (
+                                        <tr key={record.id}>
+                                            <td style={{ whiteSpace: 'nowrap' }}>
+                                                {new Date(record.pushed_at || record.created_at).toLocaleString('en-IN')}
+                                            </td>
+                                            <td>
+                                                {SYNC_RECORD_KINDS[record.kind] || record.kind}
+                                                <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>{record.action}</div>
+                                            </td>
+                                            <td style={{ maxWidth: '240px' }}>
+                                                <div className="truncate">{record.description || '-'}</div>
+                                                {record.reference && (
+                                                    <div className="truncate" style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>
+                                                        {record.reference}
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td>{record.company || '-'}</td>
+                                            <td>{record.amount ? formatCurrency(record.amount) : '-'}</td>
+                                            <td style={{ fontSize: 'var(--text-xs)' }}>
+                                                <div title={record.request_hash ? `Request SHA-256: ${record.request_hash}` : ''}>
+                                                    {describeResponse(record.response)}
+                                                </div>
+                                                {record.error && (
+                                                    <div style={{ color: 'var(--error-500)' }}>{record.error}</div>
+                                                )}
+                                            </td>
+                                            <td style={{ fontSize: 'var(--text-xs)' }} title={record.remote_id || ''}>
+                                                {record.voucher_id || '-'}
+                                            </td>
+                                            <td>
+                                                <span className={badge.className}>
+                                                    <BadgeIcon size={12} /> {badge.label}
+                                                </span>
+                                                {record.retried_at && (
+                                                    <div style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)' }}>Retried</div>
+                                                )}
+                                            </td>
+                                            <td style={{ fontSize: 'var(--text-xs)' }}>{record.pushed_by}</td>
+                                            <td>
+                                                {record.status === 'failed' && !record.retried_at && (
+                                                    <button
+                                                        className="btn btn-ghost btn-icon btn-sm"
+                                                        onClick={() => handleRetry(record)}
+                                                        disabled={retryingIds.has(record.id) || !state.tally.connected}
+                                                        title="Retry in Tally"
+                                                    >
+                                                        <RotateCcw size={14} className={retryingIds.has(record.id) ? 'spinner' : ''} />
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SyncHistory;
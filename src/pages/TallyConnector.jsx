@@ -7,6 +7,8 @@ import { useState, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import PlanGate from '../components/common/PlanGate';
+import LedgerImportPanel from '../components/settings/LedgerImportPanel';
+import PartyGstFields from '../components/common/PartyGstFields';
 import {
     Link2,
     RefreshCw,
@@ -21,10 +23,30 @@ import {
     FileUp,
     Plus,
     Layers,
-    Zap
+    Zap,
+    Save,
+    Trash2,
+    Clock,
+    Database,
+    FileSpreadsheet
 } from 'lucide-react';
-import { checkConnection, getCompanies, getLedgers, setMockMode, createLedger, ensureBasicLedgers, createCompany, fullSync, getVouchers } from '../services/tallyService';
-import { downloadFile, convertToCSV } from '../utils/helpers';
+import { checkConnection, getCompanies, setMockMode, createLedger, getPartyGstIssue, ensureBasicLedgers, createCompany, fullSync, getVouchers, setTallyEndpoint, getTallyEndpoint, DEFAULT_TALLY_ENDPOINT } from '../services/tallyService';
+import { drainQueue, removeQueueItem, subscribeToQueue, describeQueueItem } from '../services/offlineQueue';
+import { getCachedCompany, getCachedLedgers, refreshCompanyCache, subscribeToCache } from '../services/tallyCache';
+import { downloadFile, convertToCSV, generateId } from '../utils/helpers';
+import { PARTY_LEDGER_GROUPS } from '../utils/constants';
+
+// Connection form values for a saved connection, or the endpoint currently in use
+const toConnectionForm = (connection) => {
+    const endpoint = connection || getTallyEndpoint();
+    return {
+        id: connection?.id || null,
+        name: connection?.name || '',
+        host: endpoint.host,
+        port: String(endpoint.port),
+        proxyPort: String(endpoint.proxyPort || DEFAULT_TALLY_ENDPOINT.proxyPort)
+    };
+};
 
 const TallyConnector = () => {
     const { state, actions } = useApp();
@@ -34,15 +56,16 @@ const TallyConnector = () => {
     const [isExporting, setIsExporting] = useState(false);
     const [isCreatingLedger, setIsCreatingLedger] = useState(false);
     const [showLedgerForm, setShowLedgerForm] = useState(false);
+    const [showLedgerImport, setShowLedgerImport] = useState(false);
     const [connectionError, setConnectionError] = useState(null);
-    const [config, setConfig] = useState({
-        host: 'localhost',
-        port: '9000',
+    const [config, setConfig] = useState(() => ({
+        ...toConnectionForm(state.tally.connections.find(c => c.id === state.tally.activeConnectionId)),
         mockMode: false
-    });
+    }));
     const [newLedger, setNewLedger] = useState({
         name: '',
-        group: 'Indirect Expenses'
+        group: 'Indirect Expenses',
+        gst: {}
     });
 
     // Company creation state
@@ -62,18 +85,91 @@ const TallyConnector = () => {
     const [isSyncing, setIsSyncing] = useState(false);
     const [syncResult, setSyncResult] = useState(null);
 
+    // Offline queue state
+    const [queueItems, setQueueItems] = useState([]);
+    const [isDrainingQueue, setIsDrainingQueue] = useState(false);
+
     useEffect(() => {
         if (state.tally.connected) {
             loadCompanies();
         }
     }, [state.tally.connected]);
 
+    useEffect(() => subscribeToQueue(setQueueItems), []);
+
+    // Cache of the active company's masters and vouchers
+    const [cacheRecord, setCacheRecord] = useState(null);
+    const [isRefreshingCache, setIsRefreshingCache] = useState(false);
+
+    useEffect(() => {
+        const companyName = state.tally.activeCompany;
+        setCacheRecord(null);
+        if (!companyName) return undefined;
+
+        getCachedCompany(companyName).then(setCacheRecord).catch(() => setCacheRecord(null));
+        return subscribeToCache(record => {
+            if (record.companyName === companyName) {
+                setCacheRecord(record);
+            }
+        });
+    }, [state.tally.activeCompany]);
+
+    const handleRefreshCache = async () => {
+        setIsRefreshingCache(true);
+        try {
+            const { record } = await refreshCompanyCache(state.tally.activeCompany, { force: true });
+            actions.setLedgers(record.ledgers);
+            actions.refreshGroups(state.tally.activeCompany);
+            actions.addNotification({
+                type: 'success',
+                message: `Reloaded ${record.ledgers.length} ledgers, ${record.groups.length} groups and ${record.vouchers.length} vouchers from Tally`
+            });
+        } catch (error) {
+            actions.addNotification({ type: 'error', message: 'Cache refresh failed: ' + error.message });
+        } finally {
+            setIsRefreshingCache(false);
+        }
+    };
+
+    const handleRetryQueue = async () => {
+        setIsDrainingQueue(true);
+        try {
+            const { delivered, failed, abandoned } = await drainQueue();
+            if (delivered > 0) {
+                actions.addNotification({
+                    type: failed > 0 ? 'warning' : 'success',
+                    message: `${delivered} queued item(s) pushed to Tally${failed > 0 ? `, ${failed} still waiting` : ''}`
+                });
+            } else if (failed > 0) {
+                actions.addNotification({ type: 'warning', message: 'Queued items could not be sent yet. See the last error on each item.' });
+            }
+            if (abandoned > 0) {
+                actions.addNotification({
+                    type: 'error',
+                    message: `Tally kept refusing ${abandoned} queued item(s). They were taken out of the queue; retry them from Sync History.`
+                });
+            }
+        } finally {
+            setIsDrainingQueue(false);
+        }
+    };
+
+    const handleRemoveQueueItem = async (item) => {
+        // Listeners in AppContext and the Sales/Purchase pages let the removed writes be pushed again
+        await removeQueueItem(item.id);
+        actions.addNotification({ type: 'info', message: 'Removed from the Tally queue' });
+    };
+
     const handleTestConnection = async () => {
         setIsChecking(true);
         setConnectionError(null);
 
         try {
             setMockMode(config.mockMode);
+            setTallyEndpoint(config);
+            if (config.id && state.tally.activeConnectionId !== config.id) {
+                actions.saveTallyConnections(state.tally.connections, config.id);
+            }
             const result = await checkConnection();
 
             if (result.connected) {
@@ -114,9 +210,18 @@ const TallyConnector = () => {
             await setCompanyCount(companies.length);
 
             if (companies.length > 0) {
-                actions.setActiveCompany(companies[0].name);
-                const ledgers = await getLedgers(companies[0].name);
+                // Keep the company already chosen for this connection when Tally still has it
+                const activeConnection = state.tally.connections.find(c => c.id === state.tally.activeConnectionId);
+                const preferred = state.tally.activeCompany || activeConnection?.companyName;
+                const company = companies.find(c => c.name === preferred) || companies[0];
+
+                actions.setActiveCompany(company.name);
+                const ledgers = await getCachedLedgers(company.name);
                 actions.setLedgers(ledgers);
+                actions.refreshGroups(company.name);
+                actions.refreshCostCentres(company.name);
+                actions.refreshVoucherTypes(company.name);
+                actions.refreshInventory(company.name);
             }
         } catch (error) {
             console.error('Failed to load companies:', error);
@@ -125,8 +230,76 @@ const TallyConnector = () => {
 
     const handleCompanyChange = async (companyName) => {
         actions.setActiveCompany(companyName);
-        const ledgers = await getLedgers(companyName);
+        actions.setConnectionCompany(companyName);
+        const ledgers = await getCachedLedgers(companyName);
         actions.setLedgers(ledgers);
+        actions.refreshGroups(companyName);
+        actions.refreshCostCentres(companyName);
+        actions.refreshVoucherTypes(companyName);
+        actions.refreshInventory(companyName);
+    };
+
+    const handleSelectConnection = (connectionId) => {
+        const connection = state.tally.connections.find(c => c.id === connectionId);
+        setConfig({ ...toConnectionForm(connection), mockMode: config.mockMode });
+        setConnectionError(null);
+    };
+
+    // Save the form as a named connection and switch to it
+    const handleSaveConnection = async () => {
+        if (!config.name.trim() || !config.host.trim() || !config.port.trim()) {
+            actions.addNotification({ type: 'warning', message: 'Enter a name, host and port for the connection' });
+            return;
+        }
+
+        const existing = state.tally.connections.find(c => c.id === config.id);
+        const connection = {
+            id: config.id || generateId(),
+            name: config.name.trim(),
+            host: config.host.trim(),
+            port: config.port.trim(),
+            proxyPort: config.proxyPort.trim() || DEFAULT_TALLY_ENDPOINT.proxyPort,
+            companyName: existing?.companyName || null
+        };
+        const connections = existing
+            ? state.tally.connections.map(c => c.id === connection.id ? connection : c)
+            : [...state.tally.connections, connection];
+
+        setIsChecking(true);
+        setConnectionError(null);
+        setConfig({ ...config, id: connection.id });
+
+        try {
+            setMockMode(config.mockMode);
+            await actions.saveTallyConnections(connections, connection.id);
+            const result = await actions.switchTallyConnection(connection.id, connections);
+
+            if (result.connected) {
+                actions.addNotification({
+                    type: 'success',
+                    title: 'Connection Saved',
+                    message: `Connected to Tally on ${connection.name}`
+                });
+            } else {
+                setConnectionError(result.error || 'Failed to connect to Tally');
+                actions.addNotification({
+                    type: 'warning',
+                    title: 'Connection Saved',
+                    message: `${connection.name} is saved but Tally did not respond`
+                });
+            }
+        } finally {
+            setIsChecking(false);
+        }
+    };
+
+    const handleDeleteConnection = async () => {
+        const connection = state.tally.connections.find(c => c.id === config.id);
+        if (!connection) return;
+
+        await actions.saveTallyConnections(state.tally.connections.filter(c => c.id !== connection.id));
+        setConfig({ ...toConnectionForm(null), mockMode: config.mockMode });
+        actions.addNotification({ type: 'info', message: `Removed connection "${connection.name}"` });
     };
 
     // Create a new company in Tally
@@ -146,8 +319,9 @@ const TallyConnector = () => {
 
             // Select the new company
             actions.setActiveCompany(newCompany.name);
-            const ledgers = await getLedgers(newCompany.name);
+            const ledgers = await getCachedLedgers(newCompany.name);
             actions.setLedgers(ledgers);
+            actions.refreshGroups(newCompany.name);
 
             actions.addNotification({
                 type: 'success',
@@ -185,16 +359,17 @@ const TallyConnector = () => {
             });
 
             // Refresh ledgers after sync
-            const ledgers = await getLedgers(state.tally.activeCompany);
+            const ledgers = await getCachedLedgers(state.tally.activeCompany);
             actions.setLedgers(ledgers);
 
-            // Update transactions as synced
-            if (result.vouchers.created > 0) {
-                const updatedTransactions = state.banking.transactions.map(t => ({
-                    ...t,
-                    syncedToTally: true,
-                    status: 'synced'
-                }));
+            // Mark transactions that are now in Tally (created or already there) as synced
+            if (result.vouchers.pushed.length > 0) {
+                const pushedVouchers = new Map(result.vouchers.pushed.map(v => [v.transactionId, v.tallyVoucher]));
+                const updatedTransactions = state.banking.transactions.map(t =>
+                    pushedVouchers.has(t.id)
+                        ? { ...t, syncedToTally: true, status: 'synced', tallyVoucher: pushedVouchers.get(t.id) || null }
+                        : t
+                );
                 actions.setTransactions(updatedTransactions);
             }
 
@@ -203,7 +378,7 @@ const TallyConnector = () => {
             actions.addNotification({
                 type: result.success ? 'success' : 'warning',
                 title: 'Sync Complete',
-                message: `Ledgers: ${result.ledgers.fetched} | Vouchers created: ${result.vouchers.created}`
+                message: `Ledgers: ${result.ledgers.fetched} | Vouchers created: ${result.vouchers.created} | Already in Tally: ${result.vouchers.existing}`
             });
         } catch (error) {
             actions.addNotification({
@@ -215,6 +390,10 @@ const TallyConnector = () => {
         }
     };
 
+    // Customers and suppliers are created with their GST registration details
+    const isPartyLedger = PARTY_LEDGER_GROUPS.includes(newLedger.group);
+    const partyGstIssue = isPartyLedger ? getPartyGstIssue(newLedger.gst) : null;
+
     // Create a single ledger in Tally
     const handleCreateLedger = async () => {
         if (!newLedger.name.trim()) {
@@ -227,10 +406,10 @@ const TallyConnector = () => {
 
         setIsCreatingLedger(true);
         try {
-            await createLedger(newLedger.name, newLedger.group, state.tally.activeCompany);
+            await createLedger(newLedger.name, newLedger.group, state.tally.activeCompany, isPartyLedger ? newLedger.gst : {});
 
             // Refresh ledgers
-            const ledgers = await getLedgers(state.tally.activeCompany);
+            const ledgers = await getCachedLedgers(state.tally.activeCompany);
             actions.setLedgers(ledgers);
 
             actions.addNotification({
@@ -240,7 +419,7 @@ const TallyConnector = () => {
             });
 
             // Reset form
-            setNewLedger({ name: '', group: 'Indirect Expenses' });
+            setNewLedger({ name: '', group: 'Indirect Expenses', gst: {} });
             setShowLedgerForm(false);
         } catch (error) {
             actions.addNotification({
@@ -259,7 +438,7 @@ const TallyConnector = () => {
             const result = await ensureBasicLedgers(state.tally.activeCompany);
 
             // Refresh ledgers
-            const ledgers = await getLedgers(state.tally.activeCompany);
+            const ledgers = await getCachedLedgers(state.tally.activeCompany);
             actions.setLedgers(ledgers);
 
             actions.addNotification({
@@ -306,7 +485,7 @@ const TallyConnector = () => {
             actions.setCompanies(companies);
 
             if (state.tally.activeCompany) {
-                const ledgers = await getLedgers(state.tally.activeCompany);
+                const ledgers = await getCachedLedgers(state.tally.activeCompany);
                 actions.setLedgers(ledgers);
             }
 
@@ -382,7 +561,7 @@ const TallyConnector = () => {
     const handleRefreshLedgers = async () => {
         if (state.tally.activeCompany) {
             try {
-                const ledgers = await getLedgers(state.tally.activeCompany);
+                const ledgers = await getCachedLedgers(state.tally.activeCompany);
                 actions.setLedgers(ledgers);
                 actions.addNotification({
                     type: 'success',
@@ -430,6 +609,35 @@ const TallyConnector = () => {
                         </h3>
                     </div>
 
+                    {state.tally.connections.length > 0 && (
+                        <div className="form-group">
+                            <label className="form-label">Saved Connection</label>
+                            <select
+                                className="form-select"
+                                value={config.id || ''}
+                                onChange={(e) => handleSelectConnection(e.target.value)}
+                            >
+                                <option value="">New connection</option>
+                                {state.tally.connections.map(c => (
+                                    <option key={c.id} value={c.id}>
+                                        {c.name} ({c.host}:{c.port})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <div className="form-group">
+                        <label className="form-label">Connection Name</label>
+                        <input
+                            type="text"
+                            className="form-input"
+                            value={config.name}
+                            onChange={(e) => setConfig({ ...config, name: e.target.value })}
+                            placeholder="e.g. Sharma Traders - Office PC"
+                        />
+                    </div>
+
                     <div className="form-group">
                         <label className="form-label">Tally Host</label>
                         <input
@@ -452,6 +660,20 @@ const TallyConnector = () => {
                         />
                     </div>
 
+                    <div className="form-group">
+                        <label className="form-label">Proxy Port</label>
+                        <input
+                            type="text"
+                            className="form-input"
+                            value={config.proxyPort}
+                            onChange={(e) => setConfig({ ...config, proxyPort: e.target.value })}
+                            placeholder={DEFAULT_TALLY_ENDPOINT.proxyPort}
+                        />
+                        <p style={{ fontSize: 'var(--text-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-1)' }}>
+                            Port of the Tally proxy (tally-proxy.mjs) running on the Tally machine
+                        </p>
+                    </div>
+
                     <div className="form-group">
                         <label className="form-label flex items-center gap-2">
                             <input
@@ -490,6 +712,7 @@ const TallyConnector = () => {
                                 marginBottom: 0
                             }}>
                                 Make sure Tally Prime is running with ODBC/HTTP server enabled on port {config.port}
+                                {' '}and the Tally proxy is running on {config.host}:{config.proxyPort}
                             </p>
                         </div>
                     )}
@@ -511,6 +734,29 @@ const TallyConnector = () => {
                             </>
                         )}
                     </button>
+
+                    <div className="flex gap-2 mt-2">
+                        <button
+                            className="btn btn-secondary"
+                            onClick={handleSaveConnection}
+                            disabled={isChecking}
+                            style={{ flex: 1 }}
+                        >
+                            <Save size={16} />
+                            {config.id ? 'Update Connection' : 'Save Connection'}
+                        </button>
+                        {config.id && (
+                            <button
+                                className="btn btn-ghost"
+                                onClick={handleDeleteConnection}
+                                disabled={isChecking}
+                                title="Remove connection"
+                                style={{ color: 'var(--error-500)' }}
+                            >
+                                <Trash2 size={16} />
+                            </button>
+                        )}
+                    </div>
                 </div>
 
                 {/* Active Company */}
@@ -577,7 +823,7 @@ const TallyConnector = () => {
                                                 actions.setCompanies(companies);
                                                 if (companies.length > 0) {
                                                     actions.setActiveCompany(companies[0].name);
-                                                    const ledgers = await getLedgers(companies[0].name);
+                                                    const ledgers = await getCachedLedgers(companies[0].name);
                                                     actions.setLedgers(ledgers);
                                                 }
                                                 setShowCompanyForm(false);
@@ -712,13 +958,22 @@ const TallyConnector = () => {
                                         <Layers size={18} />
                                         Ledger Management
                                     </h4>
-                                    <button
-                                        className="btn btn-sm btn-ghost"
-                                        onClick={() => setShowLedgerForm(!showLedgerForm)}
-                                    >
-                                        <Plus size={16} />
-                                        {showLedgerForm ? 'Cancel' : 'New Ledger'}
-                                    </button>
+                                    <div className="flex gap-2">
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => setShowLedgerImport(!showLedgerImport)}
+                                        >
+                                            <FileSpreadsheet size={16} />
+                                            {showLedgerImport ? 'Close Import' : 'Import Ledgers'}
+                                        </button>
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => setShowLedgerForm(!showLedgerForm)}
+                                        >
+                                            <Plus size={16} />
+                                            {showLedgerForm ? 'Cancel' : 'New Ledger'}
+                                        </button>
+                                    </div>
                                 </div>
 
                                 {/* Quick Create Basic Ledgers */}
@@ -775,10 +1030,19 @@ const TallyConnector = () => {
                                                 ))}
                                             </select>
                                         </div>
+                                        {isPartyLedger && (
+                                            <div className="form-group">
+                                                <label className="form-label">GST Registration</label>
+                                                <PartyGstFields
+                                                    value={newLedger.gst}
+                                                    onChange={(gst) => setNewLedger({ ...newLedger, gst })}
+                                                />
+                                            </div>
+                                        )}
                                         <button
                                             className="btn btn-primary w-full"
                                             onClick={handleCreateLedger}
-                                            disabled={isCreatingLedger || !newLedger.name.trim()}
+                                            disabled={isCreatingLedger || !newLedger.name.trim() || Boolean(partyGstIssue)}
                                         >
                                             {isCreatingLedger ? (
                                                 <>
@@ -794,6 +1058,14 @@ const TallyConnector = () => {
                                         </button>
                                     </div>
                                 )}
+
+                                {/* Bulk import from a spreadsheet */}
+                                {showLedgerImport && (
+                                    <LedgerImportPanel
+                                        companyName={state.tally.activeCompany}
+                                        onClose={() => setShowLedgerImport(false)}
+                                    />
+                                )}
                             </div>
                         </>
                     ) : (
@@ -838,6 +1110,120 @@ const TallyConnector = () => {
                 </div>
             )}
 
+            {/* Tally Cache */}
+            {state.tally.connected && state.tally.activeCompany && (
+                <div className="card mt-6">
+                    <div className="card-header">
+                        <h3 className="card-title flex items-center gap-2">
+                            <Database size={20} />
+                            Cached Tally Data
+                        </h3>
+                        <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={handleRefreshCache}
+                            disabled={isRefreshingCache}
+                        >
+                            <RefreshCw size={16} className={isRefreshingCache ? 'spinner' : ''} />
+                            Refresh Now
+                        </button>
+                    </div>
+
+                    <p className="text-muted" style={{ fontSize: 'var(--text-sm)', padding: '0 var(--space-4)' }}>
+                        Ledgers, groups and this and last year&apos;s vouchers of {state.tally.activeCompany} are kept on this device.
+                        Tally is checked every 30 seconds and only objects altered since the last check are pulled.
+                    </p>
+
+                    {cacheRecord ? (
+                        <div className="dashboard-grid" style={{ padding: 'var(--space-4)', fontSize: 'var(--text-sm)' }}>
+                            <div>
+                                <div className="text-muted">Last Change Pulled</div>
+                                <strong>{new Date(cacheRecord.refreshedAt).toLocaleString('en-IN')}</strong>
+                            </div>
+                            <div>
+                                <div className="text-muted">Last Checked</div>
+                                <strong>{new Date(cacheRecord.checkedAt).toLocaleString('en-IN')}</strong>
+                            </div>
+                            <div>
+                                <div className="text-muted">Cached</div>
+                                <strong>
+                                    {cacheRecord.ledgers.length} ledgers · {cacheRecord.groups.length} groups · {cacheRecord.vouchers.length} vouchers
+                                </strong>
+                            </div>
+                            <div>
+                                <div className="text-muted">AlterID (Masters / Vouchers)</div>
+                                <strong>{cacheRecord.masterAlterId ?? '-'} / {cacheRecord.voucherAlterId ?? '-'}</strong>
+                            </div>
+                        </div>
+                    ) : (
+                        <p className="text-muted" style={{ fontSize: 'var(--text-sm)', padding: '0 var(--space-4) var(--space-4)' }}>
+                            Nothing cached for this company yet.
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {/* Offline Queue */}
+            {queueItems.length > 0 && (
+                <div className="card mt-6">
+                    <div className="card-header">
+                        <h3 className="card-title flex items-center gap-2">
+                            <Clock size={20} />
+                            Waiting for Tally ({queueItems.length})
+                        </h3>
+                        <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={handleRetryQueue}
+                            disabled={isDrainingQueue}
+                        >
+                            <RefreshCw size={16} className={isDrainingQueue ? 'spinner' : ''} />
+                            Retry Now
+                        </button>
+                    </div>
+
+                    <p className="text-muted" style={{ fontSize: 'var(--text-sm)', padding: '0 var(--space-4)' }}>
+                        These writes could not reach Tally. They are sent automatically when Tally is reachable again.
+                    </p>
+
+                    <div className="data-table-container">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Item</th>
+                                    <th>Company</th>
+                                    <th>Queued</th>
+                                    <th>Attempts</th>
+                                    <th>Last Error</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {queueItems.map(item => (
+                                    <tr key={item.id}>
+                                        <td>{describeQueueItem(item)}</td>
+                                        <td>{item.companyName}</td>
+                                        <td style={{ whiteSpace: 'nowrap' }}>{new Date(item.createdAt).toLocaleString('en-IN')}</td>
+                                        <td>{item.attempts}</td>
+                                        <td style={{ color: 'var(--error-500)', fontSize: 'var(--text-xs)' }}>
+                                            {item.lastError || '-'}
+                                        </td>
+                                        <td>
+                                            <button
+                                                className="btn btn-ghost btn-icon btn-sm"
+                                                onClick={() => handleRemoveQueueItem(item)}
+                                                title="Remove from queue"
+                                                style={{ color: 'var(--error-500)' }}
+                                            >
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
             {/* Ledgers List */}
             {state.tally.connected && state.tally.ledgers.length > 0 && (
                 <div className="card mt-6">
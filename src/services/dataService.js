@@ -468,6 +468,83 @@ export const getPlans = async () => {
     return { data: plans, error: null };
 };
 
+// ============================================
+// SYNC AUDIT LOG (vouchers collection)
+// ============================================
+
+export const saveSyncRecord = async (record) => {
+    try {
+        const userId = getCurrentUserId();
+        const recordData = {
+            ...record,
+            user_id: userId,
+            created_at: new Date().toISOString()
+        };
+
+        const docRef = await addDoc(collection(db, 'vouchers'), recordData);
+        return { data: { id: docRef.id, ...recordData }, error: null };
+    } catch (error) {
+        logger.error('Error saving sync record:', error);
+        return { data: null, error };
+    }
+};
+
+export const getSyncRecords = async (filters = {}) => {
+    try {
+        const userId = getCurrentUserId();
+        const q = query(
+            collection(db, 'vouchers'),
+            where('user_id', '==', userId),
+            orderBy('created_at', 'desc'),
+            firestoreLimit(filters.limit || 500)
+        );
+
+        const querySnapshot = await getDocs(q);
+        let data = querySnapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        // Apply client-side filters (Firestore has limitations on compound queries)
+        if (filters.kind) {
+            data = data.filter(r => r.kind === filters.kind);
+        }
+        if (filters.status) {
+            data = data.filter(r => r.status === filters.status);
+        }
+        if (filters.company) {
+            data = data.filter(r => r.company === filters.company);
+        }
+        if (filters.startDate) {
+            data = data.filter(r => r.created_at >= filters.startDate);
+        }
+        if (filters.endDate) {
+            data = data.filter(r => r.created_at.slice(0, 10) <= filters.endDate);
+        }
+
+        return { data, error: null };
+    } catch (error) {
+        if (isAbortError(error)) {
+            return { data: [], error: null };
+        }
+        logger.error('Error fetching sync records:', error);
+        return { data: [], error };
+    }
+};
+
+export const updateSyncRecord = async (id, updates) => {
+    try {
+        await updateDoc(doc(db, 'vouchers', id), {
+            ...updates,
+            updated_at: new Date().toISOString()
+        });
+        return { error: null };
+    } catch (error) {
+        logger.error('Error updating sync record:', error);
+        return { error };
+    }
+};
+
 // ============================================
 // BULK OPERATIONS
 // ============================================
@@ -478,7 +555,7 @@ export const clearAllUserData = async () => {
         const batch = writeBatch(db);
 
         // Get all user documents from each collection
-        const collections = ['transactions', 'ledgers', 'learningPatterns', 'companies'];
+        const collections = ['transactions', 'ledgers', 'learningPatterns', 'companies', 'vouchers'];
 
         for (const collName of collections) {
             const q = query(
@@ -521,6 +598,10 @@ export default {
     getLearningPatterns,
     saveLearningPattern,
     deleteLearningPattern,
+    // Sync audit log
+    saveSyncRecord,
+    getSyncRecords,
+    updateSyncRecord,
     // Plans
     getPlans,
     // Bulk
@@ -6,7 +6,7 @@
 import Papa from 'papaparse';
 import * as XLSX from 'xlsx';
 import logger from '../utils/logger';
-import { BANK_TEMPLATES } from '../utils/constants';
+import { BANK_TEMPLATES, LEDGER_IMPORT_COLUMNS } from '../utils/constants';
 import { parseDate, parseCurrency, generateId } from '../utils/helpers';
 import { parsePDF, isPDFFile } from './pdfParser';
 
@@ -226,6 +226,9 @@ export const mapToTransactions = (rawData, bankTemplate) => {
         const debitValue = findColumn(row, 'debit');
         const creditValue = findColumn(row, 'credit');
         const balanceValue = findColumn(row, 'balance');
+        // Statements with both dates: the value date is when the bank actually cleared the entry
+        const valueDateKey = Object.keys(row).find(k => /^value\s*(date|dt)/i.test(k.trim()));
+        const valueDate = valueDateKey && row[valueDateKey] ? parseDate(row[valueDateKey], dateFormat) : null;
 
         const debit = parseCurrency(debitValue);
         const credit = parseCurrency(creditValue);
@@ -237,6 +240,7 @@ export const mapToTransactions = (rawData, bankTemplate) => {
             dateRaw: dateValue,
             description: String(description || '').trim(),
             reference: String(reference || '').trim(),
+            valueDate,
             debit: debit,
             credit: credit,
             balance: parseCurrency(balanceValue),
@@ -264,6 +268,53 @@ export const mapToTransactions = (rawData, bankTemplate) => {
     });
 };
 
+/**
+ * Map raw sheet rows to ledger master rows
+ * Headings are matched case-insensitively against LEDGER_IMPORT_COLUMNS.
+ * Opening balances stay unsigned (NaN when not a number); balanceType is 'Dr', 'Cr' or '' when the sheet does not say.
+ * @param {Array} rawData - Raw parsed data
+ * @returns {Array} [{ row, name, group, gstin, gstRegistrationType, state, address, pan, openingBalance, balanceType, isBillWise, accountNumber, ifsc, bankName }]
+ */
+export const mapToLedgerRows = (rawData) => {
+    const headings = rawData.length > 0 ? Object.keys(rawData[0]) : [];
+    const columnOf = Object.fromEntries(Object.entries(LEDGER_IMPORT_COLUMNS).map(([key, aliases]) => [
+        key,
+        headings.find(h => aliases.some(alias => alias.toLowerCase() === h.trim().toLowerCase()))
+    ]));
+
+    const parseFlag = (value) => {
+        if (/^(yes|y|true|1)$/i.test(value)) return true;
+        if (/^(no|n|false|0)$/i.test(value)) return false;
+        return null;
+    };
+
+    return rawData.map((row, index) => {
+        const value = (key) => columnOf[key] ? String(row[columnOf[key]] ?? '').trim() : '';
+        // "12,500 Dr" carries its own side; otherwise the Dr/Cr column decides
+        const balanceText = value('openingBalance');
+        const suffix = balanceText.match(/(Dr|Cr)\.?$/i)?.[1] || value('balanceType');
+        const balanceType = /^dr/i.test(suffix) ? 'Dr' : /^cr/i.test(suffix) ? 'Cr' : '';
+        const balance = balanceText.replace(/(Dr|Cr)\.?$/i, '').trim();
+
+        return {
+            row: index + 2, // the sheet's own row number, below the headings
+            name: value('name'),
+            group: value('group'),
+            gstin: value('gstin').toUpperCase(),
+            gstRegistrationType: value('gstRegistrationType'),
+            state: value('state'),
+            address: value('address'),
+            pan: value('pan').toUpperCase(),
+            openingBalance: balance ? (/\d/.test(balance) ? Math.abs(parseCurrency(balance)) : NaN) : null,
+            balanceType,
+            isBillWise: parseFlag(value('isBillWise')),
+            accountNumber: value('accountNumber').replace(/\s/g, ''),
+            ifsc: value('ifsc').toUpperCase(),
+            bankName: value('bankName')
+        };
+    }).filter(row => Object.entries(row).some(([key, v]) => key !== 'row' && v !== '' && v !== null));
+};
+
 /**
  * Filter transactions by date range
  * @param {Array} transactions - Transactions to filter
@@ -447,6 +498,7 @@ export const exportToCSV = (transactions) => {
 export default {
     parseFile,
     mapToTransactions,
+    mapToLedgerRows,
     filterByDateRange,
     sortByDate,
     calculateSummary,
@@ -142,6 +142,7 @@ export const storeCorrection = async (correction) => {
                         existing.ledger = correction.ledger || existing.ledger;
                         existing.category = correction.category || existing.category;
                         existing.subcategory = correction.subcategory || existing.subcategory;
+                        existing.costCentre = correction.costCentre || existing.costCentre || null;
                         existing.lastUsed = Date.now();
                         patternsStore.put(existing);
                     } else {
@@ -151,6 +152,7 @@ export const storeCorrection = async (correction) => {
                             ledger: correction.ledger,
                             category: correction.category,
                             subcategory: correction.subcategory,
+                            costCentre: correction.costCentre || null,
                             count: 1,
                             createdAt: Date.now(),
                             lastUsed: Date.now()
@@ -171,7 +173,7 @@ export const storeCorrection = async (correction) => {
 /**
  * Get prediction based on learned patterns
  * @param {string} description - Transaction description
- * @returns {Promise<Object|null>} Prediction with ledger, category, confidence
+ * @returns {Promise<Object|null>} Prediction with ledger, category, cost centre, confidence
  */
 export const getPrediction = async (description) => {
     try {
@@ -215,6 +217,7 @@ export const getPrediction = async (description) => {
                 ledger: bestMatch.ledger,
                 category: bestMatch.category,
                 subcategory: bestMatch.subcategory,
+                costCentre: bestMatch.costCentre || null,
                 confidence,
                 matchedPattern: bestMatch.pattern,
                 usageCount: bestMatch.count,
@@ -309,6 +312,7 @@ export const enhancePrediction = async (transaction, aiPrediction) => {
             ledger: learnedPrediction.ledger,
             category: learnedPrediction.category,
             subcategory: learnedPrediction.subcategory,
+            costCentre: learnedPrediction.costCentre || aiPrediction?.costCentre || null,
             confidence: learnedPrediction.confidence,
             source: 'learned',
             aiSuggestion: aiPrediction
@@ -318,6 +322,7 @@ export const enhancePrediction = async (transaction, aiPrediction) => {
     // Otherwise use AI but include learned as fallback
     return {
         ...aiPrediction,
+        costCentre: aiPrediction?.costCentre || learnedPrediction.costCentre || null,
         source: 'ai',
         learnedSuggestion: learnedPrediction
     };
@@ -0,0 +1,327 @@
+/**
+ * AI Tally Sync - Offline Push Queue
+ * Keeps Tally writes that could not be delivered (Tally or the proxy down) in
+ * IndexedDB and replays them in order once Tally is reachable again
+ */
+
+import { batchPushToTally, createLedger, pushSalesEntry, pushPurchaseEntry } from './tallyService';
+import { TALLY_ERROR_TYPES } from './tallyResponseParser';
+import { recordSyncEvent } from './syncAuditService';
+import { generateId, formatCurrency } from '../utils/helpers';
+import logger from '../utils/logger';
+
+const DB_NAME = 'booksneo_offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'tallyQueue';
+
+// Times Tally may refuse an item (connection failures aside) before it leaves the queue for Sync History
+const MAX_QUEUE_FAILURES = 5;
+
+// Kinds of queued writes
+export const QUEUE_ITEM_TYPES = {
+    BANK_VOUCHERS: 'bankVouchers',
+    LEDGER: 'ledger',
+    SALES_ENTRY: 'salesEntry',
+    PURCHASE_ENTRY: 'purchaseEntry'
+};
+
+const queueListeners = new Set();
+const deliveryListeners = new Set();
+const removalListeners = new Set();
+let dbPromise = null;
+let isDraining = false;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Run one request against the queue store and resolve with its result once committed
+const runRequest = async (mode, makeRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const notifyQueueListeners = async () => {
+    try {
+        const items = await getQueue();
+        queueListeners.forEach(listener => listener(items));
+    } catch (error) {
+        logger.warn('Failed to read Tally queue', error);
+    }
+};
+
+/**
+ * Whether an error means Tally could not be reached (rather than Tally rejecting the data)
+ * @param {Error|string} error - Thrown error or error message from a batch result
+ * @returns {boolean}
+ */
+export const isConnectionError = (error) => {
+    if (!error) return false;
+    if (error.type === TALLY_ERROR_TYPES.COMPANY_NOT_LOADED) return true;
+    if (['AbortError', 'TimeoutError'].includes(error.name)) return true;
+    // fetch fails with a TypeError carrying one of these messages; any other TypeError is a bug, not Tally being away
+    const message = typeof error === 'string' ? error : error.message;
+    return /failed to fetch|networkerror|network request failed|load failed|fetch failed|econnrefused|not connected/i.test(message || '');
+};
+
+/**
+ * All queued items, oldest first
+ * @returns {Promise<Array>} [{ id, type, companyName, payload, attempts, failures, lastError, lastAttemptAt, createdAt }]
+ */
+export const getQueue = async () => {
+    const items = await runRequest('readonly', store => store.getAll());
+    return (items || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Add a write to the queue
+ * @param {string} type - One of QUEUE_ITEM_TYPES
+ * @param {string} companyName - Tally company the write belongs to
+ * @param {Object} payload - { transactions, bankLedger, ledgerGroups, partyDetails, voucherTypeMap, voucherTypes } | { name, group, gstin, state, gstRegistrationType } | { entry, voucherTypes }
+ * @returns {Promise<Object>} The queued item
+ */
+export const enqueue = async (type, companyName, payload) => {
+    const item = {
+        id: generateId(),
+        type,
+        companyName,
+        payload,
+        attempts: 0,
+        failures: 0,
+        lastError: null,
+        lastAttemptAt: null,
+        createdAt: new Date().toISOString()
+    };
+    await runRequest('readwrite', store => store.put(item));
+    logger.info('Queued Tally write', { type, company: companyName });
+    notifyQueueListeners();
+    return item;
+};
+
+export const removeQueueItem = async (id) => {
+    const item = await runRequest('readonly', store => store.get(id));
+    await runRequest('readwrite', store => store.delete(id));
+    if (item) {
+        removalListeners.forEach(listener => listener(item, 'removed'));
+    }
+    notifyQueueListeners();
+};
+
+/**
+ * Listen to queue changes; the listener is called right away with the current items
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToQueue = (listener) => {
+    queueListeners.add(listener);
+    getQueue().then(listener).catch(() => listener([]));
+    return () => queueListeners.delete(listener);
+};
+
+/**
+ * Listen to delivered items, called with (item, result) where result is what the
+ * tallyService push function returned
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToDeliveries = (listener) => {
+    deliveryListeners.add(listener);
+    return () => deliveryListeners.delete(listener);
+};
+
+/**
+ * Listen to items that leave the queue undelivered, called with (item, reason) where reason is
+ * 'removed' (by the user) or 'failed' (refused MAX_QUEUE_FAILURES times, now in Sync History)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToRemovals = (listener) => {
+    removalListeners.add(listener);
+    return () => removalListeners.delete(listener);
+};
+
+/**
+ * One-line description of a queued item for lists and notifications
+ */
+export const describeQueueItem = (item) => {
+    const { payload = {} } = item;
+    switch (item.type) {
+        case QUEUE_ITEM_TYPES.BANK_VOUCHERS:
+            return `${payload.transactions?.length || 0} bank voucher(s) · ${payload.bankLedger || 'Bank Account'}`;
+        case QUEUE_ITEM_TYPES.LEDGER:
+            return `Ledger "${payload.name}" under ${payload.group}`;
+        case QUEUE_ITEM_TYPES.SALES_ENTRY:
+            return `Sales ${payload.entry?.invoiceNo || ''} · ${payload.entry?.customer || ''} · ${formatCurrency(payload.entry?.totalAmount || 0)}`;
+        case QUEUE_ITEM_TYPES.PURCHASE_ENTRY:
+            return `Purchase ${payload.entry?.invoiceNo || ''} · ${payload.entry?.vendor || ''} · ${formatCurrency(payload.entry?.totalAmount || 0)}`;
+        default:
+            return item.type;
+    }
+};
+
+// Send one item to Tally; bank vouchers that Tally did not take are returned as remaining
+const deliverQueueItem = async (item) => {
+    const { companyName, payload } = item;
+
+    switch (item.type) {
+        case QUEUE_ITEM_TYPES.BANK_VOUCHERS: {
+            const result = await batchPushToTally(payload.transactions, companyName, payload.bankLedger, {
+                ledgerGroups: payload.ledgerGroups,
+                partyDetails: payload.partyDetails,
+                voucherTypeMap: payload.voucherTypeMap,
+                voucherTypes: payload.voucherTypes
+            });
+            const pushed = new Set(result.vouchers.map(v => v.transactionId));
+            return {
+                result,
+                remaining: payload.transactions.filter(t => !pushed.has(t.id)),
+                error: result.errors[0]?.error
+            };
+        }
+        case QUEUE_ITEM_TYPES.LEDGER:
+            return { result: await createLedger(payload.name, payload.group, companyName, payload) };
+        case QUEUE_ITEM_TYPES.SALES_ENTRY:
+            return { result: await pushSalesEntry(payload.entry, companyName, 'Create', { voucherTypes: payload.voucherTypes }) };
+        case QUEUE_ITEM_TYPES.PURCHASE_ENTRY:
+            return { result: await pushPurchaseEntry(payload.entry, companyName, 'Create', { voucherTypes: payload.voucherTypes }) };
+        default:
+            throw new Error(`Unknown queue item type: ${item.type}`);
+    }
+};
+
+// Sync History records for a queued write, shaped like tallyService's own so they can be retried from there
+const getQueueItemSyncEvents = ({ type, companyName, payload }) => {
+    switch (type) {
+        case QUEUE_ITEM_TYPES.BANK_VOUCHERS:
+            return payload.transactions.map(transaction => ({
+                kind: 'bank',
+                action: 'Create',
+                companyName,
+                reference: transaction.id ?? null,
+                description: transaction.description || '',
+                amount: Math.abs(transaction.credit || transaction.debit || transaction.amount || 0),
+                payload: { transaction, bankLedger: payload.bankLedger || null, partyLedger: null }
+            }));
+        case QUEUE_ITEM_TYPES.LEDGER:
+            return [{ kind: 'ledger', action: 'Create', companyName, reference: payload.name, description: `${payload.name} under ${payload.group}`, payload }];
+        case QUEUE_ITEM_TYPES.SALES_ENTRY:
+        case QUEUE_ITEM_TYPES.PURCHASE_ENTRY: {
+            const { entry } = payload;
+            return [{
+                kind: type === QUEUE_ITEM_TYPES.SALES_ENTRY ? 'sales' : 'purchase',
+                action: 'Create',
+                companyName,
+                reference: entry.invoiceNo || null,
+                description: (type === QUEUE_ITEM_TYPES.SALES_ENTRY ? entry.customer : entry.vendor) || '',
+                amount: entry.totalAmount || 0,
+                payload
+            }];
+        }
+        default:
+            return [];
+    }
+};
+
+// Stop retrying an item Tally keeps refusing: it leaves the queue and stays in Sync History as failed
+const abandonQueueItem = async (item, lastError) => {
+    await runRequest('readwrite', store => store.delete(item.id));
+    const error = `Not pushed after ${item.failures} attempts from the offline queue: ${lastError}`;
+    const at = new Date().toISOString();
+    for (const event of getQueueItemSyncEvents(item)) {
+        await recordSyncEvent({ ...event, status: 'failed', error, at });
+    }
+    logger.warn('Gave up on queued Tally write', { type: item.type, company: item.companyName, error: lastError });
+    removalListeners.forEach(listener => listener(item, 'failed'));
+};
+
+/**
+ * Try every queued item in order. Failed items stay queued with their attempt
+ * count and last error; a connection failure stops the run until the next poll.
+ * An item Tally refused MAX_QUEUE_FAILURES times is given up (see subscribeToRemovals).
+ * @returns {Promise<Object>} { delivered, failed, abandoned }
+ */
+export const drainQueue = async () => {
+    const summary = { delivered: 0, failed: 0, abandoned: 0 };
+    if (isDraining) return summary;
+    isDraining = true;
+
+    try {
+        const items = await getQueue();
+
+        // Keep a failed item for the next run, or give it up once Tally has refused it often enough
+        const keepOrAbandon = async (attempted, error) => {
+            const lastError = (typeof error === 'string' ? error : error?.message) || 'Tally did not accept the vouchers';
+            const failures = (attempted.failures || 0) + (isConnectionError(error) ? 0 : 1);
+            const updated = { ...attempted, failures, lastError };
+            if (failures >= MAX_QUEUE_FAILURES) {
+                summary.abandoned++;
+                await abandonQueueItem(updated, lastError);
+            } else {
+                summary.failed++;
+                await runRequest('readwrite', store => store.put(updated));
+            }
+        };
+
+        for (const item of items) {
+            const attempted = { ...item, attempts: item.attempts + 1, lastAttemptAt: new Date().toISOString() };
+
+            try {
+                const { result, remaining = [], error } = await deliverQueueItem(item);
+                deliveryListeners.forEach(listener => listener(item, result));
+
+                if (remaining.length > 0) {
+                    await keepOrAbandon({ ...attempted, payload: { ...item.payload, transactions: remaining } }, error);
+                    if (isConnectionError(error)) break;
+                } else {
+                    summary.delivered++;
+                    await runRequest('readwrite', store => store.delete(item.id));
+                }
+            } catch (error) {
+                await keepOrAbandon(attempted, error);
+                if (isConnectionError(error)) break;
+            }
+        }
+    } catch (error) {
+        logger.warn('Failed to drain Tally queue', error);
+    } finally {
+        isDraining = false;
+        notifyQueueListeners();
+    }
+
+    if (summary.delivered > 0 || summary.failed > 0 || summary.abandoned > 0) {
+        logger.info('Tally queue drained', summary);
+    }
+    return summary;
+};
+
+export default {
+    QUEUE_ITEM_TYPES,
+    isConnectionError,
+    getQueue,
+    enqueue,
+    removeQueueItem,
+    subscribeToQueue,
+    subscribeToDeliveries,
+    subscribeToRemovals,
+    describeQueueItem,
+    drainQueue
+};
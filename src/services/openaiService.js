@@ -6,12 +6,14 @@
  */
 
 import logger from '../utils/logger';
-import { TRANSACTION_CATEGORIES } from '../utils/constants';
+import { TRANSACTION_CATEGORIES, CONTRA_LEDGER_GROUPS } from '../utils/constants';
+import { isGroupUnder, getGroupNature } from './tallyService';
 
 const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
 const MODEL = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini';
 const API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
 const REQUEST_TIMEOUT = 45000; // 45 seconds timeout
+const MAX_PROMPT_LEDGERS = 40; // Ledger names listed per kind in the prompt
 
 /**
  * Create optimized system prompt for Indian accounting
@@ -22,7 +24,7 @@ const getSystemPrompt = () => {
 CATEGORIES (use exact keys):
 - EXPENSE: Business expenses (rent, salary, utilities, office, travel, marketing)
 - INCOME: Revenue (sales, interest, commission, refunds)
-- TRANSFER: Bank transfers (NEFT, RTGS, IMPS, UPI to self/related parties)
+- TRANSFER: Transfers between own bank/cash accounts (self NEFT/RTGS/IMPS/UPI, ATM withdrawals, cash deposits) - posted as Contra, so "led" must be the other bank or cash ledger
 - PURCHASE: Goods/inventory purchases (raw materials, stock)
 - SALES: Direct sales revenue
 - TAX: Tax payments (GST, TDS, income tax)
@@ -32,7 +34,8 @@ CATEGORIES (use exact keys):
 INDIAN BANKING PATTERNS:
 - "UPI" = Unified Payment Interface (categorize by merchant/purpose, NOT as TRANSFER unless self-transfer)
 - "NEFT/RTGS/IMPS" = Bank transfers
-- "ATM" = Cash withdrawal (EXPENSE)
+- "ATM" = Cash withdrawal (TRANSFER to "Cash")
+- "CASH DEP" / "BY CASH" = Cash deposit (TRANSFER from "Cash")
 - "ECS/NACH" = Auto-debit (bill payment, loan EMI)
 - "INT.PYMT" = Interest payment
 - "CHQ" = Cheque transaction
@@ -50,14 +53,40 @@ OUTPUT FORMAT:
 - i = transaction index (1-based)
 - cat = category key
 - sub = subcategory
-- led = suggested Tally ledger name
-- conf = confidence 0-100`;
+- led = suggested Tally ledger name (an exact name from TALLY LEDGERS when one fits)
+- conf = confidence 0-100
+- cc = cost centre name (only when a COST CENTRES list is given and the narration points to one of them; otherwise omit)`;
+};
+
+/**
+ * List the company's Tally ledgers by kind, read from their groups
+ * @param {Array} ledgers - Ledger masters [{ name, group }]
+ * @param {Array} groups - Group tree from getGroups
+ */
+const describeLedgers = (ledgers = [], groups = []) => {
+    const kinds = {
+        'BANK/CASH': l => isGroupUnder(l.group, CONTRA_LEDGER_GROUPS, groups),
+        CUSTOMERS: l => isGroupUnder(l.group, ['Sundry Debtors'], groups),
+        SUPPLIERS: l => isGroupUnder(l.group, ['Sundry Creditors'], groups),
+        'TAXES/LOANS': l => isGroupUnder(l.group, ['Duties & Taxes', 'Loans (Liability)', 'Loans & Advances (Asset)'], groups),
+        INCOME: l => getGroupNature(l.group, groups) === 'income',
+        EXPENSE: l => getGroupNature(l.group, groups) === 'expense'
+    };
+
+    const lines = Object.entries(kinds)
+        .map(([kind, matches]) => {
+            const names = ledgers.filter(matches).slice(0, MAX_PROMPT_LEDGERS).map(l => l.name);
+            return names.length > 0 ? `${kind}: ${names.join(', ')}` : null;
+        })
+        .filter(Boolean);
+
+    return lines.length > 0 ? `\n\nTALLY LEDGERS:\n${lines.join('\n')}` : '';
 };
 
 /**
  * Create compact user prompt
  */
-const createUserPrompt = (transactions) => {
+const createUserPrompt = (transactions, costCentres = [], ledgerList = '') => {
     const list = transactions.map((t, i) => {
         const type = t.credit > 0 ? 'CR' : 'DR';
         const amt = Math.abs(t.credit || t.debit || 0);
@@ -65,7 +94,33 @@ const createUserPrompt = (transactions) => {
         return `${i + 1}|${type}|${amt}|${desc}`;
     }).join('\n');
 
-    return `Categorize these Indian bank transactions:\n\n${list}\n\nReturn JSON only.`;
+    const costCentreList = costCentres.length > 0
+        ? `\n\nCOST CENTRES: ${costCentres.map(c => c.name).join(', ')}`
+        : '';
+
+    return `Categorize these Indian bank transactions:\n\n${list}${costCentreList}${ledgerList}\n\nReturn JSON only.`;
+};
+
+/**
+ * Find a Tally cost centre by name
+ * @returns {Object|null} { category, name } as stored on transactions
+ */
+const findCostCentre = (name, costCentres = []) => {
+    if (!name) return null;
+    const match = costCentres.find(c => c.name.toLowerCase() === String(name).toLowerCase().trim());
+    return match ? { category: match.category, name: match.name } : null;
+};
+
+/**
+ * Suggest a cost centre whose name appears in the narration (e.g. "RENT MUMBAI BRANCH")
+ */
+const ruleBasedCostCentre = (transaction, costCentres = []) => {
+    const desc = (transaction.description || '').toLowerCase();
+    // Longest name first so "Mumbai Branch" wins over "Mumbai"
+    const match = [...costCentres]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(c => c.name.length > 2 && desc.includes(c.name.toLowerCase()));
+    return match ? { category: match.category, name: match.name } : null;
 };
 
 /**
@@ -203,13 +258,19 @@ const ruleBasedCategorize = (transaction) => {
         ledger = 'Bank Charges';
         confidence = 95;
     }
-    // ATM/Cash
+    // ATM/Cash - moves money between bank and cash, posted as Contra
     else if (desc.includes('atm') || desc.includes('cash wd')) {
-        category = 'EXPENSE';
+        category = 'TRANSFER';
         subcategory = 'Cash Withdrawal';
         ledger = 'Cash';
         confidence = 90;
     }
+    else if (desc.includes('cash dep') || desc.includes('by cash')) {
+        category = 'TRANSFER';
+        subcategory = 'Cash Deposit';
+        ledger = 'Cash';
+        confidence = 90;
+    }
     // Interest
     else if (desc.includes('int.') || desc.includes('interest')) {
         if (isCredit) {
@@ -295,18 +356,25 @@ const ruleBasedCategorize = (transaction) => {
 
 /**
  * Categorize transactions using AI with rule-based fallback
+ * @param {Array} transactions - Bank transactions
+ * @param {Object} options - { costCentres: Tally cost centres [{ name, category }] to suggest from,
+ *   ledgers and groups: the company's ledger masters and group tree, listed in the prompt by kind }
  */
-export const categorizeTransactions = async (transactions) => {
+export const categorizeTransactions = async (transactions, options = {}) => {
     if (!transactions || transactions.length === 0) {
         return [];
     }
 
+    const costCentres = options.costCentres || [];
+    const ledgerList = describeLedgers(options.ledgers, options.groups);
+
     logger.info('Starting AI categorization', { count: transactions.length });
 
     // First pass: Apply rule-based categorization
     const withRules = transactions.map(t => ({
         ...t,
-        ...ruleBasedCategorize(t)
+        ...ruleBasedCategorize(t),
+        aiCostCentre: ruleBasedCostCentre(t, costCentres)
     }));
 
     // If no API key, return rule-based results
@@ -325,7 +393,7 @@ export const categorizeTransactions = async (transactions) => {
             const batchWithRules = withRules.slice(i, i + BATCH_SIZE);
 
             try {
-                const response = await callOpenAI(getSystemPrompt(), createUserPrompt(batch));
+                const response = await callOpenAI(getSystemPrompt(), createUserPrompt(batch, costCentres, ledgerList));
                 const categorizations = parseResponse(response);
 
                 // Merge AI results with rule-based
@@ -334,6 +402,8 @@ export const categorizeTransactions = async (transactions) => {
                     const aiResult = categorizations.find(c =>
                         c.i === batchIndex + 1 || c.index === batchIndex + 1
                     );
+                    // Only accept cost centres that exist in Tally
+                    const aiCostCentre = findCostCentre(aiResult?.cc, costCentres) || ruleBased.aiCostCentre;
 
                     if (aiResult && aiResult.conf > ruleBased.aiConfidence) {
                         // AI is more confident - use AI result
@@ -343,11 +413,12 @@ export const categorizeTransactions = async (transactions) => {
                             aiSubcategory: aiResult.sub || aiResult.subcategory || ruleBased.aiSubcategory,
                             aiSuggestedLedger: aiResult.led || aiResult.ledger || ruleBased.aiSuggestedLedger,
                             aiConfidence: aiResult.conf || aiResult.confidence || ruleBased.aiConfidence,
+                            aiCostCentre,
                             aiNotes: 'AI-categorized'
                         });
                     } else {
                         // Rule-based is more confident
-                        results.push(ruleBased);
+                        results.push({ ...ruleBased, aiCostCentre });
                     }
                 });
 
@@ -0,0 +1,143 @@
+/**
+ * AI Tally Sync - Sync Audit Service
+ * Records every write sent to Tally in the Firestore vouchers collection
+ * (who pushed what and when, request hash, Tally's answer, voucher id, status)
+ * and replays failed ones from the Sync History page
+ */
+
+import {
+    subscribeToSyncEvents,
+    pushToTally,
+    deleteVoucherFromTally,
+    createLedger,
+    alterLedger,
+    createCompany,
+    alterCompanyBooksFrom,
+    pushSalesEntry,
+    pushPurchaseEntry
+} from './tallyService';
+import { saveSyncRecord, updateSyncRecord } from './dataService';
+import { auth } from './firebaseClient';
+import { hashString } from '../utils/helpers';
+import logger from '../utils/logger';
+
+/**
+ * SHA-256 of the request XML, so a record can be matched to the exact payload sent
+ * Falls back to the app's short hash where Web Crypto is unavailable (non-HTTPS hosts)
+ * @param {string} xml - Request body sent to Tally
+ * @returns {Promise<string|null>} Hex digest
+ */
+const hashRequest = async (xml) => {
+    if (!xml) return null;
+    if (!globalThis.crypto?.subtle) return `h${hashString(xml)}`;
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(xml));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Counters and first errors of a parsed import response
+const summarizeResponse = (parsed) => {
+    if (!parsed) return null;
+    return {
+        created: parsed.created,
+        altered: parsed.altered,
+        deleted: parsed.deleted,
+        ignored: parsed.ignored,
+        errors: parsed.errors,
+        exceptions: parsed.exceptions,
+        lastVchId: parsed.lastVchId,
+        lastMasterId: parsed.lastMasterId,
+        lineErrors: parsed.lineErrors.slice(0, 5).map(e => e.message)
+    };
+};
+
+/**
+ * Save one sync event from tallyService as an audit record
+ * Nothing is recorded while signed out.
+ */
+export const recordSyncEvent = async (event) => {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    try {
+        const record = {
+            kind: event.kind,
+            action: event.action,
+            company: event.companyName || null,
+            reference: event.reference ?? null,
+            description: event.description || '',
+            amount: event.amount ?? null,
+            pushed_by: user.email || user.uid,
+            pushed_at: event.at,
+            request_hash: await hashRequest(event.requestXml),
+            response: summarizeResponse(event.response),
+            voucher_id: event.voucherId || null,
+            remote_id: event.remoteId || null,
+            status: event.status,
+            error: event.error || null,
+            retried_at: null,
+            // Firestore rejects undefined values; the payload is kept so failed pushes can be retried
+            payload: JSON.parse(JSON.stringify(event.payload || {}))
+        };
+
+        const { error } = await saveSyncRecord(record);
+        if (error) {
+            logger.warn('Failed to save sync record', error);
+        }
+    } catch (error) {
+        logger.warn('Failed to record sync event', error);
+    }
+};
+
+/**
+ * Start writing tallyService sync events to the audit log
+ * @returns {Function} Stop recording
+ */
+export const startSyncAudit = () => subscribeToSyncEvents(recordSyncEvent);
+
+/**
+ * Send a failed record's write to Tally again
+ * The new attempt gets its own audit record; the old one is stamped as retried.
+ * @param {Object} record - Audit record from getSyncRecords
+ * @returns {Promise<Object>} Result of the tallyService call
+ */
+export const retrySyncRecord = async (record) => {
+    const { payload = {}, company } = record;
+    let result;
+
+    switch (record.kind) {
+        case 'bank':
+            result = await pushToTally(payload.transaction, company, payload.bankLedger, payload.partyLedger, record.action);
+            break;
+        case 'sales':
+            result = await pushSalesEntry(payload.entry, company, record.action, { voucherTypes: payload.voucherTypes });
+            break;
+        case 'purchase':
+            result = await pushPurchaseEntry(payload.entry, company, record.action, { voucherTypes: payload.voucherTypes });
+            break;
+        case 'ledger':
+            result = record.action === 'Alter'
+                ? await alterLedger(payload, company)
+                : await createLedger(payload.name, payload.group, company, payload);
+            break;
+        case 'company':
+            result = record.action === 'Alter'
+                ? await alterCompanyBooksFrom(company, payload.booksFrom, payload.startingFrom)
+                : await createCompany(payload.companyData);
+            break;
+        case 'voucher':
+            result = await deleteVoucherFromTally(payload.tallyVoucher, company);
+            break;
+        default:
+            throw new Error(`Cannot retry ${record.kind} records`);
+    }
+
+    await updateSyncRecord(record.id, { retried_at: new Date().toISOString() });
+    return result;
+};
+
+export default {
+    recordSyncEvent,
+    startSyncAudit,
+    retrySyncRecord
+};
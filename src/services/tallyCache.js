@@ -0,0 +1,258 @@
+/**
+ * AI Tally Sync - Tally Master & Voucher Cache
+ * Keeps each company's ledgers, groups and vouchers in IndexedDB. A refresh compares the
+ * company's AltMstId / AltVchId with the cached ones and pulls only the objects altered
+ * since, so pages read Tally data without exporting the whole company every time.
+ */
+
+import { getCompanies, getLedgers, getGroups, getVouchers, getMasterIds, getVoucherRemoteIds, getTallyEndpoint } from './tallyService';
+import logger from '../utils/logger';
+
+const DB_NAME = 'booksneo_tally_cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'companies';
+
+const cacheListeners = new Set();
+const pendingRefreshes = new Map();
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Run one request against the cache store and resolve with its result once committed
+const runRequest = async (mode, makeRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// Two Tally servers can both have a "Demo Company", so the endpoint is part of the key
+const getCacheKey = (companyName) => {
+    const { host, port } = getTallyEndpoint();
+    return `${host}:${port}|${companyName}`;
+};
+
+// Vouchers are cached for the previous and the current financial year
+const getVoucherRange = () => {
+    const today = new Date();
+    const year = today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+    return { fromDate: `${year - 1}-04-01`, toDate: `${year + 1}-03-31` };
+};
+
+// Replace changed objects (matched on key) and drop the ones no longer in Tally
+const mergeChanged = (cached, changed, keyOf, liveKeys = null) => {
+    const merged = new Map(cached.filter(item => !liveKeys || liveKeys.has(keyOf(item))).map(item => [keyOf(item), item]));
+    changed.forEach(item => merged.set(keyOf(item), item));
+    return [...merged.values()];
+};
+
+/**
+ * Cached data of a company on the current Tally endpoint
+ * @param {string} companyName - Tally company name
+ * @returns {Promise<Object|null>} {
+ *   companyName, ledgers, groups, vouchers, voucherRange: { fromDate, toDate },
+ *   masterAlterId, voucherAlterId, refreshedAt (last pull), checkedAt (last AlterID check)
+ * }
+ */
+export const getCachedCompany = async (companyName) => {
+    if (!companyName) return null;
+    const record = await runRequest('readonly', store => store.get(getCacheKey(companyName)));
+    return record || null;
+};
+
+/**
+ * Drop a company's cache so the next refresh reloads everything
+ * @param {string} companyName - Tally company name
+ */
+export const clearCompanyCache = async (companyName) => {
+    await runRequest('readwrite', store => store.delete(getCacheKey(companyName)));
+};
+
+/**
+ * Listen for cache refreshes
+ * @param {Function} listener - Called with the refreshed record
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToCache = (listener) => {
+    cacheListeners.add(listener);
+    return () => cacheListeners.delete(listener);
+};
+
+const pullCompany = async (companyName, force) => {
+    const companies = await getCompanies();
+    const company = companies.find(c => c.name === companyName);
+    if (!company) {
+        throw new Error(`Company "${companyName}" is not open in Tally`);
+    }
+
+    const cached = force ? null : await getCachedCompany(companyName).catch(() => null);
+    const range = getVoucherRange();
+    const now = new Date().toISOString();
+
+    // Without AlterIDs (older Tally releases) there is nothing to compare, so everything is reloaded
+    const canCompare = company.masterAlterId != null && company.voucherAlterId != null;
+    const isIncremental = Boolean(cached && canCompare && cached.masterAlterId != null &&
+        cached.voucherAlterId != null && cached.voucherRange?.fromDate === range.fromDate);
+    const mastersChanged = !isIncremental || company.masterAlterId !== cached.masterAlterId;
+    const vouchersChanged = !isIncremental || company.voucherAlterId !== cached.voucherAlterId;
+
+    let { ledgers, groups, vouchers } = cached || { ledgers: [], groups: [], vouchers: [] };
+
+    if (mastersChanged) {
+        if (isIncremental) {
+            const [changed, liveIds] = await Promise.all([
+                getLedgers(companyName, { sinceAlterId: cached.masterAlterId }),
+                getMasterIds(companyName, 'Ledger')
+            ]);
+            // MASTERID survives a rename, so a renamed ledger replaces its old entry
+            ledgers = mergeChanged(ledgers, changed, l => l.masterId || l.name, liveIds.size > 0 ? liveIds : null);
+        } else {
+            ledgers = await getLedgers(companyName);
+        }
+        // The group tree is small and each group's path depends on its parents, so it is reloaded whole
+        groups = await getGroups(companyName).catch(() => groups);
+    }
+
+    if (vouchersChanged) {
+        if (isIncremental) {
+            const [changed, liveIds] = await Promise.all([
+                getVouchers(companyName, { ...range, sinceAlterId: cached.voucherAlterId }),
+                getVoucherRemoteIds(companyName, range.fromDate, range.toDate)
+            ]);
+            const liveKeys = new Set([...liveIds.keys(), ...[...liveIds.values()].map(v => v.masterId)]);
+            vouchers = mergeChanged(vouchers, changed, v => v.guid || v.masterId, liveKeys);
+        } else {
+            vouchers = await getVouchers(companyName, range);
+        }
+    }
+
+    const record = {
+        key: getCacheKey(companyName),
+        companyName,
+        ledgers,
+        groups,
+        vouchers,
+        voucherRange: range,
+        masterAlterId: company.masterAlterId,
+        voucherAlterId: company.voucherAlterId,
+        refreshedAt: mastersChanged || vouchersChanged ? now : cached.refreshedAt,
+        checkedAt: now
+    };
+    await runRequest('readwrite', store => store.put(record));
+
+    if (mastersChanged || vouchersChanged) {
+        logger.info('Tally cache refreshed', {
+            company: companyName,
+            incremental: isIncremental,
+            ledgers: ledgers.length,
+            vouchers: vouchers.length
+        });
+    }
+
+    const result = { record, changed: { masters: mastersChanged, vouchers: vouchersChanged } };
+    cacheListeners.forEach(listener => listener(record));
+    return result;
+};
+
+/**
+ * Bring a company's cache up to date with Tally
+ * When the AlterIDs match the cache nothing but the company list is fetched; otherwise only
+ * ledgers and vouchers altered since are pulled, plus the ID lists that reveal deletions.
+ * @param {string} companyName - Tally company name
+ * @param {Object} options - { force: reload everything }
+ * @returns {Promise<Object>} { record (see getCachedCompany), changed: { masters, vouchers } }
+ */
+export const refreshCompanyCache = (companyName, { force = false } = {}) => {
+    const key = getCacheKey(companyName);
+    // Pages and the poller ask at the same time; they share one pull
+    if (!force && pendingRefreshes.has(key)) {
+        return pendingRefreshes.get(key);
+    }
+
+    const refresh = pullCompany(companyName, force).finally(() => pendingRefreshes.delete(key));
+    pendingRefreshes.set(key, refresh);
+    return refresh;
+};
+
+/**
+ * Ledgers of a company, served from the cache after an AlterID check
+ * Falls back to a direct export when the cache cannot be used.
+ * @param {string} companyName - Tally company name
+ * @returns {Promise<Array>} Same shape as getLedgers
+ */
+export const getCachedLedgers = async (companyName) => {
+    try {
+        const { record } = await refreshCompanyCache(companyName);
+        return record.ledgers;
+    } catch (error) {
+        logger.warn('Tally cache unavailable, exporting ledgers', { error: error.message });
+        return getLedgers(companyName);
+    }
+};
+
+/**
+ * Group tree of a company, served from the cache after an AlterID check
+ * @param {string} companyName - Tally company name
+ * @returns {Promise<Array>} Same shape as getGroups
+ */
+export const getCachedGroups = async (companyName) => {
+    try {
+        const { record } = await refreshCompanyCache(companyName);
+        return record.groups;
+    } catch (error) {
+        logger.warn('Tally cache unavailable, exporting groups', { error: error.message });
+        return getGroups(companyName);
+    }
+};
+
+/**
+ * Vouchers of a company, filtered like getVouchers
+ * Periods outside the cached financial years are exported from Tally directly.
+ * @param {string} companyName - Tally company name
+ * @param {Object} options - { fromDate, toDate, voucherTypes: [], ledger } with ISO dates
+ * @returns {Promise<Array>} Same shape as getVouchers
+ */
+export const getCachedVouchers = async (companyName, options = {}) => {
+    const { fromDate, toDate, voucherTypes = [], ledger = '' } = options;
+    const range = getVoucherRange();
+    if (!fromDate || !toDate || fromDate < range.fromDate || toDate > range.toDate) {
+        return getVouchers(companyName, options);
+    }
+
+    let record;
+    try {
+        ({ record } = await refreshCompanyCache(companyName));
+    } catch (error) {
+        logger.warn('Tally cache unavailable, exporting vouchers', { error: error.message });
+        return getVouchers(companyName, options);
+    }
+
+    const ledgerName = ledger.toLowerCase().trim();
+    return record.vouchers.filter(v =>
+        v.date >= fromDate && v.date <= toDate &&
+        (voucherTypes.length === 0 || voucherTypes.includes(v.type)) &&
+        (!ledgerName || v.allLedgers.some(name => name.toLowerCase().trim() === ledgerName))
+    );
+};
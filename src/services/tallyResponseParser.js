@@ -0,0 +1,140 @@
+/**
+ * AI Tally Sync - Tally Response Parser
+ * Reads the result of Tally Import Data requests (vouchers, ledgers, companies)
+ * into counts and classified errors, so callers never guess success from substrings
+ */
+
+// Known Tally error categories
+export const TALLY_ERROR_TYPES = {
+    BOOKS_PERIOD: 'BOOKS_PERIOD',
+    MISSING_LEDGER: 'MISSING_LEDGER',
+    MISSING_STOCK_ITEM: 'MISSING_STOCK_ITEM',
+    DUPLICATE: 'DUPLICATE',
+    COMPANY_NOT_LOADED: 'COMPANY_NOT_LOADED',
+    UNKNOWN: 'UNKNOWN'
+};
+
+// Message patterns for each category, checked in order
+const ERROR_PATTERNS = [
+    {
+        type: TALLY_ERROR_TYPES.BOOKS_PERIOD,
+        pattern: /out of (the )?(period|range)|before (the )?books beginning|not in (the )?(financial|current) (year|period)|outside (the )?(financial year|period)/i
+    },
+    {
+        type: TALLY_ERROR_TYPES.MISSING_LEDGER,
+        pattern: /ledger\b.*\b(does not exist|not found)|(does not exist|not found).*\bledger/i
+    },
+    {
+        type: TALLY_ERROR_TYPES.MISSING_STOCK_ITEM,
+        pattern: /(stock item|godown|unit)\b.*\b(does not exist|not found)/i
+    },
+    {
+        type: TALLY_ERROR_TYPES.DUPLICATE,
+        pattern: /already exists|duplicate|already used/i
+    },
+    {
+        type: TALLY_ERROR_TYPES.COMPANY_NOT_LOADED,
+        pattern: /could not set .?svcurrentcompany|company .*not (loaded|open)|no company/i
+    }
+];
+
+/**
+ * Decode the XML entities Tally uses in error text
+ * @param {string} text - Raw element text
+ * @returns {string} Plain text
+ */
+const decodeEntities = (text) => {
+    return String(text || '')
+        .replace(/&apos;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim();
+};
+
+/**
+ * Classify a Tally error message
+ * @param {string} message - Error text from LINEERROR/ERROR
+ * @returns {string} One of TALLY_ERROR_TYPES
+ */
+export const classifyTallyError = (message) => {
+    const match = ERROR_PATTERNS.find(({ pattern }) => pattern.test(message || ''));
+    return match ? match.type : TALLY_ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Parse the response of an Import Data request
+ * @param {string} xml - Raw response text
+ * @returns {Object} {
+ *   ok, hasCounters, created, altered, deleted, ignored, combined, cancelled, errors, exceptions,
+ *   lastVchId, lastMasterId, lineErrors: [{ message, type }], error, errorType
+ * }
+ */
+export const parseImportResponse = (xml) => {
+    const text = String(xml || '');
+
+    const readNumber = (tag) => {
+        const match = text.match(new RegExp(`<${tag}>\\s*(-?\\d+)\\s*</${tag}>`, 'i'));
+        return match ? parseInt(match[1], 10) : 0;
+    };
+    const readId = (tag) => {
+        const match = text.match(new RegExp(`<${tag}>\\s*(\\d+)\\s*</${tag}>`, 'i'));
+        return match && match[1] !== '0' ? match[1] : null;
+    };
+
+    // One LINEERROR per rejected object, in request order; a bare ERROR is request-level
+    const messages = [...text.matchAll(/<LINEERROR>([\s\S]*?)<\/LINEERROR>/gi)].map(match => decodeEntities(match[1]));
+    if (messages.length === 0) {
+        const errorMatch = text.match(/<ERROR>([\s\S]*?)<\/ERROR>/i);
+        if (errorMatch) messages.push(decodeEntities(errorMatch[1]));
+    }
+
+    const lineErrors = messages
+        .filter(Boolean)
+        .map(message => ({ message, type: classifyTallyError(message) }));
+
+    const counts = {
+        created: readNumber('CREATED'),
+        altered: readNumber('ALTERED'),
+        deleted: readNumber('DELETED'),
+        ignored: readNumber('IGNORED'),
+        combined: readNumber('COMBINED'),
+        cancelled: readNumber('CANCELLED'),
+        errors: readNumber('ERRORS'),
+        exceptions: readNumber('EXCEPTIONS')
+    };
+
+    const hasCounters = /<(CREATED|ALTERED|DELETED|ERRORS)>/i.test(text);
+
+    return {
+        ...counts,
+        ok: hasCounters && counts.errors === 0 && counts.exceptions === 0 && lineErrors.length === 0,
+        hasCounters,
+        lastVchId: readId('LASTVCHID'),
+        lastMasterId: readId('LASTMID'),
+        lineErrors,
+        error: lineErrors[0]?.message || null,
+        errorType: lineErrors[0]?.type || null
+    };
+};
+
+/**
+ * Build an Error for a failed import, carrying the classification for callers
+ * @param {Object} parsed - Result of parseImportResponse
+ * @param {string} fallbackMessage - Message when Tally gave no error text
+ * @returns {Error} Error with type and lineErrors properties
+ */
+export const createTallyError = (parsed, fallbackMessage = 'Tally returned an error') => {
+    const error = new Error(parsed?.error || fallbackMessage);
+    error.type = parsed?.errorType || TALLY_ERROR_TYPES.UNKNOWN;
+    error.lineErrors = parsed?.lineErrors || [];
+    return error;
+};
+
+export default {
+    TALLY_ERROR_TYPES,
+    classifyTallyError,
+    parseImportResponse,
+    createTallyError
+};
@@ -3,33 +3,70 @@
  * Integration with Tally Prime via XML HTTP API
  * 
  * CONNECTION MODES:
- * - Development: Uses Vite proxy at /api/tally to bypass CORS
- * - Production (Netlify): Connects to localhost:9001 (CORS proxy)
- *   The CORS proxy (tally-proxy.mjs) forwards requests to Tally on port 9000
+ * - Development: Uses Vite proxy at /api/tally to bypass CORS (default localhost:9000 endpoint only)
+ * - Production (Netlify) and any other endpoint: Connects to the CORS proxy on the Tally machine
+ *   The CORS proxy (tally-proxy.mjs) forwards requests to Tally, by default on port 9000
  *   Note: User must run "node tally-proxy.mjs" alongside Tally Prime
+ *
+ * The endpoint is chosen at runtime with setTallyEndpoint (see the Tally connections in AppContext)
  */
 
 import logger from '../utils/logger';
-import { retryWithBackoff } from '../utils/helpers';
+import { retryWithBackoff, hashString } from '../utils/helpers';
+import { CONTRA_LEDGER_GROUPS, DEFAULT_COST_CATEGORY, DEFAULT_BATCH, DEFAULT_GODOWN, DEFAULT_LEDGER_GROUP_MAP, GST_REGISTERED_TYPES, GST_REGISTRATION_TYPES, GST_STATE_CODES, PARTY_LEDGER_GROUPS, TALLY_LEDGER_GROUPS, TALLY_VOUCHER_TYPES, PRIMARY_GROUP_NATURES } from '../utils/constants';
+import { parseImportResponse, createTallyError, TALLY_ERROR_TYPES } from './tallyResponseParser';
+
+// Default Tally endpoint, used until a saved connection is applied
+export const DEFAULT_TALLY_ENDPOINT = {
+  host: import.meta.env.VITE_TALLY_HOST || 'localhost',
+  port: String(import.meta.env.VITE_TALLY_PORT || '9000'),
+  proxyPort: '9001' // CORS proxy port on the Tally machine
+};
 
-// Tally connection configuration
-const TALLY_HOST = import.meta.env.VITE_TALLY_HOST || 'localhost';
-const TALLY_PORT = import.meta.env.VITE_TALLY_PORT || '9000';
-const PROXY_PORT = '9001'; // CORS proxy port for production
+// Vouchers packed into one Import Data request by batchPushToTally
+const IMPORT_CHUNK_SIZE = parseInt(import.meta.env.VITE_TALLY_IMPORT_CHUNK_SIZE, 10) || 25;
 
 // Detect if we're in development or production
 const isDevelopment = import.meta.env.DEV;
 
-// In development, use Vite proxy. In production, use CORS proxy on port 9001.
-// The CORS proxy forwards requests to Tally and adds proper headers.
-const TALLY_PROXY_URL = isDevelopment ? '/api/tally' : `http://${TALLY_HOST}:${PROXY_PORT}`;
-const TALLY_DIRECT_URL = `http://${TALLY_HOST}:${TALLY_PORT}`;
+// Endpoint all requests go to
+let tallyEndpoint = { ...DEFAULT_TALLY_ENDPOINT };
+
+/**
+ * URL requests are sent to for the current endpoint
+ * In development the Vite proxy serves localhost:9000; every other endpoint goes
+ * through the CORS proxy running next to that Tally instance
+ */
+const getTallyUrl = () => {
+  const { host, port, proxyPort } = tallyEndpoint;
+  if (isDevelopment && ['localhost', '127.0.0.1'].includes(host) && port === '9000') {
+    return '/api/tally';
+  }
+  return `http://${host}:${proxyPort}`;
+};
+
+/**
+ * Point the service at a Tally instance
+ * @param {Object} endpoint - { host, port, proxyPort }; missing fields fall back to the defaults
+ * @returns {Object} The endpoint now in use
+ */
+export const setTallyEndpoint = (endpoint = {}) => {
+  tallyEndpoint = {
+    host: (endpoint.host || DEFAULT_TALLY_ENDPOINT.host).trim(),
+    port: String(endpoint.port || DEFAULT_TALLY_ENDPOINT.port).trim(),
+    proxyPort: String(endpoint.proxyPort || DEFAULT_TALLY_ENDPOINT.proxyPort).trim()
+  };
+  logger.info('Tally endpoint changed', { ...tallyEndpoint, url: getTallyUrl() });
+  return { ...tallyEndpoint };
+};
+
+export const getTallyEndpoint = () => ({ ...tallyEndpoint });
 
 // Mock mode - set to false for real Tally connection
 let mockMode = false;
 
 // Log connection mode
-console.log(`[TallyService] Mode: ${isDevelopment ? 'Development (Vite proxy)' : `Production (CORS proxy on port ${PROXY_PORT})`}`);
+console.log(`[TallyService] Mode: ${isDevelopment ? 'Development' : 'Production'} (${getTallyUrl()})`);
 
 
 /**
@@ -38,14 +75,14 @@ console.log(`[TallyService] Mode: ${isDevelopment ? 'Development (Vite proxy)' :
  */
 export const checkConnection = async () => {
   try {
-    logger.tallyOperation('checkConnection', { url: TALLY_PROXY_URL });
+    logger.tallyOperation('checkConnection', { url: getTallyUrl() });
 
     if (mockMode) {
       logger.info('Tally running in mock mode');
       return { connected: true, mock: true };
     }
 
-    const response = await fetch(TALLY_PROXY_URL, {
+    const response = await fetch(getTallyUrl(), {
       method: 'POST',
       headers: { 'Content-Type': 'text/xml' },
       body: getCompanyListXML(),
@@ -78,6 +115,57 @@ export const setMockMode = (enabled) => {
 
 export const isMockMode = () => mockMode;
 
+// Listeners told about every write sent to Tally (see subscribeToSyncEvents)
+const syncListeners = new Set();
+
+/**
+ * Listen to every push, alteration and deletion sent to Tally, e.g. for the sync audit log
+ * Called with { kind, action, companyName, reference, description, amount, payload,
+ *   requestXml, response, status, voucherId, remoteId, error, at }, where status is
+ *   success, existing or failed. Mock mode sends nothing, so emits nothing.
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToSyncEvents = (listener) => {
+  syncListeners.add(listener);
+  return () => syncListeners.delete(listener);
+};
+
+/**
+ * Collect the details of one write; done() reports it to the listeners once
+ * @param {Object} details - { kind, action, companyName, reference, description, amount, payload }
+ */
+const createSyncAudit = (details) => {
+  const event = { ...details, requestXml: '', response: null, at: new Date().toISOString() };
+  let reported = false;
+
+  return {
+    request: (xml) => { event.requestXml = xml; },
+    response: (parsed) => { event.response = parsed; },
+    done: (status, extra = {}) => {
+      if (reported || mockMode) return;
+      reported = true;
+      syncListeners.forEach(listener => {
+        try {
+          listener({ ...event, ...extra, status });
+        } catch (error) {
+          logger.warn('Sync listener failed', { error: error.message });
+        }
+      });
+    }
+  };
+};
+
+// Audit details of a bank voucher push
+const getBankSyncDetails = (transaction, companyName, bankLedger, partyLedger, action) => ({
+  kind: 'bank',
+  action,
+  companyName,
+  reference: transaction.id ?? null,
+  description: transaction.description || '',
+  amount: Math.abs(transaction.credit || transaction.debit || transaction.amount || 0),
+  payload: { transaction, bankLedger: bankLedger || null, partyLedger: partyLedger || null }
+});
+
 /**
  * Get XML request for company list
  */
@@ -101,6 +189,9 @@ const getCompanyListXML = () => {
             <TYPE>Company</TYPE>
             <NATIVEMETHOD>Name</NATIVEMETHOD>
             <NATIVEMETHOD>StartingFrom</NATIVEMETHOD>
+            <NATIVEMETHOD>BooksFrom</NATIVEMETHOD>
+            <NATIVEMETHOD>AltMstId</NATIVEMETHOD>
+            <NATIVEMETHOD>AltVchId</NATIVEMETHOD>
           </COLLECTION>
         </TDLMESSAGE>
       </TDL>
@@ -111,6 +202,8 @@ const getCompanyListXML = () => {
 
 /**
  * Get list of companies from Tally
+ * masterAlterId / voucherAlterId are the AlterIDs of the company's last altered master and
+ * voucher (null when Tally does not report them); they move whenever anything changes.
  */
 export const getCompanies = async () => {
   try {
@@ -118,13 +211,13 @@ export const getCompanies = async () => {
 
     if (mockMode) {
       return [
-        { name: 'ABC Trading Co.', from: '01-Apr-2024' },
-        { name: 'Demo Company', from: '01-Apr-2024' }
+        { name: 'ABC Trading Co.', from: '01-Apr-2024', booksFrom: '01-Apr-2024' },
+        { name: 'Demo Company', from: '01-Apr-2024', booksFrom: '01-Apr-2024' }
       ];
     }
 
     const response = await retryWithBackoff(
-      () => fetch(TALLY_PROXY_URL, {
+      () => fetch(getTallyUrl(), {
         method: 'POST',
         headers: { 'Content-Type': 'text/xml' },
         body: getCompanyListXML()
@@ -162,10 +255,18 @@ const parseCompaniesFromXML = (xml) => {
     const name = node.querySelector('NAME')?.textContent ||
       node.getAttribute('NAME') ||
       node.textContent?.trim();
+    // A company without vouchers reports 0; only a missing field means Tally has no AlterIDs
+    const readAlterId = (tag) => {
+      const value = parseInt(node.querySelector(tag)?.textContent, 10);
+      return Number.isNaN(value) ? null : value;
+    };
     if (isValidCompanyName(name)) {
       companies.push({
         name: name.trim(),
-        from: node.querySelector('STARTINGFROM')?.textContent || ''
+        from: node.querySelector('STARTINGFROM')?.textContent || '',
+        booksFrom: node.querySelector('BOOKSFROM')?.textContent || '',
+        masterAlterId: readAlterId('ALTMSTID'),
+        voucherAlterId: readAlterId('ALTVCHID')
       });
     }
   });
@@ -176,7 +277,7 @@ const parseCompaniesFromXML = (xml) => {
       if (node.parentElement?.tagName === 'COMPANY' || node.closest('COLLECTION')) {
         const name = node.textContent?.trim();
         if (isValidCompanyName(name)) {
-          companies.push({ name: name, from: '' });
+          companies.push({ name: name, from: '', booksFrom: '' });
         }
       }
     });
@@ -188,10 +289,13 @@ const parseCompaniesFromXML = (xml) => {
 /**
  * Get ledger list from Tally
  * Uses TDL Collection format for proper ledger fetching
+ * Ledgers carry their master details (balances, GST and bank details, bill-wise flag; see readLedgerDetails)
+ * @param {string} companyName - Company name
+ * @param {Object} options - { sinceAlterId: only ledgers created or altered after this AlterID }
  */
-export const getLedgers = async (companyName) => {
+export const getLedgers = async (companyName, { sinceAlterId = null } = {}) => {
   try {
-    logger.tallyOperation('getLedgers', { company: companyName });
+    logger.tallyOperation('getLedgers', { company: companyName, sinceAlterId });
 
     if (mockMode) {
       return [
@@ -221,8 +325,10 @@ export const getLedgers = async (companyName) => {
 <TDLMESSAGE>
 <COLLECTION NAME="Ledger Collection">
 <TYPE>Ledger</TYPE>
-<FETCH>NAME, PARENT</FETCH>
-</COLLECTION>
+<FETCH>${LEDGER_MASTER_FIELDS.join(', ')}</FETCH>${sinceAlterId ? `
+<FILTERS>AITSAlteredSince</FILTERS>` : ''}
+</COLLECTION>${sinceAlterId ? `
+<SYSTEM TYPE="Formulae" NAME="AITSAlteredSince">$AlterID > ${Number(sinceAlterId)}</SYSTEM>` : ''}
 </TDLMESSAGE>
 </TDL>
 </DESC>
@@ -231,7 +337,7 @@ export const getLedgers = async (companyName) => {
 
     console.log('[TallyService] Fetching ledgers for company:', companyName);
 
-    const response = await fetch(TALLY_PROXY_URL, {
+    const response = await fetch(getTallyUrl(), {
       method: 'POST',
       headers: { 'Content-Type': 'text/xml' },
       body: xml
@@ -258,6 +364,47 @@ export const getLedgers = async (companyName) => {
   }
 };
 
+// Ledger master fields fetched by getLedgers
+const LEDGER_MASTER_FIELDS = [
+  'NAME', 'PARENT', 'MASTERID', 'ALTERID', 'OPENINGBALANCE', 'CLOSINGBALANCE', 'ISBILLWISEON',
+  'PARTYGSTIN', 'LEDSTATENAME', 'GSTREGISTRATIONTYPE', 'ADDRESS', 'INCOMETAXNUMBER',
+  'BANKDETAILS', 'IFSCODE', 'BANKINGCONFIGBANK', 'BRANCHNAME', 'BANKACCHOLDERNAME'
+];
+
+/**
+ * Master details of a ledger node (LEDGER, LEDGERDTL or the element around a fallback NAME)
+ * Balances keep Tally's sign: debit balances are negative.
+ * @returns {Object} { masterId, alterId, openingBalance, closingBalance, isBillWise, gstin, state, gstRegistrationType, address, pan, bankDetails }
+ */
+const readLedgerDetails = (node) => {
+  const text = (tag) => node.querySelector(tag)?.textContent?.trim() || '';
+  const amount = (tag) => parseFloat(text(tag).replace(/,/g, '')) || 0;
+  const accountNumber = text('BANKDETAILS');
+
+  return {
+    masterId: text('MASTERID') || null,
+    alterId: parseInt(text('ALTERID'), 10) || null,
+    openingBalance: amount('OPENINGBALANCE'),
+    closingBalance: amount('CLOSINGBALANCE'),
+    isBillWise: text('ISBILLWISEON') === 'Yes',
+    // Tally Prime 3+ keeps the GSTIN in LEDGSTREGDETAILS.LIST
+    gstin: text('PARTYGSTIN') || text('GSTIN'),
+    state: text('LEDSTATENAME') || text('STATENAME'),
+    gstRegistrationType: text('GSTREGISTRATIONTYPE'),
+    address: Array.from(node.getElementsByTagName('ADDRESS'), line => line.textContent.trim()).filter(Boolean).join('\n'),
+    pan: text('INCOMETAXNUMBER'),
+    bankDetails: accountNumber
+      ? {
+        accountNumber,
+        ifsc: text('IFSCODE'),
+        bankName: text('BANKINGCONFIGBANK'),
+        branch: text('BRANCHNAME'),
+        accountHolder: text('BANKACCHOLDERNAME')
+      }
+      : null
+  };
+};
+
 const parseLedgersFromXML = (xml) => {
   const parser = new DOMParser();
   const doc = parser.parseFromString(xml, 'text/xml');
@@ -265,12 +412,13 @@ const parseLedgersFromXML = (xml) => {
   const seenNames = new Set(); // Avoid duplicates
 
   // Helper to add unique ledger
-  const addLedger = (name, group) => {
+  const addLedger = (name, group, details = {}) => {
     if (name && name.trim() && !name.includes('<') && !seenNames.has(name.trim().toLowerCase())) {
       seenNames.add(name.trim().toLowerCase());
       ledgers.push({
         name: name.trim(),
-        group: group?.trim() || ''
+        group: group?.trim() || '',
+        ...details
       });
     }
   };
@@ -282,7 +430,7 @@ const parseLedgersFromXML = (xml) => {
     ledgerDtlNodes.forEach(node => {
       const name = node.querySelector('LEDGERNAME')?.textContent;
       const group = node.querySelector('LEDGERPARENT')?.textContent;
-      addLedger(name, group);
+      addLedger(name, group, readLedgerDetails(node));
     });
   }
 
@@ -298,7 +446,7 @@ const parseLedgersFromXML = (xml) => {
           node.textContent;
         const group = node.querySelector('PARENT, LEDGERGROUP')?.textContent ||
           node.getAttribute('PARENT');
-        addLedger(name, group);
+        addLedger(name, group, readLedgerDetails(node));
       });
     }
   }
@@ -310,7 +458,7 @@ const parseLedgersFromXML = (xml) => {
     tallyMsgNodes.forEach(node => {
       const name = node.getAttribute('NAME') || node.querySelector('NAME')?.textContent;
       const group = node.querySelector('PARENT')?.textContent;
-      addLedger(name, group);
+      addLedger(name, group, readLedgerDetails(node));
     });
   }
 
@@ -323,7 +471,7 @@ const parseLedgersFromXML = (xml) => {
       const name = nameNode.textContent;
       const parent = nameNode.parentElement;
       const group = parent?.querySelector('PARENT')?.textContent || '';
-      addLedger(name, group);
+      addLedger(name, group, parent ? readLedgerDetails(parent) : {});
     });
   }
 
@@ -343,23 +491,64 @@ const parseLedgersFromXML = (xml) => {
 };
 
 /**
- * Create a ledger in Tally
- * @param {string} ledgerName - Name of the ledger
- * @param {string} groupName - Parent group name
- * @param {string} companyName - Company name
- * @returns {Promise<Object>} Creation result
+ * LEDGER master element
+ * A Create carries every detail; an Alter only the details given, so Tally keeps the rest.
+ * Opening balances keep Tally's sign: debit balances are negative.
+ * @param {Object} ledger - { name, group, gstin, state, gstRegistrationType, address, pan, openingBalance, isBillWise, bankDetails }
+ * @param {string} action - 'Create' or 'Alter'
+ * @returns {string} LEDGER element
  */
-export const createLedger = async (ledgerName, groupName, companyName) => {
-  try {
-    console.log(`Creating ledger: ${ledgerName} in group: ${groupName} for company: ${companyName}`);
-    logger.tallyOperation('createLedger', { ledgerName, groupName, companyName });
+const createLedgerElement = (ledger, action = 'Create') => {
+  const { name, group, gstin, state, gstRegistrationType, address, pan, openingBalance, isBillWise, bankDetails } = ledger;
+  const isCreate = action === 'Create';
+  const lines = [`<NAME>${escapeXML(name)}</NAME>`];
+  const addTag = (tag, value) => {
+    if (value) lines.push(`<${tag}>${escapeXML(value)}</${tag}>`);
+  };
 
-    if (mockMode) {
-      await new Promise(resolve => setTimeout(resolve, 300));
-      return { success: true, message: `Ledger ${ledgerName} created (Mock)` };
-    }
+  addTag('PARENT', group);
 
-    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+  const addressLines = (address || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (addressLines.length > 0) {
+    lines.push('<ADDRESS.LIST TYPE="String">', ...addressLines.map(line => `<ADDRESS>${escapeXML(line)}</ADDRESS>`), '</ADDRESS.LIST>');
+  }
+
+  addTag('INCOMETAXNUMBER', pan);
+  addTag('GSTREGISTRATIONTYPE', gstRegistrationType);
+  addTag('PARTYGSTIN', gstin);
+  addTag('LEDSTATENAME', state);
+  if (openingBalance != null) {
+    lines.push(`<OPENINGBALANCE>${Number(openingBalance).toFixed(2)}</OPENINGBALANCE>`);
+  }
+  addTag('BANKDETAILS', bankDetails?.accountNumber);
+  addTag('IFSCODE', bankDetails?.ifsc);
+  addTag('BANKINGCONFIGBANK', bankDetails?.bankName);
+
+  if (isCreate || isBillWise != null) {
+    lines.push(`<ISBILLWISEON>${isBillWise ? 'Yes' : 'No'}</ISBILLWISEON>`);
+  }
+  if (isCreate) {
+    lines.push('<ISCOSTCENTRESON>No</ISCOSTCENTRESON>');
+  }
+
+  return `<LEDGER NAME="${escapeXML(name)}" ACTION="${action}">
+${lines.join('\n')}
+</LEDGER>`;
+};
+
+/**
+ * Import request creating or altering ledger masters
+ * @param {Array} ledgers - [{ name, group, ...details }]
+ * @param {string} companyName - Company name
+ * @param {string} action - 'Create' or 'Alter'
+ * @returns {string} XML request
+ */
+const createLedgersXML = (ledgers, companyName, action = 'Create') => {
+  const messages = ledgers.map(ledger => `        <TALLYMESSAGE xmlns:UDF="TallyUDF">
+${createLedgerElement(ledger, action)}
+        </TALLYMESSAGE>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
 <ENVELOPE>
   <HEADER>
     <TALLYREQUEST>Import Data</TALLYREQUEST>
@@ -373,69 +562,108 @@ export const createLedger = async (ledgerName, groupName, companyName) => {
         </STATICVARIABLES>
       </REQUESTDESC>
       <REQUESTDATA>
-        <TALLYMESSAGE xmlns:UDF="TallyUDF">
-          <LEDGER NAME="${escapeXML(ledgerName)}" ACTION="Create">
-            <NAME>${escapeXML(ledgerName)}</NAME>
-            <PARENT>${escapeXML(groupName)}</PARENT>
-            <ISBILLWISEON>No</ISBILLWISEON>
-            <ISCOSTCENTRESON>No</ISCOSTCENTRESON>
-          </LEDGER>
-        </TALLYMESSAGE>
+${messages}
       </REQUESTDATA>
     </IMPORTDATA>
   </BODY>
 </ENVELOPE>`;
+};
 
-    const response = await fetch(TALLY_PROXY_URL, {
+/**
+ * Create or alter one ledger master in Tally
+ * Creating a ledger that already exists is success; altering one that does not is an error.
+ * @param {Object} ledger - { name, group, ...details } (see createLedgerElement)
+ * @param {string} companyName - Company name
+ * @param {string} action - 'Create' or 'Alter'
+ * @returns {Promise<Object>} { success, message, existed }
+ */
+const saveLedgerMaster = async (details, companyName, action = 'Create') => {
+  const { name, group } = details;
+  const isCreate = action === 'Create';
+  // GST details go to Tally checked, with the state taken from the GSTIN
+  const gst = details.gstin || details.gstRegistrationType ? resolvePartyGstDetails(details) : null;
+  const ledger = gst ? { ...details, gstin: gst.gstin, state: gst.state, gstRegistrationType: gst.gstRegistrationType } : details;
+  const audit = createSyncAudit({
+    kind: 'ledger',
+    action,
+    companyName,
+    reference: name,
+    description: group ? `${name} under ${group}` : name,
+    payload: ledger
+  });
+
+  try {
+    logger.tallyOperation(isCreate ? 'createLedger' : 'alterLedger', { ledgerName: name, groupName: group, companyName });
+
+    if (gst?.error) {
+      throw new Error(`${gst.error}. Correct the GST details of ${name}`);
+    }
+
+    if (mockMode) {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { success: true, message: `Ledger ${name} ${isCreate ? 'created' : 'altered'} (Mock)` };
+    }
+
+    const xml = createLedgersXML([ledger], companyName, action);
+    audit.request(xml);
+
+    const response = await fetch(getTallyUrl(), {
       method: 'POST',
       headers: { 'Content-Type': 'text/xml' },
       body: xml
     });
 
     const result = await response.text();
-    console.log(`Ledger creation response for "${ledgerName}":`, result.substring(0, 200));
-    logger.debug('Create ledger response', { response: result.substring(0, 300) });
-
-    // Check for specific error patterns - but ignore "already exists" type errors
-    if (result.includes('LINEERROR') || result.includes('<ERROR>')) {
-      const errorMatch = result.match(/<LINEERROR>(.*?)<\/LINEERROR>/s) ||
-        result.match(/<ERROR>(.*?)<\/ERROR>/s);
-      const errorMsg = errorMatch ? errorMatch[1].trim() : '';
-
-      // Check if ledger already exists - this is actually success for our purposes
-      if (errorMsg.includes('already exists') ||
-        errorMsg.includes('duplicate') ||
-        errorMsg.includes('Duplicate') ||
-        errorMsg.includes('already used') ||
-        result.includes('LASTVCHID')) {
-        console.log(`Ledger "${ledgerName}" already exists - OK`);
-        return { success: true, message: `Ledger "${ledgerName}" already exists`, existed: true };
-      }
+    logger.debug(`${action} ledger response`, { response: result.substring(0, 300) });
+
+    const parsed = parseImportResponse(result);
+    audit.response(parsed);
 
-      throw new Error(errorMsg || 'Failed to create ledger');
+    // A ledger that already exists is success for our purposes
+    if (isCreate && (parsed.errorType === TALLY_ERROR_TYPES.DUPLICATE || (parsed.ok && parsed.ignored > 0 && parsed.created === 0))) {
+      logger.debug(`Ledger "${name}" already exists`);
+      audit.done('existing');
+      return { success: true, message: `Ledger "${name}" already exists`, existed: true };
     }
 
-    // Check for success
-    if (result.includes('CREATED') || result.includes('IMPORTED') ||
-      (result.includes('<ENVELOPE>') && !result.includes('LINEERROR'))) {
-      console.log(`Ledger "${ledgerName}" created successfully`);
-      return { success: true, message: `Ledger "${ledgerName}" created in ${groupName}` };
+    if (parsed.error || parsed.errors > 0) {
+      throw createTallyError(parsed, `Failed to ${action.toLowerCase()} ledger`);
     }
 
-    // If we got a valid envelope response, assume success
-    if (result.includes('<ENVELOPE>')) {
-      console.log(`Ledger "${ledgerName}" - response received, assuming success`);
-      return { success: true, message: `Ledger "${ledgerName}" sent to Tally` };
+    if (parsed.created > 0 || parsed.altered > 0) {
+      logger.debug(`Ledger "${name}" ${isCreate ? 'created' : 'altered'}`);
+      audit.done('success', { voucherId: parsed.lastMasterId });
+      return { success: true, message: isCreate ? `Ledger "${name}" created in ${group}` : `Ledger "${name}" altered` };
     }
 
-    throw new Error('No success confirmation from Tally');
+    throw new Error(`Tally did not ${action.toLowerCase()} ledger "${name}"`);
   } catch (error) {
-    console.error(`Failed to create ledger "${ledgerName}":`, error.message);
-    logger.error('Failed to create ledger', error);
+    console.error(`Failed to ${action.toLowerCase()} ledger "${name}":`, error.message);
+    logger.error(`Failed to ${action.toLowerCase()} ledger`, error);
+    audit.done('failed', { error: error.message });
     throw error;
   }
 };
 
+/**
+ * Create a ledger in Tally
+ * @param {string} ledgerName - Name of the ledger
+ * @param {string} groupName - Parent group name
+ * @param {string} companyName - Company name
+ * @param {Object} details - Optional master details { gstin, state, address, pan, openingBalance, isBillWise, bankDetails }
+ * @returns {Promise<Object>} Creation result
+ */
+export const createLedger = (ledgerName, groupName, companyName, details = {}) =>
+  saveLedgerMaster({ ...details, name: ledgerName, group: groupName }, companyName, 'Create');
+
+/**
+ * Alter a ledger in Tally; only the details given change
+ * @param {Object} ledger - { name, ...details } (see createLedgerElement)
+ * @param {string} companyName - Company name
+ * @returns {Promise<Object>} Alteration result
+ */
+export const alterLedger = (ledger, companyName) => saveLedgerMaster(ledger, companyName, 'Alter');
+
 /**
  * Create multiple ledgers in Tally
  * @param {Array} ledgers - Array of {name, group} objects
@@ -459,6 +687,311 @@ export const createMultipleLedgers = async (ledgers, companyName) => {
   return results;
 };
 
+// Formats of the identifiers on a ledger master
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+// Characters of a GSTIN in the order its check digit counts them
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Check a GSTIN's format, state code and check digit
+ * @param {string} value - GSTIN as entered
+ * @returns {Object} { valid, error, gstin, state, pan } - state from the first two digits, pan from the next ten
+ */
+export const validateGstin = (value) => {
+  const gstin = (value || '').trim().toUpperCase();
+
+  if (!GSTIN_PATTERN.test(gstin)) {
+    return { valid: false, error: `GSTIN ${gstin} is not a 15-character GSTIN`, gstin, state: '', pan: '' };
+  }
+
+  const state = GST_STATE_CODES[gstin.slice(0, 2)];
+  if (!state) {
+    return { valid: false, error: `GSTIN ${gstin} starts with an unknown state code ${gstin.slice(0, 2)}`, gstin, state: '', pan: '' };
+  }
+
+  // Mod-36 checksum: odd positions count once, even positions twice, with the product's digits added up in base 36
+  const sum = [...gstin.slice(0, 14)].reduce((total, char, idx) => {
+    const product = GSTIN_CHARACTERS.indexOf(char) * (idx % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  if (GSTIN_CHARACTERS[(36 - (sum % 36)) % 36] !== gstin[14]) {
+    return { valid: false, error: `GSTIN ${gstin} has a wrong check digit`, gstin, state, pan: '' };
+  }
+
+  return { valid: true, error: null, gstin, state, pan: gstin.slice(2, 12) };
+};
+
+// "Jammu and Kashmir" and Tally's "Jammu & Kashmir" are the same state
+const isSameStateName = (a, b) => {
+  const normalise = (name) => name.toLowerCase().replace(/\band\b/g, '&').replace(/\s+/g, ' ').trim();
+  return normalise(a) === normalise(b);
+};
+
+/**
+ * GST details of a party ledger, completed from the GSTIN and checked
+ * A valid GSTIN sets the state and defaults the registration type to Regular;
+ * Regular and Composition parties must have one.
+ * @param {Object} details - { gstin, state, gstRegistrationType }
+ * @returns {Object} { gstin, state, gstRegistrationType, error } - error is null when Tally can take the details
+ */
+export const resolvePartyGstDetails = ({ gstin = '', state = '', gstRegistrationType = '' } = {}) => {
+  if (!gstin?.trim()) {
+    return {
+      gstin: '',
+      state,
+      gstRegistrationType,
+      error: GST_REGISTERED_TYPES.includes(gstRegistrationType) ? `A ${gstRegistrationType} party needs a GSTIN` : null
+    };
+  }
+
+  const check = validateGstin(gstin);
+  const details = { gstin: check.gstin, state: check.state || state, gstRegistrationType: gstRegistrationType || 'Regular' };
+
+  if (!check.valid) return { ...details, error: check.error };
+  if (!GST_REGISTERED_TYPES.includes(details.gstRegistrationType)) {
+    return { ...details, error: `A ${details.gstRegistrationType} party has no GSTIN` };
+  }
+  if (state && !isSameStateName(state, check.state)) {
+    return { ...details, error: `GSTIN ${check.gstin} is registered in ${check.state}, not ${state}` };
+  }
+  return { ...details, error: null };
+};
+
+/**
+ * What still stops a party ledger from being created with its GST details
+ * @param {Object} details - { gstin, state, gstRegistrationType }
+ * @returns {string|null} Message, or null when the details are complete
+ */
+export const getPartyGstIssue = (details = {}) => {
+  const gst = resolvePartyGstDetails(details);
+  if (gst.error) return gst.error;
+  if (!gst.gstRegistrationType) return 'Pick the GST registration type';
+  if (!gst.state) return 'Pick the state';
+  return null;
+};
+
+// Ledger details an import can set, with the label the import report shows
+const LEDGER_IMPORT_FIELDS = {
+  group: 'Group',
+  gstin: 'GSTIN',
+  gstRegistrationType: 'Registration Type',
+  state: 'State',
+  address: 'Address',
+  pan: 'PAN',
+  openingBalance: 'Opening Balance',
+  isBillWise: 'Bill-wise',
+  accountNumber: 'Account Number',
+  ifsc: 'IFSC',
+  bankName: 'Bank Name'
+};
+
+// Flat import details of a ledger, the shape planLedgerImport compares
+const getLedgerImportDetails = (ledger) => ({
+  group: ledger.group || '',
+  gstin: ledger.gstin || '',
+  gstRegistrationType: ledger.gstRegistrationType || '',
+  state: ledger.state || '',
+  address: ledger.address || '',
+  pan: ledger.pan || '',
+  openingBalance: ledger.openingBalance ?? null,
+  isBillWise: ledger.isBillWise ?? null,
+  accountNumber: ledger.bankDetails?.accountNumber || '',
+  ifsc: ledger.bankDetails?.ifsc || '',
+  bankName: ledger.bankDetails?.bankName || ''
+});
+
+// Import details back to the ledger shape createLedgerElement takes
+const toLedgerMaster = (name, { accountNumber, ifsc, bankName, ...details }) => ({
+  ...details,
+  name,
+  bankDetails: accountNumber || ifsc || bankName ? { accountNumber, ifsc, bankName } : null
+});
+
+// Import detail as the report shows it
+const formatLedgerImportValue = (field, value) => {
+  if (value === '' || value == null) return '';
+  if (field === 'openingBalance') return `${Math.abs(value).toFixed(2)} ${value < 0 ? 'Dr' : 'Cr'}`;
+  if (field === 'isBillWise') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+const isSameLedgerValue = (field, from, to) => {
+  if (field === 'openingBalance') return Math.abs((from || 0) - to) < 0.005;
+  if (field === 'isBillWise') return Boolean(from) === to;
+  const normalise = (value) => String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return normalise(from) === normalise(to);
+};
+
+/**
+ * Problems with one ledger import row, other than its group
+ * @param {Object} row - Row from mapToLedgerRows
+ * @param {Object} existing - The Tally ledger the row alters, if any; a blank GSTIN keeps its GSTIN
+ * @returns {Array} Error messages
+ */
+const validateLedgerRow = (row, existing) => {
+  const errors = [];
+  const gstRegistrationType = GST_REGISTRATION_TYPES.find(type => type.toLowerCase() === row.gstRegistrationType.toLowerCase());
+  const gst = resolvePartyGstDetails({
+    gstin: row.gstin || existing?.gstin || '',
+    state: row.state,
+    gstRegistrationType
+  });
+  const { pan } = row.gstin ? validateGstin(row.gstin) : {};
+
+  if (!row.name) errors.push('Name is missing');
+  if (row.gstRegistrationType && !gstRegistrationType) {
+    errors.push(`Registration type "${row.gstRegistrationType}" is not one of ${GST_REGISTRATION_TYPES.join(', ')}`);
+  } else if (gst.error) {
+    errors.push(gst.error);
+  }
+  if (row.pan && !PAN_PATTERN.test(row.pan)) errors.push(`PAN ${row.pan} is not valid`);
+  if (row.pan && pan && pan !== row.pan) errors.push(`PAN ${row.pan} does not match GSTIN ${row.gstin}`);
+  if (Number.isNaN(row.openingBalance)) errors.push('Opening balance is not a number');
+  if (row.ifsc && !IFSC_PATTERN.test(row.ifsc)) errors.push(`IFSC ${row.ifsc} is not valid`);
+  if ((row.ifsc || row.bankName) && !row.accountNumber) errors.push('Bank details have no account number');
+
+  return errors;
+};
+
+/**
+ * Work out what a ledger master import does, row by row, against the ledgers Tally has
+ * Nothing is sent to Tally; importLedgerMasters runs the plan.
+ * A row naming an existing ledger alters only the details it gives; blank cells keep Tally's value.
+ * @param {Array} rows - Result of mapToLedgerRows
+ * @param {Object} options - { ledgers: Tally ledgers with their details, groups: result of getGroups }
+ * @returns {Object} { rows: [{ row, name, action, ledger, changes: [{ field, from, to }], errors }], counts }
+ *   action is 'Create', 'Alter', 'Unchanged' or 'Invalid'
+ */
+export const planLedgerImport = (rows, { ledgers = [], groups = [] } = {}) => {
+  const groupNames = [...groups.map(g => g.name), ...TALLY_LEDGER_GROUPS];
+  const ledgerByName = new Map(ledgers.map(l => [l.name.toLowerCase().trim(), l]));
+  const firstRowOf = new Map();
+
+  const planned = rows.map(row => {
+    const key = row.name.toLowerCase();
+    const existing = ledgerByName.get(key);
+    const group = groupNames.find(name => name.toLowerCase() === row.group.toLowerCase()) || '';
+    const errors = validateLedgerRow(row, existing);
+
+    if (row.group && !group) errors.push(`Group "${row.group}" does not exist in Tally`);
+    if (row.name && !row.group && !existing) errors.push('Group is missing for a new ledger');
+    if (firstRowOf.has(key)) {
+      errors.push(`Same ledger as row ${firstRowOf.get(key)}`);
+    } else if (row.name) {
+      firstRowOf.set(key, row.row);
+    }
+
+    if (errors.length > 0) {
+      return { row: row.row, name: row.name, action: 'Invalid', ledger: null, changes: [], errors };
+    }
+
+    const targetGroup = group || existing.group;
+    // Tally keeps debit balances negative; without Dr/Cr the balance sits on the group's usual side
+    const isDebit = row.balanceType ? row.balanceType === 'Dr' : ['asset', 'expense'].includes(getGroupNature(targetGroup, groups));
+    const wanted = {
+      group,
+      gstin: row.gstin,
+      gstRegistrationType: GST_REGISTRATION_TYPES.find(type => type.toLowerCase() === row.gstRegistrationType.toLowerCase())
+        || (row.gstin && !existing?.gstRegistrationType ? 'Regular' : ''),
+      // The GSTIN's first two digits give the state when the sheet leaves it blank
+      state: row.state || (row.gstin ? validateGstin(row.gstin).state : ''),
+      address: row.address,
+      pan: row.pan,
+      openingBalance: row.openingBalance == null ? null : (isDebit ? -row.openingBalance : row.openingBalance),
+      isBillWise: row.isBillWise ?? (existing ? null : isGroupUnder(targetGroup, PARTY_LEDGER_GROUPS, groups)),
+      accountNumber: row.accountNumber,
+      ifsc: row.ifsc,
+      bankName: row.bankName
+    };
+
+    if (!existing) {
+      return { row: row.row, name: row.name, action: 'Create', ledger: toLedgerMaster(row.name, wanted), changes: [], errors };
+    }
+
+    const current = getLedgerImportDetails(existing);
+    const changed = Object.keys(LEDGER_IMPORT_FIELDS).filter(field =>
+      wanted[field] !== '' && wanted[field] != null && !isSameLedgerValue(field, current[field], wanted[field]));
+
+    if (changed.length === 0) {
+      return { row: row.row, name: existing.name, action: 'Unchanged', ledger: null, changes: [], errors };
+    }
+
+    const alteration = Object.fromEntries(changed.map(field => [field, wanted[field]]));
+    // The registration type is checked against the GSTIN, so Tally's GSTIN goes along with a new type
+    if (alteration.gstRegistrationType && !alteration.gstin) alteration.gstin = current.gstin;
+
+    return {
+      row: row.row,
+      name: existing.name,
+      action: 'Alter',
+      ledger: toLedgerMaster(existing.name, alteration),
+      changes: changed.map(field => ({
+        field: LEDGER_IMPORT_FIELDS[field],
+        from: formatLedgerImportValue(field, current[field]),
+        to: formatLedgerImportValue(field, wanted[field])
+      })),
+      errors
+    };
+  });
+
+  const counts = { Create: 0, Alter: 0, Unchanged: 0, Invalid: 0 };
+  planned.forEach(p => { counts[p.action]++; });
+
+  return { rows: planned, counts };
+};
+
+/**
+ * Create and alter the ledgers of an import plan, one master at a time
+ * Every row gets a result, so the report covers the whole sheet.
+ * @param {Array} plannedRows - planLedgerImport(...).rows
+ * @param {string} companyName - Company name
+ * @returns {Promise<Object>} { results: [{ row, name, action, status, message }], created, altered, failed }
+ *   status is 'created', 'altered', 'existing', 'unchanged', 'invalid' or 'failed'
+ */
+export const importLedgerMasters = async (plannedRows, companyName) => {
+  const results = [];
+
+  for (const planned of plannedRows) {
+    const { row, name, action } = planned;
+
+    if (action === 'Invalid' || action === 'Unchanged') {
+      results.push({
+        row,
+        name,
+        action,
+        status: action.toLowerCase(),
+        message: action === 'Invalid' ? planned.errors.join('; ') : 'Already matches Tally'
+      });
+      continue;
+    }
+
+    try {
+      const result = await saveLedgerMaster(planned.ledger, companyName, action);
+      results.push({
+        row,
+        name,
+        action,
+        status: result.existed ? 'existing' : action === 'Create' ? 'created' : 'altered',
+        message: result.message
+      });
+    } catch (error) {
+      results.push({ row, name, action, status: 'failed', message: error.message });
+    }
+  }
+
+  logger.tallyOperation('importLedgerMasters', { companyName, rows: plannedRows.length });
+
+  return {
+    results,
+    created: results.filter(r => r.status === 'created').length,
+    altered: results.filter(r => r.status === 'altered').length,
+    failed: results.filter(r => r.status === 'failed').length
+  };
+};
+
 /**
  * Ensure basic ledgers exist in Tally (auto-create if missing)
  * @param {string} companyName - Company name
@@ -514,61 +1047,591 @@ export const ensureBasicLedgers = async (companyName) => {
 };
 
 /**
- * Format date for Tally (YYYYMMDD)
- * Converts various date formats to Tally's required format
- * @param {string|Date} date - Date to format
- * @returns {string} Date in YYYYMMDD format
+ * Fetch a master collection (NAME plus extra fields) from Tally
+ * @param {string} companyName - Company name
+ * @param {string} type - Tally object type, e.g. CostCentre
+ * @param {Array<string>} fields - Extra fields to fetch
+ * @returns {Promise<Document>} Parsed response
  */
-const formatTallyDate = (date) => {
-  if (!date) {
-    // Default to today's date if no date provided
-    const today = new Date();
-    return today.toISOString().slice(0, 10).replace(/-/g, '');
-  }
+const fetchMasterCollection = async (companyName, type, fields = []) => {
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<ENVELOPE>
+<HEADER>
+<VERSION>1</VERSION>
+<TALLYREQUEST>Export</TALLYREQUEST>
+<TYPE>Collection</TYPE>
+<ID>${type} Collection</ID>
+</HEADER>
+<BODY>
+<DESC>
+<STATICVARIABLES>
+<SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
+</STATICVARIABLES>
+<TDL>
+<TDLMESSAGE>
+<COLLECTION NAME="${type} Collection">
+<TYPE>${type}</TYPE>
+<FETCH>${['NAME', ...fields].join(', ')}</FETCH>
+</COLLECTION>
+</TDLMESSAGE>
+</TDL>
+</DESC>
+</BODY>
+</ENVELOPE>`;
 
-  try {
-    // Handle string dates
-    if (typeof date === 'string') {
-      // Remove any extra whitespace
-      const trimmed = date.trim();
+  const response = await fetch(getTallyUrl(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/xml' },
+    body: xml
+  });
 
-      // If already in YYYYMMDD format
-      if (/^\d{8}$/.test(trimmed)) {
-        return trimmed;
-      }
+  const xmlText = await response.text();
+  return new DOMParser().parseFromString(xmlText, 'text/xml');
+};
 
-      // If in YYYY-MM-DD format
-      if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
-        return trimmed.replace(/-/g, '');
-      }
+/**
+ * MASTERIDs of every master of a type in the company - a light request that tells
+ * which cached masters have since been deleted
+ * @param {string} companyName - Company name
+ * @param {string} type - Tally object type, e.g. Ledger
+ * @returns {Promise<Set<string>>}
+ */
+export const getMasterIds = async (companyName, type) => {
+  const doc = await fetchMasterCollection(companyName, type, ['MASTERID']);
+  const ids = new Set();
+  doc.querySelectorAll(type.toUpperCase()).forEach(node => {
+    const id = node.querySelector('MASTERID')?.textContent?.trim();
+    if (id) ids.add(id);
+  });
+  return ids;
+};
 
-      // Handle DD/MM/YYYY format (common in Indian statements)
-      const ddmmyyyyMatch = trimmed.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})$/);
-      if (ddmmyyyyMatch) {
-        const [, day, month, year] = ddmmyyyyMatch;
-        return `${year}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
-      }
+/**
+ * Get cost categories from Tally
+ * @param {string} companyName - Company name
+ * @returns {Promise<Array>} [{ name, allocateRevenue, allocateNonRevenue }]
+ */
+export const getCostCategories = async (companyName) => {
+  try {
+    logger.tallyOperation('getCostCategories', { company: companyName });
 
-      // Handle DD/MM/YY format
-      const ddmmyyMatch = trimmed.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{2})$/);
-      if (ddmmyyMatch) {
-        const [, day, month, year] = ddmmyyMatch;
-        const fullYear = parseInt(year) > 50 ? `19${year}` : `20${year}`;
-        return `${fullYear}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
-      }
+    if (mockMode) {
+      return [
+        { name: DEFAULT_COST_CATEGORY, allocateRevenue: true, allocateNonRevenue: false },
+        { name: 'Projects', allocateRevenue: true, allocateNonRevenue: false }
+      ];
+    }
 
-      // Handle DD MMM YYYY format (e.g., "01 Jan 2024")
-      const ddMmmYyyyMatch = trimmed.match(/^(\d{1,2})\s+([A-Za-z]{3})\s+(\d{4})$/);
-      if (ddMmmYyyyMatch) {
-        const [, day, monthStr, year] = ddMmmYyyyMatch;
-        const months = {
-          jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
-          jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
-        };
-        const month = months[monthStr.toLowerCase()];
-        if (month) {
-          return `${year}${month}${day.padStart(2, '0')}`;
-        }
+    const doc = await fetchMasterCollection(companyName, 'CostCategory', ['ALLOCATEREVENUE', 'ALLOCATENONREVENUE']);
+    const categories = [];
+
+    doc.querySelectorAll('COSTCATEGORY').forEach(node => {
+      const name = (node.getAttribute('NAME') || node.querySelector('NAME')?.textContent || '').trim();
+      if (name) {
+        categories.push({
+          name,
+          allocateRevenue: node.querySelector('ALLOCATEREVENUE')?.textContent?.trim() === 'Yes',
+          allocateNonRevenue: node.querySelector('ALLOCATENONREVENUE')?.textContent?.trim() === 'Yes'
+        });
+      }
+    });
+
+    console.log('[TallyService] Cost categories:', categories.length);
+    return categories;
+  } catch (error) {
+    logger.error('Failed to get cost categories', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get cost centres from Tally
+ * @param {string} companyName - Company name
+ * @returns {Promise<Array>} [{ name, parent, category }]
+ */
+export const getCostCentres = async (companyName) => {
+  try {
+    logger.tallyOperation('getCostCentres', { company: companyName });
+
+    if (mockMode) {
+      return [
+        { name: 'Head Office', parent: '', category: DEFAULT_COST_CATEGORY },
+        { name: 'Mumbai Branch', parent: '', category: DEFAULT_COST_CATEGORY },
+        { name: 'Website Revamp', parent: '', category: 'Projects' }
+      ];
+    }
+
+    const doc = await fetchMasterCollection(companyName, 'CostCentre', ['PARENT', 'CATEGORY']);
+    const costCentres = [];
+
+    doc.querySelectorAll('COSTCENTRE').forEach(node => {
+      const name = (node.getAttribute('NAME') || node.querySelector('NAME')?.textContent || '').trim();
+      if (name) {
+        costCentres.push({
+          name,
+          parent: node.querySelector('PARENT')?.textContent?.trim() || '',
+          category: node.querySelector('CATEGORY')?.textContent?.trim() || DEFAULT_COST_CATEGORY
+        });
+      }
+    });
+
+    console.log('[TallyService] Cost centres:', costCentres.length);
+    return costCentres;
+  } catch (error) {
+    logger.error('Failed to get cost centres', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get account groups from Tally, including the company's custom sub-groups
+ * Each group carries its parent chain up to the primary group and that group's
+ * nature (asset, liability, income or expense).
+ * @param {string} companyName - Company name
+ * @returns {Promise<Array>} [{ name, parent, path, primary, nature }] - parent is empty for primary groups
+ */
+export const getGroups = async (companyName) => {
+  try {
+    logger.tallyOperation('getGroups', { company: companyName });
+
+    if (mockMode) {
+      return buildGroupTree(TALLY_LEDGER_GROUPS.map(name => ({ name, parent: '' })));
+    }
+
+    const doc = await fetchMasterCollection(companyName, 'Group', ['PARENT', 'ISREVENUE', 'ISDEEMEDPOSITIVE']);
+    const groups = [];
+
+    doc.querySelectorAll('GROUP').forEach(node => {
+      const name = (node.getAttribute('NAME') || node.querySelector('NAME')?.textContent || '').trim();
+      if (name) {
+        // Tally reports the parent of a primary group as "<U+0004> Primary"
+        const parent = (node.querySelector('PARENT')?.textContent || '').replace(/^\W*Primary$/, '').trim();
+        groups.push({
+          name,
+          parent,
+          isRevenue: node.querySelector('ISREVENUE')?.textContent?.trim() === 'Yes',
+          isDeemedPositive: node.querySelector('ISDEEMEDPOSITIVE')?.textContent?.trim() === 'Yes'
+        });
+      }
+    });
+
+    console.log('[TallyService] Groups:', groups.length);
+    return buildGroupTree(groups);
+  } catch (error) {
+    logger.error('Failed to get groups', { error: error.message });
+    throw error;
+  }
+};
+
+// Nature of a primary group; custom primary groups are read from Tally's revenue / debit flags
+const getPrimaryNature = (group) => {
+  const reserved = Object.keys(PRIMARY_GROUP_NATURES).find(name => name.toLowerCase() === group.name.toLowerCase());
+  if (reserved) return PRIMARY_GROUP_NATURES[reserved];
+  if (group.isRevenue === undefined) return '';
+  if (group.isRevenue) return group.isDeemedPositive ? 'expense' : 'income';
+  return group.isDeemedPositive ? 'asset' : 'liability';
+};
+
+// Add path (group first, primary last), primary and nature to every group
+const buildGroupTree = (groups) => {
+  const byName = new Map(groups.map(g => [g.name.toLowerCase(), g]));
+
+  return groups.map(({ name, parent }) => {
+    const path = [name];
+    let current = byName.get(name.toLowerCase());
+    // Guard against a broken parent chain looping back on itself
+    while (current?.parent && path.length < 50) {
+      path.push(current.parent);
+      current = byName.get(current.parent.toLowerCase());
+    }
+
+    const primary = path[path.length - 1];
+    return { name, parent, path, primary, nature: getPrimaryNature(byName.get(primary.toLowerCase()) || { name: primary }) };
+  });
+};
+
+/**
+ * Whether a group is, or sits under, one of the given groups
+ * Without the group tree only the group itself is compared.
+ * @param {string} groupName - Group to check, e.g. a ledger's group
+ * @param {Array<string>} ancestors - Group names to look for
+ * @param {Array} groups - Result of getGroups
+ * @returns {boolean}
+ */
+export const isGroupUnder = (groupName, ancestors, groups = []) => {
+  const name = (groupName || '').toLowerCase().trim();
+  const targets = ancestors.map(a => a.toLowerCase());
+  const path = groups.find(g => g.name.toLowerCase() === name)?.path || [name];
+  return path.some(g => targets.includes(g.toLowerCase()));
+};
+
+// Numbering methods where the voucher number comes from the import rather than from Tally
+const MANUAL_NUMBERING_METHODS = ['manual', 'automatic (manual override)'];
+
+/**
+ * Get voucher types from Tally, including custom types such as "HDFC Payment"
+ * baseType is the predefined type the voucher type descends from, which decides how it posts.
+ * @param {string} companyName - Company name
+ * @returns {Promise<Array>} [{ name, parent, baseType, numberingMethod, manualNumbering }]
+ */
+export const getVoucherTypes = async (companyName) => {
+  try {
+    logger.tallyOperation('getVoucherTypes', { company: companyName });
+
+    if (mockMode) {
+      return buildVoucherTypes(TALLY_VOUCHER_TYPES.map(name => ({ name, parent: name, numberingMethod: 'Automatic' })));
+    }
+
+    const doc = await fetchMasterCollection(companyName, 'VoucherType', ['PARENT', 'NUMBERINGMETHOD', 'ISACTIVE']);
+    const voucherTypes = [];
+
+    doc.querySelectorAll('VOUCHERTYPE').forEach(node => {
+      const name = (node.getAttribute('NAME') || node.querySelector('NAME')?.textContent || '').trim();
+      if (name && node.querySelector('ISACTIVE')?.textContent?.trim() !== 'No') {
+        voucherTypes.push({
+          name,
+          parent: (node.querySelector('PARENT')?.textContent || '').trim(),
+          numberingMethod: node.querySelector('NUMBERINGMETHOD')?.textContent?.trim() || ''
+        });
+      }
+    });
+
+    console.log('[TallyService] Voucher types:', voucherTypes.length);
+    return buildVoucherTypes(voucherTypes);
+  } catch (error) {
+    logger.error('Failed to get voucher types', { error: error.message });
+    throw error;
+  }
+};
+
+// Add baseType (by walking up the parents) and manualNumbering to every voucher type
+const buildVoucherTypes = (voucherTypes) => {
+  const byName = new Map(voucherTypes.map(v => [v.name.toLowerCase(), v]));
+
+  return voucherTypes.map(voucherType => {
+    let current = voucherType;
+    const seen = new Set();
+    while (current && !TALLY_VOUCHER_TYPES.includes(current.name) && !seen.has(current.name)) {
+      seen.add(current.name);
+      current = byName.get(current.parent.toLowerCase()) || { name: current.parent };
+    }
+
+    return {
+      ...voucherType,
+      baseType: TALLY_VOUCHER_TYPES.includes(current?.name) ? current.name : '',
+      manualNumbering: MANUAL_NUMBERING_METHODS.includes(voucherType.numberingMethod.toLowerCase())
+    };
+  });
+};
+
+/**
+ * Predefined type behind a voucher type name; predefined and unknown names are returned as they are
+ * @param {string} voucherType - Voucher type name
+ * @param {Array} voucherTypes - Result of getVoucherTypes
+ * @returns {string}
+ */
+export const getBaseVoucherType = (voucherType, voucherTypes = []) => {
+  const master = voucherTypes.find(v => v.name.toLowerCase() === (voucherType || '').toLowerCase());
+  return master?.baseType || voucherType;
+};
+
+/**
+ * Voucher types that post as the given predefined type, the predefined type first
+ * @param {string} baseType - e.g. Payment or Sales
+ * @param {Array} voucherTypes - Result of getVoucherTypes
+ * @returns {Array<string>} Voucher type names
+ */
+export const getVoucherTypesOf = (baseType, voucherTypes = []) => [
+  baseType,
+  ...voucherTypes.filter(v => v.baseType === baseType && v.name !== baseType).map(v => v.name)
+];
+
+// Numbering method of a voucher type; '' when the type is not among the loaded masters
+const getNumberingMethod = (voucherType, voucherTypes = []) =>
+  voucherTypes.find(v => v.name.toLowerCase() === (voucherType || '').toLowerCase())?.numberingMethod || '';
+
+const usesManualNumbering = (voucherType, voucherTypes = []) =>
+  MANUAL_NUMBERING_METHODS.includes(getNumberingMethod(voucherType, voucherTypes).toLowerCase());
+
+/**
+ * Get the inventory masters used on item invoices
+ * @param {string} companyName - Company name
+ * @returns {Promise<Object>} {
+ *   stockItems: [{ name, parent, baseUnit, hsn, gstRate }],
+ *   units: [{ name, decimalPlaces }],
+ *   godowns: [{ name, parent }]
+ * } - empty lists for accounts-only companies
+ */
+export const getInventoryMasters = async (companyName) => {
+  try {
+    logger.tallyOperation('getInventoryMasters', { company: companyName });
+
+    if (mockMode) {
+      return {
+        stockItems: [
+          { name: 'LED Panel 18W', parent: 'Lighting', baseUnit: 'Nos', hsn: '9405', gstRate: 12 },
+          { name: 'Steel Rod 12mm', parent: 'Steel', baseUnit: 'Kg', hsn: '7214', gstRate: 18 }
+        ],
+        units: [{ name: 'Kg', decimalPlaces: 3 }, { name: 'Nos', decimalPlaces: 0 }],
+        godowns: [{ name: DEFAULT_GODOWN, parent: '' }]
+      };
+    }
+
+    const [itemsDoc, unitsDoc, godownsDoc] = await Promise.all([
+      fetchMasterCollection(companyName, 'StockItem', ['PARENT', 'BASEUNITS', 'GSTDETAILS.LIST']),
+      fetchMasterCollection(companyName, 'Unit', ['DECIMALPLACES']),
+      fetchMasterCollection(companyName, 'Godown', ['PARENT'])
+    ]);
+    const readName = node => (node.getAttribute('NAME') || node.querySelector('NAME')?.textContent || '').trim();
+
+    const stockItems = [...itemsDoc.querySelectorAll('STOCKITEM')].filter(readName).map(node => {
+      // The latest GST details carry the HSN and the integrated tax rate (CGST + SGST)
+      const gstDetails = [...node.getElementsByTagName('GSTDETAILS.LIST')].pop();
+      const igst = gstDetails && [...gstDetails.getElementsByTagName('RATEDETAILS.LIST')]
+        .find(rate => rate.querySelector('GSTRATEDUTYHEAD')?.textContent?.trim() === 'IGST');
+      return {
+        name: readName(node),
+        parent: node.querySelector('PARENT')?.textContent?.trim() || '',
+        baseUnit: node.querySelector('BASEUNITS')?.textContent?.trim() || '',
+        hsn: gstDetails?.querySelector('HSNCODE')?.textContent?.trim() || '',
+        gstRate: parseFloat(igst?.querySelector('GSTRATE')?.textContent) || 0
+      };
+    });
+    const units = [...unitsDoc.querySelectorAll('UNIT')].filter(readName).map(node => ({
+      name: readName(node),
+      decimalPlaces: parseInt(node.querySelector('DECIMALPLACES')?.textContent, 10) || 0
+    }));
+    const godowns = [...godownsDoc.querySelectorAll('GODOWN')].filter(readName).map(node => ({
+      name: readName(node),
+      parent: node.querySelector('PARENT')?.textContent?.trim() || ''
+    }));
+
+    console.log('[TallyService] Stock items:', stockItems.length, 'Units:', units.length, 'Godowns:', godowns.length);
+    return { stockItems, units, godowns };
+  } catch (error) {
+    logger.error('Failed to get inventory masters', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Work out the value and tax of each item line of an invoice
+ * Discount is a percentage of quantity x rate, as Tally applies it; GST is on the value after discount.
+ * @param {Array} items - [{ stockItem, quantity, rate, discount, gstRate, unit, hsn, godown, batch }]
+ * @returns {Object} { items: lines with numeric fields plus amount and gstAmount, amount, gstAmount }
+ */
+export const calculateInvoiceItems = (items = []) => {
+  const lines = items.map(item => {
+    const quantity = parseFloat(item.quantity) || 0;
+    const rate = parseFloat(item.rate) || 0;
+    const discount = parseFloat(item.discount) || 0;
+    const gstRate = parseFloat(item.gstRate) || 0;
+    const amount = Math.round(quantity * rate * (1 - discount / 100) * 100) / 100;
+    const gstAmount = Math.round(amount * gstRate) / 100;
+    return { ...item, quantity, rate, discount, gstRate, amount, gstAmount };
+  });
+
+  return {
+    items: lines,
+    amount: lines.reduce((sum, line) => sum + line.amount, 0),
+    gstAmount: lines.reduce((sum, line) => sum + line.gstAmount, 0)
+  };
+};
+
+/**
+ * Nature of a group: asset, liability, income or expense ('' when unknown)
+ * @param {string} groupName - Group to check, e.g. a ledger's group
+ * @param {Array} groups - Result of getGroups
+ * @returns {string}
+ */
+export const getGroupNature = (groupName, groups = []) => {
+  const name = (groupName || '').toLowerCase().trim();
+  const group = groups.find(g => g.name.toLowerCase() === name);
+  return group?.nature || getPrimaryNature({ name });
+};
+
+/**
+ * Get pending (outstanding) bills of a bill-wise party ledger
+ * @param {string} companyName - Tally company name
+ * @param {string} partyLedger - Party ledger name
+ * @returns {Promise<Array>} [{ name, date, amount, isDebit, dueDays }]
+ */
+export const getPendingBills = async (companyName, partyLedger) => {
+  try {
+    logger.tallyOperation('getPendingBills', { company: companyName, party: partyLedger });
+
+    if (mockMode) {
+      return [
+        { name: 'INV-001', date: '2024-04-05', amount: 11800, isDebit: true, dueDays: 30 },
+        { name: 'INV-002', date: '2024-04-18', amount: 5900, isDebit: true, dueDays: 30 }
+      ];
+    }
+
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<ENVELOPE>
+<HEADER>
+<VERSION>1</VERSION>
+<TALLYREQUEST>Export</TALLYREQUEST>
+<TYPE>Collection</TYPE>
+<ID>Pending Bills</ID>
+</HEADER>
+<BODY>
+<DESC>
+<STATICVARIABLES>
+<SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
+</STATICVARIABLES>
+<TDL>
+<TDLMESSAGE>
+<COLLECTION NAME="Pending Bills">
+<TYPE>Bills</TYPE>
+<CHILDOF>${escapeXML(partyLedger)}</CHILDOF>
+<FETCH>NAME, PARENT, BILLDATE, CLOSINGBALANCE, BILLCREDITPERIOD</FETCH>
+<FILTERS>AITSPendingBill</FILTERS>
+</COLLECTION>
+<SYSTEM TYPE="Formulae" NAME="AITSPendingBill">NOT $$IsEmpty:$ClosingBalance</SYSTEM>
+</TDLMESSAGE>
+</TDL>
+</DESC>
+</BODY>
+</ENVELOPE>`;
+
+    const response = await fetch(getTallyUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml' },
+      body: xml
+    });
+
+    const xmlText = await response.text();
+    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    const bills = [];
+
+    doc.querySelectorAll('BILL').forEach(node => {
+      const name = (node.getAttribute('NAME') || node.querySelector('NAME')?.textContent || '').trim();
+      const closing = parseFloat(node.querySelector('CLOSINGBALANCE')?.textContent) || 0;
+      const rawDate = node.querySelector('BILLDATE')?.textContent?.trim() || '';
+
+      if (name && closing !== 0) {
+        bills.push({
+          name,
+          date: /^\d{8}$/.test(rawDate)
+            ? `${rawDate.substring(0, 4)}-${rawDate.substring(4, 6)}-${rawDate.substring(6, 8)}`
+            : rawDate,
+          amount: Math.abs(closing),
+          // Tally exports debit balances as negative amounts
+          isDebit: closing < 0,
+          dueDays: parseInt(node.querySelector('BILLCREDITPERIOD')?.textContent, 10) || null
+        });
+      }
+    });
+
+    console.log('[TallyService] Pending bills for', partyLedger, ':', bills.length);
+    return bills;
+  } catch (error) {
+    logger.error('Failed to get pending bills', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Rank pending bills by how likely a bank transaction settles them
+ * Bill number found in the narration/reference scores highest, then exact amount,
+ * then a near amount (bank charges or TDS deducted). Only bills on the opposite
+ * side are considered: receipts settle debit bills, payments settle credit bills.
+ * @param {Object} transaction - Bank transaction
+ * @param {Array} bills - Pending bills from getPendingBills
+ * @returns {Array} [{ bill, score, reasons }] best match first
+ */
+export const suggestBillAllocations = (transaction, bills = []) => {
+  const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+  const amount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+  const normalize = (str) => String(str || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const narration = normalize(`${transaction.description || ''} ${transaction.reference || ''}`);
+
+  return bills
+    .filter(bill => bill.isDebit === undefined || bill.isDebit === isCredit)
+    .map(bill => {
+      let score = 0;
+      const reasons = [];
+      const billKey = normalize(bill.name);
+
+      if (billKey.length >= 3 && narration.includes(billKey)) {
+        score += 60;
+        reasons.push('Bill number in narration');
+      }
+
+      const difference = Math.abs(bill.amount - amount);
+      if (difference < 0.01) {
+        score += 40;
+        reasons.push('Exact amount');
+      } else if (bill.amount > 0 && difference / bill.amount <= 0.02) {
+        score += 20;
+        reasons.push('Amount within 2%');
+      }
+
+      return { bill, score, reasons };
+    })
+    .filter(suggestion => suggestion.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Format date for Tally (YYYYMMDD)
+ * Converts various date formats to Tally's required format
+ * @param {string|Date} date - Date to format
+ * @returns {string} Date in YYYYMMDD format
+ */
+const formatTallyDate = (date) => {
+  if (!date) {
+    // Default to today's date if no date provided
+    const today = new Date();
+    return today.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  try {
+    // Handle string dates
+    if (typeof date === 'string') {
+      // Remove any extra whitespace
+      const trimmed = date.trim();
+
+      // If already in YYYYMMDD format
+      if (/^\d{8}$/.test(trimmed)) {
+        return trimmed;
+      }
+
+      // If in YYYY-MM-DD format
+      if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+        return trimmed.replace(/-/g, '');
+      }
+
+      // Handle DD/MM/YYYY format (common in Indian statements)
+      const ddmmyyyyMatch = trimmed.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})$/);
+      if (ddmmyyyyMatch) {
+        const [, day, month, year] = ddmmyyyyMatch;
+        return `${year}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
+      }
+
+      // Handle DD/MM/YY format
+      const ddmmyyMatch = trimmed.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{2})$/);
+      if (ddmmyyMatch) {
+        const [, day, month, year] = ddmmyyMatch;
+        const fullYear = parseInt(year) > 50 ? `19${year}` : `20${year}`;
+        return `${fullYear}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
+      }
+
+      // Handle DD MMM YYYY format (e.g., "01 Jan 2024", or Tally's "1-Apr-2024")
+      const ddMmmYyyyMatch = trimmed.match(/^(\d{1,2})[\s-]+([A-Za-z]{3})[\s-]+(\d{4})$/);
+      if (ddMmmYyyyMatch) {
+        const [, day, monthStr, year] = ddMmmYyyyMatch;
+        const months = {
+          jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+          jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+        };
+        const month = months[monthStr.toLowerCase()];
+        if (month) {
+          return `${year}${month}${day.padStart(2, '0')}`;
+        }
       }
 
       // Try parsing as date
@@ -578,374 +1641,1327 @@ const formatTallyDate = (date) => {
       }
     }
 
-    // Handle Date objects
-    if (date instanceof Date && !isNaN(date.getTime())) {
-      return date.toISOString().slice(0, 10).replace(/-/g, '');
+    // Handle Date objects
+    if (date instanceof Date && !isNaN(date.getTime())) {
+      return date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // Fallback to today
+    console.warn('[TallyService] Could not parse date, using today:', date);
+    return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  } catch (e) {
+    console.warn('[TallyService] Date formatting error:', e);
+    return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  }
+};
+
+/**
+ * Escape XML special characters
+ */
+const escapeXML = (str) => {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Build the REMOTEID we stamp on vouchers created from this app.
+ * Tally keeps an imported REMOTEID as the voucher GUID, so it identifies the
+ * voucher again when it has to be altered or deleted later.
+ * @param {string} prefix - Source of the voucher (BANK, SALE, PUR)
+ * @param {Array} parts - Values that identify the voucher; hashed into the ID
+ * @returns {string} Remote ID
+ */
+const createRemoteId = (prefix, parts) => {
+  const key = parts
+    .map(part => String(part ?? '').toUpperCase().replace(/\s+/g, ' ').trim())
+    .join('|');
+  return `AITS-${prefix}-${hashString(key)}`;
+};
+
+/**
+ * Stable REMOTEID for a bank statement line
+ * Derived from the bank account, date, direction, amount and reference (falling back
+ * to narration + running balance), so the same line always maps to the same voucher
+ * even after local state is lost and transaction ids are regenerated.
+ */
+const getTransactionRemoteId = (transaction, bankLedger) => {
+  const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+  const amount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0).toFixed(2);
+  const rawDate = transaction.date || transaction.dateRaw || transaction.txnDate || transaction.transactionDate;
+  const reference = transaction.reference || `${transaction.description || ''}|${transaction.balance ?? ''}`;
+
+  return createRemoteId('BANK', [bankLedger || 'Bank Account', formatTallyDate(rawDate), isCredit ? 'CR' : 'DR', amount, reference]);
+};
+
+/**
+ * Stable REMOTEID for a Sales/Purchase entry (party, invoice number, date and amount)
+ */
+const getEntryRemoteId = (prefix, entry, partyLedger) => {
+  return createRemoteId(prefix, [
+    partyLedger,
+    entry.invoiceNo,
+    formatTallyDate(entry.date),
+    (parseFloat(entry.amount) || 0).toFixed(2)
+  ]);
+};
+
+/**
+ * Decide which voucher type a bank transaction is posted as
+ * - A user override (transaction.userVoucherType) always wins
+ * - TRANSFER items (self transfers, ATM withdrawals, cash deposits) become Contra
+ *   when the other ledger is a bank/cash ledger
+ * - Everything else is a Receipt (money in) or Payment (money out)
+ * Journal is never picked: Tally refuses bank ledgers in a Journal, so
+ * validateVoucher rejects one chosen by hand.
+ * @param {Object} transaction - Bank transaction
+ * @param {Array} ledgers - Known Tally ledgers [{ name, group }] used to check the contra ledger
+ * @returns {string} Payment, Receipt, Contra or Journal
+ */
+export const resolveVoucherType = (transaction, ledgers = []) => {
+  if (transaction.userVoucherType) return transaction.userVoucherType;
+
+  const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+  const category = transaction.userCategory || transaction.aiCategory;
+
+  if (category === 'TRANSFER') {
+    const counterLedger = (transaction.userLedger || transaction.aiSuggestedLedger || '').toLowerCase().trim();
+    const known = ledgers.find(l => l.name?.toLowerCase().trim() === counterLedger);
+
+    const isBankOrCash = known
+      ? CONTRA_LEDGER_GROUPS.some(g => g.toLowerCase() === (known.group || '').toLowerCase().trim())
+      : counterLedger.includes('cash') || counterLedger.includes('bank');
+
+    if (isBankOrCash) return 'Contra';
+  }
+
+  return isCredit ? 'Receipt' : 'Payment';
+};
+
+/**
+ * Get the ledger posted against the bank ledger for a transaction
+ * Contra vouchers fall back to Cash; others to the debtor/creditor control ledgers.
+ */
+export const getTransactionPartyLedger = (transaction, voucherType = resolveVoucherType(transaction)) => {
+  const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+  return transaction.userLedger ||
+    transaction.aiSuggestedLedger ||
+    (voucherType === 'Contra' ? 'Cash' : (isCredit ? 'Sundry Debtors' : 'Sundry Creditors'));
+};
+
+/**
+ * Get the ledger lines posted against the bank ledger
+ * A split transaction (transaction.splits) posts one line per split, otherwise a
+ * single line for the party ledger. Split amounts follow the transaction's direction;
+ * a negative split (e.g. TDS deducted from a vendor payment) lands on the opposite side.
+ * @param {Object} transaction - Bank transaction
+ * @param {string} partyLedger - Ledger used when the transaction is not split
+ * Split lines carry their own cost centre; an unsplit line uses the transaction's
+ * cost centre, or the AI/learned suggestion when none was picked.
+ * @returns {Array} [{ ledger, amount, billAllocations, costCentre }]
+ */
+export const getVoucherLines = (transaction, partyLedger) => {
+  if (transaction.splits?.length > 0) {
+    return transaction.splits.map(split => ({
+      ledger: split.ledger,
+      amount: parseFloat(split.amount) || 0,
+      billAllocations: split.billAllocations || [],
+      costCentre: split.costCentre || null
+    }));
+  }
+
+  return [{
+    ledger: partyLedger,
+    amount: Math.abs(transaction.credit || transaction.debit || transaction.amount || 0),
+    billAllocations: transaction.billAllocations || [],
+    costCentre: transaction.costCentre || transaction.aiCostCentre || null
+  }];
+};
+
+/**
+ * Validate split lines - each needs a ledger and an amount, and together they
+ * must add up to the bank amount
+ * @param {Object} transaction - Bank transaction with optional splits
+ * @returns {string|null} Error message, or null when valid (or not split)
+ */
+export const validateSplits = (transaction) => {
+  const splits = transaction.splits || [];
+  if (splits.length === 0) return null;
+
+  if (splits.some(split => !split.ledger || !split.ledger.trim())) {
+    return 'Every split line needs a ledger';
+  }
+  if (splits.some(split => !parseFloat(split.amount))) {
+    return 'Every split line needs an amount';
+  }
+
+  const bankAmount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+  const splitTotal = splits.reduce((sum, split) => sum + (parseFloat(split.amount) || 0), 0);
+
+  if (Math.abs(splitTotal - bankAmount) >= 0.005) {
+    return `Split lines total ${splitTotal.toFixed(2)} but the bank amount is ${bankAmount.toFixed(2)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a bank transaction can become a voucher: it needs a date, an amount and balanced splits,
+ * and a voucher type that takes a bank ledger (Tally refuses bank ledgers in a Journal)
+ * @param {Object} transaction - Bank transaction
+ * @returns {string|null} Error message, or null when the voucher can be built
+ */
+export const validateVoucher = (transaction) => {
+  if (!(transaction.date || transaction.dateRaw || transaction.txnDate || transaction.transactionDate)) {
+    return 'Date is missing';
+  }
+  if (!Math.abs(transaction.credit || transaction.debit || transaction.amount || 0)) {
+    return 'Amount is zero';
+  }
+  if (transaction.userVoucherType === 'Journal') {
+    return 'A Journal cannot post to the bank ledger; use Payment, Receipt or Contra';
+  }
+  return validateSplits(transaction);
+};
+
+/**
+ * Build BILLALLOCATIONS.LIST entries for a party ledger line
+ * Allocation amounts are positive and take the sign of the ledger line. Anything
+ * left unallocated is posted On Account so the bill-wise total matches the line.
+ * @param {Array} allocations - [{ type: 'Agst Ref'|'New Ref'|'Advance'|'On Account', name, amount }]
+ * @param {number} lineAmount - Signed AMOUNT of the ledger line
+ * @returns {string} XML fragment (empty when there are no allocations)
+ */
+const createBillAllocationsXML = (allocations, lineAmount) => {
+  if (!allocations || allocations.length === 0) return '';
+
+  const sign = lineAmount < 0 ? -1 : 1;
+  const lineTotal = Math.abs(lineAmount);
+  const entries = allocations
+    .map(allocation => ({ ...allocation, amount: Math.abs(parseFloat(allocation.amount) || 0) }))
+    .filter(allocation => allocation.amount > 0);
+
+  const allocated = entries.reduce((sum, allocation) => sum + allocation.amount, 0);
+  if (lineTotal - allocated >= 0.005) {
+    entries.push({ type: 'On Account', amount: lineTotal - allocated });
+  }
+
+  return entries.map(allocation => `
+<BILLALLOCATIONS.LIST>${allocation.type !== 'On Account' ? `
+<NAME>${escapeXML(allocation.name)}</NAME>` : ''}
+<BILLTYPE>${escapeXML(allocation.type)}</BILLTYPE>
+<AMOUNT>${(sign * allocation.amount).toFixed(2)}</AMOUNT>
+</BILLALLOCATIONS.LIST>`).join('');
+};
+
+/**
+ * Build CATEGORYALLOCATIONS.LIST for a ledger line posted to a cost centre
+ * The whole line amount is allocated to the one cost centre.
+ * @param {Object} costCentre - { category, name }
+ * @param {number} lineAmount - Signed AMOUNT of the ledger line
+ * @returns {string} XML fragment (empty when there is no cost centre)
+ */
+const createCostCentreXML = (costCentre, lineAmount) => {
+  if (!costCentre?.name) return '';
+
+  return `
+<CATEGORYALLOCATIONS.LIST>
+<CATEGORY>${escapeXML(costCentre.category || DEFAULT_COST_CATEGORY)}</CATEGORY>
+<ISDEEMEDPOSITIVE>${lineAmount < 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
+<COSTCENTREALLOCATIONS.LIST>
+<NAME>${escapeXML(costCentre.name)}</NAME>
+<AMOUNT>${Number(lineAmount).toFixed(2)}</AMOUNT>
+</COSTCENTREALLOCATIONS.LIST>
+</CATEGORYALLOCATIONS.LIST>`;
+};
+
+// Statement wording for each instrument type, most specific first
+const BANK_TRANSACTION_TYPE_PATTERNS = [
+  ['RTGS', /\bRTGS\b/],
+  ['NEFT', /\bNEFT\b/],
+  ['UPI', /\bUPI\b/],
+  ['Cheque', /\b(CHQ|CHEQUE|CHECK|CLG|CLEARING|CTS)\b/],
+  ['e-Fund Transfer', /\b(IMPS|INFT|IFT|NACH|ECS|TRF|TRANSFER|NETBANKING|MOB|FT)\b/]
+];
+
+/**
+ * Work out how the bank moved the money, for Tally's bank allocation details
+ * The type comes from the narration; the instrument number is the statement reference,
+ * or failing that a cheque number, RRN or UTR found in the narration.
+ * @param {Object} transaction - Bank transaction
+ * @returns {Object} { transactionType, instrumentNumber }
+ */
+const getBankInstrument = (transaction) => {
+  const narration = (transaction.description || '').toUpperCase();
+  const reference = String(transaction.reference || '').trim();
+
+  let transactionType = BANK_TRANSACTION_TYPE_PATTERNS.find(([, pattern]) => pattern.test(narration))?.[0];
+  // A bare six-digit reference is a cheque number
+  if (!transactionType) {
+    transactionType = /^\d{6}$/.test(reference) ? 'Cheque' : 'Others';
+  }
+
+  const fromNarration = transactionType === 'Cheque'
+    ? narration.match(/(?:CHQ|CHEQUE)\s*(?:NO)?[.:\s-]*(\d{6})\b/)
+    : narration.match(/\b([A-Z]{4}[NRH]\d{9,}|\d{12})\b/);
+
+  return { transactionType, instrumentNumber: reference || fromNarration?.[1] || '' };
+};
+
+/**
+ * Build BANKALLOCATIONS.LIST for the bank line of a voucher, so Tally's bank
+ * reconciliation starts with the instrument details from the statement.
+ * The bankers' date is only set when the statement has a value date.
+ * @param {Object} transaction - Bank transaction
+ * @param {string} date - Voucher date (YYYYMMDD)
+ * @param {string} partyLedger - Ledger the money went to or came from
+ * @param {number} lineAmount - Signed AMOUNT of the bank line
+ * @returns {string} XML fragment
+ */
+const createBankAllocationXML = (transaction, date, partyLedger, lineAmount) => {
+  const { transactionType, instrumentNumber } = getBankInstrument(transaction);
+  const bankDate = transaction.valueDate || transaction.bankDate;
+
+  return `
+<BANKALLOCATIONS.LIST>
+<DATE>${date}</DATE>
+<INSTRUMENTDATE>${date}</INSTRUMENTDATE>${bankDate ? `
+<BANKERSDATE>${formatTallyDate(bankDate)}</BANKERSDATE>` : ''}
+<TRANSACTIONTYPE>${escapeXML(transactionType)}</TRANSACTIONTYPE>
+<PAYMENTFAVOURING>${escapeXML(partyLedger)}</PAYMENTFAVOURING>
+<INSTRUMENTNUMBER>${escapeXML(instrumentNumber)}</INSTRUMENTNUMBER>${instrumentNumber && transactionType !== 'Cheque' ? `
+<UNIQUEREFERENCENUMBER>${escapeXML(instrumentNumber)}</UNIQUEREFERENCENUMBER>` : ''}
+<PAYMENTMODE>Transacted</PAYMENTMODE>
+<AMOUNT>${Number(lineAmount).toFixed(2)}</AMOUNT>
+</BANKALLOCATIONS.LIST>`;
+};
+
+/**
+ * Build the VOUCHER element attributes for an import action
+ * Create stamps our REMOTEID; Alter/Delete locate the existing voucher by
+ * REMOTEID (GUID) and fall back to MASTERID when only that is known.
+ * @param {string} action - Create, Alter or Delete
+ * @param {string} voucherType - Voucher type name
+ * @param {Object} identity - { remoteId, guid, masterId }
+ * @returns {string} Attribute string
+ */
+const getVoucherAttributes = (action, voucherType, identity = {}) => {
+  const vchType = escapeXML(voucherType);
+  const remoteId = identity.remoteId || identity.guid;
+
+  if (remoteId) {
+    return `REMOTEID="${escapeXML(remoteId)}" VCHTYPE="${vchType}" ACTION="${action}"`;
+  }
+
+  if (action === 'Create') {
+    return `VCHTYPE="${vchType}" ACTION="Create"`;
+  }
+
+  if (identity.masterId) {
+    return `TAGNAME="MASTERID" TAGVALUE="${escapeXML(identity.masterId)}" VCHTYPE="${vchType}" ACTION="${action}"`;
+  }
+
+  throw new Error(`Cannot ${action.toLowerCase()} voucher - it has no Tally voucher ID`);
+};
+
+/**
+ * Wrap VOUCHER elements in an Import Data envelope (WORKING format verified via terminal test)
+ * Reference: https://help.tallysolutions.com/xml-integration/
+ * Uses: IMPORTDATA > REQUESTDESC > REQUESTDATA structure; several vouchers can share one TALLYMESSAGE
+ * @param {string} companyName - Company name; without one Tally imports into the company open in it
+ * @param {string} vouchersXml - One or more VOUCHER elements
+ * @returns {string} XML string
+ */
+const createImportEnvelope = (companyName, vouchersXml) => {
+  // Working Tally XML format verified via terminal test on 2025-12-26
+  // Key: Use "Import Data" header and IMPORTDATA/REQUESTDESC/REQUESTDATA structure
+  const staticVariables = companyName ? `
+<STATICVARIABLES>
+<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
+</STATICVARIABLES>` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+<HEADER>
+<TALLYREQUEST>Import Data</TALLYREQUEST>
+</HEADER>
+<BODY>
+<IMPORTDATA>
+<REQUESTDESC>
+<REPORTNAME>Vouchers</REPORTNAME>${staticVariables}
+</REQUESTDESC>
+<REQUESTDATA>
+<TALLYMESSAGE xmlns:UDF="TallyUDF">
+${vouchersXml}
+</TALLYMESSAGE>
+</REQUESTDATA>
+</IMPORTDATA>
+</BODY>
+</ENVELOPE>`;
+};
+
+/**
+ * Create the VOUCHER element for a bank transaction
+ * @param {string} action - Create (default) or Alter; Alter uses transaction.tallyVoucher to find the voucher
+ */
+const createVoucherElement = (transaction, bankLedger, partyLedger, action = 'Create') => {
+  const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+  // A voucher keeps its type once in Tally; new vouchers use the resolver
+  const voucherType = transaction.tallyVoucher?.voucherType || resolveVoucherType(transaction);
+  const identity = transaction.tallyVoucher || { remoteId: getTransactionRemoteId(transaction, bankLedger) };
+  const amount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+
+  // Get date from transaction - check multiple possible fields
+  const rawDate = transaction.date || transaction.dateRaw || transaction.txnDate || transaction.transactionDate;
+
+  // Log date debugging info
+  if (!rawDate) {
+    console.warn('[TallyService] Transaction has no date field:', {
+      fields: Object.keys(transaction),
+      date: transaction.date,
+      dateRaw: transaction.dateRaw,
+      description: (transaction.description || '').substring(0, 30)
+    });
+  }
+
+  const date = formatTallyDate(rawDate);
+
+  // Log formatted date
+  logger.debug('Voucher date', { input: rawDate, formatted: date, description: (transaction.description || '').substring(0, 30) });
+
+  const narration = escapeXML(transaction.description || 'Bank Transaction');
+  const bank = escapeXML(bankLedger || 'Bank Account');
+  const lines = getVoucherLines(transaction, partyLedger || getTransactionPartyLedger(transaction, voucherType));
+  const party = escapeXML(lines[0].ledger);
+  // Set by planBatchPush for voucher types with manual numbering, or kept from the voucher in Tally
+  const voucherNumber = transaction.tallyVoucher?.voucherNumber;
+
+  // Party/split lines sit opposite the bank line: credited on Payments, debited on Receipts
+  const sideSign = isCredit ? -1 : 1;
+  const lineEntries = lines.map(line => {
+    const lineAmount = Number((sideSign * line.amount).toFixed(2));
+    return `<ALLLEDGERENTRIES.LIST>
+<LEDGERNAME>${escapeXML(line.ledger)}</LEDGERNAME>
+<ISDEEMEDPOSITIVE>${lineAmount < 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
+<AMOUNT>${lineAmount}</AMOUNT>${createBillAllocationsXML(line.billAllocations, lineAmount)}${createCostCentreXML(line.costCentre, lineAmount)}
+</ALLLEDGERENTRIES.LIST>`;
+  }).join('\n');
+
+  return `<VOUCHER ${getVoucherAttributes(action, voucherType, identity)}>
+<DATE>${date}</DATE>
+<PARTYLEDGERNAME>${party}</PARTYLEDGERNAME>
+<VOUCHERTYPENAME>${escapeXML(voucherType)}</VOUCHERTYPENAME>${voucherNumber ? `
+<VOUCHERNUMBER>${escapeXML(voucherNumber)}</VOUCHERNUMBER>` : ''}
+<NARRATION>${narration}</NARRATION>
+${lineEntries}
+<ALLLEDGERENTRIES.LIST>
+<LEDGERNAME>${bank}</LEDGERNAME>
+<ISDEEMEDPOSITIVE>${isCredit ? 'No' : 'Yes'}</ISDEEMEDPOSITIVE>
+<AMOUNT>${isCredit ? amount : -amount}</AMOUNT>${createBankAllocationXML(transaction, date, lines[0].ledger, isCredit ? amount : -amount)}
+</ALLLEDGERENTRIES.LIST>
+</VOUCHER>`;
+};
+
+/**
+ * Create voucher XML for Tally Prime
+ * @param {string} action - Create (default) or Alter; Alter uses transaction.tallyVoucher to find the voucher
+ */
+const createVoucherXML = (transaction, companyName, bankLedger, partyLedger, action = 'Create') => {
+  return createImportEnvelope(companyName, createVoucherElement(transaction, bankLedger, partyLedger, action));
+};
+
+/**
+ * Create XML that deletes a previously pushed voucher
+ * @param {Object} tallyVoucher - Stored voucher identity { remoteId, guid, masterId, voucherType }
+ * @param {string} companyName - Company name
+ * @returns {string} XML string
+ */
+const createVoucherDeleteXML = (tallyVoucher, companyName) => {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+<HEADER>
+<TALLYREQUEST>Import Data</TALLYREQUEST>
+</HEADER>
+<BODY>
+<IMPORTDATA>
+<REQUESTDESC>
+<REPORTNAME>Vouchers</REPORTNAME>
+<STATICVARIABLES>
+<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
+</STATICVARIABLES>
+</REQUESTDESC>
+<REQUESTDATA>
+<TALLYMESSAGE xmlns:UDF="TallyUDF">
+<VOUCHER ${getVoucherAttributes('Delete', tallyVoucher.voucherType, tallyVoucher)}>
+</VOUCHER>
+</TALLYMESSAGE>
+</REQUESTDATA>
+</IMPORTDATA>
+</BODY>
+</ENVELOPE>`;
+};
+
+/**
+ * Build the voucher identity we keep on a pushed transaction/entry
+ * GUID equals the REMOTEID we imported with; MASTERID comes from LASTVCHID.
+ */
+const buildTallyVoucher = (previous, remoteId, voucherType, counts, extra = {}) => ({
+  ...(previous || {}),
+  // A voucher only written to an import file is confirmed once a push reaches Tally
+  awaitingImport: undefined,
+  ...extra,
+  remoteId,
+  guid: remoteId,
+  masterId: counts.lastVchId || previous?.masterId || null,
+  voucherType,
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Whether a saved voucher identity is known to be in Tally (pushed or linked), rather than
+ * only written to an import file that may never have been loaded
+ * @param {Object} tallyVoucher - tallyVoucher of a transaction or invoice entry
+ * @returns {boolean}
+ */
+export const isVoucherInTally = (tallyVoucher) => Boolean(tallyVoucher) && !tallyVoucher.awaitingImport;
+
+/**
+ * Push single transaction to Tally
+ * @param {string} action - Create (default) or Alter an already pushed voucher
+ * @returns {Promise<Object>} { success, voucherId, message, tallyVoucher }
+ */
+export const pushToTally = async (transaction, companyName, bankLedger, partyLedger, action = 'Create') => {
+  const voucherType = transaction.tallyVoucher?.voucherType || resolveVoucherType(transaction);
+  const remoteId = transaction.tallyVoucher?.remoteId || transaction.tallyVoucher?.guid ||
+    getTransactionRemoteId(transaction, bankLedger);
+  const ledgers = { bankLedger: bankLedger || 'Bank Account', partyLedger };
+  const audit = createSyncAudit(getBankSyncDetails(transaction, companyName, bankLedger, partyLedger, action));
+
+  try {
+    const splitError = validateSplits(transaction);
+    if (splitError) {
+      throw new Error(splitError);
+    }
+
+    logger.tallyOperation(action === 'Alter' ? 'alterVoucher' : 'pushVoucher', {
+      company: companyName,
+      amount: transaction.amount || transaction.credit || transaction.debit,
+      type: transaction.type
+    });
+
+    if (mockMode) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const voucherId = transaction.tallyVoucher?.masterId || `MOCK-${Date.now()}`;
+      return {
+        success: true,
+        voucherId,
+        tallyVoucher: buildTallyVoucher(transaction.tallyVoucher, remoteId, voucherType, { lastVchId: voucherId }, ledgers)
+      };
+    }
+
+    const xml = createVoucherXML(
+      { ...transaction, tallyVoucher: transaction.tallyVoucher || { remoteId } },
+      companyName, bankLedger, partyLedger, action
+    );
+
+    logger.debug('Sending voucher XML', { xml: xml.substring(0, 500) });
+    audit.request(xml);
+
+    const response = await fetch(getTallyUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml' },
+      body: xml
+    });
+
+    const result = await response.text();
+    logger.debug('Tally response', { response: result.substring(0, 500) });
+
+    const counts = parseImportResponse(result);
+    audit.response(counts);
+    if (counts.error || counts.errors > 0 || counts.exceptions > 0) {
+      throw createTallyError(counts);
+    }
+
+    const tallyVoucher = buildTallyVoucher(transaction.tallyVoucher, remoteId, voucherType, counts, ledgers);
+
+    // Alterations must be confirmed explicitly - otherwise the voucher was not found
+    if (action === 'Alter') {
+      if (counts.altered > 0) {
+        audit.done('success', { voucherId: tallyVoucher.masterId, remoteId });
+        return {
+          success: true,
+          voucherId: tallyVoucher.masterId,
+          message: 'Voucher altered successfully',
+          tallyVoucher
+        };
+      }
+      throw new Error('Tally did not alter the voucher. It may have been deleted in Tally.');
+    }
+
+    // Tally alters instead of creating when the REMOTEID is already there - the voucher is in either way
+    if (counts.created > 0 || counts.altered > 0) {
+      audit.done('success', { voucherId: tallyVoucher.masterId, remoteId });
+      return {
+        success: true,
+        voucherId: tallyVoucher.masterId || 'Created',
+        message: 'Voucher created successfully',
+        tallyVoucher
+      };
+    }
+
+    logger.warn('Tally created no voucher', { response: result.substring(0, 300) });
+    throw new Error('Tally did not create the voucher');
+  } catch (error) {
+    logger.error('Failed to push to Tally', { error: error.message });
+    audit.done('failed', { error: error.message, remoteId });
+    throw error;
+  }
+};
+
+/**
+ * Alter an already pushed bank voucher in Tally
+ * Uses transaction.tallyVoucher (stored after the original push) to find the voucher
+ */
+export const alterVoucherInTally = async (transaction, companyName, bankLedger, partyLedger) => {
+  if (!transaction.tallyVoucher) {
+    throw new Error('This transaction has not been pushed to Tally yet');
+  }
+
+  return pushToTally(
+    transaction,
+    companyName,
+    bankLedger || transaction.tallyVoucher.bankLedger,
+    partyLedger || transaction.tallyVoucher.partyLedger,
+    'Alter'
+  );
+};
+
+/**
+ * Delete a previously pushed voucher (bank, sales or purchase) from Tally
+ * @param {Object} tallyVoucher - Stored voucher identity { remoteId, guid, masterId, voucherType }
+ * @param {string} companyName - Tally company name
+ * @returns {Promise<Object>} Result
+ */
+export const deleteVoucherFromTally = async (tallyVoucher, companyName) => {
+  const audit = createSyncAudit({
+    kind: 'voucher',
+    action: 'Delete',
+    companyName,
+    reference: tallyVoucher?.remoteId || tallyVoucher?.masterId || null,
+    description: `${tallyVoucher?.voucherType || 'Voucher'} ${tallyVoucher?.voucherNumber || tallyVoucher?.masterId || ''}`.trim(),
+    payload: { tallyVoucher: tallyVoucher || null }
+  });
+
+  try {
+    if (!tallyVoucher) {
+      throw new Error('This entry has not been pushed to Tally yet');
+    }
+
+    logger.tallyOperation('deleteVoucher', {
+      company: companyName,
+      voucherType: tallyVoucher.voucherType,
+      masterId: tallyVoucher.masterId
+    });
+
+    if (mockMode) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      return { success: true, message: 'Voucher deleted from Tally' };
+    }
+
+    const xml = createVoucherDeleteXML(tallyVoucher, companyName);
+    logger.debug('Sending voucher delete XML', { xml });
+    audit.request(xml);
+
+    const response = await fetch(getTallyUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml' },
+      body: xml
+    });
+
+    const result = await response.text();
+    logger.debug('Tally delete response', { response: result.substring(0, 500) });
+
+    const counts = parseImportResponse(result);
+    audit.response(counts);
+    if (counts.error || counts.errors > 0) {
+      throw createTallyError(counts);
+    }
+
+    if (counts.deleted > 0) {
+      audit.done('success', { voucherId: tallyVoucher.masterId || null, remoteId: tallyVoucher.remoteId || null });
+      return { success: true, message: 'Voucher deleted from Tally' };
+    }
+
+    throw new Error('Tally did not delete the voucher. It may already have been removed.');
+  } catch (error) {
+    logger.error('Failed to delete voucher from Tally', { error: error.message });
+    audit.done('failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get the REMOTEIDs (GUIDs) of vouchers already in Tally for a date range
+ * Used to skip vouchers that were pushed before, so re-syncs never duplicate entries
+ * @param {string} companyName - Tally company name
+ * @param {string} fromDate - Start date (any format accepted by formatTallyDate)
+ * @param {string} toDate - End date
+ * @returns {Promise<Map>} remoteId -> { masterId, voucherType }
+ */
+export const getVoucherRemoteIds = async (companyName, fromDate, toDate) => {
+  const remoteIds = new Map();
+
+  if (mockMode) {
+    return remoteIds;
+  }
+
+  logger.tallyOperation('getVoucherRemoteIds', { company: companyName, fromDate, toDate });
+
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<ENVELOPE>
+<HEADER>
+<VERSION>1</VERSION>
+<TALLYREQUEST>Export</TALLYREQUEST>
+<TYPE>Collection</TYPE>
+<ID>Voucher Remote IDs</ID>
+</HEADER>
+<BODY>
+<DESC>
+<STATICVARIABLES>
+<SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
+<SVFROMDATE>${formatTallyDate(fromDate)}</SVFROMDATE>
+<SVTODATE>${formatTallyDate(toDate)}</SVTODATE>
+</STATICVARIABLES>
+<TDL>
+<TDLMESSAGE>
+<COLLECTION NAME="Voucher Remote IDs">
+<TYPE>Voucher</TYPE>
+<FETCH>GUID, MASTERID, VOUCHERTYPENAME</FETCH>
+</COLLECTION>
+</TDLMESSAGE>
+</TDL>
+</DESC>
+</BODY>
+</ENVELOPE>`;
+
+  const response = await fetch(getTallyUrl(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/xml' },
+    body: xml
+  });
+
+  const xmlText = await response.text();
+  const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+
+  doc.querySelectorAll('VOUCHER').forEach(node => {
+    // Exported vouchers carry the GUID both as REMOTEID attribute and GUID child
+    const remoteId = (node.getAttribute('REMOTEID') || node.querySelector('GUID')?.textContent || '').trim();
+    if (remoteId) {
+      remoteIds.set(remoteId, {
+        masterId: node.querySelector('MASTERID')?.textContent?.trim() || null,
+        voucherType: node.getAttribute('VCHTYPE') || node.querySelector('VOUCHERTYPENAME')?.textContent?.trim() || ''
+      });
+    }
+  });
+
+  logger.debug('Existing vouchers in range', { count: remoteIds.size });
+  return remoteIds;
+};
+
+/**
+ * Look up which of the given REMOTEIDs already exist in Tally
+ * Returns an empty map (push everything) if Tally cannot be queried.
+ */
+const findExistingVouchers = async (companyName, dates) => {
+  const tallyDates = dates.map(d => formatTallyDate(d)).sort();
+  if (tallyDates.length === 0) return new Map();
+
+  try {
+    return await getVoucherRemoteIds(companyName, tallyDates[0], tallyDates[tallyDates.length - 1]);
+  } catch (error) {
+    console.warn('[TallyService] Could not check for existing vouchers:', error.message);
+    logger.warn('Duplicate check skipped', { error: error.message });
+    return new Map();
+  }
+};
+
+// Words too common in bank narrations to say two entries are the same
+const NARRATION_NOISE_WORDS = new Set(['UPI', 'NEFT', 'IMPS', 'RTGS', 'TRANSFER', 'PAYMENT', 'BANK', 'FROM', 'THE', 'AND', 'FOR', 'REF']);
+
+const toDayNumber = (date) => {
+  const tallyDate = formatTallyDate(date);
+  return Date.UTC(+tallyDate.substring(0, 4), +tallyDate.substring(4, 6) - 1, +tallyDate.substring(6, 8)) / 86400000;
+};
+
+/**
+ * Find vouchers entered in Tally by hand that look like the same bank lines
+ * Vouchers in the statement period posted to the bank ledger are matched on amount,
+ * direction and a date within options.dateWindowDays (default 3), and flagged when the
+ * instrument number/reference or the narration also agrees. Vouchers we imported
+ * ourselves (AITS- REMOTEIDs) are left to the REMOTEID check in batchPushToTally.
+ * @param {Array} transactions - Bank transactions about to be pushed
+ * @param {string} companyName - Tally company name
+ * @param {string} bankLedger - Bank ledger the statement belongs to
+ * @param {Object} options - { dateWindowDays }
+ * @returns {Promise<Array>} [{ transaction, matches: [{ voucher, score, reasons }] }] for flagged transactions
+ */
+export const findDuplicateVouchers = async (transactions, companyName, bankLedger, options = {}) => {
+  const { dateWindowDays = 3 } = options;
+  const effectiveBankLedger = bankLedger || 'Bank Account';
+  const getDate = (t) => t.date || t.dateRaw || t.txnDate || t.transactionDate;
+
+  if (transactions.length === 0) return [];
+
+  const days = transactions.map(t => toDayNumber(getDate(t)));
+  const toIsoDate = (day) => new Date(day * 86400000).toISOString().slice(0, 10);
+
+  const vouchers = (await getVouchers(companyName, {
+    fromDate: toIsoDate(Math.min(...days) - dateWindowDays),
+    toDate: toIsoDate(Math.max(...days) + dateWindowDays),
+    ledger: effectiveBankLedger
+  })).filter(v => !String(v.guid || '').startsWith('AITS-'));
+
+  if (vouchers.length === 0) return [];
+
+  const normalize = (str) => String(str || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const getReferences = (text) => (String(text || '').toUpperCase().match(/[A-Z0-9]*\d{5,}[A-Z0-9]*/g) || []);
+  const getWords = (text) => new Set(
+    (String(text || '').toUpperCase().match(/[A-Z]{3,}/g) || []).filter(word => !NARRATION_NOISE_WORDS.has(word))
+  );
+
+  // Amount, direction and references of each voucher's bank line
+  const candidates = vouchers.map(voucher => {
+    const bankEntry = (voucher.ledgerEntries || []).find(e => e.ledgerName.toLowerCase() === effectiveBankLedger.toLowerCase());
+    // Receipt/Payment say the direction; otherwise Tally exports the bank debit (money in) as negative
+    let isCredit = null;
+    if (/receipt/i.test(voucher.type)) isCredit = true;
+    else if (/payment/i.test(voucher.type)) isCredit = false;
+    else if (bankEntry) isCredit = bankEntry.amount < 0;
+
+    return {
+      voucher,
+      day: toDayNumber(voucher.date),
+      amount: bankEntry ? Math.abs(bankEntry.amount) : voucher.amount,
+      isCredit,
+      references: new Set([
+        ...(voucher.bankAllocations || []).flatMap(a => [a.instrumentNumber, a.uniqueReference]).map(normalize).filter(ref => ref.length >= 4),
+        ...getReferences(voucher.narration).map(normalize)
+      ]),
+      words: getWords(voucher.narration)
+    };
+  });
+
+  return transactions
+    .map((transaction, idx) => {
+      const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+      const amount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+      const references = [transaction.reference, ...getReferences(transaction.description)]
+        .map(normalize)
+        .filter(ref => ref.length >= 4);
+      const words = getWords(transaction.description);
+
+      const matches = candidates
+        .filter(c => Math.abs(c.amount - amount) < 0.01 &&
+          (c.isCredit === null || c.isCredit === isCredit) &&
+          Math.abs(c.day - days[idx]) <= dateWindowDays)
+        .map(c => {
+          let score = 0;
+          const reasons = [];
+
+          if (references.some(ref => c.references.has(ref))) {
+            score += 60;
+            reasons.push('Same instrument number');
+          }
+
+          const common = [...words].filter(word => c.words.has(word)).length;
+          if (common > 0 && common / Math.min(words.size, c.words.size) >= 0.5) {
+            score += 40;
+            reasons.push('Similar narration');
+          }
+
+          if (score === 0) return null;
+
+          const dayGap = Math.abs(c.day - days[idx]);
+          score += dayGap === 0 ? 20 : 10;
+          reasons.push(dayGap === 0 ? 'Same date' : `${dayGap} day(s) apart`);
+
+          return { voucher: c.voucher, score, reasons };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+
+      return { transaction, matches };
+    })
+    .filter(result => result.matches.length > 0);
+};
+
+/**
+ * Import a chunk of bank vouchers in a single Import Data request
+ * Tally only reports totals per request, so vouchers are matched back by REMOTEID:
+ * those found in Tally afterwards succeeded and the rest take the LINEERRORs in order.
+ * If the request fails or the errors can't be attributed, the unconfirmed vouchers
+ * are pushed one at a time so each gets its own result.
+ * @param {Array} items - [{ transaction, voucherType, partyLedger }]
+ * @param {string} companyName - Company name
+ * @param {string} bankLedger - Bank ledger name
+ * @returns {Promise<Array>} [{ transaction, success, tallyVoucher, error }]
+ */
+const pushVoucherChunk = async (items, companyName, bankLedger) => {
+  const prepared = items.map(item => {
+    const remoteId = item.transaction.tallyVoucher?.remoteId || item.transaction.tallyVoucher?.guid ||
+      getTransactionRemoteId(item.transaction, bankLedger);
+    // Pin the resolved type and number so the XML doesn't re-resolve them without the masters
+    const transaction = {
+      ...item.transaction,
+      userVoucherType: item.voucherType,
+      tallyVoucher: item.voucherNumber
+        ? { ...(item.transaction.tallyVoucher || { remoteId }), voucherNumber: item.voucherNumber }
+        : item.transaction.tallyVoucher
+    };
+    return { ...item, transaction, remoteId };
+  });
+
+  const pushOneByOne = async (pending) => {
+    const outcomes = [];
+    for (const item of pending) {
+      try {
+        const pushResult = await pushToTally(item.transaction, companyName, bankLedger, item.partyLedger);
+        outcomes.push({ transaction: item.transaction, success: true, tallyVoucher: pushResult.tallyVoucher });
+      } catch (error) {
+        outcomes.push({ transaction: item.transaction, success: false, error: error.message, errorType: error.type || null });
+      }
+    }
+    return outcomes;
+  };
+
+  const succeeded = (item, masterId) => ({
+    transaction: item.transaction,
+    success: true,
+    tallyVoucher: buildTallyVoucher(
+      item.transaction.tallyVoucher, item.remoteId, item.voucherType,
+      { lastVchId: masterId || null }, { bankLedger, partyLedger: item.partyLedger }
+    )
+  });
+
+  if (mockMode || prepared.length === 1) {
+    return pushOneByOne(prepared);
+  }
+
+  // Vouchers settled by the chunk request itself; one-by-one pushes report their own
+  let xml = '';
+  let counts;
+  const reportChunk = (outcomes) => {
+    outcomes.forEach(outcome => {
+      const item = prepared.find(p => p.transaction === outcome.transaction);
+      const audit = createSyncAudit(getBankSyncDetails(item.transaction, companyName, bankLedger, item.partyLedger, 'Create'));
+      audit.request(xml);
+      audit.response(counts);
+      audit.done(outcome.success ? 'success' : 'failed', {
+        voucherId: outcome.tallyVoucher?.masterId || null,
+        remoteId: item.remoteId,
+        error: outcome.error || null
+      });
+    });
+    return outcomes;
+  };
+
+  try {
+    xml = createImportEnvelope(companyName, prepared.map(item => createVoucherElement(
+      { ...item.transaction, tallyVoucher: item.transaction.tallyVoucher || { remoteId: item.remoteId } },
+      bankLedger, item.partyLedger
+    )).join('\n'));
+
+    const response = await fetch(getTallyUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml' },
+      body: xml
+    });
+
+    const result = await response.text();
+    logger.debug('Tally chunk response', { response: result.substring(0, 500) });
+
+    // No counters means Tally rejected the request as a whole (e.g. company not loaded)
+    counts = parseImportResponse(result);
+    if (!counts.hasCounters) {
+      throw createTallyError(counts, 'Tally did not return import results');
+    }
+  } catch (error) {
+    logger.warn('Chunk import failed - pushing vouchers one at a time', { count: prepared.length, error: error.message });
+    return pushOneByOne(prepared);
+  }
+
+  // Look the vouchers up by REMOTEID - confirms which were imported and gives their MASTERIDs
+  let inTally = null;
+  try {
+    const dates = prepared
+      .map(item => formatTallyDate(item.transaction.date || item.transaction.dateRaw ||
+        item.transaction.txnDate || item.transaction.transactionDate))
+      .sort();
+    inTally = await getVoucherRemoteIds(companyName, dates[0], dates[dates.length - 1]);
+  } catch (error) {
+    logger.warn('Could not confirm imported vouchers', { error: error.message });
+  }
+
+  const imported = counts.created + counts.altered;
+
+  if (counts.errors === 0 && imported >= prepared.length) {
+    return reportChunk(prepared.map(item => succeeded(item, inTally?.get(item.remoteId)?.masterId)));
+  }
+
+  if (!inTally) {
+    if (imported === 0 && counts.lineErrors.length === prepared.length) {
+      return reportChunk(prepared.map((item, idx) => ({
+        transaction: item.transaction,
+        success: false,
+        error: counts.lineErrors[idx].message,
+        errorType: counts.lineErrors[idx].type
+      })));
     }
+    if (imported === 0) {
+      return pushOneByOne(prepared);
+    }
+    // Some vouchers went in but we can't tell which - a re-push skips the ones already in Tally
+    const error = `Tally imported ${imported} of ${prepared.length} vouchers in this batch but they could not be confirmed. Push again to retry the rest.`;
+    return reportChunk(prepared.map(item => ({ transaction: item.transaction, success: false, error })));
+  }
 
-    // Fallback to today
-    console.warn('[TallyService] Could not parse date, using today:', date);
-    return new Date().toISOString().slice(0, 10).replace(/-/g, '');
-  } catch (e) {
-    console.warn('[TallyService] Date formatting error:', e);
-    return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const confirmed = prepared.filter(item => inTally.has(item.remoteId));
+  const missing = prepared.filter(item => !inTally.has(item.remoteId));
+  const outcomes = confirmed.map(item => succeeded(item, inTally.get(item.remoteId).masterId));
+
+  if (missing.length > 0 && counts.lineErrors.length === missing.length) {
+    missing.forEach((item, idx) => {
+      outcomes.push({
+        transaction: item.transaction,
+        success: false,
+        error: counts.lineErrors[idx].message,
+        errorType: counts.lineErrors[idx].type
+      });
+    });
+  } else if (missing.length > 0) {
+    return [...reportChunk(outcomes), ...await pushOneByOne(missing)];
   }
+
+  return reportChunk(outcomes);
 };
 
 /**
- * Escape XML special characters
+ * Suggest the Tally group for a ledger the app is about to create
+ * The user's mapping wins, then DEFAULT_LEDGER_GROUP_MAP, then keywords in the name.
+ * Lines with bill allocations are against a party, so they go to Sundry Debtors
+ * (receipts) or Sundry Creditors (payments). Names that match nothing go to
+ * Suspense A/c rather than being booked as an expense.
+ * @param {string} ledgerName - Ledger to create
+ * @param {Object} options - { ledgerGroups: user mapping { ledger: group }, isCredit, hasBills, isBank }
+ * @returns {string} Group name
  */
-const escapeXML = (str) => {
-  if (!str) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+export const guessLedgerGroup = (ledgerName, { ledgerGroups = {}, isCredit = false, hasBills = false, isBank = false } = {}) => {
+  const name = ledgerName.toLowerCase().trim();
+  const findMapped = (map) => Object.entries(map || {}).find(([ledger]) => ledger.toLowerCase().trim() === name)?.[1];
+
+  const mapped = findMapped(ledgerGroups) || findMapped(DEFAULT_LEDGER_GROUP_MAP);
+  if (mapped) return mapped;
+
+  if (hasBills) return isCredit ? 'Sundry Debtors' : 'Sundry Creditors';
+  if (isBank) return 'Bank Accounts';
+
+  const has = (...words) => words.some(word => name.includes(word));
+
+  if (has('advance', 'deposit', 'prepaid', 'imprest')) return 'Loans & Advances (Asset)';
+  if (has('loan', 'emi')) return 'Loans (Liability)';
+  if (has('gst', 'tds', 'tcs', 'tax')) return 'Duties & Taxes';
+  if (has('furniture', 'computer', 'machinery', 'equipment', 'building')) return 'Fixed Assets';
+  if (has('debtor', 'customer', 'receivable')) return 'Sundry Debtors';
+  if (has('creditor', 'supplier', 'vendor', 'payable')) return 'Sundry Creditors';
+  if (has('capital', 'drawing')) return 'Capital Account';
+  if (has('cash')) return 'Cash-in-Hand';
+  if (has('bank')) return 'Bank Accounts';
+  if (has('sale')) return 'Sales Accounts';
+  if (has('purchase')) return 'Purchase Accounts';
+  if (has('income', 'received', 'revenue')) return 'Indirect Incomes';
+  if (has('expense', 'charges', 'fees', 'salary', 'wage', 'rent', 'payment', 'cost')) return 'Indirect Expenses';
+
+  return 'Suspense A/c';
 };
 
-/**
- * Create voucher XML for Tally Prime (WORKING format verified via terminal test)
- * Reference: https://help.tallysolutions.com/xml-integration/
- * Uses: IMPORTDATA > REQUESTDESC > REQUESTDATA structure with VOUCHER VCHTYPE/ACTION attributes
- */
-const createVoucherXML = (transaction, companyName, bankLedger, partyLedger) => {
-  const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
-  const voucherType = isCredit ? 'Receipt' : 'Payment';
-  const amount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+// Every ledger the vouchers post to, with how it is used: ledger -> { isCredit, hasBills, isBank }
+const collectVoucherLedgers = (transactions, bankLedger, voucherTypes) => {
+  const ledgers = new Map([[bankLedger, { isBank: true }]]);
 
-  // Get date from transaction - check multiple possible fields
-  const rawDate = transaction.date || transaction.dateRaw || transaction.txnDate || transaction.transactionDate;
+  for (const transaction of transactions) {
+    const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+    const partyLedger = getTransactionPartyLedger(transaction, voucherTypes.get(transaction.id));
 
-  // Log date debugging info
-  if (!rawDate) {
-    console.warn('[TallyService] Transaction has no date field:', {
-      fields: Object.keys(transaction),
-      date: transaction.date,
-      dateRaw: transaction.dateRaw,
-      description: (transaction.description || '').substring(0, 30)
+    getVoucherLines(transaction, partyLedger).forEach(line => {
+      const usage = ledgers.get(line.ledger) || { isCredit };
+      ledgers.set(line.ledger, { ...usage, hasBills: usage.hasBills || line.billAllocations.length > 0 });
     });
   }
 
-  const date = formatTallyDate(rawDate);
-
-  // Log formatted date
-  console.log('[TallyService] Voucher date:', { input: rawDate, formatted: date, description: (transaction.description || '').substring(0, 30) });
-
-  const narration = escapeXML(transaction.description || 'Bank Transaction');
-  const bank = escapeXML(bankLedger || 'Bank Account');
-  const party = escapeXML(partyLedger || (isCredit ? 'Sundry Debtors' : 'Sundry Creditors'));
-
-  // Working Tally XML format verified via terminal test on 2025-12-26
-  // Key: Use "Import Data" header and IMPORTDATA/REQUESTDESC/REQUESTDATA structure
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<ENVELOPE>
-<HEADER>
-<TALLYREQUEST>Import Data</TALLYREQUEST>
-</HEADER>
-<BODY>
-<IMPORTDATA>
-<REQUESTDESC>
-<REPORTNAME>Vouchers</REPORTNAME>
-<STATICVARIABLES>
-<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
-</STATICVARIABLES>
-</REQUESTDESC>
-<REQUESTDATA>
-<TALLYMESSAGE xmlns:UDF="TallyUDF">
-<VOUCHER VCHTYPE="${voucherType}" ACTION="Create">
-<DATE>${date}</DATE>
-<PARTYLEDGERNAME>${party}</PARTYLEDGERNAME>
-<VOUCHERTYPENAME>${voucherType}</VOUCHERTYPENAME>
-<NARRATION>${narration}</NARRATION>
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${party}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>${isCredit ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
-<AMOUNT>${isCredit ? -amount : amount}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${bank}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>${isCredit ? 'No' : 'Yes'}</ISDEEMEDPOSITIVE>
-<AMOUNT>${isCredit ? amount : -amount}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>
-</VOUCHER>
-</TALLYMESSAGE>
-</REQUESTDATA>
-</IMPORTDATA>
-</BODY>
-</ENVELOPE>`;
+  return ledgers;
 };
 
 /**
- * Push single transaction to Tally
+ * Work out everything batchPushToTally will do for these transactions, without contacting Tally:
+ * the ledgers it creates (with their groups), the vouchers it imports and the transactions
+ * it skips as invalid. batchPushToTally runs on this plan, so a preview matches the push.
+ * @param {Array} transactions - Transactions about to be pushed
+ * @param {string} bankLedger - Bank ledger name
+ * @param {Object} options - {
+ *   ledgers: Tally ledgers [{ name, group }], ledgerGroups: user mapping { ledger: group },
+ *   voucherTypeMap: the bank's custom types { Payment: 'HDFC Payment', ... },
+ *   voucherTypes: result of getVoucherTypes, to number vouchers of manually numbered types
+ * }
+ * @returns {Object} {
+ *   missingLedgers: [{ name, group, mapped }],
+ *   vouchers: [{ transaction, voucherType, voucherNumber, partyLedger }],
+ *   invalid: [{ transaction, error }]
+ * }
  */
-export const pushToTally = async (transaction, companyName, bankLedger, partyLedger) => {
-  try {
-    logger.tallyOperation('pushVoucher', {
-      company: companyName,
-      amount: transaction.amount || transaction.credit || transaction.debit,
-      type: transaction.type
-    });
-
-    if (mockMode) {
-      await new Promise(resolve => setTimeout(resolve, 200));
-      return { success: true, voucherId: `MOCK-${Date.now()}` };
+export const planBatchPush = (transactions, bankLedger, { ledgers = [], ledgerGroups = {}, voucherTypeMap = {}, voucherTypes = [] } = {}) => {
+  const existingLedgers = new Set(ledgers.map(l => l.name.toLowerCase().trim()));
+  const mappedLedgers = new Set(Object.keys(ledgerGroups || {}).map(name => name.toLowerCase().trim()));
+
+  const invalid = [];
+  const valid = [];
+  transactions.forEach(transaction => {
+    const error = validateVoucher(transaction);
+    if (error) {
+      invalid.push({ transaction, error });
+    } else {
+      valid.push(transaction);
     }
+  });
 
-    const xml = createVoucherXML(transaction, companyName, bankLedger, partyLedger);
+  // Resolve voucher types once, using real ledger groups to confirm Contra ledgers;
+  // the predefined type decides the posting, the bank's mapping the type the voucher is created as
+  const baseTypes = new Map(valid.map(t => [
+    t.id,
+    t.tallyVoucher?.voucherType ? getBaseVoucherType(t.tallyVoucher.voucherType, voucherTypes) : resolveVoucherType(t, ledgers)
+  ]));
 
-    logger.debug('Sending voucher XML', { xml: xml.substring(0, 500) });
+  const vouchers = [];
+  valid.forEach(transaction => {
+    const baseType = baseTypes.get(transaction.id);
+    const voucherType = transaction.tallyVoucher?.voucherType || voucherTypeMap?.[baseType] || baseType;
+    const voucherNumber = transaction.tallyVoucher?.voucherNumber ||
+      (usesManualNumbering(voucherType, voucherTypes) ? getBankInstrument(transaction).instrumentNumber : '');
+    // Tally refuses a manually numbered voucher without a number; only an override type can fall back
+    if (!voucherNumber && getNumberingMethod(voucherType, voucherTypes).toLowerCase() === 'manual') {
+      invalid.push({ transaction, error: `${voucherType} is numbered manually and the transaction has no cheque or reference number` });
+      return;
+    }
+    vouchers.push({ transaction, voucherType, voucherNumber, partyLedger: getTransactionPartyLedger(transaction, baseType) });
+  });
 
-    const response = await fetch(TALLY_PROXY_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'text/xml' },
-      body: xml
-    });
+  const missingLedgers = [];
+  for (const [name, usage] of collectVoucherLedgers(vouchers.map(v => v.transaction), bankLedger || 'Bank Account', baseTypes)) {
+    const key = name.toLowerCase().trim();
+    if (existingLedgers.has(key)) continue;
+    // Groups confirmed by the user win over the built-in guess
+    missingLedgers.push({ name, group: guessLedgerGroup(name, { ...usage, ledgerGroups }), mapped: mappedLedgers.has(key) });
+  }
 
-    const result = await response.text();
-    logger.debug('Tally response', { response: result.substring(0, 500) });
+  return { missingLedgers, vouchers, invalid };
+};
 
-    // Check for errors
-    if (result.includes('LINEERROR') || result.includes('<ERROR>')) {
-      const errorMatch = result.match(/<LINEERROR>(.*?)<\/LINEERROR>/s) ||
-        result.match(/<ERROR>(.*?)<\/ERROR>/s);
-      const errorMsg = errorMatch ? errorMatch[1].trim() : 'Tally returned an error';
-      throw new Error(errorMsg);
-    }
-
-    // Check for success indicators
-    const successIndicators = [
-      'CREATED',
-      '<LASTVCHID>',
-      'IMPORTED',
-      '<IMPORTRESULT>',
-      '<RESULT>1</RESULT>',
-      'successfully'
+/**
+ * Dry run of batchPushToTally: the plan with every voucher's date, ledger lines and the XML
+ * that would be imported. Nothing is sent to Tally - existing ledgers come from options.ledgers
+ * (as loaded in the app) and REMOTEIDs already in Tally are only skipped at push time.
+ * @param {Array} transactions - Transactions about to be pushed
+ * @param {string} companyName - Tally company name
+ * @param {string} bankLedger - Bank ledger name
+ * @param {Object} options - { ledgers, ledgerGroups, voucherTypeMap, voucherTypes } as for planBatchPush
+ * @returns {Object} {
+ *   companyName, bankLedger, missingLedgers, invalid,
+ *   vouchers: [{ transaction, voucherType, voucherNumber, partyLedger, date, amount, lines: [{ ledger, amount, side }], xml }]
+ * }
+ */
+export const previewBatchPush = (transactions, companyName, bankLedger, options = {}) => {
+  const effectiveBankLedger = bankLedger || 'Bank Account';
+  const plan = planBatchPush(transactions, effectiveBankLedger, options);
+
+  const vouchers = plan.vouchers.map(({ transaction, voucherType, voucherNumber, partyLedger }) => {
+    const isCredit = transaction.credit > 0 || transaction.type === 'CREDIT';
+    const amount = Math.abs(transaction.credit || transaction.debit || transaction.amount || 0);
+    const remoteId = transaction.tallyVoucher?.remoteId || getTransactionRemoteId(transaction, effectiveBankLedger);
+
+    // Receipts debit the bank and credit the other side; payments the reverse
+    const lines = [
+      { ledger: effectiveBankLedger, amount, side: isCredit ? 'Dr' : 'Cr' },
+      ...getVoucherLines(transaction, partyLedger).map(line => ({
+        ledger: line.ledger,
+        amount: line.amount,
+        side: isCredit ? 'Cr' : 'Dr'
+      }))
     ];
 
-    const isSuccess = successIndicators.some(ind =>
-      result.toLowerCase().includes(ind.toLowerCase())
-    );
+    return {
+      transaction,
+      voucherType,
+      voucherNumber,
+      partyLedger,
+      date: fromTallyDate(formatTallyDate(transaction.date || transaction.dateRaw || transaction.txnDate || transaction.transactionDate)),
+      amount,
+      lines,
+      xml: createVoucherElement(
+        {
+          ...transaction,
+          userVoucherType: voucherType,
+          tallyVoucher: { ...(transaction.tallyVoucher || { remoteId }), voucherNumber }
+        },
+        effectiveBankLedger, partyLedger
+      )
+    };
+  });
 
-    if (isSuccess) {
-      const voucherIdMatch = result.match(/<LASTVCHID>(\d+)<\/LASTVCHID>/);
-      return {
-        success: true,
-        voucherId: voucherIdMatch ? voucherIdMatch[1] : 'Created',
-        message: 'Voucher created successfully'
-      };
-    }
+  return { ...plan, companyName, bankLedger: effectiveBankLedger, vouchers };
+};
 
-    // If we get a response but no clear success/error, log and assume partial success
-    logger.warn('Tally response unclear', { response: result.substring(0, 300) });
+/**
+ * The import requests for a preview, trimmed to the vouchers the user kept
+ * Ledgers only the dropped vouchers needed are left out.
+ * @param {Object} preview - Result of previewBatchPush
+ * @param {Array} vouchers - Preview vouchers to include (default all)
+ * @returns {Object} { ledgersXml, vouchersXml } - null when there is nothing of that kind
+ */
+export const createPreviewXML = (preview, vouchers = preview.vouchers) => {
+  const used = new Set(vouchers.flatMap(v => v.lines.map(line => line.ledger.toLowerCase().trim())));
+  const ledgers = preview.missingLedgers.filter(l => used.has(l.name.toLowerCase().trim()));
+
+  return {
+    ledgersXml: ledgers.length > 0 ? createLedgersXML(ledgers, preview.companyName) : null,
+    vouchersXml: vouchers.length > 0
+      ? createImportEnvelope(preview.companyName, vouchers.map(v => v.xml).join('\n'))
+      : null
+  };
+};
 
-    // Check if response looks like valid XML with no error
-    if (result.includes('<ENVELOPE>') && !result.includes('ERROR')) {
-      return { success: true, message: 'Voucher sent to Tally' };
-    }
+/**
+ * Ledgers batchPushToTally would create for these transactions, and the group each
+ * would go under, so the user can confirm or change the groups first
+ * @param {Array} transactions - Transactions about to be pushed
+ * @param {string} companyName - Tally company name
+ * @param {string} bankLedger - Bank ledger name
+ * @param {Object} ledgerGroups - The user's ledger-to-group mapping for the company
+ * @param {Object} options - { voucherTypeMap, voucherTypes } as passed to batchPushToTally, so the plan matches the push
+ * @returns {Promise<Object>} { ledgers: [{ name, group, mapped }], groups: Tally groups [{ name, parent }] }
+ */
+export const planLedgerCreation = async (transactions, companyName, bankLedger, ledgerGroups = {}, { voucherTypeMap = {}, voucherTypes = [] } = {}) => {
+  const [tallyLedgers, groups] = await Promise.all([getLedgers(companyName), getGroups(companyName)]);
+  const { missingLedgers } = planBatchPush(transactions, bankLedger, { ledgers: tallyLedgers, ledgerGroups, voucherTypeMap, voucherTypes });
+
+  // Use Tally's spelling of the group so it shows as selected in the picker
+  const ledgers = missingLedgers.map(ledger => {
+    const tallyGroup = groups.find(g => g.name.toLowerCase() === ledger.group.toLowerCase());
+    return { ...ledger, group: tallyGroup?.name || ledger.group };
+  });
 
-    throw new Error('No success confirmation from Tally');
-  } catch (error) {
-    logger.error('Failed to push to Tally', { error: error.message });
-    throw error;
-  }
+  return { ledgers, groups };
 };
 
 /**
  * Push multiple transactions to Tally with detailed results
  * Auto-creates missing ledgers with proper verification
+ * Transactions whose REMOTEID already exists in Tally are not created again;
+ * they are returned in results.vouchers with existing: true.
+ * Vouchers are imported in chunks of options.chunkSize (default VITE_TALLY_IMPORT_CHUNK_SIZE or 25).
+ * Missing ledgers are created under options.ledgerGroups[ledger] when given (see guessLedgerGroup),
+ * party ledgers with the GST details in options.partyDetails[ledger] ({ gstin, state, gstRegistrationType }).
  */
-export const batchPushToTally = async (transactions, companyName, bankLedger) => {
+export const batchPushToTally = async (transactions, companyName, bankLedger, options = {}) => {
   const results = {
     success: 0,
     failed: 0,
     skipped: 0,
     errors: [],
+    vouchers: [],
+    alreadyInTally: 0,
     ledgersCreated: 0,
     ledgersFailed: []
   };
 
-  console.log('Starting batch push to Tally:', {
-    count: transactions.length,
-    company: companyName,
-    bankLedger
-  });
-
   logger.info('Starting batch push to Tally', {
     count: transactions.length,
     company: companyName,
     bankLedger
   });
 
+  const effectiveBankLedger = bankLedger || 'Bank Account';
+
+  // Step 0: Skip transactions whose voucher (by REMOTEID) is already in Tally
+  const existingVouchers = await findExistingVouchers(
+    companyName,
+    transactions.map(t => t.date || t.dateRaw || t.txnDate || t.transactionDate)
+  );
+  const transactionsToPush = [];
+
+  for (const transaction of transactions) {
+    const remoteId = transaction.tallyVoucher?.remoteId || getTransactionRemoteId(transaction, effectiveBankLedger);
+    const existing = existingVouchers.get(remoteId);
+
+    if (existing) {
+      results.alreadyInTally++;
+      results.vouchers.push({
+        transactionId: transaction.id,
+        existing: true,
+        tallyVoucher: buildTallyVoucher(
+          transaction.tallyVoucher, remoteId, existing.voucherType,
+          { lastVchId: existing.masterId }, { bankLedger: effectiveBankLedger }
+        )
+      });
+    } else {
+      transactionsToPush.push(transaction);
+    }
+  }
+
+  if (results.alreadyInTally > 0) {
+    logger.debug(`${results.alreadyInTally} transactions already exist in Tally - skipping`);
+  }
+
+  if (transactionsToPush.length === 0) {
+    logger.tallyOperation('batchPush', results);
+    return results;
+  }
+
   // Step 1: Fetch existing ledgers from Tally
   let existingLedgers = new Set();
+  let tallyLedgers = [];
   try {
-    const ledgers = await getLedgers(companyName);
-    existingLedgers = new Set(ledgers.map(l => l.name.toLowerCase().trim()));
-    console.log('Existing ledgers in Tally:', ledgers.length);
+    tallyLedgers = await getLedgers(companyName);
+    existingLedgers = new Set(tallyLedgers.map(l => l.name.toLowerCase().trim()));
+    logger.debug('Existing ledgers in Tally', { count: tallyLedgers.length });
   } catch (error) {
-    console.warn('Could not fetch existing ledgers, will try to create all:', error.message);
+    logger.warn('Could not fetch existing ledgers, will try to create all', { error: error.message });
   }
 
-  // Step 2: Collect all unique ledgers needed
-  const uniqueLedgers = new Set();
-  const effectiveBankLedger = bankLedger || 'Bank Account';
-  uniqueLedgers.add(effectiveBankLedger);
-
-  for (const transaction of transactions) {
-    const partyLedger = transaction.userLedger ||
-      transaction.aiSuggestedLedger ||
-      (transaction.credit > 0 ? 'Sundry Debtors' : 'Sundry Creditors');
-    uniqueLedgers.add(partyLedger);
-  }
-
-  console.log('Unique ledgers needed:', Array.from(uniqueLedgers));
-
-  // Step 3: Comprehensive ledger-to-group mapping
-  const ledgerGroupMap = {
-    // Bank ledgers
-    'Bank Account': 'Bank Accounts',
-    'Cash': 'Cash-in-Hand',
-    'Cash in Hand': 'Cash-in-Hand',
-    'Petty Cash': 'Cash-in-Hand',
-    // Income ledgers - Direct
-    'Sales Account': 'Sales Accounts',
-    'Sales': 'Sales Accounts',
-    'UPI Income': 'Direct Incomes',
-    'Interest Income': 'Direct Incomes',
-    'Interest Received': 'Direct Incomes',
-    'Commission Income': 'Direct Incomes',
-    'Service Income': 'Direct Incomes',
-    'Dividend Income': 'Direct Incomes',
-    // Income ledgers - Indirect
-    'Other Income': 'Indirect Incomes',
-    'Miscellaneous Income': 'Indirect Incomes',
-    'Discount Received': 'Indirect Incomes',
-    'Refund Received': 'Indirect Incomes',
-    // Expense ledgers - Direct
-    'Purchase Account': 'Purchase Accounts',
-    'Purchases': 'Purchase Accounts',
-    // Expense ledgers - Indirect (common expenses)
-    'Office Expenses': 'Indirect Expenses',
-    'Administrative Expenses': 'Indirect Expenses',
-    'Food Expenses': 'Indirect Expenses',
-    'Food & Dining': 'Indirect Expenses',
-    'Entertainment Expenses': 'Indirect Expenses',
-    'Entertainment': 'Indirect Expenses',
-    'Travel Expenses': 'Indirect Expenses',
-    'Travel': 'Indirect Expenses',
-    'Transportation': 'Indirect Expenses',
-    'Rent': 'Indirect Expenses',
-    'Rent Expense': 'Indirect Expenses',
-    'Office Rent': 'Indirect Expenses',
-    'Utilities': 'Indirect Expenses',
-    'Utility Bills': 'Indirect Expenses',
-    'Electricity': 'Indirect Expenses',
-    'Telephone Expenses': 'Indirect Expenses',
-    'Internet Expenses': 'Indirect Expenses',
-    'Mobile Expenses': 'Indirect Expenses',
-    'Professional Fees': 'Indirect Expenses',
-    'Legal Fees': 'Indirect Expenses',
-    'Consulting Fees': 'Indirect Expenses',
-    'Audit Fees': 'Indirect Expenses',
-    'Bank Charges': 'Indirect Expenses',
-    'Bank Fees': 'Indirect Expenses',
-    'Miscellaneous Expenses': 'Indirect Expenses',
-    'General Expenses': 'Indirect Expenses',
-    'Other Expenses': 'Indirect Expenses',
-    'Printing & Stationery': 'Indirect Expenses',
-    'Stationery': 'Indirect Expenses',
-    'Postage & Courier': 'Indirect Expenses',
-    'Insurance': 'Indirect Expenses',
-    'Insurance Premium': 'Indirect Expenses',
-    'Repairs & Maintenance': 'Indirect Expenses',
-    'Salary': 'Indirect Expenses',
-    'Salaries': 'Indirect Expenses',
-    'Wages': 'Indirect Expenses',
-    'Staff Welfare': 'Indirect Expenses',
-    'Subscription': 'Indirect Expenses',
-    'Software Subscription': 'Indirect Expenses',
-    'Membership Fees': 'Indirect Expenses',
-    'Advertising': 'Indirect Expenses',
-    'Marketing Expenses': 'Indirect Expenses',
-    'GST Expense': 'Duties & Taxes',
-    'TDS Payable': 'Duties & Taxes',
-    // Capital accounts
-    'Capital Account': 'Capital Account',
-    'Drawings': 'Capital Account',
-    // Parties
-    'Sundry Debtors': 'Sundry Debtors',
-    'Sundry Creditors': 'Sundry Creditors',
-    // Loans
-    'Loan Account': 'Loans (Liability)',
-    'EMI Payment': 'Loans (Liability)',
-    'Personal Loan': 'Loans (Liability)',
-    'Home Loan': 'Loans (Liability)',
-    'Vehicle Loan': 'Loans (Liability)'
-  };
-
-  // Helper function to guess group from ledger name
-  const guessLedgerGroup = (ledgerName) => {
-    const name = ledgerName.toLowerCase();
-
-    // Check for known patterns
-    if (name.includes('bank') || name.includes('account') && !name.includes('expense')) {
-      return 'Bank Accounts';
-    }
-    if (name.includes('income') || name.includes('received') || name.includes('revenue')) {
-      return 'Indirect Incomes';
-    }
-    if (name.includes('expense') || name.includes('charges') || name.includes('fees') ||
-      name.includes('payment') || name.includes('cost')) {
-      return 'Indirect Expenses';
-    }
-    if (name.includes('cash')) {
-      return 'Cash-in-Hand';
-    }
-    if (name.includes('loan') || name.includes('emi')) {
-      return 'Loans (Liability)';
-    }
-    if (name.includes('tax') || name.includes('gst') || name.includes('tds')) {
-      return 'Duties & Taxes';
-    }
-    if (name.includes('salary') || name.includes('wage')) {
-      return 'Indirect Expenses';
-    }
-    if (name.includes('sale')) {
-      return 'Sales Accounts';
-    }
-    if (name.includes('purchase')) {
-      return 'Purchase Accounts';
-    }
+  // Step 2: Plan the ledgers to create and the vouchers to import (see planBatchPush)
+  const plan = planBatchPush(transactionsToPush, effectiveBankLedger, {
+    ledgers: tallyLedgers,
+    ledgerGroups: options.ledgerGroups,
+    voucherTypeMap: options.voucherTypeMap,
+    voucherTypes: options.voucherTypes
+  });
 
-    // Default to Indirect Expenses for unknown ledgers
-    return 'Indirect Expenses';
-  };
+  logger.debug('Ledgers to create', { ledgers: plan.missingLedgers.map(l => l.name) });
 
-  // Step 4: Create missing ledgers with verification
+  // Step 3: Create missing ledgers with verification
   const confirmedLedgers = new Set(existingLedgers);
 
-  for (const ledger of uniqueLedgers) {
+  for (const { name: ledger, group } of plan.missingLedgers) {
     const ledgerLower = ledger.toLowerCase().trim();
 
-    // Skip if ledger already exists
-    if (confirmedLedgers.has(ledgerLower)) {
-      console.log(`Ledger "${ledger}" already exists`);
-      continue;
-    }
-
-    // Determine the group for this ledger
-    const group = ledgerGroupMap[ledger] || guessLedgerGroup(ledger);
-
     try {
-      console.log(`Creating ledger: ${ledger} in ${group}`);
-      const createResult = await createLedger(ledger, group, companyName);
+      const createResult = await createLedger(ledger, group, companyName, options.partyDetails?.[ledger]);
 
       if (createResult.success || createResult.existed) {
         confirmedLedgers.add(ledgerLower);
         results.ledgersCreated++;
-        console.log(`Ledger "${ledger}" created/confirmed`);
       }
     } catch (error) {
       const errorMsg = error.message || '';
@@ -954,28 +2970,36 @@ export const batchPushToTally = async (transactions, companyName, bankLedger) =>
       if (errorMsg.includes('already exists') || errorMsg.includes('duplicate') ||
         errorMsg.includes('Duplicate')) {
         confirmedLedgers.add(ledgerLower);
-        console.log(`Ledger "${ledger}" already exists (from error message)`);
+        logger.debug(`Ledger "${ledger}" already exists (from error message)`);
       } else {
-        console.error(`Failed to create ledger "${ledger}":`, errorMsg);
+        logger.error(`Failed to create ledger "${ledger}"`, { error: errorMsg });
         results.ledgersFailed.push({ name: ledger, group, error: errorMsg });
       }
     }
   }
 
-  console.log(`Ledgers confirmed: ${confirmedLedgers.size}, Created: ${results.ledgersCreated}`);
+  logger.debug('Ledgers confirmed', { confirmed: confirmedLedgers.size, created: results.ledgersCreated });
 
-  // Step 5: Push vouchers only for transactions with confirmed ledgers
-  for (const transaction of transactions) {
-    const partyLedger = transaction.userLedger ||
-      transaction.aiSuggestedLedger ||
-      (transaction.credit > 0 ? 'Sundry Debtors' : 'Sundry Creditors');
+  // Step 4: Push vouchers only for valid transactions with confirmed ledgers
+  plan.invalid.forEach(({ transaction, error }) => {
+    results.skipped++;
+    results.errors.push({
+      transactionId: transaction.id,
+      description: transaction.description?.substring(0, 50),
+      error
+    });
+  });
+
+  const readyToPush = [];
+
+  for (const voucher of plan.vouchers) {
+    const { transaction, partyLedger } = voucher;
 
-    const partyLedgerLower = partyLedger.toLowerCase().trim();
-    const bankLedgerLower = effectiveBankLedger.toLowerCase().trim();
+    // Check if all ledgers (bank + party/split lines) are available
+    const missingLedger = [effectiveBankLedger, ...getVoucherLines(transaction, partyLedger).map(line => line.ledger)]
+      .find(ledger => !confirmedLedgers.has(ledger.toLowerCase().trim()));
 
-    // Check if both ledgers are available
-    if (!confirmedLedgers.has(partyLedgerLower) || !confirmedLedgers.has(bankLedgerLower)) {
-      const missingLedger = !confirmedLedgers.has(partyLedgerLower) ? partyLedger : effectiveBankLedger;
+    if (missingLedger) {
       console.warn(`Skipping transaction - ledger "${missingLedger}" not available`);
       results.skipped++;
       results.errors.push({
@@ -986,48 +3010,58 @@ export const batchPushToTally = async (transactions, companyName, bankLedger) =>
       continue;
     }
 
-    try {
-      console.log('Pushing voucher:', {
-        date: transaction.date,
-        amount: transaction.credit || transaction.debit,
-        type: transaction.type,
-        partyLedger,
-        bankLedger: effectiveBankLedger
-      });
+    readyToPush.push(voucher);
+  }
 
-      await pushToTally(transaction, companyName, effectiveBankLedger, partyLedger);
-      results.success++;
+  // Step 5: Import the vouchers in chunks, one request per chunk
+  const chunkSize = Math.max(1, parseInt(options.chunkSize, 10) || IMPORT_CHUNK_SIZE);
 
-      console.log('Voucher created successfully');
-      logger.debug('Voucher created', {
-        description: transaction.description?.substring(0, 30),
-        amount: transaction.credit || transaction.debit
-      });
-    } catch (error) {
-      console.error('Voucher creation failed:', error.message);
-      results.failed++;
-      results.errors.push({
-        transactionId: transaction.id,
-        description: transaction.description?.substring(0, 50),
-        error: error.message
-      });
-      logger.warn('Voucher creation failed', {
-        description: transaction.description?.substring(0, 30),
-        error: error.message
-      });
+  for (let i = 0; i < readyToPush.length; i += chunkSize) {
+    const chunk = readyToPush.slice(i, i + chunkSize);
+    logger.debug(`Pushing vouchers ${i + 1}-${i + chunk.length} of ${readyToPush.length}`);
+
+    const outcomes = await pushVoucherChunk(chunk, companyName, effectiveBankLedger);
+
+    for (const outcome of outcomes) {
+      const { transaction } = outcome;
+
+      if (outcome.success) {
+        results.success++;
+        results.vouchers.push({ transactionId: transaction.id, tallyVoucher: outcome.tallyVoucher });
+        logger.debug('Voucher created', {
+          description: transaction.description?.substring(0, 30),
+          amount: transaction.credit || transaction.debit
+        });
+      } else {
+        console.error('Voucher creation failed:', outcome.error);
+        results.failed++;
+        results.errors.push({
+          transactionId: transaction.id,
+          description: transaction.description?.substring(0, 50),
+          error: outcome.error,
+          type: outcome.errorType || null
+        });
+        logger.warn('Voucher creation failed', {
+          description: transaction.description?.substring(0, 30),
+          error: outcome.error
+        });
+      }
     }
   }
 
-  console.log('Batch push complete:', results);
   logger.tallyOperation('batchPush', results);
 
   // If all failed or skipped, throw an error with helpful message
-  if (results.success === 0 && transactions.length > 0) {
+  if (results.success === 0 && transactionsToPush.length > 0) {
     const firstError = results.errors[0]?.error || 'Unknown error';
     const ledgerFailures = results.ledgersFailed.length > 0
       ? ` Failed ledgers: ${results.ledgersFailed.map(l => l.name).join(', ')}`
       : '';
-    throw new Error(`Failed to create vouchers: ${firstError}${ledgerFailures}`);
+    // The results travel with the error so callers can still act on each rejection (e.g. books period)
+    const error = new Error(`Failed to create vouchers: ${firstError}${ledgerFailures}`);
+    error.type = results.errors[0]?.type || null;
+    error.results = results;
+    throw error;
   }
 
   return results;
@@ -1054,6 +3088,15 @@ export const getActiveCompany = async () => {
  * @returns {Promise<Object>} Creation result
  */
 export const createCompany = async (companyData) => {
+  const audit = createSyncAudit({
+    kind: 'company',
+    action: 'Create',
+    companyName: companyData.name,
+    reference: companyData.name,
+    description: `Company ${companyData.name}`,
+    payload: { companyData }
+  });
+
   try {
     const { name, address, country, state, pincode, email, phone, financialYearFrom } = companyData;
 
@@ -1128,107 +3171,337 @@ export const createCompany = async (companyData) => {
   </BODY>
 </ENVELOPE>`;
 
-    logger.debug('Creating company with XML', {
-      company: name,
-      fyDate: fyDate,
-      state: state
-    });
-
-    const response = await fetch(TALLY_PROXY_URL, {
+    logger.debug('Creating company with XML', {
+      company: name,
+      fyDate: fyDate,
+      state: state
+    });
+
+    audit.request(xml);
+    const response = await fetch(getTallyUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml' },
+      body: xml
+    });
+
+    const result = await response.text();
+    logger.debug('Create company response', { response: result.substring(0, 500) });
+
+    const parsed = parseImportResponse(result);
+    audit.response(parsed);
+    if (parsed.error || parsed.errors > 0) {
+      throw createTallyError(parsed, 'Failed to create company');
+    }
+
+    if (parsed.created > 0) {
+      audit.done('success');
+      return { success: true, message: `Company "${name}" created successfully. Financial Year: April 1, ${fyDate.substring(0, 4)}` };
+    }
+
+    throw new Error('Tally did not create the company');
+  } catch (error) {
+    logger.error('Failed to create company', error);
+    audit.done('failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Financial year start (1 April) of a Tally date
+ * @param {string} tallyDate - YYYYMMDD
+ * @returns {string} YYYYMMDD
+ */
+const getFinancialYearStart = (tallyDate) => {
+  const year = parseInt(tallyDate.substring(0, 4), 10);
+  const month = parseInt(tallyDate.substring(4, 6), 10);
+  return `${month >= 4 ? year : year - 1}0401`;
+};
+
+/**
+ * Work out a books-period rejection: the range of dates Tally refused, the
+ * company's period, and the fixes on offer - an earlier books beginning, or
+ * another company whose books cover the dates (e.g. last year's company)
+ * @param {Array} dates - Dates of the rejected vouchers, in any format formatTallyDate reads
+ * @param {string} companyName - Company that rejected them
+ * @returns {Promise<Object>} {
+ *   companyName, from, to, count, startingFrom, booksFrom,
+ *   suggestedBooksFrom, suggestedStartingFrom, companies: [{ name, booksFrom }]
+ * } with YYYY-MM-DD dates; suggestedBooksFrom is null when the books already begin before the dates
+ */
+export const getBooksPeriodConflict = async (dates, companyName) => {
+  const tallyDates = dates.map(date => formatTallyDate(date)).sort();
+  const from = tallyDates[0];
+  const to = tallyDates[tallyDates.length - 1];
+
+  const companies = await getCompanies();
+  const company = companies.find(c => c.name.toLowerCase() === (companyName || '').toLowerCase());
+  const booksFrom = company?.booksFrom ? formatTallyDate(company.booksFrom) : '';
+  const startingFrom = company?.from ? formatTallyDate(company.from) : booksFrom;
+
+  // The financial year must begin on or before the books, so it moves back with them when needed
+  const suggestedBooksFrom = !booksFrom || from < booksFrom ? getFinancialYearStart(from) : null;
+  const suggestedStartingFrom = suggestedBooksFrom && (!startingFrom || suggestedBooksFrom < startingFrom)
+    ? suggestedBooksFrom
+    : startingFrom;
+
+  // Latest books first: with one company per financial year that is the year the dates belong to
+  const otherCompanies = companies
+    .filter(c => c !== company && c.booksFrom && formatTallyDate(c.booksFrom) <= from)
+    .map(c => ({ name: c.name, booksFrom: formatTallyDate(c.booksFrom) }))
+    .sort((a, b) => b.booksFrom.localeCompare(a.booksFrom));
+
+  return {
+    companyName,
+    from: fromTallyDate(from),
+    to: fromTallyDate(to),
+    count: dates.length,
+    startingFrom: fromTallyDate(startingFrom),
+    booksFrom: fromTallyDate(booksFrom),
+    suggestedBooksFrom: suggestedBooksFrom ? fromTallyDate(suggestedBooksFrom) : null,
+    suggestedStartingFrom: suggestedStartingFrom ? fromTallyDate(suggestedStartingFrom) : null,
+    companies: otherCompanies.map(c => ({ ...c, booksFrom: fromTallyDate(c.booksFrom) }))
+  };
+};
+
+/**
+ * Move a company's books beginning in Tally, so vouchers dated before it can be entered
+ * @param {string} companyName - Company to alter
+ * @param {string} booksFrom - New books beginning date
+ * @param {string} startingFrom - Financial year start; defaults to the year booksFrom falls in
+ * @returns {Promise<Object>} Alteration result
+ */
+export const alterCompanyBooksFrom = async (companyName, booksFrom, startingFrom) => {
+  const booksFromDate = formatTallyDate(booksFrom);
+  const startingFromDate = startingFrom ? formatTallyDate(startingFrom) : getFinancialYearStart(booksFromDate);
+  const audit = createSyncAudit({
+    kind: 'company',
+    action: 'Alter',
+    companyName,
+    reference: companyName,
+    description: `Books beginning of ${companyName} moved to ${fromTallyDate(booksFromDate)}`,
+    payload: { booksFrom: booksFromDate, startingFrom: startingFromDate }
+  });
+
+  try {
+    logger.tallyOperation('alterCompanyBooksFrom', { company: companyName, booksFrom: booksFromDate });
+
+    if (mockMode) {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { success: true, booksFrom: fromTallyDate(booksFromDate), message: `Books of "${companyName}" begin on ${fromTallyDate(booksFromDate)} (Mock)` };
+    }
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER>
+    <TALLYREQUEST>Import Data</TALLYREQUEST>
+  </HEADER>
+  <BODY>
+    <IMPORTDATA>
+      <REQUESTDESC>
+        <REPORTNAME>All Masters</REPORTNAME>
+        <STATICVARIABLES>
+          <SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
+        </STATICVARIABLES>
+      </REQUESTDESC>
+      <REQUESTDATA>
+        <TALLYMESSAGE xmlns:UDF="TallyUDF">
+          <COMPANY NAME="${escapeXML(companyName)}" ACTION="Alter">
+            <NAME.LIST>
+              <NAME>${escapeXML(companyName)}</NAME>
+            </NAME.LIST>
+            <STARTINGFROM TYPE="Date">${startingFromDate}</STARTINGFROM>
+            <BOOKSFROM TYPE="Date">${booksFromDate}</BOOKSFROM>
+          </COMPANY>
+        </TALLYMESSAGE>
+      </REQUESTDATA>
+    </IMPORTDATA>
+  </BODY>
+</ENVELOPE>`;
+
+    audit.request(xml);
+    const response = await fetch(getTallyUrl(), {
       method: 'POST',
       headers: { 'Content-Type': 'text/xml' },
       body: xml
     });
 
     const result = await response.text();
-    logger.debug('Create company response', { response: result.substring(0, 500) });
+    logger.debug('Alter company response', { response: result.substring(0, 500) });
 
-    // Check for errors
-    if (result.includes('LINEERROR') || result.includes('<ERROR>')) {
-      const errorMatch = result.match(/<LINEERROR>(.*?)<\/LINEERROR>/s) ||
-        result.match(/<ERROR>(.*?)<\/ERROR>/s);
-      const errorMsg = errorMatch ? errorMatch[1].replace(/&apos;/g, "'").replace(/&quot;/g, '"').trim() : 'Failed to create company';
-      throw new Error(errorMsg);
+    const parsed = parseImportResponse(result);
+    audit.response(parsed);
+    if (parsed.error || parsed.errors > 0) {
+      throw createTallyError(parsed, 'Failed to alter the company');
     }
 
-    // Check for success
-    if (result.includes('CREATED') || result.includes('IMPORTED') ||
-      result.includes('<LASTVCHID>') ||
-      (result.includes('<ENVELOPE>') && !result.includes('ERROR') && !result.includes('LINEERROR'))) {
-      return { success: true, message: `Company "${name}" created successfully. Financial Year: April 1, ${fyDate.substring(0, 4)}` };
+    if (parsed.altered > 0) {
+      audit.done('success');
+      return {
+        success: true,
+        booksFrom: fromTallyDate(booksFromDate),
+        message: `Books of "${companyName}" now begin on ${fromTallyDate(booksFromDate)}`
+      };
     }
 
-    throw new Error('No success confirmation from Tally');
+    throw new Error('Tally did not alter the company');
   } catch (error) {
-    logger.error('Failed to create company', error);
+    logger.error('Failed to alter company books period', error);
+    audit.done('failed', { error: error.message });
     throw error;
   }
 };
 
 /**
  * Get vouchers from Tally
- * Uses Export Data format with Payment/Receipt Vouchers reports
- * Verified working via terminal tests on 2025-12-27
+ * Uses a TDL Voucher collection so the period, voucher types and a ledger can be
+ * filtered inside Tally instead of exporting the whole year. Bank ledger lines
+ * carry their bank allocation (instrument number, bankers' date, etc.).
  * @param {string} companyName - Company name
- * @param {string} voucherType - Type of voucher (Payment, Receipt, etc.) - optional
+ * @param {Object|string} options - { fromDate, toDate, voucherTypes: [], ledger, sinceAlterId };
+ *   a string is read as a single voucher type; sinceAlterId keeps only vouchers altered after it
  * @returns {Promise<Array>} List of vouchers
  */
-export const getVouchers = async (companyName, voucherType = '') => {
+export const getVouchers = async (companyName, options = {}) => {
+  const { fromDate, toDate, voucherTypes = [], ledger = '', sinceAlterId = null } =
+    typeof options === 'string' ? { voucherTypes: options ? [options] : [] } : options;
+
   try {
-    logger.tallyOperation('getVouchers', { company: companyName, type: voucherType });
+    logger.tallyOperation('getVouchers', { company: companyName, fromDate, toDate, voucherTypes, ledger, sinceAlterId });
 
     if (mockMode) {
-      return [
-        { date: '2024-04-01', voucherNumber: 'PMT-001', type: 'Payment', amount: 5000, narration: 'Office Rent', ledgerName: 'Bank Account', allLedgers: ['Bank Account', 'Office Rent'] },
-        { date: '2024-04-02', voucherNumber: 'RCT-001', type: 'Receipt', amount: 15000, narration: 'Sales Revenue', ledgerName: 'Bank Account', allLedgers: ['Bank Account', 'Sales Account'] }
+      const mockVouchers = [
+        { date: '2024-04-01', voucherNumber: 'PMT-001', type: 'Payment', amount: 5000, narration: 'Office Rent', ledgerName: 'Bank Account', allLedgers: ['Bank Account', 'Office Rent'], bankAllocations: [{ ledgerName: 'Bank Account', transactionType: 'Cheque', instrumentNumber: '000123', instrumentDate: '2024-04-01', bankersDate: '2024-04-03', amount: 5000 }] },
+        { date: '2024-04-02', voucherNumber: 'RCT-001', type: 'Receipt', amount: 15000, narration: 'Sales Revenue', ledgerName: 'Bank Account', allLedgers: ['Bank Account', 'Sales Account'], bankAllocations: [] },
+        { date: '2024-04-05', voucherNumber: 'CTR-001', type: 'Contra', amount: 2000, narration: 'ATM Withdrawal', ledgerName: 'Cash', allLedgers: ['Cash', 'Bank Account'], bankAllocations: [] }
       ];
+      return mockVouchers.filter(v =>
+        (voucherTypes.length === 0 || voucherTypes.includes(v.type)) &&
+        (!ledger || v.allLedgers.includes(ledger)) &&
+        (!fromDate || v.date >= fromDate) &&
+        (!toDate || v.date <= toDate)
+      );
+    }
+
+    // Collection filters are only added for the criteria that were given
+    const filters = [];
+    const formulae = [];
+
+    if (voucherTypes.length > 0) {
+      filters.push('AITSVoucherType');
+      formulae.push(`<SYSTEM TYPE="Formulae" NAME="AITSVoucherType">${voucherTypes
+        .map(type => `$VoucherTypeName = "${escapeXML(type)}"`)
+        .join(' OR ')}</SYSTEM>`);
+    }
+
+    if (ledger) {
+      filters.push('AITSHasLedger');
+      formulae.push(`<SYSTEM TYPE="Formulae" NAME="AITSHasLedger">$$FilterCount:AllLedgerEntries:AITSIsLedger > 0</SYSTEM>`);
+      formulae.push(`<SYSTEM TYPE="Formulae" NAME="AITSIsLedger">$LedgerName = "${escapeXML(ledger)}"</SYSTEM>`);
     }
 
-    // Fetch both Payment and Receipt vouchers using Export Data format
-    // This format is verified working via terminal tests
-    const voucherTypes = voucherType ? [voucherType] : ['Payment', 'Receipt'];
-    const allVouchers = [];
+    if (sinceAlterId) {
+      filters.push('AITSAlteredSince');
+      formulae.push(`<SYSTEM TYPE="Formulae" NAME="AITSAlteredSince">$AlterID > ${Number(sinceAlterId)}</SYSTEM>`);
+    }
 
-    for (const type of voucherTypes) {
-      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
 <ENVELOPE>
 <HEADER>
-<TALLYREQUEST>Export Data</TALLYREQUEST>
+<VERSION>1</VERSION>
+<TALLYREQUEST>Export</TALLYREQUEST>
+<TYPE>Collection</TYPE>
+<ID>AITS Vouchers</ID>
 </HEADER>
 <BODY>
-<EXPORTDATA>
-<REQUESTDESC>
-<REPORTNAME>${escapeXML(type)} Vouchers</REPORTNAME>
+<DESC>
 <STATICVARIABLES>
-<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
+<SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>${fromDate ? `
+<SVFROMDATE>${formatTallyDate(fromDate)}</SVFROMDATE>` : ''}${toDate ? `
+<SVTODATE>${formatTallyDate(toDate)}</SVTODATE>` : ''}
 </STATICVARIABLES>
-</REQUESTDESC>
-</EXPORTDATA>
+<TDL>
+<TDLMESSAGE>
+<COLLECTION NAME="AITS Vouchers">
+<TYPE>Voucher</TYPE>
+<FETCH>DATE, VOUCHERTYPENAME, VOUCHERNUMBER, NARRATION, PARTYLEDGERNAME, GUID, MASTERID, ALTERID</FETCH>
+<FETCH>AllLedgerEntries.LedgerName, AllLedgerEntries.Amount, AllLedgerEntries.BankAllocations.*</FETCH>${filters.length > 0 ? `
+<FILTERS>${filters.join(', ')}</FILTERS>` : ''}
+</COLLECTION>${formulae.length > 0 ? `
+${formulae.join('\n')}` : ''}
+</TDLMESSAGE>
+</TDL>
+</DESC>
 </BODY>
 </ENVELOPE>`;
 
-      const response = await fetch(TALLY_PROXY_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'text/xml' },
-        body: xml
-      });
+    const response = await fetch(getTallyUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml' },
+      body: xml
+    });
 
-      const xmlText = await response.text();
-      console.log(`[Tally] ${type} vouchers response length:`, xmlText.length);
+    const xmlText = await response.text();
+    console.log('[Tally] Vouchers response length:', xmlText.length);
 
-      const vouchers = parseVouchersFromXML(xmlText, type);
-      console.log(`[Tally] Parsed ${type} vouchers:`, vouchers.length);
-      allVouchers.push(...vouchers);
-    }
+    const vouchers = parseVouchersFromXML(xmlText, voucherTypes.length === 1 ? voucherTypes[0] : '');
 
-    logger.info('Fetched vouchers from Tally', { count: allVouchers.length });
-    return allVouchers;
+    logger.info('Fetched vouchers from Tally', { count: vouchers.length });
+    return vouchers;
   } catch (error) {
     logger.error('Failed to get vouchers', error);
     throw error;
   }
 };
 
+/**
+ * Convert a Tally date (YYYYMMDD) to YYYY-MM-DD; other formats pass through
+ */
+const fromTallyDate = (date) => {
+  const trimmed = (date || '').trim();
+  return /^\d{8}$/.test(trimmed)
+    ? `${trimmed.substring(0, 4)}-${trimmed.substring(4, 6)}-${trimmed.substring(6, 8)}`
+    : trimmed;
+};
+
+/**
+ * Read BANKALLOCATIONS.LIST details of each ledger line in a voucher
+ * @param {string} voucherXml - Raw VOUCHER XML
+ * @returns {Array} [{ ledgerName, transactionType, instrumentNumber, instrumentDate, bankersDate, uniqueReference, favouring, amount }]
+ */
+const parseBankAllocations = (voucherXml) => {
+  const allocations = [];
+  const readTag = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+
+  const entryRegex = /<ALLLEDGERENTRIES\.LIST[^>]*>([\s\S]*?)<\/ALLLEDGERENTRIES\.LIST>/gi;
+  let entryMatch;
+  while ((entryMatch = entryRegex.exec(voucherXml)) !== null) {
+    const entryXml = entryMatch[1];
+    const ledgerName = readTag(entryXml, 'LEDGERNAME');
+
+    const bankRegex = /<BANKALLOCATIONS\.LIST[^>]*>([\s\S]*?)<\/BANKALLOCATIONS\.LIST>/gi;
+    let bankMatch;
+    while ((bankMatch = bankRegex.exec(entryXml)) !== null) {
+      const bankXml = bankMatch[1];
+      allocations.push({
+        ledgerName,
+        transactionType: readTag(bankXml, 'TRANSACTIONTYPE'),
+        instrumentNumber: readTag(bankXml, 'INSTRUMENTNUMBER'),
+        instrumentDate: fromTallyDate(readTag(bankXml, 'INSTRUMENTDATE')),
+        bankersDate: fromTallyDate(readTag(bankXml, 'BANKERSDATE')),
+        uniqueReference: readTag(bankXml, 'UNIQUEREFERENCENUMBER'),
+        favouring: readTag(bankXml, 'PAYMENTFAVOURING'),
+        amount: parseFloat(readTag(bankXml, 'AMOUNT')) || 0
+      });
+    }
+  }
+
+  return allocations;
+};
+
 /**
  * Parse vouchers from XML response
  * @param {string} xml - XML response from Tally
@@ -1253,13 +3526,9 @@ const parseVouchersFromXML = (xml, defaultType = '') => {
     // Get the raw XML of this voucher node for parsing
     const voucherXml = node.outerHTML || '';
 
-    // Get date - try multiple sources
-    let date = node.querySelector('DATE')?.textContent ||
-      node.getAttribute('DATE') || '';
-    // Convert YYYYMMDD to YYYY-MM-DD if needed
-    if (date.length === 8 && !date.includes('-')) {
-      date = `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)}`;
-    }
+    // Get date - try multiple sources, converting YYYYMMDD to YYYY-MM-DD
+    const date = fromTallyDate(node.querySelector('DATE')?.textContent ||
+      node.getAttribute('DATE') || '');
 
     // Get voucher type - try multiple locations, fallback to defaultType
     const voucherType = node.querySelector('VOUCHERTYPENAME')?.textContent ||
@@ -1345,7 +3614,11 @@ const parseVouchersFromXML = (xml, defaultType = '') => {
       particularLedger: partyLedger,
       ledgerName: partyLedger || (allLedgers.length > 0 ? allLedgers[0] : ''),
       ledgerEntries,
-      allLedgers
+      allLedgers,
+      guid: node.querySelector('GUID')?.textContent?.trim() || node.getAttribute('REMOTEID') || '',
+      masterId: node.querySelector('MASTERID')?.textContent?.trim() || '',
+      alterId: parseInt(node.querySelector('ALTERID')?.textContent, 10) || null,
+      bankAllocations: parseBankAllocations(voucherXml)
     };
 
     vouchers.push(voucher);
@@ -1382,7 +3655,7 @@ export const fullSync = async (companyName, data = {}) => {
   const results = {
     companies: { synced: false },
     ledgers: { fetched: 0, created: 0 },
-    vouchers: { fetched: 0, created: 0 },
+    vouchers: { fetched: 0, created: 0, existing: 0, pushed: [] },
     errors: []
   };
 
@@ -1419,6 +3692,8 @@ export const fullSync = async (companyName, data = {}) => {
         if (pendingTxns.length > 0) {
           const pushResult = await batchPushToTally(pendingTxns, companyName, data.bankLedger || 'Bank Account');
           results.vouchers.created = pushResult.success;
+          results.vouchers.existing = pushResult.alreadyInTally;
+          results.vouchers.pushed = pushResult.vouchers;
           if (pushResult.errors.length > 0) {
             results.errors.push(...pushResult.errors.map(e => ({ type: 'voucher', error: e.error })));
           }
@@ -1447,203 +3722,258 @@ export const fullSync = async (companyName, data = {}) => {
   }
 };
 
+// Voucher type of an invoice: the type it was pushed as, the one chosen on the entry, or Sales/Purchase
+const getInvoiceVoucherType = (entry, isSale) =>
+  entry.tallyVoucher?.voucherType || entry.voucherType || (isSale ? 'Sales' : 'Purchase');
+
+// The invoice number is the voucher number unless Tally numbers the type itself; then it goes in
+// the reference so it still shows on the voucher. Types missing from the masters get the number.
+const createInvoiceNumberXML = (invoiceNo, voucherType, voucherTypes = []) => {
+  const number = escapeXML(invoiceNo || '');
+  return !getNumberingMethod(voucherType, voucherTypes) || usesManualNumbering(voucherType, voucherTypes)
+    ? `<VOUCHERNUMBER>${number}</VOUCHERNUMBER>`
+    : `<REFERENCE>${number}</REFERENCE>`;
+};
+
+// Taxable value and GST of an invoice: from its item lines when it has them, else amount x gstRate
+const getInvoiceTotals = (entry) => {
+  if (entry.items?.length) {
+    return calculateInvoiceItems(entry.items);
+  }
+  const amount = parseFloat(entry.amount) || 0;
+  const gstRate = parseFloat(entry.gstRate) || 0;
+  return { items: [], amount, gstAmount: amount * (gstRate / 100) };
+};
+
+// GST lines: output tax is credited on a sale, input tax debited on a purchase.
+// IGST for inter-state, otherwise CGST + SGST split equally.
+const createGstEntriesXML = (entry, gstAmount, isSale, listTag) => {
+  if (gstAmount <= 0) return '';
+  const tax = isSale ? 'Output' : 'Input';
+  const lines = entry.isInterState
+    ? [[entry.igstLedger || `${tax} IGST`, gstAmount]]
+    : [[entry.cgstLedger || `${tax} CGST`, gstAmount / 2], [entry.sgstLedger || `${tax} SGST`, gstAmount / 2]];
+
+  return lines.map(([ledger, amount]) => `
+<${listTag}>
+<LEDGERNAME>${escapeXML(ledger)}</LEDGERNAME>
+<ISDEEMEDPOSITIVE>${isSale ? 'No' : 'Yes'}</ISDEEMEDPOSITIVE>
+<AMOUNT>${isSale ? '' : '-'}${amount.toFixed(2)}</AMOUNT>
+</${listTag}>`).join('');
+};
+
+// Item lines of an invoice, each with its godown/batch allocation and the sales or purchase
+// ledger it posts to. Sales move stock out (credit), purchases bring it in (debit).
+const createInventoryEntriesXML = (items, ledger, costCentre, isSale) => items.map(item => {
+  const value = isSale ? item.amount : -item.amount;
+  const unit = escapeXML(item.unit || '');
+  const quantity = ` ${item.quantity}${unit ? ` ${unit}` : ''}`;
+  const deemedPositive = isSale ? 'No' : 'Yes';
+
+  return `
+<ALLINVENTORYENTRIES.LIST>
+<STOCKITEMNAME>${escapeXML(item.stockItem)}</STOCKITEMNAME>
+<ISDEEMEDPOSITIVE>${deemedPositive}</ISDEEMEDPOSITIVE>${item.hsn ? `
+<GSTHSNNAME>${escapeXML(item.hsn)}</GSTHSNNAME>` : ''}
+<RATE>${item.rate.toFixed(2)}${unit ? `/${unit}` : ''}</RATE>${item.discount ? `
+<DISCOUNT>${item.discount}</DISCOUNT>` : ''}
+<AMOUNT>${value.toFixed(2)}</AMOUNT>
+<ACTUALQTY>${quantity}</ACTUALQTY>
+<BILLEDQTY>${quantity}</BILLEDQTY>
+<BATCHALLOCATIONS.LIST>
+<GODOWNNAME>${escapeXML(item.godown || DEFAULT_GODOWN)}</GODOWNNAME>
+<BATCHNAME>${escapeXML(item.batch || DEFAULT_BATCH)}</BATCHNAME>
+<AMOUNT>${value.toFixed(2)}</AMOUNT>
+<ACTUALQTY>${quantity}</ACTUALQTY>
+<BILLEDQTY>${quantity}</BILLEDQTY>
+</BATCHALLOCATIONS.LIST>
+<ACCOUNTINGALLOCATIONS.LIST>
+<LEDGERNAME>${escapeXML(ledger)}</LEDGERNAME>
+<ISDEEMEDPOSITIVE>${deemedPositive}</ISDEEMEDPOSITIVE>
+<AMOUNT>${value.toFixed(2)}</AMOUNT>${createCostCentreXML(costCentre, value)}
+</ACCOUNTINGALLOCATIONS.LIST>
+</ALLINVENTORYENTRIES.LIST>`;
+}).join('');
+
 /**
- * Create Sales Voucher XML for Tally Prime
- * Supports GST vouchers with party ledger, sales account, and tax ledgers
- * @param {Object} entry - Sales entry data
- * @param {string} companyName - Company name
- * @returns {string} XML string
+ * Create the Sales VOUCHER element
+ * Supports GST vouchers with party ledger, sales account, and tax ledgers; entries with
+ * item lines become item invoices with inventory entries
+ * @param {Object} entry - Sales entry data; entry.voucherType picks a custom Sales type,
+ *   entry.items [{ stockItem, quantity, unit, rate, discount, hsn, gstRate, godown, batch }] the items sold
+ * @param {string} action - Create (default) or Alter; Alter uses entry.tallyVoucher to find the voucher
+ * @param {Array} voucherTypes - Result of getVoucherTypes, for the type's numbering method
+ * @returns {string} VOUCHER element
  */
-const createSalesVoucherXML = (entry, companyName) => {
+const createSalesVoucherElement = (entry, action = 'Create', voucherTypes = []) => {
+  const voucherType = getInvoiceVoucherType(entry, true);
+  const identity = entry.tallyVoucher ||
+    { remoteId: getEntryRemoteId('SALE', entry, entry.customerLedger || entry.customer) };
   const date = formatTallyDate(entry.date);
   const narration = escapeXML(entry.description || `Sales Invoice ${entry.invoiceNo || ''}`);
   const partyLedger = escapeXML(entry.customerLedger || entry.customer || 'Sundry Debtors');
-  const salesLedger = escapeXML(entry.salesLedger || 'Sales Account');
-  const amount = parseFloat(entry.amount) || 0;
-  const gstRate = parseFloat(entry.gstRate) || 0;
-  const gstAmount = amount * (gstRate / 100);
+  const salesLedger = entry.salesLedger || 'Sales Account';
+  const { items, amount, gstAmount } = getInvoiceTotals(entry);
   const totalAmount = amount + gstAmount;
 
-  // GST ledgers (CGST + SGST for intra-state, IGST for inter-state)
-  const isInterState = entry.isInterState || false;
-  const cgstLedger = escapeXML(entry.cgstLedger || 'Output CGST');
-  const sgstLedger = escapeXML(entry.sgstLedger || 'Output SGST');
-  const igstLedger = escapeXML(entry.igstLedger || 'Output IGST');
-
-  let gstEntries = '';
-  if (gstRate > 0) {
-    if (isInterState) {
-      // IGST for inter-state
-      gstEntries = `
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${igstLedger}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
-<AMOUNT>-${gstAmount.toFixed(2)}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>`;
-    } else {
-      // CGST + SGST for intra-state (split equally)
-      const halfGst = (gstAmount / 2).toFixed(2);
-      gstEntries = `
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${cgstLedger}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
-<AMOUNT>-${halfGst}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${sgstLedger}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
-<AMOUNT>-${halfGst}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>`;
-    }
-  }
+  // Item invoices are imported in invoice view, where the ledger lines go in LEDGERENTRIES.LIST
+  const isItemInvoice = items.length > 0;
+  const listTag = isItemInvoice ? 'LEDGERENTRIES.LIST' : 'ALLLEDGERENTRIES.LIST';
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<ENVELOPE>
-<HEADER>
-<TALLYREQUEST>Import Data</TALLYREQUEST>
-</HEADER>
-<BODY>
-<IMPORTDATA>
-<REQUESTDESC>
-<REPORTNAME>Vouchers</REPORTNAME>
-<STATICVARIABLES>
-<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
-</STATICVARIABLES>
-</REQUESTDESC>
-<REQUESTDATA>
-<TALLYMESSAGE xmlns:UDF="TallyUDF">
-<VOUCHER VCHTYPE="Sales" ACTION="Create">
+  // The invoice opens a new bill for the customer, so receipts can be allocated against it
+  const billAllocations = entry.billAllocations ||
+    (entry.invoiceNo ? [{ type: 'New Ref', name: entry.invoiceNo, amount: totalAmount }] : []);
+
+  return `<VOUCHER ${getVoucherAttributes(action, voucherType, identity)}>
 <DATE>${date}</DATE>
-<VOUCHERTYPENAME>Sales</VOUCHERTYPENAME>
+<VOUCHERTYPENAME>${escapeXML(voucherType)}</VOUCHERTYPENAME>
 <PARTYLEDGERNAME>${partyLedger}</PARTYLEDGERNAME>
 <NARRATION>${narration}</NARRATION>
-<VOUCHERNUMBER>${escapeXML(entry.invoiceNo || '')}</VOUCHERNUMBER>
-<ALLLEDGERENTRIES.LIST>
+${createInvoiceNumberXML(entry.invoiceNo, voucherType, voucherTypes)}${isItemInvoice ? `
+<ISINVOICE>Yes</ISINVOICE>
+<PERSISTEDVIEW>Invoice Voucher View</PERSISTEDVIEW>` : ''}
+<${listTag}>
 <LEDGERNAME>${partyLedger}</LEDGERNAME>
 <ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
-<AMOUNT>-${totalAmount.toFixed(2)}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>
+<AMOUNT>-${totalAmount.toFixed(2)}</AMOUNT>${createBillAllocationsXML(billAllocations, -totalAmount)}
+</${listTag}>${isItemInvoice ? createInventoryEntriesXML(items, salesLedger, entry.costCentre, true) : `
 <ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${salesLedger}</LEDGERNAME>
+<LEDGERNAME>${escapeXML(salesLedger)}</LEDGERNAME>
 <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
-<AMOUNT>${amount.toFixed(2)}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>${gstEntries}
-</VOUCHER>
-</TALLYMESSAGE>
-</REQUESTDATA>
-</IMPORTDATA>
-</BODY>
-</ENVELOPE>`;
+<AMOUNT>${amount.toFixed(2)}</AMOUNT>${createCostCentreXML(entry.costCentre, amount)}
+</ALLLEDGERENTRIES.LIST>`}${createGstEntriesXML(entry, gstAmount, true, listTag)}
+</VOUCHER>`;
 };
 
 /**
- * Create Purchase Voucher XML for Tally Prime
- * Supports GST vouchers with party ledger, purchase account, and input tax ledgers
- * @param {Object} entry - Purchase entry data
+ * Create Sales Voucher XML for Tally Prime
+ * @param {Object} entry - Sales entry data
  * @param {string} companyName - Company name
+ * @param {string} action - Create (default) or Alter; Alter uses entry.tallyVoucher to find the voucher
+ * @param {Array} voucherTypes - Result of getVoucherTypes
  * @returns {string} XML string
  */
-const createPurchaseVoucherXML = (entry, companyName) => {
+const createSalesVoucherXML = (entry, companyName, action = 'Create', voucherTypes = []) => {
+  return createImportEnvelope(companyName, createSalesVoucherElement(entry, action, voucherTypes));
+};
+
+/**
+ * Create the Purchase VOUCHER element
+ * Supports GST vouchers with party ledger, purchase account, and input tax ledgers; entries with
+ * item lines become item invoices with inventory entries
+ * @param {Object} entry - Purchase entry data; entry.voucherType picks a custom Purchase type,
+ *   entry.items [{ stockItem, quantity, unit, rate, discount, hsn, gstRate, godown, batch }] the items bought
+ * @param {string} action - Create (default) or Alter; Alter uses entry.tallyVoucher to find the voucher
+ * @param {Array} voucherTypes - Result of getVoucherTypes, for the type's numbering method
+ * @returns {string} VOUCHER element
+ */
+const createPurchaseVoucherElement = (entry, action = 'Create', voucherTypes = []) => {
+  const voucherType = getInvoiceVoucherType(entry, false);
+  const identity = entry.tallyVoucher ||
+    { remoteId: getEntryRemoteId('PUR', entry, entry.vendorLedger || entry.vendor) };
   const date = formatTallyDate(entry.date);
   const narration = escapeXML(entry.description || `Purchase Invoice ${entry.invoiceNo || ''}`);
   const partyLedger = escapeXML(entry.vendorLedger || entry.vendor || 'Sundry Creditors');
-  const purchaseLedger = escapeXML(entry.purchaseLedger || 'Purchase Account');
-  const amount = parseFloat(entry.amount) || 0;
-  const gstRate = parseFloat(entry.gstRate) || 0;
-  const gstAmount = amount * (gstRate / 100);
+  const purchaseLedger = entry.purchaseLedger || 'Purchase Account';
+  const { items, amount, gstAmount } = getInvoiceTotals(entry);
   const totalAmount = amount + gstAmount;
 
-  // Input GST ledgers
-  const isInterState = entry.isInterState || false;
-  const cgstLedger = escapeXML(entry.cgstLedger || 'Input CGST');
-  const sgstLedger = escapeXML(entry.sgstLedger || 'Input SGST');
-  const igstLedger = escapeXML(entry.igstLedger || 'Input IGST');
-
-  let gstEntries = '';
-  if (gstRate > 0) {
-    if (isInterState) {
-      // IGST for inter-state
-      gstEntries = `
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${igstLedger}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
-<AMOUNT>-${gstAmount.toFixed(2)}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>`;
-    } else {
-      // CGST + SGST for intra-state (split equally)
-      const halfGst = (gstAmount / 2).toFixed(2);
-      gstEntries = `
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${cgstLedger}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
-<AMOUNT>-${halfGst}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>
-<ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${sgstLedger}</LEDGERNAME>
-<ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
-<AMOUNT>-${halfGst}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>`;
-    }
-  }
+  // Item invoices are imported in invoice view, where the ledger lines go in LEDGERENTRIES.LIST
+  const isItemInvoice = items.length > 0;
+  const listTag = isItemInvoice ? 'LEDGERENTRIES.LIST' : 'ALLLEDGERENTRIES.LIST';
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<ENVELOPE>
-<HEADER>
-<TALLYREQUEST>Import Data</TALLYREQUEST>
-</HEADER>
-<BODY>
-<IMPORTDATA>
-<REQUESTDESC>
-<REPORTNAME>Vouchers</REPORTNAME>
-<STATICVARIABLES>
-<SVCURRENTCOMPANY>${escapeXML(companyName)}</SVCURRENTCOMPANY>
-</STATICVARIABLES>
-</REQUESTDESC>
-<REQUESTDATA>
-<TALLYMESSAGE xmlns:UDF="TallyUDF">
-<VOUCHER VCHTYPE="Purchase" ACTION="Create">
+  // The supplier invoice opens a new bill, so payments can be allocated against it
+  const billAllocations = entry.billAllocations ||
+    (entry.invoiceNo ? [{ type: 'New Ref', name: entry.invoiceNo, amount: totalAmount }] : []);
+
+  return `<VOUCHER ${getVoucherAttributes(action, voucherType, identity)}>
 <DATE>${date}</DATE>
-<VOUCHERTYPENAME>Purchase</VOUCHERTYPENAME>
+<VOUCHERTYPENAME>${escapeXML(voucherType)}</VOUCHERTYPENAME>
 <PARTYLEDGERNAME>${partyLedger}</PARTYLEDGERNAME>
 <NARRATION>${narration}</NARRATION>
-<VOUCHERNUMBER>${escapeXML(entry.invoiceNo || '')}</VOUCHERNUMBER>
-<ALLLEDGERENTRIES.LIST>
+${createInvoiceNumberXML(entry.invoiceNo, voucherType, voucherTypes)}${isItemInvoice ? `
+<ISINVOICE>Yes</ISINVOICE>
+<PERSISTEDVIEW>Invoice Voucher View</PERSISTEDVIEW>` : ''}
+<${listTag}>
 <LEDGERNAME>${partyLedger}</LEDGERNAME>
 <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
-<AMOUNT>${totalAmount.toFixed(2)}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>
+<AMOUNT>${totalAmount.toFixed(2)}</AMOUNT>${createBillAllocationsXML(billAllocations, totalAmount)}
+</${listTag}>${isItemInvoice ? createInventoryEntriesXML(items, purchaseLedger, entry.costCentre, false) : `
 <ALLLEDGERENTRIES.LIST>
-<LEDGERNAME>${purchaseLedger}</LEDGERNAME>
+<LEDGERNAME>${escapeXML(purchaseLedger)}</LEDGERNAME>
 <ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
-<AMOUNT>-${amount.toFixed(2)}</AMOUNT>
-</ALLLEDGERENTRIES.LIST>${gstEntries}
-</VOUCHER>
-</TALLYMESSAGE>
-</REQUESTDATA>
-</IMPORTDATA>
-</BODY>
-</ENVELOPE>`;
+<AMOUNT>-${amount.toFixed(2)}</AMOUNT>${createCostCentreXML(entry.costCentre, -amount)}
+</ALLLEDGERENTRIES.LIST>`}${createGstEntriesXML(entry, gstAmount, false, listTag)}
+</VOUCHER>`;
+};
+
+/**
+ * Create Purchase Voucher XML for Tally Prime
+ * @param {Object} entry - Purchase entry data
+ * @param {string} companyName - Company name
+ * @param {string} action - Create (default) or Alter; Alter uses entry.tallyVoucher to find the voucher
+ * @param {Array} voucherTypes - Result of getVoucherTypes
+ * @returns {string} XML string
+ */
+const createPurchaseVoucherXML = (entry, companyName, action = 'Create', voucherTypes = []) => {
+  return createImportEnvelope(companyName, createPurchaseVoucherElement(entry, action, voucherTypes));
 };
 
 /**
  * Push Sales entry to Tally
  * @param {Object} entry - Sales entry with customer, amount, gstRate, etc.
  * @param {string} companyName - Tally company name
- * @returns {Promise<Object>} Result
+ * @param {string} action - Create (default) or Alter an already pushed voucher
+ * @param {Object} options - { voucherTypes: result of getVoucherTypes, for the numbering of entry.voucherType }
+ * @returns {Promise<Object>} Result with tallyVoucher identity
  */
-export const pushSalesEntry = async (entry, companyName) => {
+export const pushSalesEntry = async (entry, companyName, action = 'Create', { voucherTypes = [] } = {}) => {
+  const voucherType = getInvoiceVoucherType(entry, true);
+  const remoteId = entry.tallyVoucher?.remoteId || entry.tallyVoucher?.guid ||
+    getEntryRemoteId('SALE', entry, entry.customerLedger || entry.customer);
+  const audit = createSyncAudit({
+    kind: 'sales',
+    action,
+    companyName,
+    reference: entry.invoiceNo || null,
+    description: entry.customer || '',
+    amount: entry.totalAmount || 0,
+    payload: { entry, voucherTypes }
+  });
+
   try {
-    logger.tallyOperation('pushSalesEntry', { company: companyName, amount: entry.totalAmount });
+    logger.tallyOperation(action === 'Alter' ? 'alterSalesEntry' : 'pushSalesEntry', { company: companyName, amount: entry.totalAmount });
 
     if (mockMode) {
       await new Promise(resolve => setTimeout(resolve, 200));
-      return { success: true, voucherId: `SALE-${Date.now()}` };
+      const voucherId = entry.tallyVoucher?.masterId || `SALE-${Date.now()}`;
+      return {
+        success: true,
+        voucherId,
+        tallyVoucher: buildTallyVoucher(entry.tallyVoucher, remoteId, voucherType, { lastVchId: voucherId })
+      };
+    }
+
+    // Same REMOTEID already in Tally means this entry was pushed before - don't create it twice
+    if (action === 'Create') {
+      const existing = (await findExistingVouchers(companyName, [entry.date])).get(remoteId);
+      if (existing) {
+        audit.done('existing', { voucherId: existing.masterId, remoteId });
+        return {
+          success: true,
+          existing: true,
+          voucherId: existing.masterId,
+          message: 'Sales voucher already exists in Tally',
+          tallyVoucher: buildTallyVoucher(entry.tallyVoucher, remoteId, voucherType, { lastVchId: existing.masterId })
+        };
+      }
     }
 
-    const xml = createSalesVoucherXML(entry, companyName);
+    const xml = createSalesVoucherXML({ ...entry, tallyVoucher: entry.tallyVoucher || { remoteId } }, companyName, action, voucherTypes);
     logger.debug('Sales voucher XML', { xml: xml.substring(0, 500) });
 
-    const response = await fetch(TALLY_PROXY_URL, {
+    audit.request(xml);
+    const response = await fetch(getTallyUrl(), {
       method: 'POST',
       headers: { 'Content-Type': 'text/xml' },
       body: xml
@@ -1653,46 +3983,51 @@ export const pushSalesEntry = async (entry, companyName) => {
     console.log('[TallyService] Sales voucher response:', result);
     logger.debug('Sales voucher response', { response: result });
 
-    // Check for specific errors first
-    if (result.includes('LINEERROR')) {
-      const errorMatch = result.match(/<LINEERROR>(.*?)<\/LINEERROR>/s);
-      throw new Error(errorMatch ? errorMatch[1].trim() : 'Line error in voucher');
+    const counts = parseImportResponse(result);
+    audit.response(counts);
+    if (counts.errorType === TALLY_ERROR_TYPES.MISSING_LEDGER) {
+      const error = createTallyError(counts);
+      error.message = `${error.message}. Please ensure the customer and sales ledgers exist.`;
+      throw error;
     }
-
-    if (result.includes('<ERROR>')) {
-      const errorMatch = result.match(/<ERROR>(.*?)<\/ERROR>/s);
-      throw new Error(errorMatch ? errorMatch[1].trim() : 'Tally error');
+    if (counts.errorType === TALLY_ERROR_TYPES.MISSING_STOCK_ITEM) {
+      const error = createTallyError(counts);
+      error.message = `${error.message}. Reload the stock items from Tally and check the item lines.`;
+      throw error;
     }
-
-    // Check if ledger doesn't exist
-    if (result.includes('does not exist') || result.includes('not found') || result.includes('Cannot find')) {
-      throw new Error('Ledger not found in Tally. Please ensure the customer and sales ledgers exist.');
+    if (counts.error || counts.errors > 0 || counts.exceptions > 0) {
+      throw createTallyError(counts, 'Line error in voucher');
     }
 
-    // Check for actual success - must have CREATED or LASTVCHID
-    if (result.includes('CREATED="1"') || result.includes('<LASTVCHID>')) {
-      const voucherIdMatch = result.match(/<LASTVCHID>(\d+)<\/LASTVCHID>/);
-      return {
-        success: true,
-        voucherId: voucherIdMatch ? voucherIdMatch[1] : 'Created',
-        message: 'Sales voucher created successfully'
-      };
+    const tallyVoucher = buildTallyVoucher(entry.tallyVoucher, remoteId, voucherType, counts);
+
+    if (action === 'Alter') {
+      if (counts.altered > 0) {
+        audit.done('success', { voucherId: tallyVoucher.masterId, remoteId });
+        return {
+          success: true,
+          voucherId: tallyVoucher.masterId,
+          message: 'Sales voucher altered successfully',
+          tallyVoucher
+        };
+      }
+      throw new Error('Tally did not alter the sales voucher. It may have been deleted in Tally.');
     }
 
-    // Check for CREATED attribute in response
-    const createdMatch = result.match(/CREATED="(\d+)"/);
-    if (createdMatch && parseInt(createdMatch[1]) > 0) {
+    if (counts.created > 0 || counts.altered > 0) {
+      audit.done('success', { voucherId: tallyVoucher.masterId, remoteId });
       return {
         success: true,
-        voucherId: 'Created',
-        message: 'Sales voucher created successfully'
+        voucherId: tallyVoucher.masterId || 'Created',
+        message: 'Sales voucher created successfully',
+        tallyVoucher
       };
     }
 
-    // If response has ENVELOPE but no success indicator, likely an error
     throw new Error('Voucher creation failed - check that ledgers exist in Tally');
   } catch (error) {
     logger.error('Failed to push sales entry', { error: error.message });
+    audit.done('failed', { error: error.message, remoteId });
     throw error;
   }
 };
@@ -1701,21 +4036,57 @@ export const pushSalesEntry = async (entry, companyName) => {
  * Push Purchase entry to Tally
  * @param {Object} entry - Purchase entry with vendor, amount, gstRate, etc.
  * @param {string} companyName - Tally company name
- * @returns {Promise<Object>} Result
+ * @param {string} action - Create (default) or Alter an already pushed voucher
+ * @param {Object} options - { voucherTypes: result of getVoucherTypes, for the numbering of entry.voucherType }
+ * @returns {Promise<Object>} Result with tallyVoucher identity
  */
-export const pushPurchaseEntry = async (entry, companyName) => {
+export const pushPurchaseEntry = async (entry, companyName, action = 'Create', { voucherTypes = [] } = {}) => {
+  const voucherType = getInvoiceVoucherType(entry, false);
+  const remoteId = entry.tallyVoucher?.remoteId || entry.tallyVoucher?.guid ||
+    getEntryRemoteId('PUR', entry, entry.vendorLedger || entry.vendor);
+  const audit = createSyncAudit({
+    kind: 'purchase',
+    action,
+    companyName,
+    reference: entry.invoiceNo || null,
+    description: entry.vendor || '',
+    amount: entry.totalAmount || 0,
+    payload: { entry, voucherTypes }
+  });
+
   try {
-    logger.tallyOperation('pushPurchaseEntry', { company: companyName, amount: entry.totalAmount });
+    logger.tallyOperation(action === 'Alter' ? 'alterPurchaseEntry' : 'pushPurchaseEntry', { company: companyName, amount: entry.totalAmount });
 
     if (mockMode) {
       await new Promise(resolve => setTimeout(resolve, 200));
-      return { success: true, voucherId: `PUR-${Date.now()}` };
+      const voucherId = entry.tallyVoucher?.masterId || `PUR-${Date.now()}`;
+      return {
+        success: true,
+        voucherId,
+        tallyVoucher: buildTallyVoucher(entry.tallyVoucher, remoteId, voucherType, { lastVchId: voucherId })
+      };
     }
 
-    const xml = createPurchaseVoucherXML(entry, companyName);
+    // Same REMOTEID already in Tally means this entry was pushed before - don't create it twice
+    if (action === 'Create') {
+      const existing = (await findExistingVouchers(companyName, [entry.date])).get(remoteId);
+      if (existing) {
+        audit.done('existing', { voucherId: existing.masterId, remoteId });
+        return {
+          success: true,
+          existing: true,
+          voucherId: existing.masterId,
+          message: 'Purchase voucher already exists in Tally',
+          tallyVoucher: buildTallyVoucher(entry.tallyVoucher, remoteId, voucherType, { lastVchId: existing.masterId })
+        };
+      }
+    }
+
+    const xml = createPurchaseVoucherXML({ ...entry, tallyVoucher: entry.tallyVoucher || { remoteId } }, companyName, action, voucherTypes);
     logger.debug('Purchase voucher XML', { xml: xml.substring(0, 500) });
 
-    const response = await fetch(TALLY_PROXY_URL, {
+    audit.request(xml);
+    const response = await fetch(getTallyUrl(), {
       method: 'POST',
       headers: { 'Content-Type': 'text/xml' },
       body: xml
@@ -1724,27 +4095,46 @@ export const pushPurchaseEntry = async (entry, companyName) => {
     const result = await response.text();
     logger.debug('Purchase voucher response', { response: result.substring(0, 500) });
 
-    // Check for errors
-    if (result.includes('LINEERROR') || result.includes('<ERROR>')) {
-      const errorMatch = result.match(/<LINEERROR>(.*?)<\/LINEERROR>/s) ||
-        result.match(/<ERROR>(.*?)<\/ERROR>/s);
-      throw new Error(errorMatch ? errorMatch[1].trim() : 'Failed to create purchase voucher');
+    const counts = parseImportResponse(result);
+    audit.response(counts);
+    if (counts.errorType === TALLY_ERROR_TYPES.MISSING_STOCK_ITEM) {
+      const error = createTallyError(counts);
+      error.message = `${error.message}. Reload the stock items from Tally and check the item lines.`;
+      throw error;
+    }
+    if (counts.error || counts.errors > 0 || counts.exceptions > 0) {
+      throw createTallyError(counts, 'Failed to create purchase voucher');
+    }
+
+    const tallyVoucher = buildTallyVoucher(entry.tallyVoucher, remoteId, voucherType, counts);
+
+    if (action === 'Alter') {
+      if (counts.altered > 0) {
+        audit.done('success', { voucherId: tallyVoucher.masterId, remoteId });
+        return {
+          success: true,
+          voucherId: tallyVoucher.masterId,
+          message: 'Purchase voucher altered successfully',
+          tallyVoucher
+        };
+      }
+      throw new Error('Tally did not alter the purchase voucher. It may have been deleted in Tally.');
     }
 
-    // Check for success
-    if (result.includes('CREATED') || result.includes('<LASTVCHID>') ||
-      result.includes('IMPORTED') || result.includes('<ENVELOPE>')) {
-      const voucherIdMatch = result.match(/<LASTVCHID>(\d+)<\/LASTVCHID>/);
+    if (counts.created > 0 || counts.altered > 0) {
+      audit.done('success', { voucherId: tallyVoucher.masterId, remoteId });
       return {
         success: true,
-        voucherId: voucherIdMatch ? voucherIdMatch[1] : 'Created',
-        message: 'Purchase voucher created successfully'
+        voucherId: tallyVoucher.masterId || 'Created',
+        message: 'Purchase voucher created successfully',
+        tallyVoucher
       };
     }
 
-    throw new Error('No success confirmation from Tally');
+    throw new Error('Tally did not create the purchase voucher');
   } catch (error) {
     logger.error('Failed to push purchase entry', { error: error.message });
+    audit.done('failed', { error: error.message, remoteId });
     throw error;
   }
 };
@@ -1753,23 +4143,27 @@ export const pushPurchaseEntry = async (entry, companyName) => {
  * Batch push Sales entries to Tally
  * @param {Array} entries - Array of sales entries
  * @param {string} companyName - Tally company name
+ * @param {Object} options - { voucherTypes } as for pushSalesEntry
  * @returns {Promise<Object>} Batch result
  */
-export const batchPushSales = async (entries, companyName) => {
-  const results = { success: 0, failed: 0, errors: [] };
+export const batchPushSales = async (entries, companyName, options = {}) => {
+  const results = { success: 0, failed: 0, errors: [], vouchers: [] };
 
   logger.info('Starting batch sales push', { count: entries.length, company: companyName });
 
   for (const entry of entries) {
     try {
-      await pushSalesEntry(entry, companyName);
+      const pushResult = await pushSalesEntry(entry, companyName, 'Create', options);
       results.success++;
+      results.vouchers.push({ id: entry.id, tallyVoucher: pushResult.tallyVoucher });
     } catch (error) {
       results.failed++;
       results.errors.push({
+        id: entry.id,
         invoiceNo: entry.invoiceNo,
         customer: entry.customer,
-        error: error.message
+        error: error.message,
+        type: error.type || null
       });
     }
   }
@@ -1782,23 +4176,27 @@ export const batchPushSales = async (entries, companyName) => {
  * Batch push Purchase entries to Tally
  * @param {Array} entries - Array of purchase entries
  * @param {string} companyName - Tally company name
+ * @param {Object} options - { voucherTypes } as for pushPurchaseEntry
  * @returns {Promise<Object>} Batch result
  */
-export const batchPushPurchases = async (entries, companyName) => {
-  const results = { success: 0, failed: 0, errors: [] };
+export const batchPushPurchases = async (entries, companyName, options = {}) => {
+  const results = { success: 0, failed: 0, errors: [], vouchers: [] };
 
   logger.info('Starting batch purchase push', { count: entries.length, company: companyName });
 
   for (const entry of entries) {
     try {
-      await pushPurchaseEntry(entry, companyName);
+      const pushResult = await pushPurchaseEntry(entry, companyName, 'Create', options);
       results.success++;
+      results.vouchers.push({ id: entry.id, tallyVoucher: pushResult.tallyVoucher });
     } catch (error) {
       results.failed++;
       results.errors.push({
+        id: entry.id,
         invoiceNo: entry.invoiceNo,
         vendor: entry.vendor,
-        error: error.message
+        error: error.message,
+        type: error.type || null
       });
     }
   }
@@ -1807,23 +4205,195 @@ export const batchPushPurchases = async (entries, companyName) => {
   return results;
 };
 
+// Ledgers a sales or purchase invoice posts to, with the group each belongs under
+const getInvoiceLedgers = (entry, isSale) => {
+  const tax = isSale ? 'Output' : 'Input';
+  const ledgers = isSale
+    ? [
+      { name: entry.customerLedger || entry.customer || 'Sundry Debtors', group: 'Sundry Debtors' },
+      { name: entry.salesLedger || 'Sales Account', group: 'Sales Accounts' }
+    ]
+    : [
+      { name: entry.vendorLedger || entry.vendor || 'Sundry Creditors', group: 'Sundry Creditors' },
+      { name: entry.purchaseLedger || 'Purchase Account', group: 'Purchase Accounts' }
+    ];
+
+  if (getInvoiceTotals(entry).gstAmount > 0) {
+    const taxLedgers = entry.isInterState
+      ? [entry.igstLedger || `${tax} IGST`]
+      : [entry.cgstLedger || `${tax} CGST`, entry.sgstLedger || `${tax} SGST`];
+    taxLedgers.forEach(name => ledgers.push({ name, group: 'Duties & Taxes' }));
+  }
+
+  return ledgers;
+};
+
+/**
+ * Build a single Tally import file for a client whose Tally the proxy cannot reach:
+ * the ledger masters the vouchers need, followed by the bank, sales and purchase vouchers,
+ * made with the same builders as a live push. Every voucher carries the REMOTEID a push
+ * would use, so once imported it is skipped or altered - never duplicated - over a connection.
+ * @param {string} companyName - Company to import into; empty imports into the company open in Tally
+ * @param {Object} items - { transactions, bankLedger, sales, purchases }
+ * @param {Object} options - {
+ *   ledgers: ledgers already in Tally [{ name }], ledgerGroups: user mapping { ledger: group },
+ *   partyDetails: { ledger: { gstin, state, gstRegistrationType } } for the party ledgers the file creates,
+ *   voucherTypeMap, voucherTypes: as for planBatchPush; voucherTypes also numbers the invoices
+ * }
+ * @returns {Object} {
+ *   xml: import file (null when nothing can be exported),
+ *   ledgers: [{ name, group }] created by the file,
+ *   exported: { transactions, sales, purchases } - [{ id, tallyVoucher }], tallyVoucher.awaitingImport
+ *     until a push confirms the voucher is in Tally (see isVoucherInTally),
+ *   invalid: [{ kind, item, error }]
+ * }
+ */
+export const createTallyImportFile = (companyName, items = {}, { ledgers = [], ledgerGroups = {}, partyDetails = {}, voucherTypeMap = {}, voucherTypes = [] } = {}) => {
+  const { transactions = [], bankLedger, sales = [], purchases = [] } = items;
+  const existingLedgers = new Set(ledgers.map(l => l.name.toLowerCase().trim()));
+  const groupNames = new Set(TALLY_LEDGER_GROUPS.map(name => name.toLowerCase()));
+  const requiredLedgers = new Map();
+  const voucherElements = [];
+  const exported = { transactions: [], sales: [], purchases: [] };
+  const invalid = [];
+  const exportedAt = new Date().toISOString();
+
+  const requireLedger = ({ name, group }) => {
+    const key = name.toLowerCase().trim();
+    // Fallbacks like "Sundry Debtors" name a group, not a ledger to create
+    if (existingLedgers.has(key) || groupNames.has(key) || requiredLedgers.has(key)) return;
+    const mapped = Object.entries(ledgerGroups || {}).find(([ledger]) => ledger.toLowerCase().trim() === key)?.[1];
+    requiredLedgers.set(key, { name, group: mapped || group });
+  };
+
+  if (transactions.length > 0) {
+    const preview = previewBatchPush(transactions, companyName, bankLedger, { ledgers, ledgerGroups, voucherTypeMap, voucherTypes });
+    preview.missingLedgers.forEach(requireLedger);
+    preview.invalid.forEach(({ transaction, error }) => invalid.push({ kind: 'bank', item: transaction, error }));
+    preview.vouchers.forEach(({ transaction, voucherType, voucherNumber, xml }) => {
+      const remoteId = transaction.tallyVoucher?.remoteId || getTransactionRemoteId(transaction, preview.bankLedger);
+      voucherElements.push(xml);
+      exported.transactions.push({
+        id: transaction.id,
+        tallyVoucher: buildTallyVoucher(transaction.tallyVoucher, remoteId, voucherType, {}, {
+          bankLedger: preview.bankLedger,
+          exportedAt,
+          awaitingImport: true,
+          ...(voucherNumber ? { voucherNumber } : {})
+        })
+      });
+    });
+  }
+
+  const addInvoices = (entries, isSale) => {
+    entries.forEach(entry => {
+      const error = !entry.date ? 'Date is missing'
+        : !(parseFloat(entry.amount) > 0) ? 'Amount is zero'
+          : entry.items?.some(item => !item.stockItem) ? 'An item line has no stock item' : null;
+      if (error) {
+        invalid.push({ kind: isSale ? 'sales' : 'purchase', item: entry, error });
+        return;
+      }
+
+      getInvoiceLedgers(entry, isSale).forEach(requireLedger);
+      const remoteId = entry.tallyVoucher?.remoteId || (isSale
+        ? getEntryRemoteId('SALE', entry, entry.customerLedger || entry.customer)
+        : getEntryRemoteId('PUR', entry, entry.vendorLedger || entry.vendor));
+      const withIdentity = { ...entry, tallyVoucher: entry.tallyVoucher || { remoteId } };
+      voucherElements.push(isSale
+        ? createSalesVoucherElement(withIdentity, 'Create', voucherTypes)
+        : createPurchaseVoucherElement(withIdentity, 'Create', voucherTypes));
+      (isSale ? exported.sales : exported.purchases).push({
+        id: entry.id,
+        tallyVoucher: buildTallyVoucher(entry.tallyVoucher, remoteId, getInvoiceVoucherType(entry, isSale), {}, { exportedAt, awaitingImport: true })
+      });
+    });
+  };
+  addInvoices(sales, true);
+  addInvoices(purchases, false);
+
+  // Party ledgers carry the GST details checked as for a live createLedger
+  const detailsByLedger = new Map(Object.entries(partyDetails || {}).map(([name, details]) => [name.toLowerCase().trim(), details]));
+  const requiredList = [...requiredLedgers.entries()].map(([key, ledger]) => {
+    const details = detailsByLedger.get(key);
+    if (!details) return ledger;
+    const gst = resolvePartyGstDetails(details);
+    if (gst.error) {
+      throw new Error(`${gst.error}. Correct the GST details of ${ledger.name}`);
+    }
+    return { ...ledger, gstin: gst.gstin, state: gst.state, gstRegistrationType: gst.gstRegistrationType };
+  });
+  // Masters go first so Tally has every ledger before it reads the vouchers
+  const xml = voucherElements.length > 0
+    ? createImportEnvelope(companyName, [...requiredList.map(ledger => createLedgerElement(ledger)), ...voucherElements].join('\n'))
+    : null;
+
+  logger.info('Tally import file built', {
+    company: companyName,
+    ledgers: requiredList.length,
+    vouchers: voucherElements.length,
+    invalid: invalid.length
+  });
+
+  return { xml, ledgers: requiredList, exported, invalid };
+};
+
 export default {
   checkConnection,
   setMockMode,
+  setTallyEndpoint,
+  getTallyEndpoint,
   isMockMode,
+  subscribeToSyncEvents,
   getCompanies,
   createCompany,
+  getBooksPeriodConflict,
+  alterCompanyBooksFrom,
   getLedgers,
+  getMasterIds,
+  isVoucherInTally,
   createLedger,
+  alterLedger,
   createMultipleLedgers,
+  validateGstin,
+  resolvePartyGstDetails,
+  getPartyGstIssue,
+  planLedgerImport,
+  importLedgerMasters,
   ensureBasicLedgers,
+  getCostCategories,
+  getCostCentres,
+  getGroups,
+  isGroupUnder,
+  getVoucherTypes,
+  getBaseVoucherType,
+  getVoucherTypesOf,
+  getInventoryMasters,
+  calculateInvoiceItems,
+  getGroupNature,
   getVouchers,
   pushToTally,
+  resolveVoucherType,
+  getTransactionPartyLedger,
+  getVoucherLines,
+  validateSplits,
+  validateVoucher,
+  getPendingBills,
+  suggestBillAllocations,
+  alterVoucherInTally,
+  deleteVoucherFromTally,
+  guessLedgerGroup,
+  planBatchPush,
+  previewBatchPush,
+  createPreviewXML,
+  planLedgerCreation,
   batchPushToTally,
+  findDuplicateVouchers,
   pushSalesEntry,
   pushPurchaseEntry,
   batchPushSales,
   batchPushPurchases,
+  createTallyImportFile,
   fullSync,
   getActiveCompany
 };
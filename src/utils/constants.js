@@ -391,7 +391,9 @@ export const TRANSACTION_CATEGORIES = {
             'Loan Payment',
             'EMI',
             'Credit Card Payment',
-            'UPI Transfer'
+            'UPI Transfer',
+            'Cash Withdrawal',
+            'Cash Deposit'
         ]
     },
     PURCHASE: {
@@ -471,6 +473,25 @@ export const TALLY_LEDGER_GROUPS = [
     'Unsecured Loans'
 ];
 
+// Nature of Tally's primary groups; every other group takes the nature of the primary group it sits under
+export const PRIMARY_GROUP_NATURES = {
+    'Branch / Divisions': 'liability',
+    'Capital Account': 'liability',
+    'Current Assets': 'asset',
+    'Current Liabilities': 'liability',
+    'Direct Expenses': 'expense',
+    'Direct Incomes': 'income',
+    'Fixed Assets': 'asset',
+    'Indirect Expenses': 'expense',
+    'Indirect Incomes': 'income',
+    'Investments': 'asset',
+    'Loans (Liability)': 'liability',
+    'Misc. Expenses (ASSET)': 'asset',
+    'Purchase Accounts': 'expense',
+    'Sales Accounts': 'income',
+    'Suspense A/c': 'liability'
+};
+
 // Common Ledger Names
 export const COMMON_LEDGERS = {
     BANK: ['HDFC Bank', 'SBI Bank', 'ICICI Bank', 'Axis Bank', 'Kotak Bank', 'Bank Account'],
@@ -483,6 +504,192 @@ export const COMMON_LEDGERS = {
     TAX: ['GST Payable', 'TDS Payable', 'Income Tax']
 };
 
+// Voucher types a bank statement line can be posted as
+export const BANK_VOUCHER_TYPES = ['Payment', 'Receipt', 'Contra', 'Journal'];
+
+// Tally's predefined voucher types; every custom voucher type is created under one of them
+export const TALLY_VOUCHER_TYPES = ['Contra', 'Credit Note', 'Debit Note', 'Journal', 'Payment', 'Purchase', 'Receipt', 'Sales'];
+
+// Ledger groups that can appear on both sides of a Contra voucher
+export const CONTRA_LEDGER_GROUPS = ['Bank Accounts', 'Bank OCC A/c', 'Bank OD A/c', 'Cash-in-Hand'];
+
+// Groups for ledgers the app creates, used when the user has no mapping of their own for a ledger
+export const DEFAULT_LEDGER_GROUP_MAP = {
+    // Bank ledgers
+    'Bank Account': 'Bank Accounts',
+    'Cash': 'Cash-in-Hand',
+    'Cash in Hand': 'Cash-in-Hand',
+    'Petty Cash': 'Cash-in-Hand',
+    // Income ledgers - Direct
+    'Sales Account': 'Sales Accounts',
+    'Sales': 'Sales Accounts',
+    'UPI Income': 'Direct Incomes',
+    'Interest Income': 'Direct Incomes',
+    'Interest Received': 'Direct Incomes',
+    'Commission Income': 'Direct Incomes',
+    'Service Income': 'Direct Incomes',
+    'Dividend Income': 'Direct Incomes',
+    // Income ledgers - Indirect
+    'Other Income': 'Indirect Incomes',
+    'Miscellaneous Income': 'Indirect Incomes',
+    'Discount Received': 'Indirect Incomes',
+    'Refund Received': 'Indirect Incomes',
+    // Expense ledgers - Direct
+    'Purchase Account': 'Purchase Accounts',
+    'Purchases': 'Purchase Accounts',
+    // Expense ledgers - Indirect (common expenses)
+    'Office Expenses': 'Indirect Expenses',
+    'Administrative Expenses': 'Indirect Expenses',
+    'Food Expenses': 'Indirect Expenses',
+    'Food & Dining': 'Indirect Expenses',
+    'Entertainment Expenses': 'Indirect Expenses',
+    'Entertainment': 'Indirect Expenses',
+    'Travel Expenses': 'Indirect Expenses',
+    'Travel': 'Indirect Expenses',
+    'Transportation': 'Indirect Expenses',
+    'Rent': 'Indirect Expenses',
+    'Rent Expense': 'Indirect Expenses',
+    'Office Rent': 'Indirect Expenses',
+    'Utilities': 'Indirect Expenses',
+    'Utility Bills': 'Indirect Expenses',
+    'Electricity': 'Indirect Expenses',
+    'Telephone Expenses': 'Indirect Expenses',
+    'Internet Expenses': 'Indirect Expenses',
+    'Mobile Expenses': 'Indirect Expenses',
+    'Professional Fees': 'Indirect Expenses',
+    'Legal Fees': 'Indirect Expenses',
+    'Consulting Fees': 'Indirect Expenses',
+    'Audit Fees': 'Indirect Expenses',
+    'Bank Charges': 'Indirect Expenses',
+    'Bank Fees': 'Indirect Expenses',
+    'Miscellaneous Expenses': 'Indirect Expenses',
+    'General Expenses': 'Indirect Expenses',
+    'Other Expenses': 'Indirect Expenses',
+    'Printing & Stationery': 'Indirect Expenses',
+    'Stationery': 'Indirect Expenses',
+    'Postage & Courier': 'Indirect Expenses',
+    'Insurance': 'Indirect Expenses',
+    'Insurance Premium': 'Indirect Expenses',
+    'Repairs & Maintenance': 'Indirect Expenses',
+    'Salary': 'Indirect Expenses',
+    'Salaries': 'Indirect Expenses',
+    'Wages': 'Indirect Expenses',
+    'Staff Welfare': 'Indirect Expenses',
+    'Subscription': 'Indirect Expenses',
+    'Software Subscription': 'Indirect Expenses',
+    'Membership Fees': 'Indirect Expenses',
+    'Advertising': 'Indirect Expenses',
+    'Marketing Expenses': 'Indirect Expenses',
+    'GST Expense': 'Duties & Taxes',
+    'TDS Payable': 'Duties & Taxes',
+    // Capital accounts
+    'Capital Account': 'Capital Account',
+    'Drawings': 'Capital Account',
+    // Parties
+    'Sundry Debtors': 'Sundry Debtors',
+    'Sundry Creditors': 'Sundry Creditors',
+    // Loans
+    'Loan Account': 'Loans (Liability)',
+    'EMI Payment': 'Loans (Liability)',
+    'Personal Loan': 'Loans (Liability)',
+    'Home Loan': 'Loans (Liability)',
+    'Vehicle Loan': 'Loans (Liability)'
+};
+
+// Bill-wise allocation types for party ledger lines
+export const BILL_ALLOCATION_TYPES = ['Agst Ref', 'New Ref', 'Advance', 'On Account'];
+
+// Choices for a bank line that looks like a voucher already entered in Tally
+export const DUPLICATE_RESOLUTIONS = [
+    { value: 'skip', label: 'Skip' },
+    { value: 'link', label: 'Link to Tally voucher' },
+    { value: 'force', label: 'Push anyway' }
+];
+
+// Kinds of Tally writes kept in the sync audit log
+export const SYNC_RECORD_KINDS = {
+    bank: 'Bank Voucher',
+    sales: 'Sales',
+    purchase: 'Purchase',
+    ledger: 'Ledger',
+    company: 'Company',
+    voucher: 'Voucher'
+};
+
+// Cost category every Tally company has; used when a cost centre has no category
+export const DEFAULT_COST_CATEGORY = 'Primary Cost Category';
+
+// Godown and batch every inventory company has; item lines that name neither go here
+export const DEFAULT_GODOWN = 'Main Location';
+export const DEFAULT_BATCH = 'Primary Batch';
+
+// GST registration types of a party ledger; the first two need a GSTIN
+export const GST_REGISTRATION_TYPES = ['Regular', 'Composition', 'Consumer', 'Unregistered', 'Unknown'];
+export const GST_REGISTERED_TYPES = ['Regular', 'Composition'];
+
+// Groups of party (customer and supplier) ledgers, which carry GST registration details
+export const PARTY_LEDGER_GROUPS = ['Sundry Debtors', 'Sundry Creditors'];
+
+// State of a GSTIN's first two digits, spelt as Tally lists the state
+export const GST_STATE_CODES = {
+    '01': 'Jammu & Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '25': 'Daman & Diu',
+    '26': 'Dadra & Nagar Haveli and Daman & Diu',
+    '27': 'Maharashtra',
+    '28': 'Andhra Pradesh',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman & Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory'
+};
+
+// Columns of a ledger master import sheet: the template heading, then other headings accepted for it
+export const LEDGER_IMPORT_COLUMNS = {
+    name: ['Name', 'Ledger', 'Ledger Name', 'Party', 'Party Name'],
+    group: ['Group', 'Under', 'Parent', 'Parent Group'],
+    gstin: ['GSTIN', 'GSTIN/UIN', 'GST No', 'GST Number'],
+    gstRegistrationType: ['Registration Type', 'GST Registration Type'],
+    state: ['State', 'State Name'],
+    address: ['Address', 'Billing Address'],
+    pan: ['PAN', 'PAN No', 'Income Tax Number'],
+    openingBalance: ['Opening Balance', 'Opening', 'Op Balance'],
+    balanceType: ['Dr/Cr', 'Balance Type'],
+    isBillWise: ['Bill-wise', 'Billwise', 'Bill Wise', 'Maintain Bill-wise'],
+    accountNumber: ['Account Number', 'Account No', 'A/c No', 'Bank Account'],
+    ifsc: ['IFSC', 'IFSC Code'],
+    bankName: ['Bank Name', 'Bank']
+};
+
 // GST Rates
 export const GST_RATES = [
     { value: 0, label: 'Exempt (0%)' },
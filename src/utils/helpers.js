@@ -146,6 +146,29 @@ export const generateId = () => {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 };
 
+/**
+ * Create a stable, non-cryptographic hash of a string (53-bit, cyrb53)
+ * Same input always gives the same output, so it can be used for idempotency keys
+ * @param {string} str - String to hash
+ * @returns {string} Hash as a base-36 string
+ */
+export const hashString = (str) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    const input = String(str ?? '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36).toUpperCase();
+};
+
 /**
  * Debounce function execution
  * @param {Function} func - Function to debounce
@@ -249,9 +272,9 @@ export const calculateTotals = (transactions) => {
 
 /**
  * Download data as file
- * @param {Object|Array} data - Data to download
+ * @param {Object|Array|string} data - Data to download (xml takes the XML text)
  * @param {string} filename - File name
- * @param {string} type - File type (json, csv)
+ * @param {string} type - File type (json, csv, xml)
  */
 export const downloadFile = (data, filename, type = 'json') => {
     let content, mimeType;
@@ -262,6 +285,9 @@ export const downloadFile = (data, filename, type = 'json') => {
     } else if (type === 'csv') {
         content = convertToCSV(data);
         mimeType = 'text/csv';
+    } else if (type === 'xml') {
+        content = data;
+        mimeType = 'application/xml';
     }
 
     const blob = new Blob([content], { type: mimeType });
@@ -0,0 +1,903 @@
+/**
+ * BooksNeo - Tally Prime Emulator
+ *
+ * A stand-in for Tally Prime's XML HTTP server, so the real XML paths in
+ * tallyService.js can be exercised without a Windows machine running Tally.
+ * Companies, groups, ledgers, cost centres, voucher types, inventory masters
+ * and vouchers live in memory and are lost when the process stops.
+ *
+ * Supported requests:
+ * - Export Collection (Company, Group, Ledger, CostCategory, CostCentre,
+ *   VoucherType, StockItem, Unit, Godown, Bills, Voucher) with SVFROMDATE/SVTODATE and the simple formula
+ *   filters the app sends; every master and voucher change moves the
+ *   company's AltMstId / AltVchId, as Tally's AlterIDs do
+ * - Import Data (All Masters, Vouchers) with Create/Alter/Delete, answered
+ *   with CREATED/ALTERED/DELETED/ERRORS counters and LINEERRORs
+ *
+ * USAGE:
+ *   node tally-emulator.mjs           (or: npm run tally:emulator)
+ *   TALLY_PORT=9010 node tally-emulator.mjs
+ *
+ * It listens on port 9000 like Tally, so both the Vite /api/tally proxy and
+ * tally-proxy.mjs reach it without changes. Tests can import
+ * startTallyEmulator() to run it in-process on a free port.
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+
+const DEFAULT_PORT = parseInt(process.env.TALLY_PORT, 10) || 9000;
+
+// Tally's reserved primary groups and where they sit
+const PRIMARY_GROUPS = [
+    ['Capital Account', ''],
+    ['Current Assets', ''],
+    ['Current Liabilities', ''],
+    ['Direct Expenses', ''],
+    ['Direct Incomes', ''],
+    ['Fixed Assets', ''],
+    ['Indirect Expenses', ''],
+    ['Indirect Incomes', ''],
+    ['Investments', ''],
+    ['Loans (Liability)', ''],
+    ['Misc. Expenses (ASSET)', ''],
+    ['Purchase Accounts', ''],
+    ['Sales Accounts', ''],
+    ['Suspense A/c', ''],
+    ['Branch / Divisions', ''],
+    ['Bank Accounts', 'Current Assets'],
+    ['Cash-in-Hand', 'Current Assets'],
+    ['Deposits (Asset)', 'Current Assets'],
+    ['Loans & Advances (Asset)', 'Current Assets'],
+    ['Stock-in-Hand', 'Current Assets'],
+    ['Sundry Debtors', 'Current Assets'],
+    ['Duties & Taxes', 'Current Liabilities'],
+    ['Provisions', 'Current Liabilities'],
+    ['Sundry Creditors', 'Current Liabilities'],
+    ['Bank OD A/c', 'Loans (Liability)'],
+    ['Secured Loans', 'Loans (Liability)'],
+    ['Unsecured Loans', 'Loans (Liability)'],
+    ['Reserves & Surplus', 'Capital Account']
+];
+
+const VOUCHER_TYPES = ['Contra', 'Credit Note', 'Debit Note', 'Journal', 'Payment', 'Purchase', 'Receipt', 'Sales'];
+
+// Custom voucher types of the demo company: [name, parent, numbering method]
+const DEMO_VOUCHER_TYPES = [
+    ['HDFC Payment', 'Payment', 'Manual'],
+    ['HDFC Receipt', 'Receipt', 'Automatic'],
+    ['Sales - Export', 'Sales', 'Automatic (Manual Override)']
+];
+
+// Ledgers every new company gets, as Tally creates Cash and P&L itself
+const DEFAULT_LEDGERS = [
+    ['Cash', 'Cash-in-Hand'],
+    ['Profit & Loss A/c', '']
+];
+
+// Extra masters for the seeded demo company
+const DEMO_LEDGERS = [
+    ['HDFC Bank', 'Bank Accounts', true],
+    ['Sales Account', 'Sales Accounts'],
+    ['Purchase Account', 'Purchase Accounts'],
+    ['Office Rent', 'Indirect Expenses'],
+    ['Bank Charges', 'Indirect Expenses'],
+    ['Salary', 'Indirect Expenses'],
+    ['Output CGST', 'Duties & Taxes'],
+    ['Output SGST', 'Duties & Taxes'],
+    ['Output IGST', 'Duties & Taxes'],
+    ['Input CGST', 'Duties & Taxes'],
+    ['Input SGST', 'Duties & Taxes'],
+    ['Input IGST', 'Duties & Taxes'],
+    ['Acme Retail', 'Sundry Debtors', true],
+    ['Bharat Suppliers', 'Sundry Creditors', true]
+];
+
+// Inventory masters of the demo company: [name, group, base unit, HSN, GST rate]
+const DEMO_STOCK_ITEMS = [
+    ['LED Panel 18W', 'Lighting', 'Nos', '9405', 12],
+    ['Steel Rod 12mm', 'Steel', 'Kg', '7214', 18]
+];
+const DEMO_UNITS = [['Kg', 3], ['Nos', 0]];
+
+// Master details of the demo ledgers (opening balances are negative for debit, as Tally exports them)
+const DEMO_LEDGER_DETAILS = {
+    'HDFC Bank': { openingBalance: -150000, accountNumber: '50100012345678', ifsc: 'HDFC0000123', bankName: 'HDFC Bank' },
+    'Acme Retail': { openingBalance: -25000, gstin: '27AAACA1234F1ZA', state: 'Maharashtra', gstRegistrationType: 'Regular' },
+    'Bharat Suppliers': { openingBalance: 18000, gstin: '29AABCB5678K1Z5', state: 'Karnataka', gstRegistrationType: 'Regular' }
+};
+
+// ============================================
+// XML HELPERS
+// ============================================
+
+const escapeXML = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const decodeXML = (value) => String(value ?? '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text of the first <tag> inside xml
+const readTag = (xml, tag) => {
+    const match = String(xml || '').match(new RegExp(`<${escapeRegExp(tag)}(?:\\s[^>]*)?>([^<]*)</${escapeRegExp(tag)}>`, 'i'));
+    return match ? decodeXML(match[1]).trim() : '';
+};
+
+// Every <tag ...>...</tag> element inside xml (tags do not nest in Tally's formats)
+const readElements = (xml, tag) => {
+    const regex = new RegExp(`<${escapeRegExp(tag)}(\\s[^>]*)?>([\\s\\S]*?)</${escapeRegExp(tag)}>`, 'gi');
+    return [...String(xml || '').matchAll(regex)].map(match => ({
+        attributes: readAttributes(match[1] || ''),
+        body: match[2],
+        xml: match[0]
+    }));
+};
+
+const readAttributes = (text) => {
+    const attributes = {};
+    for (const match of text.matchAll(/([A-Z:.]+)="([^"]*)"/gi)) {
+        attributes[match[1].toUpperCase()] = decodeXML(match[2]);
+    }
+    return attributes;
+};
+
+const readAmount = (xml) => parseFloat(readTag(xml, 'AMOUNT')) || 0;
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// YYYYMMDD for the current financial year start (1 April)
+const currentFinancialYearStart = () => {
+    const now = new Date();
+    const year = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+    return `${year}0401`;
+};
+
+const envelope = (data) => `<ENVELOPE>
+<HEADER>
+<VERSION>1</VERSION>
+<STATUS>1</STATUS>
+</HEADER>
+<BODY>
+<DESC></DESC>
+<DATA>
+${data}
+</DATA>
+</BODY>
+</ENVELOPE>`;
+
+const errorEnvelope = (message) => `<ENVELOPE>
+<HEADER>
+<VERSION>1</VERSION>
+<STATUS>0</STATUS>
+</HEADER>
+<BODY>
+<DATA>
+<LINEERROR>${escapeXML(message)}</LINEERROR>
+</DATA>
+</BODY>
+</ENVELOPE>`;
+
+// ============================================
+// IN-MEMORY BOOKS
+// ============================================
+
+/**
+ * Create the emulator's data store
+ * @param {Object} options - { seed: add "Demo Company" with sample masters (default true) }
+ * @returns {Object} Store with companies and id counters
+ */
+export const createTallyStore = ({ seed = true } = {}) => {
+    const store = { companies: [], nextMasterId: 1, nextAlterId: 1 };
+    if (seed) {
+        const company = addCompany(store, 'Demo Company', currentFinancialYearStart());
+        DEMO_LEDGERS.forEach(([name, parent, billWise]) => {
+            company.ledgers.push({ name, parent, isBillWise: !!billWise, masterId: store.nextMasterId++, ...DEMO_LEDGER_DETAILS[name] });
+        });
+        company.ledgers.forEach(ledger => touchMaster(store, company, ledger));
+        DEMO_VOUCHER_TYPES.forEach(([name, parent, numberingMethod]) => {
+            const voucherType = { name, parent, numberingMethod, masterId: store.nextMasterId++ };
+            company.voucherTypes.push(voucherType);
+            touchMaster(store, company, voucherType);
+        });
+        DEMO_UNITS.forEach(([name, decimalPlaces]) => company.units.push({ name, decimalPlaces }));
+        DEMO_STOCK_ITEMS.forEach(([name, parent, baseUnit, hsn, gstRate]) => {
+            const stockItem = { name, parent, baseUnit, hsn, gstRate, masterId: store.nextMasterId++ };
+            company.stockItems.push(stockItem);
+            touchMaster(store, company, stockItem);
+        });
+        company.godowns.push({ name: 'Warehouse 2', parent: '' });
+        company.costCentres.push(
+            { name: 'Head Office', parent: '', category: 'Primary Cost Category' },
+            { name: 'Mumbai Branch', parent: '', category: 'Primary Cost Category' }
+        );
+    }
+    return store;
+};
+
+const addCompany = (store, name, booksFrom) => {
+    const company = {
+        name,
+        startingFrom: booksFrom,
+        booksFrom,
+        groups: PRIMARY_GROUPS.map(([groupName, parent]) => ({ name: groupName, parent })),
+        ledgers: DEFAULT_LEDGERS.map(([ledgerName, parent]) => ({ name: ledgerName, parent, isBillWise: false, masterId: store.nextMasterId++ })),
+        costCategories: [{ name: 'Primary Cost Category', allocateRevenue: true, allocateNonRevenue: false }],
+        costCentres: [],
+        // Tally's predefined voucher types are their own parents
+        voucherTypes: VOUCHER_TYPES.map(name => ({ name, parent: name, numberingMethod: 'Automatic', masterId: store.nextMasterId++ })),
+        stockItems: [],
+        units: [],
+        godowns: [{ name: 'Main Location', parent: '' }],
+        vouchers: [],
+        altMstId: 0,
+        altVchId: 0
+    };
+    [...company.ledgers, ...company.voucherTypes].forEach(master => touchMaster(store, company, master));
+    store.companies.push(company);
+    return company;
+};
+
+// Stamp a created/altered master (or a deletion, without one) with the next AlterID
+const touchMaster = (store, company, master = {}) => {
+    master.alterId = company.altMstId = store.nextAlterId++;
+};
+
+const findCompany = (store, name) => store.companies.find(c => sameName(c.name, name));
+
+// The company a request works on: SVCURRENTCOMPANY, else the first loaded one
+const resolveCompany = (store, xml) => {
+    const requested = readTag(xml, 'SVCURRENTCOMPANY');
+    if (!requested) {
+        return { company: store.companies[0] || null };
+    }
+    const company = findCompany(store, requested);
+    return company ? { company } : { error: `Could not set 'SVCurrentCompany' to '${requested}'.` };
+};
+
+// ============================================
+// EXPORT (COLLECTIONS)
+// ============================================
+
+// Evaluate the formula filters tallyService sends; unknown formulae let everything through
+const createFilter = (xml) => {
+    const formulae = {};
+    for (const element of readElements(xml, 'SYSTEM')) {
+        if (sameName(element.attributes.TYPE, 'Formulae')) {
+            formulae[element.attributes.NAME] = decodeXML(element.body).trim();
+        }
+    }
+
+    const evaluate = (formula, object) => formula.split(/\s+OR\s+/i).some(term => {
+        const typeMatch = term.match(/^\$VoucherTypeName\s*=\s*"(.*)"$/i);
+        if (typeMatch) return sameName(object.voucherType, typeMatch[1]);
+
+        const ledgerMatch = term.match(/^\$LedgerName\s*=\s*"(.*)"$/i);
+        if (ledgerMatch) return sameName(object.ledgerName, ledgerMatch[1]);
+
+        const alterMatch = term.match(/^\$AlterID\s*>\s*(\d+)$/i);
+        if (alterMatch) return (object.alterId || 0) > Number(alterMatch[1]);
+
+        const countMatch = term.match(/^\$\$FilterCount:AllLedgerEntries:(\w+)\s*>\s*0$/i);
+        if (countMatch) {
+            return (object.entries || []).some(entry =>
+                evaluate(formulae[countMatch[1]] || '', { ledgerName: entry.ledgerName }));
+        }
+
+        if (/^NOT \$\$IsEmpty:\$ClosingBalance$/i.test(term)) return object.closingBalance !== 0;
+
+        return true;
+    });
+
+    const names = readTag(xml, 'FILTERS').split(',').map(n => n.trim()).filter(Boolean);
+    return (object) => names.every(name => !formulae[name] || evaluate(formulae[name], object));
+};
+
+const exportCompanies = (store) => store.companies.map(c => `<COMPANY NAME="${escapeXML(c.name)}">
+<NAME>${escapeXML(c.name)}</NAME>
+<STARTINGFROM TYPE="Date">${c.startingFrom}</STARTINGFROM>
+<BOOKSFROM TYPE="Date">${c.booksFrom}</BOOKSFROM>
+<ALTMSTID TYPE="Number">${c.altMstId}</ALTMSTID>
+<ALTVCHID TYPE="Number">${c.altVchId}</ALTVCHID>
+</COMPANY>`).join('\n');
+
+const exportGroups = (company) => company.groups.map(g => `<GROUP NAME="${escapeXML(g.name)}">
+<NAME>${escapeXML(g.name)}</NAME>
+<PARENT TYPE="String">${escapeXML(g.parent)}</PARENT>
+</GROUP>`).join('\n');
+
+// Opening balance plus every voucher line posted to the ledger
+const closingBalance = (company, ledger) => Number(company.vouchers
+    .flatMap(v => v.entries)
+    .filter(entry => sameName(entry.ledgerName, ledger.name))
+    .reduce((sum, entry) => sum + entry.amount, ledger.openingBalance || 0)
+    .toFixed(2));
+
+const exportLedgers = (company, filter) => company.ledgers.filter(filter).map(l => `<LEDGER NAME="${escapeXML(l.name)}">
+<NAME>${escapeXML(l.name)}</NAME>
+<PARENT TYPE="String">${escapeXML(l.parent)}</PARENT>
+<ISBILLWISEON TYPE="Logical">${l.isBillWise ? 'Yes' : 'No'}</ISBILLWISEON>
+<MASTERID TYPE="Number">${l.masterId}</MASTERID>
+<ALTERID TYPE="Number">${l.alterId}</ALTERID>
+<OPENINGBALANCE TYPE="Amount">${(l.openingBalance || 0).toFixed(2)}</OPENINGBALANCE>
+<CLOSINGBALANCE TYPE="Amount">${closingBalance(company, l).toFixed(2)}</CLOSINGBALANCE>
+<PARTYGSTIN TYPE="String">${escapeXML(l.gstin)}</PARTYGSTIN>
+<LEDSTATENAME TYPE="String">${escapeXML(l.state)}</LEDSTATENAME>
+<GSTREGISTRATIONTYPE TYPE="String">${escapeXML(l.gstRegistrationType)}</GSTREGISTRATIONTYPE>
+<INCOMETAXNUMBER TYPE="String">${escapeXML(l.pan)}</INCOMETAXNUMBER>
+<ADDRESS.LIST TYPE="String">
+${(l.address || []).map(line => `<ADDRESS>${escapeXML(line)}</ADDRESS>`).join('\n')}
+</ADDRESS.LIST>
+<BANKDETAILS TYPE="String">${escapeXML(l.accountNumber)}</BANKDETAILS>
+<IFSCODE TYPE="String">${escapeXML(l.ifsc)}</IFSCODE>
+<BANKINGCONFIGBANK TYPE="String">${escapeXML(l.bankName)}</BANKINGCONFIGBANK>
+</LEDGER>`).join('\n');
+
+const exportCostCategories = (company) => company.costCategories.map(c => `<COSTCATEGORY NAME="${escapeXML(c.name)}">
+<NAME>${escapeXML(c.name)}</NAME>
+<ALLOCATEREVENUE TYPE="Logical">${c.allocateRevenue ? 'Yes' : 'No'}</ALLOCATEREVENUE>
+<ALLOCATENONREVENUE TYPE="Logical">${c.allocateNonRevenue ? 'Yes' : 'No'}</ALLOCATENONREVENUE>
+</COSTCATEGORY>`).join('\n');
+
+const exportCostCentres = (company) => company.costCentres.map(c => `<COSTCENTRE NAME="${escapeXML(c.name)}">
+<NAME>${escapeXML(c.name)}</NAME>
+<PARENT TYPE="String">${escapeXML(c.parent)}</PARENT>
+<CATEGORY TYPE="String">${escapeXML(c.category)}</CATEGORY>
+</COSTCENTRE>`).join('\n');
+
+const exportVoucherTypes = (company) => company.voucherTypes.map(t => `<VOUCHERTYPE NAME="${escapeXML(t.name)}">
+<NAME>${escapeXML(t.name)}</NAME>
+<PARENT TYPE="String">${escapeXML(t.parent)}</PARENT>
+<NUMBERINGMETHOD TYPE="String">${escapeXML(t.numberingMethod)}</NUMBERINGMETHOD>
+<ISACTIVE TYPE="Logical">Yes</ISACTIVE>
+<MASTERID TYPE="Number">${t.masterId}</MASTERID>
+</VOUCHERTYPE>`).join('\n');
+
+const exportStockItems = (company) => company.stockItems.map(i => `<STOCKITEM NAME="${escapeXML(i.name)}">
+<NAME>${escapeXML(i.name)}</NAME>
+<PARENT TYPE="String">${escapeXML(i.parent)}</PARENT>
+<BASEUNITS TYPE="String">${escapeXML(i.baseUnit)}</BASEUNITS>
+<MASTERID TYPE="Number">${i.masterId}</MASTERID>
+<GSTDETAILS.LIST>
+<HSNCODE>${escapeXML(i.hsn)}</HSNCODE>
+<STATEWISEDETAILS.LIST>
+${['IGST', 'CGST', 'SGST/UTGST'].map(head => `<RATEDETAILS.LIST>
+<GSTRATEDUTYHEAD>${head}</GSTRATEDUTYHEAD>
+<GSTRATE>${head === 'IGST' ? i.gstRate : i.gstRate / 2}</GSTRATE>
+</RATEDETAILS.LIST>`).join('\n')}
+</STATEWISEDETAILS.LIST>
+</GSTDETAILS.LIST>
+</STOCKITEM>`).join('\n');
+
+const exportUnits = (company) => company.units.map(u => `<UNIT NAME="${escapeXML(u.name)}">
+<NAME>${escapeXML(u.name)}</NAME>
+<DECIMALPLACES TYPE="Number">${u.decimalPlaces}</DECIMALPLACES>
+</UNIT>`).join('\n');
+
+const exportGodowns = (company) => company.godowns.map(g => `<GODOWN NAME="${escapeXML(g.name)}">
+<NAME>${escapeXML(g.name)}</NAME>
+<PARENT TYPE="String">${escapeXML(g.parent)}</PARENT>
+</GODOWN>`).join('\n');
+
+// Outstanding bills of a party, built from the bill allocations of its vouchers
+const exportBills = (company, xml, filter) => {
+    const party = readTag(xml, 'CHILDOF');
+    const bills = new Map();
+
+    company.vouchers.forEach(voucher => {
+        voucher.entries
+            .filter(entry => !party || sameName(entry.ledgerName, party))
+            .forEach(entry => {
+                readElements(entry.xml, 'BILLALLOCATIONS.LIST').forEach(({ body }) => {
+                    const name = readTag(body, 'NAME');
+                    if (!name || sameName(readTag(body, 'BILLTYPE'), 'On Account')) return;
+                    const bill = bills.get(name) || { name, parent: entry.ledgerName, date: voucher.date, closingBalance: 0, creditPeriod: readTag(body, 'BILLCREDITPERIOD') };
+                    bill.closingBalance = Number((bill.closingBalance + readAmount(body)).toFixed(2));
+                    bills.set(name, bill);
+                });
+            });
+    });
+
+    return [...bills.values()].filter(filter).map(b => `<BILL NAME="${escapeXML(b.name)}">
+<NAME>${escapeXML(b.name)}</NAME>
+<PARENT TYPE="String">${escapeXML(b.parent)}</PARENT>
+<BILLDATE TYPE="Date">${b.date}</BILLDATE>
+<CLOSINGBALANCE TYPE="Amount">${b.closingBalance.toFixed(2)}</CLOSINGBALANCE>${b.creditPeriod ? `
+<BILLCREDITPERIOD>${escapeXML(b.creditPeriod)}</BILLCREDITPERIOD>` : ''}
+</BILL>`).join('\n');
+};
+
+const exportVouchers = (company, xml, filter) => {
+    const fromDate = readTag(xml, 'SVFROMDATE');
+    const toDate = readTag(xml, 'SVTODATE');
+
+    return company.vouchers
+        .filter(v => (!fromDate || v.date >= fromDate) && (!toDate || v.date <= toDate))
+        .filter(filter)
+        .map(v => `<VOUCHER REMOTEID="${escapeXML(v.guid)}" VCHKEY="${escapeXML(v.guid)}:${v.masterId}" VCHTYPE="${escapeXML(v.voucherType)}" ACTION="Create">
+<DATE TYPE="Date">${v.date}</DATE>
+<GUID TYPE="String">${escapeXML(v.guid)}</GUID>
+<MASTERID TYPE="Number">${v.masterId}</MASTERID>
+<ALTERID TYPE="Number">${v.alterId}</ALTERID>
+<VOUCHERTYPENAME TYPE="String">${escapeXML(v.voucherType)}</VOUCHERTYPENAME>
+<VOUCHERNUMBER TYPE="String">${escapeXML(v.voucherNumber)}</VOUCHERNUMBER>
+<PARTYLEDGERNAME TYPE="String">${escapeXML(v.partyLedger)}</PARTYLEDGERNAME>
+<NARRATION TYPE="String">${escapeXML(v.narration)}</NARRATION>
+${v.entries.map(entry => entry.xml).filter(Boolean).join('\n')}${(v.inventory || []).map(item => `\n${item.xml}`).join('')}
+</VOUCHER>`).join('\n');
+};
+
+const handleExport = (store, xml) => {
+    const collection = readElements(xml, 'COLLECTION')[0];
+    const type = (collection ? readTag(collection.body, 'TYPE') : readTag(xml, 'TYPE')).toLowerCase();
+
+    if (type === 'company') {
+        return envelope(`<COLLECTION>\n${exportCompanies(store)}\n</COLLECTION>`);
+    }
+
+    const { company, error } = resolveCompany(store, xml);
+    if (error) return errorEnvelope(error);
+    if (!company) return errorEnvelope('No company is loaded.');
+
+    const filter = createFilter(xml);
+    const exporters = {
+        group: () => exportGroups(company),
+        ledger: () => exportLedgers(company, filter),
+        costcategory: () => exportCostCategories(company),
+        costcentre: () => exportCostCentres(company),
+        vouchertype: () => exportVoucherTypes(company),
+        stockitem: () => exportStockItems(company),
+        unit: () => exportUnits(company),
+        godown: () => exportGodowns(company),
+        bills: () => exportBills(company, xml, filter),
+        voucher: () => exportVouchers(company, xml, filter)
+    };
+
+    const body = exporters[type] ? exporters[type]() : '';
+    return envelope(`<COLLECTION>\n${body}\n</COLLECTION>`);
+};
+
+// ============================================
+// IMPORT (MASTERS & VOUCHERS)
+// ============================================
+
+const newCounts = () => ({ created: 0, altered: 0, deleted: 0, ignored: 0, combined: 0, cancelled: 0, errors: 0, exceptions: 0, lastVchId: 0, lastMid: 0, lineErrors: [] });
+
+const fail = (counts, message) => {
+    counts.errors++;
+    counts.lineErrors.push(message);
+};
+
+const importCompany = (store, counts, { attributes, body }) => {
+    const name = readTag(body, 'NAME') || attributes.NAME;
+    if (!name) return fail(counts, 'Company name is missing.');
+
+    // Alteration moves the books period, as Alt+F3 > Alter Company does
+    if (sameName(attributes.ACTION || 'Create', 'Alter')) {
+        const company = findCompany(store, name);
+        if (!company) return fail(counts, `Company '${name}' does not exist.`);
+
+        const booksFrom = readTag(body, 'BOOKSFROM') || company.booksFrom;
+        const startingFrom = readTag(body, 'STARTINGFROM') || company.startingFrom;
+        if (booksFrom < startingFrom) {
+            return fail(counts, 'Books beginning date cannot be before the financial year beginning.');
+        }
+        const firstVoucher = company.vouchers.map(v => v.date).sort()[0];
+        if (firstVoucher && booksFrom > firstVoucher) {
+            return fail(counts, `Vouchers exist from ${firstVoucher}, before the books beginning date ${booksFrom}.`);
+        }
+        Object.assign(company, { booksFrom, startingFrom });
+        counts.altered++;
+        return;
+    }
+
+    if (findCompany(store, name)) return fail(counts, `Company '${name}' already exists.`);
+
+    const booksFrom = readTag(body, 'BOOKSFROM') || readTag(body, 'STARTINGFROM') || currentFinancialYearStart();
+    addCompany(store, name, booksFrom);
+    counts.created++;
+};
+
+const importGroup = (store, company, counts, { attributes, body }) => {
+    const action = attributes.ACTION || 'Create';
+    const name = attributes.NAME || readTag(body, 'NAME');
+    const parent = readTag(body, 'PARENT');
+    const existing = company.groups.find(g => sameName(g.name, name));
+
+    if (parent && !company.groups.some(g => sameName(g.name, parent))) {
+        return fail(counts, `Group '${parent}' does not exist!`);
+    }
+    if (sameName(action, 'Create')) {
+        if (existing) return fail(counts, `Group '${name}' already exists!`);
+        const group = { name, parent };
+        company.groups.push(group);
+        touchMaster(store, company, group);
+        counts.created++;
+    } else if (existing) {
+        existing.parent = parent || existing.parent;
+        touchMaster(store, company, existing);
+        counts.altered++;
+    } else {
+        fail(counts, `Group '${name}' does not exist!`);
+    }
+};
+
+// Optional master details sent with a ledger; only the tags present are returned
+const readLedgerDetails = (body) => {
+    const details = {};
+    const fields = {
+        OPENINGBALANCE: ['openingBalance', value => parseFloat(value) || 0],
+        PARTYGSTIN: ['gstin'],
+        LEDSTATENAME: ['state'],
+        GSTREGISTRATIONTYPE: ['gstRegistrationType'],
+        INCOMETAXNUMBER: ['pan'],
+        BANKDETAILS: ['accountNumber'],
+        IFSCODE: ['ifsc'],
+        BANKINGCONFIGBANK: ['bankName']
+    };
+    Object.entries(fields).forEach(([tag, [key, convert = value => value]]) => {
+        const value = readTag(body, tag);
+        if (value) details[key] = convert(value);
+    });
+    const address = readElements(body, 'ADDRESS').map(line => decodeXML(line.body).trim()).filter(Boolean);
+    if (address.length > 0) details.address = address;
+    return details;
+};
+
+const importLedger = (store, company, counts, { attributes, body }) => {
+    const action = attributes.ACTION || 'Create';
+    const name = attributes.NAME || readTag(body, 'NAME');
+    const parent = readTag(body, 'PARENT');
+    const existing = company.ledgers.find(l => sameName(l.name, name));
+
+    if (!name) return fail(counts, 'Ledger name is missing.');
+
+    if (sameName(action, 'Delete')) {
+        if (!existing) return fail(counts, `Ledger '${name}' does not exist!`);
+        if (company.vouchers.some(v => v.entries.some(e => sameName(e.ledgerName, name)))) {
+            return fail(counts, `Ledger '${name}' has vouchers and cannot be deleted.`);
+        }
+        company.ledgers = company.ledgers.filter(l => l !== existing);
+        touchMaster(store, company);
+        counts.deleted++;
+        return;
+    }
+
+    if (parent && !company.groups.some(g => sameName(g.name, parent))) {
+        return fail(counts, `Group '${parent}' does not exist!`);
+    }
+
+    if (sameName(action, 'Create')) {
+        if (existing) return fail(counts, `Ledger '${name}' already exists!`);
+        if (!parent) return fail(counts, `Ledger '${name}' has no group.`);
+        company.ledgers.push({
+            name,
+            parent,
+            isBillWise: readTag(body, 'ISBILLWISEON') === 'Yes',
+            masterId: store.nextMasterId++,
+            ...readLedgerDetails(body)
+        });
+        touchMaster(store, company, company.ledgers[company.ledgers.length - 1]);
+        counts.created++;
+    } else if (existing) {
+        existing.parent = parent || existing.parent;
+        if (readTag(body, 'ISBILLWISEON')) existing.isBillWise = readTag(body, 'ISBILLWISEON') === 'Yes';
+        Object.assign(existing, readLedgerDetails(body));
+        touchMaster(store, company, existing);
+        counts.altered++;
+    } else {
+        return fail(counts, `Ledger '${name}' does not exist!`);
+    }
+    counts.lastMid = (existing || company.ledgers[company.ledgers.length - 1]).masterId;
+};
+
+const importCostCentre = (store, company, counts, { attributes, body }) => {
+    const name = attributes.NAME || readTag(body, 'NAME');
+    if (company.costCentres.some(c => sameName(c.name, name))) {
+        return fail(counts, `Cost Centre '${name}' already exists!`);
+    }
+    const costCentre = {
+        name,
+        parent: readTag(body, 'PARENT'),
+        category: readTag(body, 'CATEGORY') || 'Primary Cost Category'
+    };
+    company.costCentres.push(costCentre);
+    touchMaster(store, company, costCentre);
+    counts.created++;
+};
+
+const importVoucherType = (store, company, counts, { attributes, body }) => {
+    const action = attributes.ACTION || 'Create';
+    const name = attributes.NAME || readTag(body, 'NAME');
+    const parent = readTag(body, 'PARENT');
+    const numberingMethod = readTag(body, 'NUMBERINGMETHOD');
+    const existing = company.voucherTypes.find(t => sameName(t.name, name));
+
+    if (parent && !company.voucherTypes.some(t => sameName(t.name, parent))) {
+        return fail(counts, `Voucher Type '${parent}' does not exist!`);
+    }
+    if (sameName(action, 'Create')) {
+        if (existing) return fail(counts, `Voucher Type '${name}' already exists!`);
+        if (!parent) return fail(counts, `Voucher Type '${name}' has no parent.`);
+        const voucherType = { name, parent, numberingMethod: numberingMethod || 'Automatic', masterId: store.nextMasterId++ };
+        company.voucherTypes.push(voucherType);
+        touchMaster(store, company, voucherType);
+        counts.created++;
+    } else if (existing) {
+        existing.parent = parent || existing.parent;
+        existing.numberingMethod = numberingMethod || existing.numberingMethod;
+        touchMaster(store, company, existing);
+        counts.altered++;
+    } else {
+        fail(counts, `Voucher Type '${name}' does not exist!`);
+    }
+};
+
+// Find the voucher an Alter/Delete refers to: REMOTEID first, then TAGNAME/TAGVALUE
+const findVoucher = (company, attributes) => {
+    if (attributes.REMOTEID) {
+        return company.vouchers.find(v => v.guid === attributes.REMOTEID);
+    }
+    if (attributes.TAGNAME && attributes.TAGVALUE) {
+        const tag = attributes.TAGNAME.toUpperCase();
+        return company.vouchers.find(v =>
+            (tag === 'MASTERID' && String(v.masterId) === attributes.TAGVALUE) ||
+            (tag === 'GUID' && v.guid === attributes.TAGVALUE) ||
+            (tag === 'VOUCHERNUMBER' && v.voucherNumber === attributes.TAGVALUE));
+    }
+    return null;
+};
+
+// Read and check a voucher body; returns { voucher } or { error }
+const readVoucher = (company, attributes, body) => {
+    const voucherType = readTag(body, 'VOUCHERTYPENAME') || attributes.VCHTYPE;
+    const date = readTag(body, 'DATE');
+    const readEntry = ({ xml, body: entryBody }) => ({
+        ledgerName: readTag(entryBody, 'LEDGERNAME'),
+        amount: readAmount(entryBody.replace(/<([A-Z.]+\.LIST)[\s\S]*?<\/\1>/gi, '')),
+        xml
+    });
+    // Item lines post through their accounting allocations; their XML is kept with the item
+    const inventory = readElements(body, 'ALLINVENTORYENTRIES.LIST').map(({ xml, body: itemBody }) => ({
+        stockItem: readTag(itemBody, 'STOCKITEMNAME'),
+        quantity: parseFloat(readTag(itemBody, 'BILLEDQTY')) || 0,
+        godowns: readElements(itemBody, 'BATCHALLOCATIONS.LIST').map(batch => readTag(batch.body, 'GODOWNNAME')),
+        ledgers: readElements(itemBody, 'ACCOUNTINGALLOCATIONS.LIST').map(entry => ({ ...readEntry(entry), xml: '' })),
+        xml
+    }));
+    const entries = [
+        ...readElements(body, 'ALLLEDGERENTRIES.LIST'),
+        ...readElements(body, 'LEDGERENTRIES.LIST')
+    ].map(readEntry).concat(inventory.flatMap(item => item.ledgers));
+
+    const knownType = company.voucherTypes.find(type => sameName(type.name, voucherType));
+    if (!knownType) {
+        return { error: `Voucher Type '${voucherType}' does not exist!` };
+    }
+    if (sameName(knownType.numberingMethod, 'Manual') && !readTag(body, 'VOUCHERNUMBER')) {
+        return { error: `Voucher Number is required for Voucher Type '${knownType.name}'.` };
+    }
+    if (!/^\d{8}$/.test(date)) {
+        return { error: `Invalid date '${date}' in voucher.` };
+    }
+    if (date < company.booksFrom) {
+        return { error: `Voucher date ${date} is before the Books beginning date ${company.booksFrom}.` };
+    }
+    if (entries.length < 2) {
+        return { error: 'Voucher has less than two ledger entries.' };
+    }
+
+    const missing = entries.find(entry => !company.ledgers.some(l => sameName(l.name, entry.ledgerName)));
+    if (missing) {
+        return { error: `Ledger '${missing.ledgerName}' does not exist!` };
+    }
+
+    const missingItem = inventory.find(item => !company.stockItems.some(i => sameName(i.name, item.stockItem)));
+    if (missingItem) {
+        return { error: `Stock Item '${missingItem.stockItem}' does not exist!` };
+    }
+    const missingGodown = inventory.flatMap(item => item.godowns)
+        .find(godown => !company.godowns.some(g => sameName(g.name, godown)));
+    if (missingGodown !== undefined) {
+        return { error: `Godown '${missingGodown}' does not exist!` };
+    }
+
+    const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    if (Math.abs(total) >= 0.01) {
+        const debit = entries.filter(e => e.amount < 0).reduce((sum, e) => sum - e.amount, 0);
+        const credit = entries.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0);
+        return { error: `Voucher totals do not match! Dr: ${debit.toFixed(2)} Cr: ${credit.toFixed(2)}` };
+    }
+
+    return {
+        voucher: {
+            voucherType: knownType.name,
+            date,
+            voucherNumber: readTag(body, 'VOUCHERNUMBER'),
+            partyLedger: readTag(body, 'PARTYLEDGERNAME'),
+            narration: readTag(body, 'NARRATION'),
+            entries,
+            inventory: inventory.map(({ stockItem, quantity, xml }) => ({ stockItem, quantity, xml }))
+        }
+    };
+};
+
+const nextVoucherNumber = (company, voucherType) => {
+    return String(company.vouchers.filter(v => v.voucherType === voucherType).length + 1);
+};
+
+const importVoucher = (store, company, counts, { attributes, body }) => {
+    const action = attributes.ACTION || 'Create';
+    const existing = findVoucher(company, attributes);
+
+    if (sameName(action, 'Delete')) {
+        if (!existing) return fail(counts, 'Voucher to be deleted does not exist!');
+        company.vouchers = company.vouchers.filter(v => v !== existing);
+        company.altVchId = store.nextAlterId++;
+        counts.deleted++;
+        return;
+    }
+
+    if (sameName(action, 'Alter') && !existing) {
+        return fail(counts, 'Voucher to be altered does not exist!');
+    }
+
+    const { voucher, error } = readVoucher(company, attributes, body);
+    if (error) return fail(counts, error);
+
+    // Importing a REMOTEID that is already in the books replaces that voucher, as Tally does
+    if (existing) {
+        Object.assign(existing, voucher, {
+            voucherNumber: voucher.voucherNumber || existing.voucherNumber,
+            alterId: company.altVchId = store.nextAlterId++
+        });
+        counts.altered++;
+        counts.lastVchId = existing.masterId;
+        return;
+    }
+
+    const masterId = store.nextMasterId++;
+    company.vouchers.push({
+        ...voucher,
+        voucherNumber: voucher.voucherNumber || nextVoucherNumber(company, voucher.voucherType),
+        guid: attributes.REMOTEID || randomUUID(),
+        masterId,
+        alterId: company.altVchId = store.nextAlterId++
+    });
+    counts.created++;
+    counts.lastVchId = masterId;
+};
+
+const importResponse = (counts) => envelope(`${counts.lineErrors.map(message => `<LINEERROR>${escapeXML(message)}</LINEERROR>`).join('\n')}
+<IMPORTRESULT>
+<CREATED>${counts.created}</CREATED>
+<ALTERED>${counts.altered}</ALTERED>
+<DELETED>${counts.deleted}</DELETED>
+<LASTVCHID>${counts.lastVchId}</LASTVCHID>
+<LASTMID>${counts.lastMid}</LASTMID>
+<COMBINED>${counts.combined}</COMBINED>
+<IGNORED>${counts.ignored}</IGNORED>
+<ERRORS>${counts.errors}</ERRORS>
+<CANCELLED>${counts.cancelled}</CANCELLED>
+<EXCEPTIONS>${counts.exceptions}</EXCEPTIONS>
+</IMPORTRESULT>`);
+
+const handleImport = (store, xml) => {
+    const counts = newCounts();
+    const messages = readElements(xml, 'TALLYMESSAGE').map(m => m.body).join('\n');
+
+    // Company creation runs without a current company
+    readElements(messages, 'COMPANY').forEach(element => importCompany(store, counts, element));
+
+    const hasOtherObjects = /<(GROUP|LEDGER|COSTCENTRE|VOUCHERTYPE|VOUCHER)[\s>]/i.test(messages);
+    if (!hasOtherObjects) {
+        return importResponse(counts);
+    }
+
+    const { company, error } = resolveCompany(store, xml);
+    if (error) return errorEnvelope(error);
+    if (!company) return errorEnvelope('No company is loaded.');
+
+    readElements(messages, 'GROUP').forEach(element => importGroup(store, company, counts, element));
+    readElements(messages, 'LEDGER').forEach(element => importLedger(store, company, counts, element));
+    readElements(messages, 'COSTCENTRE').forEach(element => importCostCentre(store, company, counts, element));
+    readElements(messages, 'VOUCHERTYPE').forEach(element => importVoucherType(store, company, counts, element));
+    readElements(messages, 'VOUCHER').forEach(element => importVoucher(store, company, counts, element));
+
+    return importResponse(counts);
+};
+
+/**
+ * Answer one Tally XML request
+ * @param {Object} store - Store from createTallyStore
+ * @param {string} xml - Request body
+ * @returns {string} Response body
+ */
+export const handleTallyRequest = (store, xml) => {
+    const request = readTag(xml, 'TALLYREQUEST').toLowerCase();
+
+    if (request.startsWith('export')) {
+        return handleExport(store, xml);
+    }
+    if (request.startsWith('import')) {
+        return handleImport(store, xml);
+    }
+    return errorEnvelope(`Unknown Request, cannot be processed: ${readTag(xml, 'TALLYREQUEST') || 'empty request'}`);
+};
+
+// ============================================
+// HTTP SERVER
+// ============================================
+
+/**
+ * Start the emulator
+ * @param {Object} options - { port (0 picks a free one), seed, quiet }
+ * @returns {Promise<Object>} { server, store, port, close }
+ */
+export const startTallyEmulator = ({ port = DEFAULT_PORT, seed = true, quiet = false } = {}) => {
+    const store = createTallyStore({ seed });
+    const log = quiet ? () => {} : (...args) => console.log(...args);
+
+    const server = http.createServer((req, res) => {
+        // Tally answers plain GETs with a status line
+        if (req.method !== 'POST') {
+            res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+            res.end('<RESPONSE>TallyPrime Server is Running</RESPONSE>');
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', () => {
+            let response;
+            try {
+                response = handleTallyRequest(store, body);
+            } catch (error) {
+                response = errorEnvelope(`Emulator error: ${error.message}`);
+            }
+            log(`[${new Date().toLocaleTimeString()}] ${readTag(body, 'TALLYREQUEST') || req.method} ${readTag(body, 'ID') || ''}`.trim());
+            res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+            res.end(response);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            const actualPort = server.address().port;
+            log(`Tally emulator listening on http://localhost:${actualPort}`);
+            log(`Companies: ${store.companies.map(c => c.name).join(', ') || '(none)'}`);
+            resolve({
+                server,
+                store,
+                port: actualPort,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+};
+
+// Run as a script
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    startTallyEmulator().catch(error => {
+        if (error.code === 'EADDRINUSE') {
+            console.error(`Port ${DEFAULT_PORT} is already in use - is Tally Prime (or another emulator) running?`);
+        } else {
+            console.error('Failed to start Tally emulator:', error.message);
+        }
+        process.exit(1);
+    });
+}
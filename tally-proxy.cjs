@@ -6,9 +6,9 @@
 const http = require('http');
 const { exec } = require('child_process');
 
-const TALLY_HOST = '127.0.0.1';
-const TALLY_PORT = 9000;
-const PROXY_PORT = 9001;
+const TALLY_HOST = process.env.TALLY_HOST || '127.0.0.1';
+const TALLY_PORT = parseInt(process.env.TALLY_PORT, 10) || 9000;
+const PROXY_PORT = parseInt(process.env.PROXY_PORT, 10) || 9001;
 
 // CORS headers
 const corsHeaders = {
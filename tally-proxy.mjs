@@ -6,6 +6,7 @@
  * 
  * USAGE:
  * 1. Make sure Tally Prime is running with ODBC enabled on port 9000
+ *    (set TALLY_PORT / PROXY_PORT to use other ports on this machine)
  * 2. Double-click TallyProxy.exe to start
  * 3. Keep this window open while using BooksNeo
  * 4. Press Ctrl+C or close the window to stop
@@ -17,9 +18,9 @@
 import http from 'http';
 import readline from 'readline';
 
-const TALLY_HOST = 'localhost';
-const TALLY_PORT = 9000;
-const PROXY_PORT = 9001;
+const TALLY_HOST = process.env.TALLY_HOST || 'localhost';
+const TALLY_PORT = parseInt(process.env.TALLY_PORT, 10) || 9000;
+const PROXY_PORT = parseInt(process.env.PROXY_PORT, 10) || 9001;
 
 // CORS headers to allow cross-origin requests from BooksNeo
 const corsHeaders = {